@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+/**
+ * CLI de transcripción sin servidor: usa AudioService y AudioConverter directamente
+ *
+ * Uso:
+ *   anyaudio transcribe audios/ -f srt -o texts/
+ *   anyaudio info 'audios/**\/*.mp3' --json
+ */
+
+import { run } from '../src/cli/index.js';
+
+process.exitCode = await run(process.argv.slice(2));
@@ -5,7 +5,7 @@
  * 
  * Uso:
  * 1. Asegúrate de que el servidor esté corriendo: npm run dev
- * 2. Ejecuta este script: node example-usage.js
+ * 2. Ejecuta este script: API_KEY=<tu_api_key> node example-usage.js
  */
 
 // Usar fetch nativo de Node.js 18+
@@ -14,6 +14,15 @@ import fs from 'fs';
 import path from 'path';
 
 const API_BASE_URL = 'http://localhost:3000';
+const API_KEY = process.env.API_KEY;
+
+/**
+ * Cabeceras de autenticación para las rutas protegidas
+ * @returns {Object} Cabecera Authorization si se definió API_KEY
+ */
+function authHeaders() {
+  return API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {};
+}
 
 /**
  * Función para hacer peticiones GET a la API
@@ -22,7 +31,7 @@ const API_BASE_URL = 'http://localhost:3000';
  */
 async function getRequest(endpoint) {
   try {
-    const response = await fetch(`${API_BASE_URL}${endpoint}`);
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, { headers: authHeaders() });
     const data = await response.json();
     return data;
   } catch (error) {
@@ -43,6 +52,7 @@ async function postRequest(endpoint, data) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders(),
       },
       body: JSON.stringify(data),
     });
@@ -85,6 +95,7 @@ async function transcribeFile(filePath, options = {}) {
 
     const response = await fetch(`${API_BASE_URL}/api/audio/transcribe`, {
       method: 'POST',
+      headers: authHeaders(),
       body: form,
     });
 
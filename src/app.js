@@ -2,8 +2,15 @@ import express from 'express';
 import cors from 'cors';
 import { config, validateConfig } from './middleware/config.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import { requireApiKey, requireAdminToken } from './middleware/auth.js';
+import { requestLogger } from './middleware/requestLogger.js';
 import audioRoutes from './routes/audioRoutes.js';
 import systemRoutes from './routes/systemRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import metricsRoutes from './routes/metricsRoutes.js';
+import docsRoutes from './routes/docsRoutes.js';
+import { attachStreamServer } from './routes/streamRoutes.js';
+import { audioService, jobQueue, apiKeyStore, transcriptStore, webhookDispatcher, processingManifest, folderWatcher, resultCache, tempWorkspace, tempFileSweeper } from './services/instances.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -25,11 +32,15 @@ class App {
    * @private
    */
   configureMiddlewares() {
+    // Id de petición, log JSON y métricas HTTP (primero, para medir también los rechazos)
+    this.app.use(requestLogger);
+
     // CORS
     this.app.use(cors({
       origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
-      methods: ['GET', 'POST', 'PUT', 'DELETE'],
-      allowedHeaders: ['Content-Type', 'Authorization'],
+      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+      exposedHeaders: ['X-Request-Id'],
     }));
 
     // Parser JSON
@@ -37,12 +48,6 @@ class App {
     
     // Parser URL encoded
     this.app.use(express.urlencoded({ extended: true, limit: '1mb' }));
-
-    // Logging middleware
-    this.app.use((req, res, next) => {
-      console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
-      next();
-    });
   }
 
   /**
@@ -65,12 +70,23 @@ class App {
       });
     });
 
-    // Rutas de audio
-    this.app.use('/api/audio', audioRoutes);
+    // Métricas de Prometheus (METRICS_TOKEN opcional)
+    if (config.metrics.enabled) {
+      this.app.use(metricsRoutes);
+    }
+
+    // Rutas de audio (requieren API key)
+    this.app.use('/api/audio', requireApiKey, audioRoutes);
     
     // Rutas del sistema
     this.app.use('/api/system', systemRoutes);
 
+    // Rutas de administración (requieren ADMIN_TOKEN)
+    this.app.use('/api/admin', requireAdminToken, adminRoutes);
+
+    // Documento OpenAPI y Swagger UI (públicos)
+    this.app.use('/api/docs', docsRoutes);
+
     // Middleware para rutas no encontradas
     this.app.use(notFoundHandler);
 
@@ -87,6 +103,13 @@ class App {
       config.audio.uploadsDir,
       config.audio.audioDir,
       config.audio.textsDir,
+      config.jobs.dir,
+      path.dirname(config.auth.keysFile),
+      config.store.dir,
+      config.webhooks.dir,
+      path.dirname(config.manifest.file),
+      config.cache.dir,
+      config.tempFiles.dir,
     ];
 
     for (const dir of directories) {
@@ -120,6 +143,45 @@ class App {
       // Crear directorios necesarios
       await this.createDirectories();
 
+      // Cargar API keys
+      await apiKeyStore.initialize();
+      console.log(`✓ API keys cargadas (autenticación ${config.auth.enabled ? 'activada' : 'desactivada'})`);
+
+      // Cargar el índice de transcripciones
+      await transcriptStore.initialize();
+      console.log(`✓ Almacén de transcripciones cargado (${transcriptStore.records.size} transcripciones)`);
+
+      // Cargar el manifiesto de archivos ya procesados
+      await processingManifest.initialize();
+      console.log(`✓ Manifiesto cargado (${processingManifest.entries.size} archivos procesados)`);
+
+      // Cargar el índice de la caché de resultados y eliminar las entradas caducadas
+      if (config.cache.enabled) {
+        await resultCache.initialize();
+        console.log(`✓ Caché de resultados cargada (${resultCache.entries.size} entradas)`);
+      }
+
+      // Eliminar los archivos intermedios al salir y, periódicamente, las subidas abandonadas
+      tempWorkspace.cleanupOnExit();
+      if (tempFileSweeper.isEnabled()) {
+        tempFileSweeper.start();
+        console.log(`✓ Barrido de temporales cada ${config.tempFiles.sweepInterval}s (antigüedad máxima ${config.tempFiles.maxAge}s)`);
+      }
+
+      // Reprogramar las entregas de webhooks pendientes
+      await webhookDispatcher.initialize();
+      console.log(`✓ Webhooks ${webhookDispatcher.isEnabled() ? 'activados' : 'desactivados (falta WEBHOOK_SECRET)'}`);
+
+      // Cargar trabajos persistidos y reanudar los pendientes
+      await jobQueue.initialize();
+      console.log('✓ Cola de trabajos inicializada');
+
+      // Transcribir automáticamente los audios que se dejen en la carpeta vigilada
+      if (config.watch.enabled) {
+        await folderWatcher.start();
+        console.log(`✓ Vigilando ${config.watch.dir} (salida en ${config.audio.textsDir}${config.watch.moveFiles ? ', originales movidos al terminar' : ''})`);
+      }
+
       // Configurar middlewares
       this.configureMiddlewares();
       console.log('✓ Middlewares configurados');
@@ -148,30 +210,68 @@ class App {
         console.log('🎉 Servidor iniciado exitosamente');
         console.log(`📍 URL: http://localhost:${this.port}`);
         console.log(`🔧 Modo: ${process.env.NODE_ENV || 'development'}`);
-        console.log(`🤖 Modelo Groq: ${config.groq.model}`);
+        const provider = audioService.getProvider();
+        console.log(`🤖 Proveedor: ${provider.name} (modelo ${provider.model})`);
         console.log('📁 Directorios:');
         console.log(`  - Audios: ${config.audio.audioDir}`);
         console.log(`  - Textos: ${config.audio.textsDir}`);
         console.log(`  - Uploads: ${config.audio.uploadsDir}`);
+        console.log(`  - Temporales: ${config.tempFiles.dir}`);
+        if (config.watch.enabled) {
+          console.log(`  - Vigilada: ${config.watch.dir}`);
+        }
         console.log('');
         console.log('📋 Endpoints disponibles:');
         console.log('  GET  /                              - Información general');
         console.log('  GET  /api/system/health             - Estado del sistema');
         console.log('  GET  /api/system/config             - Configuración');
         console.log('  GET  /api/system/info               - Información detallada');
-        console.log('  POST /api/audio/transcribe          - Transcribir archivo');
-        console.log('  POST /api/audio/translate           - Traducir archivo');
+        console.log('  GET  /api/docs                      - Documentación interactiva (Swagger UI)');
+        console.log('  GET  /api/docs/openapi.json         - Documento OpenAPI 3');
+        if (config.metrics.enabled) {
+          console.log(`  GET  ${config.metrics.path.padEnd(31)}- Métricas de Prometheus`);
+        }
+        console.log('  POST /api/audio/transcribe          - Transcribir archivo o URL');
+        console.log('  POST /api/audio/translate           - Traducir archivo o URL');
         console.log('  POST /api/audio/process-directory   - Procesar directorio');
+        console.log('  POST /api/audio/batch               - Transcribir varios archivos');
         console.log('  GET  /api/audio/files               - Listar archivos');
         console.log('  GET  /api/audio/transcriptions      - Listar transcripciones');
         console.log('  GET  /api/audio/transcriptions/:id  - Obtener transcripción');
+        console.log('  POST /api/audio/jobs                - Crear trabajo asíncrono');
+        console.log('  GET  /api/audio/jobs/:id            - Estado de un trabajo');
+        console.log('  DEL  /api/audio/jobs/:id            - Cancelar trabajo');
+        console.log(`  WS   ${config.streaming.path}            - Transcripción en streaming`);
+        console.log('  GET  /api/audio/transcripts         - Buscar transcripciones guardadas');
+        console.log('  GET  /api/audio/transcripts/:id     - Obtener transcripción guardada');
+        console.log('  GET  /api/audio/transcripts/:id/words - Palabras con tiempos por tramo');
+        console.log('  POST /api/audio/transcripts/:id/analysis - Resumen, temas, tareas y capítulos');
+        console.log('  PATCH /api/audio/transcripts/:id    - Editar transcripción guardada');
+        console.log('  DEL  /api/audio/transcripts/:id     - Eliminar transcripción guardada');
+        console.log('  GET  /api/audio/webhooks            - Listar entregas de webhooks');
+        console.log('  GET  /api/audio/webhooks/:id        - Obtener entrega de webhook');
+        console.log('  POST /api/admin/keys                - Crear API key');
+        console.log('  GET  /api/admin/keys                - Listar API keys');
+        console.log('  DEL  /api/admin/keys/:id            - Revocar API key');
+        console.log('  GET  /api/admin/cache               - Estado y entradas de la caché');
+        console.log('  GET  /api/admin/cache/:key          - Obtener entrada de la caché');
+        console.log('  DEL  /api/admin/cache               - Vaciar la caché');
+        console.log('  DEL  /api/admin/cache/:key          - Eliminar entrada de la caché');
         console.log('');
         console.log('🔑 Asegúrate de configurar tu GROQ_TOKEN en el archivo .env');
+        if (config.auth.enabled && !config.auth.adminToken) {
+          console.log('⚠️  ADMIN_TOKEN no configurado: no se podrán crear API keys');
+        }
       });
 
+      // Transcripción en streaming por WebSocket sobre el mismo servidor
+      attachStreamServer(server);
+
       // Manejo de señales de terminación
       process.on('SIGTERM', () => {
         console.log('🛑 Recibida señal SIGTERM, cerrando servidor...');
+        folderWatcher.stop();
+        tempFileSweeper.stop();
         server.close(() => {
           console.log('✅ Servidor cerrado correctamente');
           process.exit(0);
@@ -180,6 +280,8 @@ class App {
 
       process.on('SIGINT', () => {
         console.log('🛑 Recibida señal SIGINT, cerrando servidor...');
+        folderWatcher.stop();
+        tempFileSweeper.stop();
         server.close(() => {
           console.log('✅ Servidor cerrado correctamente');
           process.exit(0);
@@ -0,0 +1,610 @@
+import { parseArgs } from 'util';
+import fs from 'fs/promises';
+import path from 'path';
+import { config, validateConfig } from '../middleware/config.js';
+import { AudioService, OUTPUT_FORMATS } from '../services/audioService.js';
+import { AudioConverter, TARGET_FORMATS, PREPROCESSING_FILTERS } from '../services/audioConverter.js';
+import { Scheduler } from '../services/scheduler.js';
+import { expandGlob, hasMagic } from '../utils/glob.js';
+import { normalizeLanguageCode } from '../utils/language.js';
+
+/**
+ * Códigos de salida del CLI
+ * @readonly
+ * @enum {number}
+ */
+export const ExitCode = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  CONFIG: 3,
+  NO_INPUT: 4,
+  PARTIAL: 5,
+  INTERRUPTED: 130,
+};
+
+/**
+ * Error que termina el CLI con un código de salida concreto
+ * @class CliError
+ * @extends Error
+ */
+export class CliError extends Error {
+  /**
+   * Constructor del error del CLI
+   * @param {string} message - Mensaje mostrado en stderr
+   * @param {number} [exitCode=ExitCode.FAILED] - Código de salida (ver ExitCode)
+   */
+  constructor(message, exitCode = ExitCode.FAILED) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Opciones compartidas por los comandos que procesan lotes de archivos
+ */
+const BATCH_OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  concurrency: { type: 'string', short: 'c' },
+  recursive: { type: 'boolean', short: 'r' },
+  json: { type: 'boolean' },
+  quiet: { type: 'boolean', short: 'q' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * Ayuda general del CLI
+ */
+const HELP = `Uso: anyaudio <comando> [opciones] <archivo|directorio|patrón>...
+
+Comandos:
+  transcribe   Transcribe archivos de audio o video
+  translate    Traduce archivos de audio al inglés o, con --to, a cualquier idioma
+  convert      Normaliza archivos a FLAC u Ogg (Opus) 16KHz mono
+  info         Muestra duración, formato y códec de los archivos
+
+Opciones comunes:
+  -o, --output <dir>       Directorio donde guardar los resultados (por defecto, la salida estándar)
+  -c, --concurrency <n>    Archivos procesados a la vez
+  -r, --recursive          Incluir los subdirectorios de los directorios indicados
+      --json               Resultado en JSON, para scripts
+  -q, --quiet              No mostrar el progreso en stderr
+  -v, --verbose            Mostrar los logs del servicio en stderr
+  -h, --help               Ayuda del comando
+
+Las entradas pueden ser archivos, directorios o patrones entre comillas ('audios/**/*.mp3').
+
+Códigos de salida:
+  0  todos los archivos se procesaron
+  1  ningún archivo se procesó o error inesperado
+  2  argumentos no válidos
+  3  configuración incompleta (proveedor, token...)
+  4  ninguna entrada contiene archivos de audio
+  5  algunos archivos fallaron
+
+Usa "anyaudio <comando> --help" para ver las opciones de cada comando.
+`;
+
+/**
+ * Comandos disponibles: opciones que aceptan, ayuda y función que los ejecuta
+ */
+const COMMANDS = {
+  transcribe: {
+    options: {
+      ...BATCH_OPTIONS,
+      format: { type: 'string', short: 'f', default: 'txt' },
+      language: { type: 'string', short: 'l' },
+      provider: { type: 'string', short: 'p' },
+      prompt: { type: 'string' },
+      diarize: { type: 'boolean' },
+      speakers: { type: 'string' },
+      preprocess: { type: 'string' },
+      'no-cache': { type: 'boolean' },
+    },
+    usage: `Uso: anyaudio transcribe [opciones] <archivo|directorio|patrón>...
+
+  -f, --format <formato>   ${OUTPUT_FORMATS.join(', ')} (por defecto txt)
+  -l, --language <código>  Idioma ISO-639-1 del audio (por defecto, detección automática)
+  -p, --provider <nombre>  Proveedor de transcripción (por defecto TRANSCRIPTION_PROVIDER)
+      --prompt <texto>     Texto que guía el estilo de la transcripción
+      --diarize            Etiquetar los segmentos con su hablante
+      --speakers <n>       Número de hablantes conocido (con --diarize)
+      --preprocess <lista> Filtros: ${PREPROCESSING_FILTERS.join(', ')} o none (por defecto PREPROCESS_FILTERS)
+      --no-cache           No usar ni guardar resultados en la caché
+  -o, --output <dir>       Guardar cada transcripción en el directorio en vez de mostrarla
+  -c, --concurrency <n>    Archivos a la vez (por defecto DIRECTORY_CONCURRENCY)
+  -r, --recursive          Incluir subdirectorios
+      --json               Resultado en JSON
+  -q, --quiet / -v, --verbose
+`,
+    run: transcribe,
+  },
+  translate: {
+    options: {
+      ...BATCH_OPTIONS,
+      format: { type: 'string', short: 'f', default: 'txt' },
+      to: { type: 'string', short: 't' },
+      language: { type: 'string', short: 'l' },
+      provider: { type: 'string', short: 'p' },
+      translator: { type: 'string' },
+      prompt: { type: 'string' },
+      preprocess: { type: 'string' },
+      'no-cache': { type: 'boolean' },
+    },
+    usage: `Uso: anyaudio translate [opciones] <archivo|directorio|patrón>...
+
+  -t, --to <código>        Idioma de destino (ej: es, pt-BR); sin él, traducción de Whisper a inglés
+  -l, --language <código>  Idioma del audio, con --to (por defecto, detección automática)
+  -f, --format <formato>   ${OUTPUT_FORMATS.join(', ')} (por defecto txt)
+  -p, --provider <nombre>  Proveedor de transcripción (sin --to, debe soportar traducción)
+      --translator <nombre> Proveedor de traducción de texto, con --to (por defecto TRANSLATION_PROVIDER)
+      --prompt <texto>     Texto que guía el estilo de la traducción
+      --preprocess <lista> Filtros: ${PREPROCESSING_FILTERS.join(', ')} o none (por defecto PREPROCESS_FILTERS)
+      --no-cache           No usar ni guardar resultados en la caché
+  -o, --output <dir>       Guardar cada traducción en el directorio en vez de mostrarla
+  -c, --concurrency <n>    Archivos a la vez (por defecto DIRECTORY_CONCURRENCY)
+  -r, --recursive          Incluir subdirectorios
+      --json               Resultado en JSON
+  -q, --quiet / -v, --verbose
+`,
+    run: translate,
+  },
+  convert: {
+    options: {
+      ...BATCH_OPTIONS,
+      to: { type: 'string', short: 't' },
+    },
+    usage: `Uso: anyaudio convert [opciones] <archivo|directorio|patrón>...
+
+  -t, --to <formato>       ${Object.keys(TARGET_FORMATS).join(', ')} (por defecto CONVERSION_FORMAT)
+  -o, --output <dir>       Directorio de los archivos convertidos (por defecto, junto al original)
+  -c, --concurrency <n>    Conversiones a la vez (por defecto CONVERSION_CONCURRENCY)
+  -r, --recursive          Incluir subdirectorios
+      --json               Resultado en JSON
+  -q, --quiet / -v, --verbose
+`,
+    run: convert,
+  },
+  info: {
+    options: {
+      recursive: BATCH_OPTIONS.recursive,
+      json: BATCH_OPTIONS.json,
+      verbose: BATCH_OPTIONS.verbose,
+      help: BATCH_OPTIONS.help,
+    },
+    usage: `Uso: anyaudio info [opciones] <archivo|directorio|patrón>...
+
+  -r, --recursive          Incluir subdirectorios
+      --json               Resultado en JSON
+  -v, --verbose            Mostrar los logs del servicio
+`,
+    run: info,
+  },
+};
+
+/**
+ * Ejecuta el CLI
+ * @param {Array<string>} argv - Argumentos sin el ejecutable ni el script
+ * @returns {Promise<number>} Código de salida (ver ExitCode)
+ */
+export async function run(argv) {
+  const [command, ...args] = argv;
+
+  if (!command || ['help', '--help', '-h'].includes(command)) {
+    process.stdout.write(HELP);
+    return command ? ExitCode.OK : ExitCode.USAGE;
+  }
+
+  const definition = COMMANDS[command];
+  if (!definition) {
+    process.stderr.write(`Comando desconocido: ${command}\n\n${HELP}`);
+    return ExitCode.USAGE;
+  }
+
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({ args, options: definition.options, allowPositionals: true }));
+  } catch (error) {
+    process.stderr.write(`${error.message}\nUsa "anyaudio ${command} --help" para ver las opciones.\n`);
+    return ExitCode.USAGE;
+  }
+
+  if (values.help) {
+    process.stdout.write(definition.usage);
+    return ExitCode.OK;
+  }
+
+  // Los servicios informan con console.*: se llevan a stderr para no mezclarlos con el resultado
+  redirectLogs(values.verbose);
+
+  try {
+    if (positionals.length === 0) {
+      throw new CliError('Indica al menos un archivo, directorio o patrón', ExitCode.USAGE);
+    }
+    return await definition.run(values, positionals);
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message}\n`);
+    return error instanceof CliError ? error.exitCode : ExitCode.FAILED;
+  }
+}
+
+/**
+ * Comando transcribe
+ * @param {Object} values - Opciones del comando
+ * @param {Array<string>} inputs - Archivos, directorios o patrones
+ * @returns {Promise<number>} Código de salida
+ * @private
+ */
+async function transcribe(values, inputs) {
+  const audioService = await loadAudioService();
+  const options = {
+    language: values.language,
+    prompt: values.prompt,
+    provider: values.provider,
+    format: values.format,
+    responseFormat: 'verbose_json',
+    diarize: Boolean(values.diarize),
+    numSpeakers: values.speakers !== undefined ? parsePositiveInteger(values.speakers, '--speakers') : undefined,
+    preprocess: AudioConverter.parseFilters(values.preprocess),
+    cache: !values['no-cache'],
+  };
+  validateServiceOptions(audioService, options);
+
+  return runBatch(values, inputs, {
+    concurrency: config.concurrency.files,
+    worker: file => audioService.transcribeFile(file, options),
+    finish: result => writeTranscription(audioService, result, values),
+    headers: true,
+  });
+}
+
+/**
+ * Comando translate
+ * @param {Object} values - Opciones del comando
+ * @param {Array<string>} inputs - Archivos, directorios o patrones
+ * @returns {Promise<number>} Código de salida
+ * @private
+ */
+async function translate(values, inputs) {
+  const audioService = await loadAudioService();
+  const options = {
+    prompt: values.prompt,
+    provider: values.provider,
+    format: values.format,
+    // Los subtítulos se generan a partir de los segmentos
+    responseFormat: values.format === 'txt' ? 'json' : 'verbose_json',
+    targetLanguage: values.to,
+    language: values.language,
+    translationProvider: values.translator,
+    preprocess: AudioConverter.parseFilters(values.preprocess),
+    cache: !values['no-cache'],
+  };
+  validateServiceOptions(audioService, options);
+
+  return runBatch(values, inputs, {
+    concurrency: config.concurrency.files,
+    worker: file => audioService.translateFile(file, options),
+    finish: result => writeTranscription(audioService, result, values),
+    headers: true,
+  });
+}
+
+/**
+ * Comando convert
+ * @param {Object} values - Opciones del comando
+ * @param {Array<string>} inputs - Archivos, directorios o patrones
+ * @returns {Promise<number>} Código de salida
+ * @private
+ */
+async function convert(values, inputs) {
+  const format = values.to || config.conversion.targetFormat;
+  if (!TARGET_FORMATS[format]) {
+    throw new CliError(`Formato de conversión no soportado: ${format}. Formatos: ${Object.keys(TARGET_FORMATS).join(', ')}`, ExitCode.USAGE);
+  }
+
+  const concurrency = values.concurrency !== undefined
+    ? parsePositiveInteger(values.concurrency, '--concurrency')
+    : config.concurrency.conversions;
+  const converter = new AudioConverter({ ...config.conversion, concurrency });
+
+  return runBatch(values, inputs, {
+    concurrency,
+    worker: async file => {
+      const convertedPath = await converter.normalizeAudio(file, format);
+      if (!values.output) {
+        return { outputPath: convertedPath };
+      }
+      await fs.mkdir(values.output, { recursive: true });
+      const outputPath = path.join(values.output, path.basename(convertedPath));
+      await moveFile(convertedPath, outputPath);
+      return { outputPath };
+    },
+    finish: result => ({ ...result, text: result.outputPath }),
+  });
+}
+
+/**
+ * Comando info
+ * @param {Object} values - Opciones del comando
+ * @param {Array<string>} inputs - Archivos, directorios o patrones
+ * @returns {Promise<number>} Código de salida
+ * @private
+ */
+async function info(values, inputs) {
+  const converter = new AudioConverter(config.conversion);
+
+  return runBatch({ ...values, quiet: true }, inputs, {
+    concurrency: config.concurrency.conversions,
+    worker: async file => ({ info: await converter.getAudioInfo(file) }),
+    finish: (result, file) => ({ ...result, text: `${file}\t${describeAudio(result.info)}` }),
+  });
+}
+
+/**
+ * Procesa un lote de archivos con concurrencia limitada y escribe el resultado
+ * @param {Object} values - Opciones del comando (`output`, `concurrency`, `recursive`, `json`, `quiet`)
+ * @param {Array<string>} inputs - Archivos, directorios o patrones
+ * @param {Object} handlers - Cómo procesar cada archivo
+ * @param {number} handlers.concurrency - Archivos a la vez si no se indicó `--concurrency`
+ * @param {Function} handlers.worker - `(file)` que procesa un archivo
+ * @param {Function} handlers.finish - `(result, file)` que añade `text` (lo que se muestra) al resultado
+ * @param {boolean} [handlers.headers=false] - Preceder el texto de cada archivo con su nombre si hay varios
+ * @returns {Promise<number>} Código de salida
+ * @private
+ */
+async function runBatch(values, inputs, handlers) {
+  const { files, missing } = await collectFiles(inputs, values.recursive);
+  for (const input of missing) {
+    process.stderr.write(`✗ ${input}: no existe o no contiene archivos de audio\n`);
+  }
+  if (files.length === 0) {
+    throw new CliError('No se encontró ningún archivo de audio', ExitCode.NO_INPUT);
+  }
+
+  const concurrency = values.concurrency !== undefined
+    ? parsePositiveInteger(values.concurrency, '--concurrency')
+    : handlers.concurrency;
+  const scheduler = new Scheduler({ name: 'cli', concurrency });
+  let completed = 0;
+
+  const results = await Promise.all(files.map(file => scheduler.run(async () => {
+    let result;
+    try {
+      result = { file, success: true, ...await handlers.finish(await handlers.worker(file), file) };
+    } catch (error) {
+      result = { file, success: false, error: error.message };
+    }
+
+    completed++;
+    if (!values.quiet) {
+      const detail = result.success ? (result.outputPath ? ` → ${result.outputPath}` : '') : `: ${result.error}`;
+      process.stderr.write(`[${completed}/${files.length}] ${result.success ? '✓' : '✗'} ${file}${detail}\n`);
+    }
+    return result;
+  })));
+
+  const all = [...results, ...missing.map(file => ({ file, success: false, error: 'No existe o no contiene archivos de audio' }))];
+  const summary = AudioService.summarizeResults(all);
+
+  if (values.json) {
+    const data = all.map(({ text, ...result }) => result);
+    process.stdout.write(`${JSON.stringify({ success: summary.failed === 0, data: { results: data, summary } }, null, 2)}\n`);
+  } else {
+    writeText(results, { headers: handlers.headers && !values.output });
+    for (const result of results.filter(r => !r.success && values.quiet)) {
+      process.stderr.write(`✗ ${result.file}: ${result.error}\n`);
+    }
+  }
+
+  if (summary.failed === 0) {
+    return ExitCode.OK;
+  }
+  return summary.successful === 0 ? ExitCode.FAILED : ExitCode.PARTIAL;
+}
+
+/**
+ * Escribe en stdout el texto de los resultados correctos, en el orden de entrada
+ * @param {Array<Object>} results - Resultados del lote
+ * @param {Object} [options={}] - Opciones de escritura
+ * @param {boolean} [options.headers=false] - Preceder cada texto con el nombre del archivo si hay varios
+ * @private
+ */
+function writeText(results, options = {}) {
+  const successful = results.filter(result => result.success);
+  const headers = options.headers && successful.length > 1;
+
+  for (const result of successful) {
+    const text = result.text.replace(/\n$/, '');
+    process.stdout.write(headers ? `==> ${result.file} <==\n${text}\n\n` : `${text}\n`);
+  }
+}
+
+/**
+ * Guarda o formatea una transcripción
+ * @param {AudioService} audioService - Servicio de audio
+ * @param {Object} result - Resultado de transcribeFile o translateFile
+ * @param {Object} values - Opciones del comando (`format`, `output`)
+ * @returns {Promise<Object>} Resultado con `text` y, con `--output`, `outputPath`
+ * @private
+ */
+async function writeTranscription(audioService, result, values) {
+  if (values.output) {
+    const outputPath = await audioService.saveTranscription(result, values.output, values.format);
+    return { ...result, outputPath, text: outputPath };
+  }
+  return { ...result, text: audioService.formatTranscription(result, values.format) };
+}
+
+/**
+ * Expande las entradas en la lista de archivos a procesar
+ * @param {Array<string>} inputs - Archivos, directorios o patrones
+ * @param {boolean} [recursive=false] - Incluir los subdirectorios de los directorios
+ * @returns {Promise<Object>} `files` sin duplicados y `missing` con las entradas sin archivos
+ * @private
+ */
+async function collectFiles(inputs, recursive = false) {
+  const files = new Set();
+  const missing = [];
+
+  for (const input of inputs) {
+    let found = [];
+
+    if (hasMagic(input)) {
+      found = (await expandGlob(input)).filter(file => AudioService.isValidAudioFile(file));
+    } else {
+      const stats = await fs.stat(input).catch(() => null);
+      if (stats?.isDirectory()) {
+        const entries = await fs.readdir(input, { recursive, withFileTypes: true });
+        found = entries
+          .filter(entry => entry.isFile() && AudioService.isValidAudioFile(entry.name))
+          .map(entry => path.join(entry.parentPath ?? entry.path, entry.name))
+          .sort();
+      } else if (stats) {
+        found = [input];
+      }
+    }
+
+    if (found.length === 0) {
+      missing.push(input);
+    }
+    found.forEach(file => files.add(path.normalize(file)));
+  }
+
+  return { files: [...files], missing };
+}
+
+/**
+ * Comprueba la configuración y carga el servicio de audio compartido
+ * @returns {Promise<AudioService>} Servicio de audio
+ * @throws {CliError} Si la configuración está incompleta
+ * @private
+ */
+async function loadAudioService() {
+  const validation = validateConfig();
+  if (!validation.valid) {
+    throw new CliError(`Configuración incompleta:\n  - ${validation.errors.join('\n  - ')}`, ExitCode.CONFIG);
+  }
+
+  try {
+    const { audioService, tempWorkspace } = await import('../services/instances.js');
+    // Los archivos intermedios se eliminan también si se interrumpe con Ctrl+C
+    tempWorkspace.cleanupOnExit();
+    process.once('SIGINT', () => process.exit(ExitCode.INTERRUPTED));
+    return audioService;
+  } catch (error) {
+    throw new CliError(`No se pudieron crear los servicios: ${error.message}`, ExitCode.CONFIG);
+  }
+}
+
+/**
+ * Valida el formato, los proveedores, el idioma de destino y la diarización antes de procesar nada.
+ * Normaliza `targetLanguage` al código canónico.
+ * @param {AudioService} audioService - Servicio de audio
+ * @param {Object} options - Opciones de transcripción o traducción
+ * @throws {CliError} Si alguna opción no es válida
+ * @private
+ */
+function validateServiceOptions(audioService, options) {
+  if (!OUTPUT_FORMATS.includes(options.format)) {
+    throw new CliError(`Formato de salida no soportado: ${options.format}. Formatos: ${OUTPUT_FORMATS.join(', ')}`, ExitCode.USAGE);
+  }
+
+  if (options.provider && !audioService.hasProvider(options.provider)) {
+    throw new CliError(`Proveedor no disponible: ${options.provider}. Disponibles: ${Object.keys(audioService.providers).join(', ')}`, ExitCode.USAGE);
+  }
+
+  const unknownFilters = (options.preprocess || []).filter(filter => !PREPROCESSING_FILTERS.includes(filter));
+  if (unknownFilters.length > 0) {
+    throw new CliError(`Filtros de preprocesado no soportados: ${unknownFilters.join(', ')}. Filtros: ${PREPROCESSING_FILTERS.join(', ')}, none`, ExitCode.USAGE);
+  }
+
+  if (options.targetLanguage !== undefined) {
+    const targetLanguage = normalizeLanguageCode(options.targetLanguage);
+    if (!targetLanguage) {
+      throw new CliError(`Idioma de destino no válido: ${options.targetLanguage} (ej: es, en, pt-BR)`, ExitCode.USAGE);
+    }
+    options.targetLanguage = targetLanguage;
+
+    const translator = options.translationProvider || audioService.defaultTranslationProvider;
+    if (!translator || !audioService.hasTranslationProvider(translator)) {
+      throw new CliError(`Proveedor de traducción no disponible: ${translator}. Disponibles: ${Object.keys(audioService.translationProviders).join(', ') || 'ninguno'}`, ExitCode.USAGE);
+    }
+  }
+
+  if (options.diarize && !audioService.hasDiarizationEngine(audioService.defaultDiarizationEngine)) {
+    throw new CliError('No hay ningún motor de diarización configurado', ExitCode.CONFIG);
+  }
+}
+
+/**
+ * Convierte el valor de una opción en un entero positivo
+ * @param {string} value - Valor de la opción
+ * @param {string} name - Nombre de la opción, para el mensaje de error
+ * @returns {number} Entero mayor o igual que 1
+ * @throws {CliError} Si el valor no es válido
+ * @private
+ */
+function parsePositiveInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new CliError(`${name} debe ser un entero mayor o igual que 1`, ExitCode.USAGE);
+  }
+  return number;
+}
+
+/**
+ * Resume la información de getAudioInfo en una línea
+ * @param {Object} audioInfo - Información del archivo
+ * @returns {string} Descripción legible
+ * @private
+ */
+function describeAudio(audioInfo) {
+  const parts = [`${audioInfo.duration.toFixed(1)}s`, audioInfo.format];
+  if (audioInfo.audio) {
+    parts.push(audioInfo.audio.codec, `${audioInfo.audio.sampleRate} Hz`, `${audioInfo.audio.channels} canal(es)`);
+  }
+  if (audioInfo.bitrate) {
+    parts.push(`${Math.round(audioInfo.bitrate / 1000)} kbps`);
+  }
+  if (audioInfo.hasVideo) {
+    parts.push('con video');
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Mueve un archivo, copiándolo si el destino está en otro sistema de archivos
+ * @param {string} source - Ruta de origen
+ * @param {string} target - Ruta de destino
+ * @returns {Promise<void>}
+ * @private
+ */
+async function moveFile(source, target) {
+  try {
+    await fs.rename(source, target);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    await fs.copyFile(source, target);
+    await fs.rm(source);
+  }
+}
+
+/**
+ * Envía los logs de los servicios a stderr, o los descarta si no se pidió `--verbose`
+ * @param {boolean} verbose - Mostrar los logs
+ * @private
+ */
+function redirectLogs(verbose) {
+  const log = verbose ? (...args) => console.error(...args) : () => {};
+  console.log = log;
+  console.info = log;
+  console.warn = log;
+  if (!verbose) {
+    console.error = () => {};
+  }
+}
@@ -0,0 +1,836 @@
+import { config } from '../middleware/config.js';
+import { OUTPUT_FORMATS } from '../services/audioService.js';
+import { PREPROCESSING_FILTERS } from '../services/audioConverter.js';
+import { JobState, JOB_TYPES } from '../services/jobQueue.js';
+import { DeliveryState } from '../services/webhookDispatcher.js';
+import { STREAM_INPUT_FORMATS } from '../services/streamingSession.js';
+import { ANALYSIS_TASKS } from '../services/transcriptAnalyzer.js';
+
+/**
+ * Respuesta correcta con el sobre `{ success, data, message }`
+ * @param {string} description - Descripción de la respuesta
+ * @param {Object} [data={ type: 'object' }] - Esquema de `data`
+ * @returns {Object} Objeto Response de OpenAPI
+ */
+function success(description, data = { type: 'object' }) {
+  return {
+    description,
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            data,
+            message: { type: 'string' },
+          },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Respuesta de error con el sobre `{ success: false, error, details }`
+ * @param {string} description - Descripción de la respuesta
+ * @param {string} [schema='Error'] - Esquema de components
+ * @returns {Object} Objeto Response de OpenAPI
+ */
+function failure(description, schema = 'Error') {
+  return {
+    description,
+    content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } },
+  };
+}
+
+/**
+ * Parámetro de ruta obligatorio de tipo string
+ * @param {string} name - Nombre del parámetro
+ * @param {string} description - Descripción
+ * @returns {Object} Objeto Parameter de OpenAPI
+ */
+function pathParameter(name, description) {
+  return { name, in: 'path', required: true, description, schema: { type: 'string', minLength: 1 } };
+}
+
+/**
+ * Parámetro de query opcional
+ * @param {string} name - Nombre del parámetro
+ * @param {string} description - Descripción
+ * @param {Object} [schema={ type: 'string' }] - Esquema del valor
+ * @returns {Object} Objeto Parameter de OpenAPI
+ */
+function queryParameter(name, description, schema = { type: 'string' }) {
+  return { name, in: 'query', description, schema };
+}
+
+/**
+ * Cuerpo JSON de una petición
+ * @param {Object} schema - Esquema del cuerpo
+ * @param {boolean} [required=true] - El cuerpo es obligatorio
+ * @returns {Object} Objeto RequestBody de OpenAPI
+ */
+function jsonBody(schema, required = true) {
+  return { required, content: { 'application/json': { schema } } };
+}
+
+/**
+ * Cuerpo de las rutas que reciben un audio: multipart con el archivo en `audio` o JSON con
+ * su `url`. Los campos de formulario llegan como texto y se convierten al tipo del esquema.
+ * @param {Object} properties - Opciones de la petición
+ * @returns {Object} Objeto RequestBody de OpenAPI
+ */
+function audioBody(properties) {
+  const source = {
+    url: {
+      type: 'string',
+      format: 'uri',
+      description: 'URL http(s) del audio, en lugar de subirlo en `audio`',
+    },
+    ...properties,
+  };
+
+  return {
+    required: true,
+    content: {
+      'multipart/form-data': {
+        schema: {
+          type: 'object',
+          properties: {
+            audio: { type: 'string', format: 'binary', description: 'Archivo de audio o video (requerido si no se envía `url`)' },
+            ...source,
+          },
+        },
+      },
+      'application/json': {
+        schema: { type: 'object', properties: source },
+      },
+    },
+  };
+}
+
+/**
+ * Opciones comunes de transcripción y traducción
+ */
+const COMMON_OPTIONS = {
+  prompt: { type: 'string', description: 'Texto que guía el estilo' },
+  temperature: { type: 'number', minimum: 0, maximum: 1, default: 0, description: 'Temperatura de muestreo' },
+  provider: { type: 'string', description: 'Proveedor de transcripción (ver `/api/system/config`)' },
+  format: { type: 'string', enum: OUTPUT_FORMATS, default: 'txt', description: 'Formato de salida' },
+  preprocess: {
+    type: 'array',
+    items: { type: 'string', enum: [...PREPROCESSING_FILTERS, 'none'] },
+    description: 'Filtros de preprocesado separados por comas (por defecto `PREPROCESS_FILTERS`)',
+  },
+  cache: { type: 'boolean', default: true, description: 'Usar la caché de resultados' },
+  saveToFile: { type: 'boolean', default: false, description: 'Guardar el resultado en `texts/`' },
+  callbackUrl: { type: 'string', format: 'uri', description: 'Procesar en segundo plano y enviar el resultado a esta URL' },
+};
+
+/**
+ * Instrucciones de análisis que sustituyen a las de por defecto, por tarea
+ */
+const ANALYSIS_PROMPTS = {
+  type: 'object',
+  additionalProperties: false,
+  properties: Object.fromEntries(ANALYSIS_TASKS.map(task => [task, { type: 'string', minLength: 1, maxLength: 4000 }])),
+  description: 'Instrucciones por tarea, en JSON; admiten los marcadores `{{language}}` y `{{duration}}`',
+};
+
+/**
+ * Opciones del análisis de la transcripción con un modelo de lenguaje
+ */
+const ANALYSIS_OPTIONS = {
+  analyze: {
+    type: 'array',
+    items: { type: 'string', enum: ANALYSIS_TASKS },
+    description: 'Tareas de análisis separadas por comas (fuerza verbose_json)',
+  },
+  analysisProvider: { type: 'string', description: 'Modelo de lenguaje del análisis (por defecto `ANALYSIS_PROVIDER`)' },
+  analysisLanguage: { type: 'string', maxLength: 16, description: 'Idioma del análisis (por defecto el de la transcripción)' },
+  analysisPrompts: ANALYSIS_PROMPTS,
+};
+
+/**
+ * Opciones de POST /transcribe
+ */
+const TRANSCRIPTION_OPTIONS = {
+  language: { type: 'string', maxLength: 16, description: 'Código ISO-639-1 del audio (por defecto se detecta)' },
+  responseFormat: { type: 'string', enum: ['json', 'verbose_json', 'text'], default: 'verbose_json' },
+  timestampGranularities: {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string', enum: ['segment', 'word'] },
+    description: 'Granularidades separadas por comas',
+  },
+  diarize: { type: 'boolean', default: false, description: 'Etiquetar cada segmento con su hablante' },
+  numSpeakers: { type: 'integer', minimum: 1, description: 'Número de hablantes conocido (por defecto se estima)' },
+  diarizationEngine: { type: 'string', description: 'Motor de diarización (por defecto `DIARIZATION_ENGINE`)' },
+  ...ANALYSIS_OPTIONS,
+  ...COMMON_OPTIONS,
+};
+
+/**
+ * Opciones de POST /translate
+ */
+const TRANSLATION_OPTIONS = {
+  targetLanguage: { type: 'string', maxLength: 16, description: 'Idioma de destino (ej: es, pt-BR); sin él se traduce a inglés con Whisper' },
+  language: { type: 'string', maxLength: 16, description: 'Idioma del audio, con `targetLanguage`' },
+  translationProvider: { type: 'string', description: 'Proveedor de traducción de texto, con `targetLanguage`' },
+  responseFormat: { type: 'string', enum: ['json', 'verbose_json', 'text'], default: 'json' },
+  ...COMMON_OPTIONS,
+};
+
+/**
+ * Opciones propias de process-directory
+ */
+const DIRECTORY_OPTIONS = {
+  force: { type: 'boolean', default: false, description: 'Procesar también los archivos ya registrados en el manifiesto' },
+  saveToFiles: { type: 'boolean', default: true, description: 'Guardar los resultados en `texts/`' },
+};
+
+/**
+ * Opciones que se pueden indicar por archivo en POST /batch: las de transcripción salvo
+ * las que afectan a toda la petición
+ */
+const BATCH_FILE_OPTIONS = Object.fromEntries(Object.entries(TRANSCRIPTION_OPTIONS)
+  .filter(([name]) => !['saveToFile', 'callbackUrl'].includes(name)));
+
+/**
+ * Parámetros de paginación
+ */
+const PAGINATION = [
+  queryParameter('page', 'Página (desde 1)', { type: 'integer', minimum: 1, default: 1 }),
+  queryParameter('pageSize', 'Elementos por página', { type: 'integer', minimum: 1, maximum: 100, default: 20 }),
+];
+
+/**
+ * Crea el documento OpenAPI 3 de la API a partir de la configuración
+ * @param {Object} [settings=config] - Configuración de la aplicación
+ * @returns {Object} Documento OpenAPI
+ */
+export function createOpenApiDocument(settings = config) {
+  const transcriptId = pathParameter('id', 'Id de la transcripción guardada');
+  const notFound = failure('No existe');
+  const invalid = failure('Parámetros no válidos', 'ValidationError');
+
+  const paths = {
+    '/api/audio/transcribe': {
+      post: {
+        operationId: 'transcribe',
+        tags: ['Audio'],
+        summary: 'Transcribir un archivo subido o descargado de una URL',
+        requestBody: audioBody(TRANSCRIPTION_OPTIONS),
+        responses: {
+          200: success('Transcripción', { $ref: '#/components/schemas/TranscriptionResult' }),
+          202: success('Trabajo encolado (con `callbackUrl`)', { $ref: '#/components/schemas/JobCreated' }),
+          400: invalid,
+          413: failure('La URL supera URL_FETCH_MAX_SIZE'),
+          415: failure('La URL no devuelve un audio'),
+          429: failure('Cuota de peticiones o de minutos de audio superada'),
+        },
+      },
+    },
+    '/api/audio/translate': {
+      post: {
+        operationId: 'translate',
+        tags: ['Audio'],
+        summary: 'Traducir un audio a inglés o, con `targetLanguage`, a cualquier idioma',
+        requestBody: audioBody(TRANSLATION_OPTIONS),
+        responses: {
+          200: success('Traducción', { $ref: '#/components/schemas/TranscriptionResult' }),
+          202: success('Trabajo encolado (con `callbackUrl`)', { $ref: '#/components/schemas/JobCreated' }),
+          400: invalid,
+          429: failure('Cuota superada'),
+        },
+      },
+    },
+    '/api/audio/process-directory': {
+      post: {
+        operationId: 'processDirectory',
+        tags: ['Audio'],
+        summary: `Transcribir los audios nuevos de \`${settings.audio.audioDir}/\``,
+        requestBody: jsonBody({ type: 'object', properties: { ...TRANSCRIPTION_OPTIONS, ...DIRECTORY_OPTIONS } }, false),
+        responses: {
+          200: success('Resultados, archivos omitidos y resumen'),
+          202: success('Trabajo encolado (con `callbackUrl`)', { $ref: '#/components/schemas/JobCreated' }),
+          400: invalid,
+        },
+      },
+    },
+    '/api/audio/batch': {
+      post: {
+        operationId: 'transcribeBatch',
+        tags: ['Audio'],
+        summary: `Transcribir hasta ${settings.batch.maxFiles} archivos subidos en una petición`,
+        description: 'Las opciones del formulario se aplican a todos los archivos y `fileOptions` las sustituye para cada uno, '
+          + 'en el mismo orden en que se suben. Con `output=zip` se devuelve un ZIP con una transcripción por archivo y `summary.json`.',
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                properties: {
+                  audio: {
+                    type: 'array',
+                    items: { type: 'string', format: 'binary' },
+                    description: 'Archivos de audio o video, todos en el campo `audio`',
+                  },
+                  ...BATCH_FILE_OPTIONS,
+                  fileOptions: {
+                    type: 'array',
+                    maxItems: settings.batch.maxFiles,
+                    items: { type: 'object', additionalProperties: false, properties: BATCH_FILE_OPTIONS },
+                    description: 'JSON con las opciones de cada archivo en el orden de subida (ej: `[{"language":"es"},{"language":"en","format":"srt"}]`)',
+                  },
+                  output: { type: 'string', enum: ['json', 'zip'], default: 'json', description: 'Formato de la respuesta' },
+                  saveToFiles: { type: 'boolean', default: false, description: 'Guardar los resultados en `texts/`' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'Resultados por archivo y resumen, o el ZIP con `output=zip`',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        results: { type: 'array', items: { $ref: '#/components/schemas/TranscriptionResult' } },
+                        summary: { type: 'object' },
+                      },
+                    },
+                    message: { type: 'string' },
+                  },
+                },
+              },
+              'application/zip': { schema: { type: 'string', format: 'binary' } },
+            },
+          },
+          400: invalid,
+          429: failure('Cuota superada'),
+        },
+      },
+    },
+    '/api/audio/files': {
+      get: {
+        operationId: 'listFiles',
+        tags: ['Audio'],
+        summary: `Listar los audios de \`${settings.audio.audioDir}/\``,
+        responses: { 200: success('Archivos de audio') },
+      },
+    },
+    '/api/audio/transcriptions': {
+      get: {
+        operationId: 'listTranscriptions',
+        tags: ['Transcripciones guardadas'],
+        summary: `Listar los archivos de \`${settings.audio.textsDir}/\``,
+        responses: { 200: success('Archivos de transcripción') },
+      },
+    },
+    '/api/audio/transcriptions/{filename}': {
+      get: {
+        operationId: 'getTranscription',
+        tags: ['Transcripciones guardadas'],
+        summary: 'Leer un archivo de transcripción, opcionalmente convertido a otro formato',
+        parameters: [
+          pathParameter('filename', 'Nombre del archivo'),
+          queryParameter('format', 'Formato de salida (por defecto, el del archivo)', { type: 'string', enum: OUTPUT_FORMATS }),
+        ],
+        responses: { 200: success('Contenido del archivo'), 400: invalid, 404: notFound },
+      },
+    },
+    '/api/audio/jobs': {
+      post: {
+        operationId: 'createJob',
+        tags: ['Trabajos'],
+        summary: 'Crear un trabajo asíncrono',
+        requestBody: audioBody({
+          type: { type: 'string', enum: JOB_TYPES, default: 'transcribe' },
+          ...TRANSCRIPTION_OPTIONS,
+          ...TRANSLATION_OPTIONS,
+          ...DIRECTORY_OPTIONS,
+        }),
+        responses: {
+          202: success('Trabajo encolado', { $ref: '#/components/schemas/JobCreated' }),
+          400: invalid,
+          429: failure('Cuota superada'),
+        },
+      },
+      get: {
+        operationId: 'listJobs',
+        tags: ['Trabajos'],
+        summary: 'Listar los trabajos sin sus resultados',
+        responses: { 200: success('Trabajos') },
+      },
+    },
+    '/api/audio/jobs/{id}': {
+      get: {
+        operationId: 'getJob',
+        tags: ['Trabajos'],
+        summary: 'Estado, progreso y resultado de un trabajo',
+        parameters: [pathParameter('id', 'Id del trabajo')],
+        responses: { 200: success('Trabajo', { $ref: '#/components/schemas/Job' }), 404: notFound },
+      },
+      delete: {
+        operationId: 'cancelJob',
+        tags: ['Trabajos'],
+        summary: 'Cancelar un trabajo activo o eliminar uno terminado',
+        parameters: [pathParameter('id', 'Id del trabajo')],
+        responses: { 200: success('Acción realizada (`cancelled` o `deleted`)'), 404: notFound },
+      },
+    },
+    [settings.streaming.path]: {
+      get: {
+        operationId: 'stream',
+        tags: ['Streaming'],
+        summary: 'Transcripción en streaming por WebSocket',
+        description: 'Conexión WebSocket: el cliente envía audio en mensajes binarios y recibe mensajes JSON `ready`, `partial`, `final`, `error` y `done`.',
+        'x-websocket': true,
+        parameters: [
+          queryParameter('format', 'Formato del audio', { type: 'string', enum: Object.keys(STREAM_INPUT_FORMATS), default: 'webm' }),
+          queryParameter('sampleRate', 'Frecuencia de la entrada pcm', { type: 'number', minimum: 8000, maximum: 48000 }),
+          queryParameter('channels', 'Canales de la entrada pcm', { type: 'number', minimum: 1, maximum: 2 }),
+          queryParameter('language', 'Idioma del audio'),
+          queryParameter('prompt', 'Texto que guía el estilo'),
+          queryParameter('provider', 'Proveedor de transcripción'),
+          queryParameter('windowSeconds', 'Duración de cada ventana', { type: 'number', minimum: 2, maximum: 60 }),
+          queryParameter('partialInterval', 'Segundos entre parciales', { type: 'number', minimum: 0, maximum: 60 }),
+          queryParameter('apiKey', 'API key, para clientes que no pueden enviar la cabecera Authorization'),
+        ],
+        responses: { 101: { description: 'Conexión WebSocket establecida' }, 400: failure('Parámetros no válidos') },
+      },
+    },
+    '/api/audio/transcripts': {
+      get: {
+        operationId: 'searchTranscripts',
+        tags: ['Transcripciones guardadas'],
+        summary: 'Buscar en el almacén de transcripciones',
+        parameters: [
+          queryParameter('q', 'Texto a buscar (todas las palabras)'),
+          queryParameter('language', 'Idioma'),
+          queryParameter('model', 'Modelo'),
+          queryParameter('provider', 'Proveedor'),
+          queryParameter('tag', 'Etiqueta'),
+          queryParameter('from', 'Creadas desde esta fecha', { type: 'string', format: 'date-time' }),
+          queryParameter('to', 'Creadas hasta esta fecha (una fecha sin hora incluye todo el día)', { type: 'string', format: 'date-time' }),
+          ...PAGINATION,
+        ],
+        responses: { 200: success('Resultados paginados con fragmentos'), 400: invalid },
+      },
+    },
+    '/api/audio/transcripts/{id}': {
+      get: {
+        operationId: 'getTranscript',
+        tags: ['Transcripciones guardadas'],
+        summary: 'Obtener una transcripción guardada, opcionalmente exportada',
+        parameters: [transcriptId, queryParameter('format', 'Formato de exportación', { type: 'string', enum: OUTPUT_FORMATS })],
+        responses: { 200: success('Transcripción'), 400: invalid, 404: notFound },
+      },
+      patch: {
+        operationId: 'updateTranscript',
+        tags: ['Transcripciones guardadas'],
+        summary: 'Editar el título, las etiquetas o el texto',
+        description: 'El texto se corrige completo con `text`, que descarta los segmentos y las palabras con tiempos '
+          + '(los subtítulos y la alineación dejan de estar disponibles), o por segmentos con `segments`, que conserva los tiempos.',
+        parameters: [transcriptId],
+        requestBody: jsonBody({
+          type: 'object',
+          minProperties: 1,
+          additionalProperties: false,
+          properties: {
+            title: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' } },
+            text: { type: 'string' },
+            segments: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                required: ['id', 'text'],
+                additionalProperties: false,
+                properties: {
+                  id: { type: 'integer', minimum: 0, description: 'Id del segmento en `transcription.segments`' },
+                  text: { type: 'string' },
+                },
+              },
+              description: 'Texto corregido de cada segmento',
+            },
+          },
+        }),
+        responses: { 200: success('Transcripción actualizada'), 400: invalid, 404: notFound },
+      },
+      delete: {
+        operationId: 'deleteTranscript',
+        tags: ['Transcripciones guardadas'],
+        summary: 'Eliminar una transcripción guardada',
+        parameters: [transcriptId],
+        responses: { 200: success('Transcripción eliminada'), 404: notFound },
+      },
+    },
+    '/api/audio/transcripts/{id}/analysis': {
+      post: {
+        operationId: 'analyzeTranscript',
+        tags: ['Transcripciones guardadas'],
+        summary: 'Analizar una transcripción guardada y guardar el análisis',
+        parameters: [transcriptId],
+        requestBody: jsonBody({
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            tasks: { type: 'array', minItems: 1, items: { type: 'string', enum: ANALYSIS_TASKS }, default: ANALYSIS_TASKS },
+            provider: { type: 'string', description: 'Modelo de lenguaje (por defecto `ANALYSIS_PROVIDER`)' },
+            language: { type: 'string', maxLength: 16, description: 'Idioma del análisis (por defecto el de la transcripción)' },
+            prompts: ANALYSIS_PROMPTS,
+          },
+        }, false),
+        responses: {
+          200: success('Análisis', { $ref: '#/components/schemas/Analysis' }),
+          400: invalid,
+          404: notFound,
+        },
+      },
+    },
+    '/api/audio/transcripts/{id}/words': {
+      get: {
+        operationId: 'getTranscriptWords',
+        tags: ['Transcripciones guardadas'],
+        summary: 'Palabras con tiempos y confianza en un tramo',
+        parameters: [
+          transcriptId,
+          queryParameter('start', 'Inicio del tramo en segundos', { type: 'number', minimum: 0, default: 0 }),
+          queryParameter('end', 'Fin del tramo en segundos (por defecto, el final)', { type: 'number', exclusiveMinimum: 0 }),
+        ],
+        responses: { 200: success('Palabras del tramo'), 400: invalid, 404: notFound },
+      },
+    },
+    '/api/audio/webhooks': {
+      get: {
+        operationId: 'listWebhooks',
+        tags: ['Webhooks'],
+        summary: 'Listar las entregas de webhooks',
+        parameters: [
+          queryParameter('jobId', 'Trabajo de la entrega'),
+          queryParameter('state', 'Estado de la entrega', { type: 'string', enum: Object.values(DeliveryState) }),
+        ],
+        responses: { 200: success('Entregas'), 400: invalid },
+      },
+    },
+    '/api/audio/webhooks/{id}': {
+      get: {
+        operationId: 'getWebhook',
+        tags: ['Webhooks'],
+        summary: 'Obtener una entrega con su payload e intentos',
+        parameters: [pathParameter('id', 'Id de la entrega')],
+        responses: { 200: success('Entrega'), 404: notFound },
+      },
+    },
+    '/api/admin/keys': {
+      post: {
+        operationId: 'createApiKey',
+        tags: ['Administración'],
+        summary: 'Crear una API key (el valor solo se muestra en esta respuesta)',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string', minLength: 1, description: 'Nombre descriptivo' },
+            requestsPerMinute: { type: 'number', exclusiveMinimum: 0 },
+            audioMinutesPerDay: { type: 'number', exclusiveMinimum: 0 },
+          },
+        }),
+        responses: { 201: success('API key creada'), 400: invalid },
+      },
+      get: {
+        operationId: 'listApiKeys',
+        tags: ['Administración'],
+        summary: 'Listar las API keys con sus cuotas y consumo del día',
+        responses: { 200: success('API keys') },
+      },
+    },
+    '/api/admin/keys/{id}': {
+      delete: {
+        operationId: 'revokeApiKey',
+        tags: ['Administración'],
+        summary: 'Revocar una API key',
+        parameters: [pathParameter('id', 'Id de la key')],
+        responses: { 200: success('API key revocada'), 404: notFound },
+      },
+    },
+    '/api/admin/cache': {
+      get: {
+        operationId: 'getCache',
+        tags: ['Administración'],
+        summary: 'Estado y entradas de la caché de resultados',
+        parameters: [
+          queryParameter('task', 'Tarea', { type: 'string', enum: ['transcribe', 'translate'] }),
+          queryParameter('audioHash', 'SHA-256 del audio'),
+          ...PAGINATION,
+        ],
+        responses: { 200: success('Estadísticas y entradas'), 400: invalid },
+      },
+      delete: {
+        operationId: 'purgeCache',
+        tags: ['Administración'],
+        summary: 'Vaciar la caché o solo sus entradas caducadas',
+        parameters: [queryParameter('expired', 'Eliminar solo las caducadas', { type: 'boolean', default: false })],
+        responses: { 200: success('Entradas eliminadas'), 400: invalid },
+      },
+    },
+    '/api/admin/cache/{key}': {
+      get: {
+        operationId: 'getCacheEntry',
+        tags: ['Administración'],
+        summary: 'Entrada de la caché con su resultado',
+        parameters: [pathParameter('key', 'Clave de la entrada')],
+        responses: { 200: success('Entrada'), 404: notFound },
+      },
+      delete: {
+        operationId: 'deleteCacheEntry',
+        tags: ['Administración'],
+        summary: 'Eliminar una entrada de la caché',
+        parameters: [pathParameter('key', 'Clave de la entrada')],
+        responses: { 200: success('Entrada eliminada'), 404: notFound },
+      },
+    },
+    '/': {
+      get: {
+        operationId: 'root',
+        tags: ['Sistema'],
+        summary: 'Información general y estado del servicio',
+        security: [],
+        responses: { 200: success('Información general') },
+      },
+    },
+    '/api/system/health': {
+      get: {
+        operationId: 'health',
+        tags: ['Sistema'],
+        summary: 'Estado del sistema, circuitos de los proveedores y uso de disco',
+        security: [],
+        responses: { 200: success('Estado') },
+      },
+    },
+    '/api/system/config': {
+      get: {
+        operationId: 'config',
+        tags: ['Sistema'],
+        summary: 'Configuración sin datos sensibles',
+        security: [],
+        responses: { 200: success('Configuración') },
+      },
+    },
+    '/api/system/info': {
+      get: {
+        operationId: 'info',
+        tags: ['Sistema'],
+        summary: 'Información general y lista de endpoints',
+        security: [],
+        responses: { 200: success('Información') },
+      },
+    },
+    '/api/docs': {
+      get: {
+        operationId: 'docs',
+        tags: ['Sistema'],
+        summary: 'Documentación interactiva (Swagger UI)',
+        security: [],
+        responses: { 200: { description: 'Página HTML', content: { 'text/html': {} } } },
+      },
+    },
+    '/api/docs/openapi.json': {
+      get: {
+        operationId: 'openApi',
+        tags: ['Sistema'],
+        summary: 'Este documento OpenAPI',
+        security: [],
+        responses: { 200: { description: 'Documento OpenAPI 3', content: { 'application/json': {} } } },
+      },
+    },
+  };
+
+  if (settings.metrics.enabled) {
+    paths[settings.metrics.path] = {
+      get: {
+        operationId: 'metrics',
+        tags: ['Sistema'],
+        summary: 'Métricas en formato de exposición de Prometheus',
+        security: settings.metrics.token ? [{ metricsToken: [] }] : [],
+        responses: { 200: { description: 'Métricas', content: { 'text/plain': {} } }, 401: failure('Token no válido') },
+      },
+    };
+  }
+
+  // Las rutas de audio usan API key y las de administración ADMIN_TOKEN
+  for (const [route, operations] of Object.entries(paths)) {
+    for (const operation of Object.values(operations)) {
+      if (operation.security) {
+        continue;
+      }
+      if (route.startsWith('/api/admin')) {
+        operation.security = [{ adminToken: [] }];
+        operation.responses[401] = failure('ADMIN_TOKEN ausente o no válido');
+      } else if (settings.auth.enabled) {
+        operation.security = [{ apiKey: [] }];
+        operation.responses[401] = failure('API key ausente o no válida');
+      } else {
+        operation.security = [];
+      }
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Speech-to-Text API',
+      version: '1.0.0',
+      description: 'Transcripción, traducción y exportación de audio con proveedores intercambiables. '
+        + 'Todas las respuestas JSON usan el sobre `{ success, data, message }` o, en los errores, `{ success: false, error, details }`.',
+    },
+    servers: [{ url: '/' }],
+    tags: ['Audio', 'Trabajos', 'Streaming', 'Transcripciones guardadas', 'Webhooks', 'Administración', 'Sistema']
+      .map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'http', scheme: 'bearer', description: 'API key creada en /api/admin/keys' },
+        adminToken: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN del servidor' },
+        metricsToken: { type: 'http', scheme: 'bearer', description: 'METRICS_TOKEN del servidor' },
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: false },
+            error: { type: 'string' },
+            details: { type: 'string' },
+            code: { type: 'string', description: 'Código de error del proveedor (ej: PROVIDER_TIMEOUT)' },
+          },
+        },
+        ValidationError: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: false },
+            error: { type: 'string', example: 'Parámetros no válidos' },
+            details: { type: 'string', example: 'temperature debe ser menor o igual que 1' },
+            fields: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string', example: 'temperature' },
+                  in: { type: 'string', enum: ['path', 'query', 'body'] },
+                  message: { type: 'string', example: 'debe ser menor o igual que 1' },
+                },
+              },
+            },
+          },
+        },
+        TranscriptionResult: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            transcription: { type: 'object', description: 'Respuesta del proveedor (text, segments, words...)' },
+            translation: { type: 'object', description: 'En /translate, en lugar de transcription' },
+            metadata: { type: 'object', description: 'Archivo, proveedor, modelo, conversión, preprocesado, caché...' },
+            subtitles: { type: 'object', properties: { format: { type: 'string' }, content: { type: 'string' } } },
+            alignment: { type: 'object' },
+            analysis: { $ref: '#/components/schemas/Analysis' },
+            savedPath: { type: 'string' },
+            transcriptId: { type: 'string' },
+          },
+        },
+        Analysis: {
+          type: 'object',
+          description: 'Resultado del análisis; solo incluye los campos de las tareas pedidas',
+          properties: {
+            provider: { type: 'string' },
+            model: { type: 'string' },
+            language: { type: 'string', nullable: true },
+            tasks: { type: 'array', items: { type: 'string', enum: ANALYSIS_TASKS } },
+            summary: { type: 'string' },
+            topics: { type: 'array', items: { type: 'string' } },
+            keywords: { type: 'array', items: { type: 'string' } },
+            actionItems: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  text: { type: 'string' },
+                  owner: { type: 'string', nullable: true },
+                  dueDate: { type: 'string', nullable: true },
+                  start: { type: 'number', nullable: true, description: 'Inicio del segmento en el que se menciona' },
+                },
+              },
+            },
+            chapters: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  title: { type: 'string' },
+                  summary: { type: 'string', nullable: true },
+                  start: { type: 'number' },
+                  end: { type: 'number' },
+                },
+              },
+            },
+            generatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        JobCreated: {
+          type: 'object',
+          properties: {
+            jobId: { type: 'string' },
+            state: { type: 'string', enum: Object.values(JobState) },
+            statusUrl: { type: 'string' },
+            callbackUrl: { type: 'string', nullable: true },
+          },
+        },
+        Job: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            type: { type: 'string', enum: JOB_TYPES },
+            state: { type: 'string', enum: Object.values(JobState) },
+            progress: { type: 'number' },
+            result: { type: 'object', nullable: true },
+            error: { type: 'string', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' },
+            startedAt: { type: 'string', format: 'date-time', nullable: true },
+            finishedAt: { type: 'string', format: 'date-time', nullable: true },
+          },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Documento OpenAPI de la configuración actual
+ */
+export const openApiDocument = createOpenApiDocument();
+
+/**
+ * Lista de endpoints `{ operationId: 'MÉTODO /ruta' }` con las rutas al estilo Express
+ * (`/jobs/:id`), para /api/system/info
+ * @param {Object} [document=openApiDocument] - Documento OpenAPI
+ * @returns {Object<string, string>} Endpoints por operationId
+ */
+export function listEndpoints(document = openApiDocument) {
+  const endpoints = {};
+  for (const [route, operations] of Object.entries(document.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      const verb = operation['x-websocket'] ? 'WS' : method.toUpperCase();
+      endpoints[operation.operationId] = `${verb} ${route.replace(/\{(\w+)\}/g, ':$1')}`;
+    }
+  }
+  return endpoints;
+}
@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { config } from './config.js';
+import { HttpError } from './errorHandler.js';
+import { removeUploadedFiles } from './upload.js';
+import { apiKeyStore, audioService } from '../services/instances.js';
+
+/**
+ * Bitrate supuesto para estimar la duración cuando ffprobe no puede leer el archivo
+ */
+const FALLBACK_BITRATE = 128000;
+
+/**
+ * Extrae el token de la cabecera `Authorization: Bearer <token>`
+ * @param {import('express').Request} req - Objeto request de Express
+ * @returns {string|null} Token recibido o null
+ */
+function getBearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Exige una API key válida y aplica la cuota de peticiones por minuto.
+ * La key autenticada queda disponible en `req.apiKey`.
+ * @param {import('express').Request} req - Objeto request de Express
+ * @param {import('express').Response} res - Objeto response de Express
+ * @param {import('express').NextFunction} next - Función next de Express
+ */
+export function requireApiKey(req, res, next) {
+  if (!config.auth.enabled) {
+    return next();
+  }
+
+  const token = getBearerToken(req);
+  if (!token) {
+    return next(new HttpError(401, 'API key requerida', 'Envía la key en la cabecera Authorization: Bearer <API_KEY>'));
+  }
+
+  const apiKey = apiKeyStore.verify(token);
+  if (!apiKey) {
+    return next(new HttpError(401, 'API key no válida', 'La key no existe o ha sido revocada'));
+  }
+
+  const rate = apiKeyStore.consumeRequest(apiKey);
+  res.set('X-RateLimit-Limit', String(apiKey.quotas.requestsPerMinute));
+  res.set('X-RateLimit-Remaining', String(rate.remaining));
+
+  if (!rate.allowed) {
+    return next(new HttpError(
+      429,
+      'Límite de peticiones superado',
+      `La key permite ${apiKey.quotas.requestsPerMinute} peticiones por minuto. Reintenta en ${rate.retryAfter}s`,
+      { 'Retry-After': String(rate.retryAfter) },
+    ));
+  }
+
+  req.apiKey = apiKey;
+  next();
+}
+
+/**
+ * Mide la duración de varios archivos con AudioConverter.getAudioInfo,
+ * estimándola por tamaño si ffprobe no puede leerlos
+ * @param {Array<string>} filePaths - Archivos a medir
+ * @returns {Promise<Object>} Segundos de cada archivo, por ruta
+ */
+async function measureAudioSeconds(filePaths) {
+  const seconds = {};
+
+  for (const filePath of filePaths) {
+    try {
+      const info = await audioService.audioConverter.getAudioInfo(filePath);
+      seconds[filePath] = info.duration;
+    } catch (error) {
+      const { size } = await fs.stat(filePath);
+      console.warn(`⚠️  No se pudo medir ${filePath}, se estima su duración por tamaño: ${error.message}`);
+      seconds[filePath] = (size * 8) / FALLBACK_BITRATE;
+    }
+  }
+
+  return seconds;
+}
+
+/**
+ * Crea un middleware que descuenta de la cuota diaria los minutos de audio de la petición.
+ * El cargo queda en `req.audioCharge` para devolverlo con refundAudioQuota si el proceso falla.
+ * @param {Function} [resolvePaths] - Función `(req) => Promise<Array<string>>|Array<string>` con los archivos
+ * a procesar; por defecto el archivo subido
+ * @returns {import('express').RequestHandler} Middleware de Express
+ */
+export function enforceAudioQuota(resolvePaths = req => (req.file ? [req.file.path] : [])) {
+  return async (req, res, next) => {
+    if (!req.apiKey) {
+      return next();
+    }
+
+    try {
+      const files = await measureAudioSeconds(await resolvePaths(req));
+      const seconds = Object.values(files).reduce((total, fileSeconds) => total + fileSeconds, 0);
+      const quota = await apiKeyStore.consumeAudio(req.apiKey, seconds);
+
+      if (!quota.allowed) {
+        await removeUploadedFiles(req).catch(() => {});
+
+        const remaining = Math.max(0, (quota.limitSeconds - quota.usedSeconds) / 60);
+        return next(new HttpError(
+          429,
+          'Cuota diaria de audio superada',
+          `La petición requiere ${(seconds / 60).toFixed(2)} min y quedan ${remaining.toFixed(2)} de ${req.apiKey.quotas.audioMinutesPerDay} min hoy`,
+        ));
+      }
+
+      req.audioCharge = { day: quota.day, files };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Devuelve a la cuota de la key los minutos descontados por enforceAudioQuota para
+ * archivos que no se han podido procesar. Los errores se registran sin propagarse.
+ * @param {import('express').Request} req - Objeto request de Express
+ * @param {Array<string>} [filePaths] - Archivos a reembolsar; por defecto todos los de la petición
+ * @returns {Promise<void>}
+ */
+export async function refundAudioQuota(req, filePaths) {
+  if (!req.apiKey || !req.audioCharge) {
+    return;
+  }
+
+  try {
+    await apiKeyStore.refundAudio(req.apiKey, req.audioCharge, filePaths);
+  } catch (error) {
+    console.error('Error al devolver la cuota de audio:', error.message);
+  }
+}
+
+/**
+ * Exige el token de administración configurado en ADMIN_TOKEN
+ * @param {import('express').Request} req - Objeto request de Express
+ * @param {import('express').Response} res - Objeto response de Express
+ * @param {import('express').NextFunction} next - Función next de Express
+ */
+export function requireAdminToken(req, res, next) {
+  const { adminToken } = config.auth;
+  if (!adminToken) {
+    return next(new HttpError(503, 'Administración deshabilitada', 'Configura ADMIN_TOKEN para gestionar API keys'));
+  }
+
+  if (!tokenMatches(getBearerToken(req), adminToken)) {
+    return next(new HttpError(401, 'Token de administración no válido', 'Envía ADMIN_TOKEN en la cabecera Authorization: Bearer <ADMIN_TOKEN>'));
+  }
+
+  next();
+}
+
+/**
+ * Exige el token de métricas si METRICS_TOKEN está configurado; sin él las métricas son públicas
+ * @param {import('express').Request} req - Objeto request de Express
+ * @param {import('express').Response} res - Objeto response de Express
+ * @param {import('express').NextFunction} next - Función next de Express
+ */
+export function requireMetricsToken(req, res, next) {
+  const { token } = config.metrics;
+  if (token && !tokenMatches(getBearerToken(req), token)) {
+    return next(new HttpError(401, 'Token de métricas no válido', 'Envía METRICS_TOKEN en la cabecera Authorization: Bearer <METRICS_TOKEN>'));
+  }
+
+  next();
+}
+
+/**
+ * Compara un token recibido con el esperado en tiempo constante
+ * @param {string|null} received - Token recibido
+ * @param {string} expected - Token configurado
+ * @returns {boolean} True si coinciden
+ */
+function tokenMatches(received, expected) {
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  const receivedHash = crypto.createHash('sha256').update(received || '').digest();
+  return crypto.timingSafeEqual(expectedHash, receivedHash);
+}
@@ -1,4 +1,8 @@
 import dotenv from 'dotenv';
+import os from 'os';
+import path from 'path';
+import { NetworkPolicy } from '../utils/networkPolicy.js';
+import { LOG_LEVELS } from '../utils/logger.js';
 
 // Cargar variables de entorno
 dotenv.config();
@@ -15,6 +19,29 @@ export const config = {
     port: process.env.PORT || 3000,
   },
 
+  /**
+   * Configuración de los logs estructurados (una línea JSON por evento)
+   */
+  logging: {
+    level: process.env.LOG_LEVEL || 'info', // 'debug', 'info', 'warn' o 'error'
+  },
+
+  /**
+   * Configuración del endpoint de métricas de Prometheus
+   */
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    path: process.env.METRICS_PATH || '/metrics',
+    token: process.env.METRICS_TOKEN, // Si se define, se exige como Bearer token
+  },
+
+  /**
+   * Configuración del proveedor de transcripción
+   */
+  transcription: {
+    provider: process.env.TRANSCRIPTION_PROVIDER || 'groq', // 'groq', 'openai' o 'local'
+  },
+
   /**
    * Configuración de Groq API
    */
@@ -23,18 +50,265 @@ export const config = {
     model: process.env.WHISPER_MODEL || 'whisper-large-v3-turbo',
   },
 
+  /**
+   * Configuración del proveedor compatible con la API de OpenAI
+   */
+  openai: {
+    baseUrl: process.env.OPENAI_BASE_URL,
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'whisper-1',
+    translation: process.env.OPENAI_TRANSLATION !== 'false',
+    maxFileSize: parseInt(process.env.OPENAI_MAX_FILE_SIZE) || 26214400,
+  },
+
+  /**
+   * Configuración de los modelos de lenguaje que trabajan sobre el texto transcrito
+   */
+  llm: {
+    groqModel: process.env.GROQ_LLM_MODEL || 'llama-3.3-70b-versatile',
+    baseUrl: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY,
+    model: process.env.LLM_MODEL || 'gpt-4o-mini',
+  },
+
+  /**
+   * Configuración de la traducción de texto a cualquier idioma
+   */
+  translation: {
+    provider: process.env.TRANSLATION_PROVIDER, // Por defecto el de transcripción, si puede traducir
+    batchSize: parseInt(process.env.TRANSLATION_BATCH_SIZE) || 40, // Segmentos por petición
+  },
+
+  /**
+   * Configuración del análisis de transcripciones (resumen, temas, tareas y capítulos)
+   */
+  analysis: {
+    provider: process.env.ANALYSIS_PROVIDER, // Por defecto el de transcripción, si es un modelo de lenguaje
+    chunkChars: parseInt(process.env.ANALYSIS_CHUNK_CHARS) || 30000, // Caracteres de segmentos por petición
+  },
+
+  /**
+   * Configuración del proveedor local de pruebas (sin red)
+   */
+  local: {
+    enabled: process.env.LOCAL_PROVIDER_ENABLED === 'true',
+  },
+
   /**
    * Configuración de archivos de audio
    */
   audio: {
-    maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 26214400, // 25MB por defecto
+    maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 524288000, // 500MB por defecto
     allowedFormats: process.env.ALLOWED_AUDIO_FORMATS?.split(',') || [
-      'mp3', 'wav', 'm4a', 'flac', 'ogg', 'opus', 'webm', 'mp4', 'mpeg', 'mpga'
+      'mp3', 'wav', 'm4a', 'flac', 'ogg', 'opus', 'webm', 'mp4', 'mpeg', 'mpga',
+      'aac', 'wma', 'amr', 'mka', 'mkv', 'mov', 'avi'
     ],
     uploadsDir: 'uploads',
     audioDir: 'audios',
     textsDir: 'texts',
   },
+
+  /**
+   * Configuración de las subidas por lotes
+   */
+  batch: {
+    maxFiles: parseInt(process.env.BATCH_MAX_FILES) || 20, // Archivos por petición
+  },
+
+  /**
+   * Configuración de la descarga de audios por URL
+   */
+  urlFetch: {
+    enabled: process.env.URL_FETCH_ENABLED !== 'false',
+    maxSize: parseInt(process.env.URL_FETCH_MAX_SIZE) || parseInt(process.env.MAX_FILE_SIZE) || 524288000,
+    timeout: parseInt(process.env.URL_FETCH_TIMEOUT) || 60000, // Milisegundos para la descarga completa
+    maxRedirects: process.env.URL_FETCH_MAX_REDIRECTS !== undefined
+      ? parseInt(process.env.URL_FETCH_MAX_REDIRECTS)
+      : 3,
+    // Hosts y redes CIDR privadas a los que se permite descargar (por defecto se bloquean)
+    allowedHosts: process.env.URL_FETCH_ALLOWED_HOSTS?.split(',').map(host => host.trim()).filter(Boolean) || [],
+    allowedNetworks: process.env.URL_FETCH_ALLOWED_NETWORKS?.split(',').map(network => network.trim()).filter(Boolean) || [],
+  },
+
+  /**
+   * Configuración de la normalización con FFmpeg
+   */
+  conversion: {
+    targetFormat: process.env.CONVERSION_FORMAT || 'flac', // 'flac' u 'ogg' (Opus)
+    compactFormat: process.env.CONVERSION_COMPACT_FORMAT || 'ogg', // Usado cuando el archivo supera el límite del proveedor
+  },
+
+  /**
+   * Configuración de los filtros de preprocesado (ruido, silencios y volumen)
+   */
+  preprocessing: {
+    // Filtros aplicados cuando la petición no indica ninguno: 'denoise', 'silence', 'loudnorm'
+    filters: process.env.PREPROCESS_FILTERS?.split(',').map(filter => filter.trim()).filter(filter => filter && filter !== 'none') || [],
+    silenceThreshold: parseFloat(process.env.PREPROCESS_SILENCE_THRESHOLD) || -40, // dB
+    minSilence: parseFloat(process.env.PREPROCESS_MIN_SILENCE) || 1, // Segundos
+    silencePadding: process.env.PREPROCESS_SILENCE_PADDING !== undefined
+      ? parseFloat(process.env.PREPROCESS_SILENCE_PADDING)
+      : 0.25, // Segundos de silencio conservados junto a la voz
+    loudness: parseFloat(process.env.PREPROCESS_LOUDNESS) || -16, // LUFS
+    highpass: parseInt(process.env.PREPROCESS_HIGHPASS) || 100, // Hz
+    noiseFloor: parseFloat(process.env.PREPROCESS_NOISE_FLOOR) || -25, // dB
+  },
+
+  /**
+   * Configuración de la división en fragmentos de audios largos
+   */
+  chunking: {
+    maxFileSize: parseInt(process.env.CHUNK_THRESHOLD_SIZE) || 26214400, // 25MB, límite por petición de Groq
+    chunkDuration: parseInt(process.env.CHUNK_DURATION) || 600, // Segundos por fragmento
+    overlap: parseInt(process.env.CHUNK_OVERLAP) || 5, // Segundos de solapamiento entre fragmentos
+  },
+
+  /**
+   * Configuración de la generación de subtítulos (SRT y WebVTT)
+   */
+  subtitles: {
+    maxLineLength: parseInt(process.env.SUBTITLE_MAX_LINE_LENGTH) || 42,
+    maxLines: parseInt(process.env.SUBTITLE_MAX_LINES) || 2,
+    maxCueDuration: parseFloat(process.env.SUBTITLE_MAX_CUE_DURATION) || 7, // Segundos
+  },
+
+  /**
+   * Configuración de la diarización (etiquetado de hablantes)
+   */
+  diarization: {
+    engine: process.env.DIARIZATION_ENGINE || 'energy',
+    maxSpeakers: parseInt(process.env.DIARIZATION_MAX_SPEAKERS) || 4,
+  },
+
+  /**
+   * Configuración de autenticación por API key y cuotas
+   */
+  auth: {
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    keysFile: process.env.API_KEYS_FILE || 'data/api-keys.json',
+    adminToken: process.env.ADMIN_TOKEN,
+    defaultQuotas: {
+      requestsPerMinute: parseInt(process.env.DEFAULT_REQUESTS_PER_MINUTE) || 60,
+      audioMinutesPerDay: parseFloat(process.env.DEFAULT_AUDIO_MINUTES_PER_DAY) || 120,
+    },
+  },
+
+  /**
+   * Configuración del almacén de transcripciones
+   */
+  store: {
+    dir: process.env.TRANSCRIPTS_DIR || 'data/transcripts',
+  },
+
+  /**
+   * Configuración del manifiesto de archivos procesados por process-directory
+   */
+  manifest: {
+    file: process.env.MANIFEST_FILE || 'data/manifest.json',
+  },
+
+  /**
+   * Configuración de la caché de resultados por contenido del audio y opciones
+   */
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    dir: process.env.CACHE_DIR || 'data/cache',
+    ttl: parseInt(process.env.CACHE_TTL) || 604800, // Segundos (7 días)
+    maxSize: parseInt(process.env.CACHE_MAX_SIZE) || 104857600, // 100MB
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000,
+  },
+
+  /**
+   * Configuración de los archivos temporales: directorio de trabajo de las conversiones
+   * y barrido de las subidas y directorios de trabajo abandonados
+   */
+  tempFiles: {
+    dir: process.env.TEMP_DIR || path.join(os.tmpdir(), 'anyaudio'),
+    sweepInterval: process.env.TEMP_SWEEP_INTERVAL !== undefined
+      ? parseInt(process.env.TEMP_SWEEP_INTERVAL)
+      : 900, // Segundos; 0 desactiva el barrido
+    maxAge: parseInt(process.env.TEMP_MAX_AGE) || 86400, // Segundos (24 horas)
+  },
+
+  /**
+   * Configuración de la transcripción en streaming por WebSocket
+   */
+  streaming: {
+    path: '/api/audio/stream',
+    windowSeconds: parseFloat(process.env.STREAM_WINDOW_SECONDS) || 10,
+    partialInterval: process.env.STREAM_PARTIAL_INTERVAL !== undefined
+      ? parseFloat(process.env.STREAM_PARTIAL_INTERVAL)
+      : 3,
+    maxDuration: parseInt(process.env.STREAM_MAX_DURATION) || 3600, // Segundos
+  },
+
+  /**
+   * Configuración de la resiliencia de las llamadas a proveedores
+   */
+  resilience: {
+    timeout: parseInt(process.env.PROVIDER_TIMEOUT) || 120000, // Milisegundos por llamada
+    maxRetries: process.env.PROVIDER_MAX_RETRIES !== undefined
+      ? parseInt(process.env.PROVIDER_MAX_RETRIES)
+      : 2,
+    retryDelay: parseInt(process.env.PROVIDER_RETRY_DELAY) || 500,
+    failureThreshold: parseInt(process.env.PROVIDER_CIRCUIT_THRESHOLD) || 5,
+    resetTimeout: parseInt(process.env.PROVIDER_CIRCUIT_RESET) || 30000,
+  },
+
+  /**
+   * Configuración del procesamiento en paralelo y de los reintentos ante límites de tasa (429)
+   */
+  concurrency: {
+    files: parseInt(process.env.DIRECTORY_CONCURRENCY) || 4,
+    conversions: parseInt(process.env.CONVERSION_CONCURRENCY) || 2,
+    requests: parseInt(process.env.PROVIDER_CONCURRENCY) || 4,
+    maxRetries: process.env.RATE_LIMIT_MAX_RETRIES !== undefined
+      ? parseInt(process.env.RATE_LIMIT_MAX_RETRIES)
+      : 3,
+    retryDelay: parseInt(process.env.RATE_LIMIT_RETRY_DELAY) || 1000,
+  },
+
+  /**
+   * Configuración de la cola de trabajos asíncronos
+   */
+  jobs: {
+    dir: process.env.JOBS_DIR || 'jobs',
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 1,
+  },
+
+  /**
+   * Configuración de los webhooks enviados al terminar un trabajo
+   */
+  webhooks: {
+    secret: process.env.WEBHOOK_SECRET,
+    dir: process.env.WEBHOOKS_DIR || 'data/webhooks',
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 1000,
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+    // Hosts y redes CIDR privadas a los que se permite enviar webhooks (por defecto se bloquean)
+    allowedHosts: process.env.WEBHOOK_ALLOWED_HOSTS?.split(',').map(host => host.trim()).filter(Boolean) || [],
+    allowedNetworks: process.env.WEBHOOK_ALLOWED_NETWORKS?.split(',').map(network => network.trim()).filter(Boolean) || [],
+  },
+
+  /**
+   * Configuración de la carpeta vigilada que se transcribe automáticamente
+   */
+  watch: {
+    enabled: process.env.WATCH_ENABLED === 'true',
+    dir: process.env.WATCH_DIR || 'audios',
+    interval: parseInt(process.env.WATCH_INTERVAL) || 2000, // Milisegundos entre revisiones
+    stableChecks: parseInt(process.env.WATCH_STABLE_CHECKS) || 2,
+    moveFiles: process.env.WATCH_MOVE_FILES === 'true',
+    processedDir: process.env.WATCH_PROCESSED_DIR,
+    failedDir: process.env.WATCH_FAILED_DIR,
+    options: {
+      provider: process.env.WATCH_PROVIDER,
+      language: process.env.WATCH_LANGUAGE,
+      format: process.env.WATCH_FORMAT || 'txt',
+      diarize: process.env.WATCH_DIARIZE === 'true',
+      preprocess: process.env.WATCH_PREPROCESS, // Lista separada por comas; por defecto PREPROCESS_FILTERS
+    },
+  },
 };
 
 /**
@@ -43,11 +317,80 @@ export const config = {
  */
 export function validateConfig() {
   const errors = [];
+  const { provider } = config.transcription;
+
+  if (!['groq', 'openai', 'local'].includes(provider)) {
+    errors.push(`TRANSCRIPTION_PROVIDER no válido: ${provider}. Valores permitidos: groq, openai, local`);
+  }
 
-  if (!config.groq.token) {
+  if (provider === 'groq' && !config.groq.token) {
     errors.push('GROQ_TOKEN es requerido en las variables de entorno');
   }
 
+  if (provider === 'openai' && !config.openai.baseUrl) {
+    errors.push('OPENAI_BASE_URL es requerido cuando TRANSCRIPTION_PROVIDER=openai');
+  }
+
+  const translationProvider = config.translation.provider;
+  if (translationProvider && !['groq', 'openai', 'local'].includes(translationProvider)) {
+    errors.push(`TRANSLATION_PROVIDER no válido: ${translationProvider}. Valores permitidos: groq, openai, local`);
+  }
+
+  if (translationProvider === 'groq' && !config.groq.token) {
+    errors.push('GROQ_TOKEN es requerido cuando TRANSLATION_PROVIDER=groq');
+  }
+
+  if (translationProvider === 'openai' && !config.llm.baseUrl) {
+    errors.push('LLM_BASE_URL es requerido cuando TRANSLATION_PROVIDER=openai');
+  }
+
+  const analysisProvider = config.analysis.provider;
+  if (analysisProvider && !['groq', 'openai', 'local'].includes(analysisProvider)) {
+    errors.push(`ANALYSIS_PROVIDER no válido: ${analysisProvider}. Valores permitidos: groq, openai, local`);
+  }
+
+  if (analysisProvider === 'groq' && !config.groq.token) {
+    errors.push('GROQ_TOKEN es requerido cuando ANALYSIS_PROVIDER=groq');
+  }
+
+  if (analysisProvider === 'openai' && !config.llm.baseUrl) {
+    errors.push('LLM_BASE_URL es requerido cuando ANALYSIS_PROVIDER=openai');
+  }
+
+  if (analysisProvider === 'local' && !config.local.enabled && config.transcription.provider !== 'local') {
+    errors.push('LOCAL_PROVIDER_ENABLED=true es requerido cuando ANALYSIS_PROVIDER=local');
+  }
+
+  const filters = ['denoise', 'silence', 'loudnorm'];
+  const unknownFilters = [...config.preprocessing.filters, ...(config.watch.options.preprocess?.split(',') || [])]
+    .map(filter => filter.trim())
+    .filter(filter => filter && filter !== 'none' && !filters.includes(filter));
+  if (unknownFilters.length > 0) {
+    errors.push(`Filtros de preprocesado no válidos: ${unknownFilters.join(', ')}. Valores permitidos: ${filters.join(', ')}, none`);
+  }
+
+  if (!LOG_LEVELS.includes(config.logging.level)) {
+    errors.push(`LOG_LEVEL no válido: ${config.logging.level}. Valores permitidos: ${LOG_LEVELS.join(', ')}`);
+  }
+
+  const invalidNetworks = config.urlFetch.allowedNetworks.filter(network => !NetworkPolicy.parseCidr(network));
+  if (invalidNetworks.length > 0) {
+    errors.push(`URL_FETCH_ALLOWED_NETWORKS contiene redes no válidas: ${invalidNetworks.join(', ')}`);
+  }
+
+  const invalidWebhookNetworks = config.webhooks.allowedNetworks.filter(network => !NetworkPolicy.parseCidr(network));
+  if (invalidWebhookNetworks.length > 0) {
+    errors.push(`WEBHOOK_ALLOWED_NETWORKS contiene redes no válidas: ${invalidWebhookNetworks.join(', ')}`);
+  }
+
+  if (!Number.isInteger(config.urlFetch.maxRedirects) || config.urlFetch.maxRedirects < 0) {
+    errors.push('URL_FETCH_MAX_REDIRECTS debe ser un entero mayor o igual que 0');
+  }
+
+  if (!Number.isInteger(config.tempFiles.sweepInterval) || config.tempFiles.sweepInterval < 0) {
+    errors.push('TEMP_SWEEP_INTERVAL debe ser un entero mayor o igual que 0');
+  }
+
   if (errors.length > 0) {
     return {
       valid: false,
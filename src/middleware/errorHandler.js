@@ -1,3 +1,29 @@
+import { config } from './config.js';
+import { ProviderError } from '../providers/transcription/index.js';
+import { logger } from '../services/instances.js';
+
+/**
+ * Error con código HTTP que el manejador central devuelve tal cual al cliente
+ * @class HttpError
+ * @extends Error
+ */
+export class HttpError extends Error {
+  /**
+   * Constructor del error HTTP
+   * @param {number} status - Código de estado HTTP
+   * @param {string} message - Mensaje de error mostrado al cliente
+   * @param {string} [details] - Detalles adicionales
+   * @param {Object<string, string>} [headers={}] - Cabeceras a añadir a la respuesta (ej: Retry-After)
+   */
+  constructor(status, message, details, headers = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
 /**
  * Middleware para manejo centralizado de errores
  * @param {Error} error - Error capturado
@@ -6,12 +32,38 @@
  * @param {import('express').NextFunction} next - Función next de Express
  */
 export function errorHandler(error, req, res, next) {
-  console.error('Error capturado:', {
-    message: error.message,
-    stack: error.stack,
-    url: req.url,
+  const log = req.log || logger;
+
+  // Errores esperados (autenticación, cuotas...): no se registran con stack
+  if (error instanceof HttpError) {
+    log.warn(error.message, { status: error.status, details: error.details });
+    res.set(error.headers);
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      details: error.details,
+    });
+  }
+
+  // Errores del proveedor de transcripción, ya clasificados por ResilientProvider
+  const providerError = ProviderError.find(error);
+  if (providerError) {
+    log.warn(providerError.message, { status: providerError.status, code: providerError.code, provider: providerError.provider });
+    if (providerError.retryAfter) {
+      res.set('Retry-After', String(providerError.retryAfter));
+    }
+    return res.status(providerError.status).json({
+      success: false,
+      error: 'Error en el servicio de transcripción',
+      code: providerError.code,
+      details: providerError.message,
+    });
+  }
+
+  log.error('Error capturado', {
+    error,
     method: req.method,
-    timestamp: new Date().toISOString(),
+    url: req.originalUrl,
   });
 
   // Errores de validación de archivos
@@ -19,7 +71,7 @@ export function errorHandler(error, req, res, next) {
     return res.status(400).json({
       success: false,
       error: 'El archivo es demasiado grande',
-      details: 'El tamaño máximo permitido es 25MB',
+      details: `El tamaño máximo permitido es ${Math.round(config.audio.maxFileSize / 1024 / 1024)}MB`,
     });
   }
 
@@ -27,16 +79,7 @@ export function errorHandler(error, req, res, next) {
     return res.status(400).json({
       success: false,
       error: 'Archivo no válido',
-      details: 'Solo se permiten archivos de audio',
-    });
-  }
-
-  // Errores de la API de Groq
-  if (error.message.includes('Groq')) {
-    return res.status(500).json({
-      success: false,
-      error: 'Error en el servicio de transcripción',
-      details: 'Por favor, intenta de nuevo más tarde',
+      details: `Envía los archivos de audio en el campo audio (hasta ${config.batch.maxFiles} en /batch)`,
     });
   }
 
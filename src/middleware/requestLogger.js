@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+import { logger } from '../services/instances.js';
+import { metrics } from '../services/metrics.js';
+
+/**
+ * Identificadores de petición aceptados desde la cabecera X-Request-Id (los demás se sustituyen)
+ */
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware que asigna un id a cada petición, registra una línea JSON al terminarla y
+ * alimenta las métricas HTTP. El id se toma de `X-Request-Id` si es válido o se genera, se
+ * devuelve en la misma cabecera y queda en `req.id`; `req.log` es un logger con el id incluido.
+ * @param {import('express').Request} req - Objeto request de Express
+ * @param {import('express').Response} res - Objeto response de Express
+ * @param {import('express').NextFunction} next - Función next de Express
+ */
+export function requestLogger(req, res, next) {
+  const incomingId = req.get('X-Request-Id');
+  req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  trackRoutePattern(req);
+  const start = process.hrtime.bigint();
+  let logged = false;
+
+  const complete = () => {
+    if (logged) {
+      return;
+    }
+    logged = true;
+
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    // Las rutas sin coincidencia (404, rechazos antes del router) se agrupan para no disparar la cardinalidad
+    const route = req.routePattern || 'unmatched';
+    const aborted = !res.writableFinished;
+
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    metrics.httpDuration.observe({ method: req.method, route }, seconds);
+
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    req.log[level](aborted ? 'Petición interrumpida por el cliente' : 'Petición atendida', {
+      method: req.method,
+      url: req.originalUrl,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 10000) / 10,
+      contentLength: Number(res.get('Content-Length')) || undefined,
+      ip: req.ip,
+      apiKeyId: req.apiKey?.id,
+      ...(aborted && { aborted: true }),
+    });
+  };
+
+  res.once('finish', complete);
+  res.once('close', complete);
+  next();
+}
+
+/**
+ * Guarda en `req.routePattern` el patrón de la ruta que atiende la petición
+ * (ej: `/api/audio/jobs/:id`) en el momento en que Express la resuelve. Después no se
+ * puede reconstruir: al salir de un router con un error Express restaura `req.baseUrl`.
+ * @param {import('express').Request} req - Objeto request de Express
+ */
+function trackRoutePattern(req) {
+  let route;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      if (value?.path) {
+        req.routePattern = `${req.baseUrl}${value.path}`;
+      }
+    },
+  });
+}
@@ -1,6 +1,22 @@
+import fs from 'fs/promises';
 import multer from 'multer';
 import path from 'path';
 import { config } from './config.js';
+import { HttpError } from './errorHandler.js';
+import { remoteAudioFetcher } from '../services/instances.js';
+
+/**
+ * Código de estado HTTP de cada causa de fallo al descargar por URL
+ */
+const URL_FETCH_STATUS = {
+  URL_INVALID: 400,
+  URL_BLOCKED: 400,
+  URL_TOO_LARGE: 413,
+  URL_UNSUPPORTED_TYPE: 415,
+  URL_TOO_MANY_REDIRECTS: 502,
+  URL_FETCH_FAILED: 502,
+  URL_TIMEOUT: 504,
+};
 
 /**
  * Configuración de almacenamiento para multer
@@ -59,6 +75,33 @@ export const upload = multer({
   fileFilter: fileFilter,
 });
 
+/**
+ * Elimina los archivos que multer dejó en `uploads/` para la petición (`req.file` o `req.files`)
+ * @param {import('express').Request} req - Request object
+ * @returns {Promise<void>}
+ */
+export async function removeUploadedFiles(req) {
+  const files = [req.file, ...(Array.isArray(req.files) ? req.files : [])].filter(Boolean);
+  await Promise.all(files.map(file => fs.rm(file.path, { force: true })));
+}
+
+/**
+ * Middleware para validar que se hayan subido entre 1 y BATCH_MAX_FILES archivos en el campo `audio`
+ * @param {import('express').Request} req - Request object
+ * @param {import('express').Response} res - Response object
+ * @param {import('express').NextFunction} next - Next function
+ */
+export function validateBatchUpload(req, res, next) {
+  if (!req.files?.length) {
+    return res.status(400).json({
+      success: false,
+      error: 'No se ha subido ningún archivo',
+      details: `Envía entre 1 y ${config.batch.maxFiles} archivos de audio en el campo audio`,
+    });
+  }
+  next();
+}
+
 /**
  * Middleware para validar que se haya subido un archivo
  * @param {import('express').Request} req - Request object
@@ -70,8 +113,53 @@ export function validateFileUpload(req, res, next) {
     return res.status(400).json({
       success: false,
       error: 'No se ha subido ningún archivo',
-      details: 'Se requiere un archivo de audio para la transcripción',
+      details: 'Se requiere un archivo de audio (campo audio) o su URL (campo url) para la transcripción',
     });
   }
   next();
 }
+
+/**
+ * Middleware que descarga el audio indicado en el campo `url` y lo deja en `req.file`
+ * como si se hubiera subido, para que el resto de la ruta no distinga el origen.
+ * Va detrás de multer, que ya ha leído el cuerpo multipart.
+ * @param {import('express').Request} req - Request object
+ * @param {import('express').Response} res - Response object
+ * @param {import('express').NextFunction} next - Next function
+ */
+export async function fetchAudioUrl(req, res, next) {
+  const url = req.body?.url;
+  if (!url) {
+    return next();
+  }
+
+  try {
+    if (req.file) {
+      await fs.rm(req.file.path, { force: true });
+      req.file = undefined;
+      throw new HttpError(400, 'Indica un archivo o una URL, no ambos', 'Envía el audio en el campo audio o su dirección en el campo url');
+    }
+
+    if (!config.urlFetch.enabled) {
+      throw new HttpError(400, 'La descarga por URL está deshabilitada', 'Sube el archivo en el campo audio');
+    }
+
+    const file = await remoteAudioFetcher.download(String(url), config.audio.uploadsDir);
+    req.file = {
+      fieldname: 'audio',
+      originalname: file.originalName,
+      mimetype: file.contentType || 'application/octet-stream',
+      destination: config.audio.uploadsDir,
+      filename: path.basename(file.path),
+      path: file.path,
+      size: file.size,
+      sourceUrl: file.url,
+    };
+    next();
+  } catch (error) {
+    if (error.name === 'RemoteFetchError') {
+      return next(new HttpError(URL_FETCH_STATUS[error.code] || 502, 'No se pudo descargar el audio de la URL', error.message));
+    }
+    next(error);
+  }
+}
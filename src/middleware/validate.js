@@ -0,0 +1,131 @@
+import { openApiDocument } from '../docs/openapi.js';
+import { validateSchema } from '../utils/schemaValidator.js';
+import { removeUploadedFiles } from './upload.js';
+
+/**
+ * Sustituye recursivamente las referencias `$ref` locales por el esquema al que apuntan
+ * @param {*} value - Fragmento del documento
+ * @param {Object} document - Documento OpenAPI completo
+ * @returns {*} Fragmento sin referencias
+ * @private
+ */
+function dereference(value, document) {
+  if (Array.isArray(value)) {
+    return value.map(item => dereference(item, document));
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value.$ref) {
+    const target = value.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], document);
+    if (!target) {
+      throw new Error(`Referencia no encontrada en el documento OpenAPI: ${value.$ref}`);
+    }
+    return dereference(target, document);
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, dereference(item, document)]));
+}
+
+/**
+ * Esquema de tipo object con los parámetros de una ubicación (`path` o `query`)
+ * @param {Array<Object>} parameters - Parámetros de la operación
+ * @param {string} location - Ubicación de los parámetros
+ * @returns {Object|null} Esquema, o null si la operación no tiene parámetros ahí
+ * @private
+ */
+function parametersSchema(parameters, location) {
+  const selected = parameters.filter(parameter => parameter.in === location);
+  if (selected.length === 0) {
+    return null;
+  }
+
+  return {
+    type: 'object',
+    properties: Object.fromEntries(selected.map(parameter => [parameter.name, parameter.schema || {}])),
+    required: selected.filter(parameter => parameter.required).map(parameter => parameter.name),
+  };
+}
+
+/**
+ * Esquemas de validación de cada operación del documento, indexados por operationId
+ * @param {Object} document - Documento OpenAPI
+ * @returns {Map<string, Object>} `path`, `query` y `body` (por tipo de contenido) de cada operación
+ * @private
+ */
+function compileOperations(document) {
+  const operations = new Map();
+
+  for (const pathItem of Object.values(document.paths)) {
+    for (const operation of Object.values(pathItem)) {
+      const { parameters = [], requestBody } = dereference(operation, document);
+      const content = requestBody?.content || {};
+
+      operations.set(operation.operationId, {
+        path: parametersSchema(parameters, 'path'),
+        query: parametersSchema(parameters, 'query'),
+        body: Object.fromEntries(Object.entries(content).map(([type, media]) => [type, media.schema])),
+      });
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Esquemas de las operaciones del documento de la API
+ */
+const operations = compileOperations(openApiDocument);
+
+/**
+ * Crea un middleware que valida los parámetros de ruta, la query y el body de la petición
+ * contra la operación del documento OpenAPI. Los valores recibidos como texto (query y
+ * campos multipart) se convierten al tipo del esquema y sustituyen a los originales.
+ * Si algo no es válido se eliminan los archivos subidos y se responde 400 con el error de
+ * cada campo en `fields`.
+ * @param {string} operationId - operationId de la operación en el documento
+ * @returns {import('express').RequestHandler} Middleware de Express
+ */
+export function validateRequest(operationId) {
+  const operation = operations.get(operationId);
+  if (!operation) {
+    throw new Error(`La operación ${operationId} no está definida en el documento OpenAPI`);
+  }
+
+  return async (req, res, next) => {
+    const fields = [];
+
+    const run = (schema, value, location) => {
+      const result = validateSchema(schema, value, { coerce: true });
+      fields.push(...result.errors.map(({ field, message }) => ({ field: field || location, in: location, message })));
+      return result.value;
+    };
+
+    if (operation.path) {
+      req.params = run(operation.path, req.params, 'path');
+    }
+
+    if (operation.query) {
+      req.query = run(operation.query, req.query, 'query');
+    }
+
+    const bodySchema = req.is('multipart/form-data')
+      ? operation.body['multipart/form-data']
+      : operation.body['application/json'];
+    if (bodySchema) {
+      req.body = run(bodySchema, req.body ?? {}, 'body');
+    }
+
+    if (fields.length === 0) {
+      return next();
+    }
+
+    await removeUploadedFiles(req).catch(() => {});
+
+    res.status(400).json({
+      success: false,
+      error: 'Parámetros no válidos',
+      details: fields.map(({ field, message }) => `${field} ${message}`).join('; '),
+      fields,
+    });
+  };
+}
@@ -0,0 +1,27 @@
+/**
+ * Interfaz base para los motores de diarización (asignación de hablantes a segmentos)
+ * @class DiarizationEngine
+ */
+export class DiarizationEngine {
+  /**
+   * Constructor del motor
+   * @param {string} name - Nombre con el que se registra el motor
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Asigna un hablante a cada segmento de la transcripción
+   * @param {string} filePath - Ruta al archivo de audio transcrito
+   * @param {Array<Object>} segments - Segmentos con `start` y `end` en segundos
+   * @param {Object} [options={}] - Opciones de diarización
+   * @param {number} [options.numSpeakers] - Número de hablantes conocido; si se omite se estima
+   * @param {number} [options.maxSpeakers] - Máximo de hablantes al estimar
+   * @param {AbortSignal} [options.signal] - Señal para cancelar el análisis
+   * @returns {Promise<Array<string>>} Etiqueta de hablante para cada segmento, en el mismo orden
+   */
+  async diarize(filePath, segments, options = {}) {
+    throw new Error(`El motor de diarización ${this.name} no implementa diarize`);
+  }
+}
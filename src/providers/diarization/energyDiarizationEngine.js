@@ -0,0 +1,308 @@
+import { DiarizationEngine } from './diarizationEngine.js';
+import { AudioConverter } from '../../services/audioConverter.js';
+
+/**
+ * Muestras por trama de análisis (25ms a 16KHz)
+ */
+const FRAME_SIZE = 400;
+
+/**
+ * Motor de diarización local y sin red. Calcula por segmento una huella acústica
+ * sencilla (energía, cruces por cero y proporción de altas frecuencias) y agrupa
+ * los segmentos con k-means. Es orientativo: pensado para pruebas y llamadas con
+ * voces bien diferenciadas, no sustituye a un modelo de embeddings de hablante.
+ * @class EnergyDiarizationEngine
+ * @extends DiarizationEngine
+ */
+export class EnergyDiarizationEngine extends DiarizationEngine {
+  /**
+   * Constructor del motor de energía
+   * @param {Object} [options={}] - Opciones del motor
+   * @param {number} [options.maxSpeakers=4] - Máximo de hablantes al estimar
+   * @param {number} [options.minSilhouette=0.2] - Calidad mínima de agrupación para aceptar más de un hablante
+   * @param {AudioConverter} [options.audioConverter] - Convertidor usado para decodificar el audio
+   */
+  constructor(options = {}) {
+    super('energy');
+    this.maxSpeakers = options.maxSpeakers || 4;
+    this.minSilhouette = options.minSilhouette ?? 0.2;
+    this.audioConverter = options.audioConverter || new AudioConverter();
+  }
+
+  /**
+   * Asigna hablantes a los segmentos agrupando sus características acústicas
+   * @param {string} filePath - Ruta al archivo de audio
+   * @param {Array<Object>} segments - Segmentos con `start` y `end`
+   * @param {Object} [options={}] - Opciones de diarización
+   * @returns {Promise<Array<string>>} Etiqueta de hablante por segmento
+   */
+  async diarize(filePath, segments, options = {}) {
+    if (segments.length === 0) {
+      return [];
+    }
+
+    const frames = await this.extractFrameFeatures(filePath, options.signal);
+    const vectors = segments.map(segment => this.segmentVector(frames, segment));
+    const known = vectors.map((vector, index) => ({ vector, index })).filter(item => item.vector);
+
+    if (known.length === 0) {
+      return segments.map(() => 'SPEAKER_1');
+    }
+
+    const normalized = EnergyDiarizationEngine.standardize(known.map(item => item.vector));
+    const maxSpeakers = Math.min(options.maxSpeakers || this.maxSpeakers, normalized.length);
+    const assignments = options.numSpeakers
+      ? EnergyDiarizationEngine.kMeans(normalized, Math.min(options.numSpeakers, normalized.length))
+      : this.estimateClusters(normalized, maxSpeakers);
+
+    // Los segmentos sin audio analizable heredan el hablante anterior
+    const clusters = new Array(segments.length).fill(null);
+    known.forEach((item, position) => {
+      clusters[item.index] = assignments[position];
+    });
+    for (let i = 0; i < clusters.length; i++) {
+      if (clusters[i] === null) {
+        clusters[i] = i > 0 ? clusters[i - 1] : assignments[0];
+      }
+    }
+
+    return EnergyDiarizationEngine.labelByAppearance(clusters);
+  }
+
+  /**
+   * Decodifica el audio y calcula características por trama
+   * @param {string} filePath - Ruta al archivo de audio
+   * @param {AbortSignal} [signal] - Señal para cancelar la decodificación
+   * @returns {Promise<Array<Object>>} Tramas con `logEnergy`, `zcr` y `hfRatio`
+   * @private
+   */
+  async extractFrameFeatures(filePath, signal) {
+    const stream = this.audioConverter.createPcmStream(filePath);
+    const frames = [];
+    let pending = Buffer.alloc(0);
+
+    for await (const chunk of stream) {
+      if (signal?.aborted) {
+        stream.destroy();
+        signal.throwIfAborted();
+      }
+
+      pending = Buffer.concat([pending, chunk]);
+      const frameBytes = FRAME_SIZE * 2;
+
+      while (pending.length >= frameBytes) {
+        frames.push(EnergyDiarizationEngine.frameFeatures(pending.subarray(0, frameBytes)));
+        pending = pending.subarray(frameBytes);
+      }
+    }
+
+    return frames;
+  }
+
+  /**
+   * Calcula las características de una trama PCM de 16 bits
+   * @param {Buffer} buffer - Muestras PCM s16le
+   * @returns {Object} Energía logarítmica, tasa de cruces por cero y proporción de altas frecuencias
+   * @private
+   */
+  static frameFeatures(buffer) {
+    const samples = buffer.length / 2;
+    let energy = 0;
+    let diffEnergy = 0;
+    let crossings = 0;
+    let previous = 0;
+
+    for (let i = 0; i < samples; i++) {
+      const value = buffer.readInt16LE(i * 2) / 32768;
+      energy += value * value;
+      if (i > 0) {
+        diffEnergy += (value - previous) ** 2;
+        if ((value >= 0) !== (previous >= 0)) {
+          crossings++;
+        }
+      }
+      previous = value;
+    }
+
+    return {
+      logEnergy: Math.log10(energy / samples + 1e-10),
+      zcr: crossings / samples,
+      hfRatio: diffEnergy / (energy + 1e-10),
+    };
+  }
+
+  /**
+   * Resume las tramas con voz de un segmento en un vector de características
+   * @param {Array<Object>} frames - Características por trama
+   * @param {Object} segment - Segmento con `start` y `end`
+   * @returns {Array<number>|null} Vector del segmento, o null si no tiene tramas con voz
+   * @private
+   */
+  segmentVector(frames, segment) {
+    const framesPerSecond = 16000 / FRAME_SIZE;
+    const slice = frames.slice(Math.floor(segment.start * framesPerSecond), Math.ceil(segment.end * framesPerSecond));
+    if (slice.length === 0) {
+      return null;
+    }
+
+    // Descartar silencios: tramas 30dB por debajo del máximo del segmento
+    const peak = Math.max(...slice.map(frame => frame.logEnergy));
+    const voiced = slice.filter(frame => frame.logEnergy > peak - 3);
+
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const std = values => {
+      const average = mean(values);
+      return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+    };
+
+    const energies = voiced.map(frame => frame.logEnergy);
+    const ratios = voiced.map(frame => frame.hfRatio);
+
+    return [mean(energies), std(energies), mean(voiced.map(frame => frame.zcr)), mean(ratios), std(ratios)];
+  }
+
+  /**
+   * Elige el número de hablantes con el coeficiente de silueta
+   * @param {Array<Array<number>>} vectors - Vectores normalizados
+   * @param {number} maxSpeakers - Máximo de hablantes a probar
+   * @returns {Array<number>} Grupo asignado a cada vector
+   * @private
+   */
+  estimateClusters(vectors, maxSpeakers) {
+    let best = { score: this.minSilhouette, assignments: vectors.map(() => 0) };
+
+    for (let k = 2; k <= maxSpeakers; k++) {
+      const assignments = EnergyDiarizationEngine.kMeans(vectors, k);
+      const score = EnergyDiarizationEngine.silhouette(vectors, assignments);
+      if (score > best.score) {
+        best = { score, assignments };
+      }
+    }
+
+    return best.assignments;
+  }
+
+  /**
+   * Normaliza cada dimensión a media 0 y desviación 1
+   * @param {Array<Array<number>>} vectors - Vectores de características
+   * @returns {Array<Array<number>>} Vectores normalizados
+   * @private
+   */
+  static standardize(vectors) {
+    const dimensions = vectors[0].length;
+    const stats = Array.from({ length: dimensions }, (_, d) => {
+      const values = vectors.map(vector => vector[d]);
+      const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+      const std = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length) || 1;
+      return { mean, std };
+    });
+    return vectors.map(vector => vector.map((value, d) => (value - stats[d].mean) / stats[d].std));
+  }
+
+  /**
+   * Distancia euclídea entre dos vectores
+   * @param {Array<number>} a - Primer vector
+   * @param {Array<number>} b - Segundo vector
+   * @returns {number} Distancia
+   * @private
+   */
+  static distance(a, b) {
+    return Math.sqrt(a.reduce((sum, value, d) => sum + (value - b[d]) ** 2, 0));
+  }
+
+  /**
+   * Agrupa vectores con k-means e inicialización determinista por punto más lejano
+   * @param {Array<Array<number>>} vectors - Vectores normalizados
+   * @param {number} k - Número de grupos
+   * @param {number} [maxIterations=50] - Iteraciones máximas
+   * @returns {Array<number>} Grupo asignado a cada vector
+   * @private
+   */
+  static kMeans(vectors, k, maxIterations = 50) {
+    const { distance } = EnergyDiarizationEngine;
+    const centroids = [vectors[0]];
+
+    while (centroids.length < k) {
+      let farthest = vectors[0];
+      let farthestDistance = -1;
+      for (const vector of vectors) {
+        const nearest = Math.min(...centroids.map(centroid => distance(vector, centroid)));
+        if (nearest > farthestDistance) {
+          farthest = vector;
+          farthestDistance = nearest;
+        }
+      }
+      centroids.push(farthest);
+    }
+
+    let assignments = vectors.map(() => 0);
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      const next = vectors.map(vector => {
+        const distances = centroids.map(centroid => distance(vector, centroid));
+        return distances.indexOf(Math.min(...distances));
+      });
+
+      const changed = next.some((cluster, index) => cluster !== assignments[index]);
+      assignments = next;
+
+      centroids.forEach((centroid, cluster) => {
+        const members = vectors.filter((_, index) => assignments[index] === cluster);
+        if (members.length > 0) {
+          centroids[cluster] = centroid.map((_, d) => members.reduce((sum, member) => sum + member[d], 0) / members.length);
+        }
+      });
+
+      if (!changed && iteration > 0) {
+        break;
+      }
+    }
+
+    return assignments;
+  }
+
+  /**
+   * Coeficiente de silueta medio de una agrupación
+   * @param {Array<Array<number>>} vectors - Vectores normalizados
+   * @param {Array<number>} assignments - Grupo de cada vector
+   * @returns {number} Silueta entre -1 y 1
+   * @private
+   */
+  static silhouette(vectors, assignments) {
+    const { distance } = EnergyDiarizationEngine;
+    const clusters = [...new Set(assignments)];
+    if (clusters.length < 2) {
+      return -1;
+    }
+
+    const scores = vectors.map((vector, index) => {
+      const meanDistance = cluster => {
+        const others = vectors.filter((_, j) => j !== index && assignments[j] === cluster);
+        return others.length > 0
+          ? others.reduce((sum, other) => sum + distance(vector, other), 0) / others.length
+          : 0;
+      };
+      const own = meanDistance(assignments[index]);
+      const nearest = Math.min(...clusters.filter(c => c !== assignments[index]).map(meanDistance));
+      return Math.max(own, nearest) > 0 ? (nearest - own) / Math.max(own, nearest) : 0;
+    });
+
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  }
+
+  /**
+   * Convierte los índices de grupo en etiquetas ordenadas por primera aparición
+   * @param {Array<number>} clusters - Grupo de cada segmento
+   * @returns {Array<string>} Etiquetas SPEAKER_1, SPEAKER_2...
+   * @private
+   */
+  static labelByAppearance(clusters) {
+    const labels = new Map();
+    return clusters.map(cluster => {
+      if (!labels.has(cluster)) {
+        labels.set(cluster, `SPEAKER_${labels.size + 1}`);
+      }
+      return labels.get(cluster);
+    });
+  }
+}
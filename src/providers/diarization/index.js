@@ -0,0 +1,15 @@
+import { DiarizationEngine } from './diarizationEngine.js';
+import { EnergyDiarizationEngine } from './energyDiarizationEngine.js';
+
+export { DiarizationEngine, EnergyDiarizationEngine };
+
+/**
+ * Crea los motores de diarización disponibles
+ * @param {Object} config - Configuración de la aplicación
+ * @returns {Object<string, DiarizationEngine>} Motores indexados por nombre
+ */
+export function createDiarizationEngines(config) {
+  return {
+    energy: new EnergyDiarizationEngine({ maxSpeakers: config.diarization.maxSpeakers }),
+  };
+}
@@ -0,0 +1,57 @@
+import Groq from 'groq-sdk';
+import { LlmClient } from './llmClient.js';
+
+/**
+ * Cliente de modelos de lenguaje de la API de Groq
+ * @class GroqLlmClient
+ * @extends LlmClient
+ */
+export class GroqLlmClient extends LlmClient {
+  /**
+   * Constructor del cliente de Groq
+   * @param {string} groqToken - Token de autenticación para la API de Groq
+   * @param {string} [model='llama-3.3-70b-versatile'] - Modelo de lenguaje a utilizar
+   * @param {Object} [options={}] - Opciones del cliente
+   * @param {number} [options.timeout=60000] - Tiempo máximo de cada petición en ms
+   */
+  constructor(groqToken, model = 'llama-3.3-70b-versatile', options = {}) {
+    if (!groqToken) {
+      throw new Error('El token de Groq es requerido');
+    }
+
+    super('groq', model);
+    this.client = new Groq({
+      apiKey: groqToken,
+      timeout: options.timeout,
+      // Los reintentos los hace ResilientLlmClient (errores temporales) y el planificador (429)
+      maxRetries: 0,
+    });
+  }
+
+  /**
+   * Genera la respuesta del modelo con el endpoint de chat completions
+   * @param {Array<Object>} messages - Mensajes de la conversación
+   * @param {Object} [options={}] - Opciones de la generación
+   * @returns {Promise<string>} Contenido de la respuesta
+   */
+  async complete(messages, options = {}) {
+    const { temperature = 0, json = false, maxTokens, signal } = options;
+
+    const params = {
+      model: this.model,
+      messages,
+      temperature,
+    };
+
+    if (json) {
+      params.response_format = { type: 'json_object' };
+    }
+
+    if (maxTokens) {
+      params.max_tokens = maxTokens;
+    }
+
+    const completion = await this.client.chat.completions.create(params, { signal });
+    return completion.choices[0]?.message?.content ?? '';
+  }
+}
@@ -0,0 +1,37 @@
+import { LlmClient } from './llmClient.js';
+import { GroqLlmClient } from './groqLlmClient.js';
+import { OpenAiCompatibleLlmClient } from './openAiCompatibleLlmClient.js';
+import { ResilientLlmClient } from './resilientLlmClient.js';
+import { LocalLlmClient } from './localLlmClient.js';
+
+export { LlmClient, GroqLlmClient, OpenAiCompatibleLlmClient, ResilientLlmClient, LocalLlmClient };
+
+/**
+ * Crea los clientes de modelos de lenguaje que tienen configuración suficiente,
+ * protegidos con tiempo máximo, reintentos y circuit breaker (ver ResilientLlmClient),
+ * más el local si está habilitado
+ * @param {Object} config - Configuración de la aplicación
+ * @returns {Object<string, LlmClient>} Clientes indexados por nombre
+ */
+export function createLlmClients(config) {
+  const clients = {};
+
+  if (config.groq.token) {
+    clients.groq = new GroqLlmClient(config.groq.token, config.llm.groqModel, { timeout: config.resilience.timeout });
+  }
+
+  if (config.llm.baseUrl) {
+    clients.openai = new OpenAiCompatibleLlmClient(config.llm);
+  }
+
+  for (const [name, client] of Object.entries(clients)) {
+    clients[name] = new ResilientLlmClient(client, config.resilience);
+  }
+
+  // Igual que el proveedor de transcripción local, solo si se pide explícitamente
+  if (config.local.enabled || config.transcription.provider === 'local') {
+    clients.local = new LocalLlmClient();
+  }
+
+  return clients;
+}
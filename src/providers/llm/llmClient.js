@@ -0,0 +1,30 @@
+/**
+ * Interfaz base para los clientes de modelos de lenguaje (API de chat completions).
+ * Los usan las etapas que trabajan sobre el texto ya transcrito, como la traducción o el análisis.
+ * @class LlmClient
+ */
+export class LlmClient {
+  /**
+   * Constructor del cliente
+   * @param {string} name - Nombre con el que se registra el cliente
+   * @param {string} model - Modelo usado
+   */
+  constructor(name, model) {
+    this.name = name;
+    this.model = model;
+  }
+
+  /**
+   * Genera la respuesta del modelo a una conversación
+   * @param {Array<Object>} messages - Mensajes `{ role, content }` con rol 'system', 'user' o 'assistant'
+   * @param {Object} [options={}] - Opciones de la generación
+   * @param {number} [options.temperature=0] - Temperatura para la generación
+   * @param {boolean} [options.json=false] - Exigir que la respuesta sea un objeto JSON
+   * @param {number} [options.maxTokens] - Máximo de tokens de la respuesta
+   * @param {AbortSignal} [options.signal] - Señal para cancelar la petición
+   * @returns {Promise<string>} Contenido de la respuesta
+   */
+  async complete(messages, options = {}) {
+    throw new Error(`El cliente ${this.name} no implementa complete`);
+  }
+}
@@ -0,0 +1,108 @@
+import { LlmClient } from './llmClient.js';
+
+/**
+ * Frases que marcan una tarea pendiente en el texto de un segmento
+ */
+const ACTION_PATTERN = /\b(hay que|tenemos que|tengo que|debemos|pendiente|to ?do|we need to|i will|must)\b/i;
+
+/**
+ * Cliente de modelos de lenguaje local sin red que responde de forma determinista a las
+ * peticiones del análisis de transcripciones (ver TranscriptAnalyzer) a partir de los
+ * segmentos recibidos. Sirve para probar el análisis completo en desarrollo o CI sin
+ * consumir créditos; a cualquier otra petición responde con un objeto JSON vacío.
+ * @class LocalLlmClient
+ * @extends LlmClient
+ */
+export class LocalLlmClient extends LlmClient {
+  /**
+   * Constructor del cliente local
+   * @param {Object} [options={}] - Opciones del cliente
+   * @param {string} [options.model='local-fake'] - Nombre de modelo informado en los resultados
+   * @param {number} [options.segmentsPerChapter=6] - Segmentos agrupados en cada capítulo
+   */
+  constructor(options = {}) {
+    super('local', options.model || 'local-fake');
+    this.segmentsPerChapter = options.segmentsPerChapter || 6;
+  }
+
+  /**
+   * Genera una respuesta ficticia a partir del último mensaje del usuario
+   * @param {Array<Object>} messages - Mensajes de la conversación
+   * @param {Object} [options={}] - Opciones de la generación
+   * @returns {Promise<string>} Respuesta JSON
+   */
+  async complete(messages, options = {}) {
+    options.signal?.throwIfAborted();
+
+    let request = {};
+    try {
+      request = JSON.parse(messages.filter(message => message.role === 'user').pop()?.content ?? '{}');
+    } catch {
+      // Petición en texto libre: se responde con el objeto vacío
+    }
+
+    const segments = Array.isArray(request.segments) ? request.segments.filter(segment => segment?.text) : [];
+    const response = segments.length > 0 ? this.analyze(request.task, segments) : null;
+    return JSON.stringify(response ?? {});
+  }
+
+  /**
+   * Resultado ficticio de una tarea de análisis
+   * @param {string} task - Tarea pedida
+   * @param {Array<Object>} segments - Segmentos `{ start, end, text }`
+   * @returns {Object|null} Respuesta con el formato de la tarea, o null si no es una tarea conocida
+   * @private
+   */
+  analyze(task, segments) {
+    switch (task) {
+      case 'summary':
+        return {
+          summary: `Resumen de ${segments.length} segmentos: ${segments.slice(0, 3).map(segment => segment.text).join(' ')}`,
+        };
+
+      case 'topics': {
+        const words = LocalLlmClient.frequentWords(segments);
+        return { topics: words.slice(0, 3), keywords: words.slice(0, 10) };
+      }
+
+      case 'actionItems':
+        return {
+          actionItems: segments
+            .filter(segment => ACTION_PATTERN.test(segment.text))
+            .map(segment => ({ text: segment.text, owner: segment.speaker ?? null, dueDate: null, start: segment.start })),
+        };
+
+      case 'chapters': {
+        const chapters = [];
+        for (let index = 0; index < segments.length; index += this.segmentsPerChapter) {
+          const first = segments[index];
+          chapters.push({
+            title: `Capítulo ${chapters.length + 1}: ${first.text.split(/\s+/).slice(0, 4).join(' ')}`,
+            summary: first.text,
+            start: first.start,
+          });
+        }
+        return { chapters };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Palabras de más de tres letras ordenadas por frecuencia (y, a igualdad, por aparición)
+   * @param {Array<Object>} segments - Segmentos con `text`
+   * @returns {Array<string>} Palabras en minúsculas
+   * @private
+   */
+  static frequentWords(segments) {
+    const counts = new Map();
+    for (const segment of segments) {
+      for (const word of segment.text.toLowerCase().match(/\p{L}{4,}/gu) || []) {
+        counts.set(word, (counts.get(word) || 0) + 1);
+      }
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([word]) => word);
+  }
+}
@@ -0,0 +1,72 @@
+import { LlmClient } from './llmClient.js';
+
+/**
+ * Cliente para cualquier servidor compatible con la API de chat de OpenAI
+ * (OpenAI, vLLM, Ollama, LM Studio, etc.)
+ * @class OpenAiCompatibleLlmClient
+ * @extends LlmClient
+ */
+export class OpenAiCompatibleLlmClient extends LlmClient {
+  /**
+   * Constructor del cliente compatible con OpenAI
+   * @param {Object} options - Opciones del cliente
+   * @param {string} options.baseUrl - URL base de la API (ej: 'https://api.openai.com/v1')
+   * @param {string} [options.apiKey] - Clave enviada como `Authorization: Bearer`
+   * @param {string} [options.model='gpt-4o-mini'] - Modelo a utilizar
+   */
+  constructor(options = {}) {
+    if (!options.baseUrl) {
+      throw new Error('La URL base del modelo de lenguaje compatible con OpenAI es requerida');
+    }
+
+    super('openai', options.model || 'gpt-4o-mini');
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+  }
+
+  /**
+   * Genera la respuesta del modelo con el endpoint /chat/completions
+   * @param {Array<Object>} messages - Mensajes de la conversación
+   * @param {Object} [options={}] - Opciones de la generación
+   * @returns {Promise<string>} Contenido de la respuesta
+   */
+  async complete(messages, options = {}) {
+    const { temperature = 0, json = false, maxTokens, signal } = options;
+
+    const body = {
+      model: this.model,
+      messages,
+      temperature,
+    };
+
+    if (json) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    if (maxTokens) {
+      body.max_tokens = maxTokens;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      const error = new Error(`Error del modelo de lenguaje ${this.name} (${response.status}): ${text.slice(0, 200)}`);
+      error.status = response.status;
+      // Mismo formato que los errores de groq-sdk, para leer retry-after en los 429
+      error.headers = Object.fromEntries(response.headers);
+      throw error;
+    }
+
+    const completion = await response.json();
+    return completion.choices?.[0]?.message?.content ?? '';
+  }
+}
@@ -0,0 +1,33 @@
+import { LlmClient } from './llmClient.js';
+import { ResilientProvider } from '../transcription/resilientProvider.js';
+
+/**
+ * Decorador que protege un cliente de modelos de lenguaje igual que ResilientProvider
+ * a los de transcripción: tiempo máximo por llamada, reintentos con jitter de los errores
+ * temporales, errores clasificados como ProviderError y un circuit breaker propio.
+ * @class ResilientLlmClient
+ * @extends LlmClient
+ */
+export class ResilientLlmClient extends LlmClient {
+  /**
+   * Constructor del decorador
+   * @param {LlmClient} client - Cliente a proteger
+   * @param {Object} [options={}] - Opciones de resiliencia (ver ResilientProvider)
+   */
+  constructor(client, options = {}) {
+    super(client.name, client.model);
+    this.client = client;
+    this.guard = new ResilientProvider(client, { ...options, kind: 'llm' });
+    this.circuit = this.guard.circuit;
+  }
+
+  /**
+   * Genera la respuesta del modelo con el cliente protegido
+   * @param {Array<Object>} messages - Mensajes de la conversación
+   * @param {Object} [options={}] - Opciones de la generación
+   * @returns {Promise<string>} Contenido de la respuesta
+   */
+  async complete(messages, options = {}) {
+    return this.guard.call(signal => this.client.complete(messages, { ...options, signal }), options.signal);
+  }
+}
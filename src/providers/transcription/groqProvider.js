@@ -0,0 +1,109 @@
+import Groq from 'groq-sdk';
+import fsSync from 'fs';
+import { TranscriptionProvider, WHISPER_API_FORMATS, WHISPER_API_CODECS } from './transcriptionProvider.js';
+
+/**
+ * Proveedor de transcripción basado en la API de Groq
+ * @class GroqProvider
+ * @extends TranscriptionProvider
+ */
+export class GroqProvider extends TranscriptionProvider {
+  /**
+   * Constructor del proveedor de Groq
+   * @param {string} groqToken - Token de autenticación para la API de Groq
+   * @param {string} [model='whisper-large-v3-turbo'] - Modelo de Whisper a utilizar
+   * @param {Object} [options={}] - Opciones del cliente
+   * @param {number} [options.timeout=60000] - Tiempo máximo de cada petición en ms
+   */
+  constructor(groqToken, model = 'whisper-large-v3-turbo', options = {}) {
+    if (!groqToken) {
+      throw new Error('El token de Groq es requerido');
+    }
+
+    super('groq', model);
+    this.client = new Groq({
+      apiKey: groqToken,
+      timeout: options.timeout,
+      // Los reintentos los hace ResilientProvider (errores temporales) y el planificador (429)
+      maxRetries: 0,
+    });
+  }
+
+  /**
+   * Transcribe un archivo con la API de Groq
+   * @param {string} filePath - Ruta al archivo de audio
+   * @param {Object} options - Opciones de transcripción normalizadas
+   * @returns {Promise<Object|string>} Respuesta de la API
+   */
+  async transcribe(filePath, options) {
+    const { language, prompt, responseFormat, timestampGranularities, temperature, signal } = options;
+
+    // Configurar parámetros de transcripción
+    const transcriptionParams = {
+      file: fsSync.createReadStream(filePath),
+      model: this.model,
+      response_format: responseFormat,
+      temperature,
+    };
+
+    // Agregar parámetros opcionales si están presentes
+    if (language) {
+      transcriptionParams.language = language;
+    }
+
+    if (prompt) {
+      transcriptionParams.prompt = prompt;
+    }
+
+    if (responseFormat === 'verbose_json' && timestampGranularities.length > 0) {
+      transcriptionParams.timestamp_granularities = timestampGranularities;
+    }
+
+    // Realizar la transcripción
+    return this.client.audio.transcriptions.create(transcriptionParams, { signal });
+  }
+
+  /**
+   * Traduce un archivo a inglés con la API de Groq
+   * @param {string} filePath - Ruta al archivo de audio
+   * @param {Object} options - Opciones de traducción normalizadas
+   * @returns {Promise<Object|string>} Respuesta de la API
+   */
+  async translate(filePath, options) {
+    const { prompt, responseFormat, temperature, signal } = options;
+
+    // Configurar parámetros de traducción
+    const translationParams = {
+      file: fsSync.createReadStream(filePath),
+      model: this.capabilities().translationModel,
+      response_format: responseFormat,
+      temperature,
+      language: 'en', // Solo inglés para traducciones
+    };
+
+    // Agregar prompt si está presente
+    if (prompt) {
+      translationParams.prompt = prompt;
+    }
+
+    // Realizar la traducción
+    return this.client.audio.translations.create(translationParams, { signal });
+  }
+
+  /**
+   * Capacidades de la API de Groq
+   * @returns {Object} Capacidades del proveedor
+   */
+  capabilities() {
+    return {
+      translation: true,
+      acceptedFormats: WHISPER_API_FORMATS,
+      acceptedCodecs: WHISPER_API_CODECS,
+      responseFormats: ['json', 'verbose_json', 'text'],
+      timestampGranularities: ['segment', 'word'],
+      maxFileSize: 26214400, // 25MB en el free tier
+      // turbo no soporta traducción
+      translationModel: this.model === 'whisper-large-v3-turbo' ? 'whisper-large-v3' : this.model,
+    };
+  }
+}
@@ -0,0 +1,51 @@
+import { TranscriptionProvider } from './transcriptionProvider.js';
+import { GroqProvider } from './groqProvider.js';
+import { OpenAiCompatibleProvider } from './openAiCompatibleProvider.js';
+import { LocalProvider } from './localProvider.js';
+import { ResilientProvider } from './resilientProvider.js';
+import { ProviderError, ProviderErrorCode } from './providerError.js';
+
+export {
+  TranscriptionProvider,
+  GroqProvider,
+  OpenAiCompatibleProvider,
+  LocalProvider,
+  ResilientProvider,
+  ProviderError,
+  ProviderErrorCode,
+};
+
+/**
+ * Nombres de los proveedores de transcripción soportados
+ */
+export const PROVIDER_NAMES = ['groq', 'openai', 'local'];
+
+/**
+ * Crea los proveedores de transcripción que tienen configuración suficiente,
+ * protegidos con tiempo máximo, reintentos y circuit breaker (ver ResilientProvider)
+ * @param {Object} config - Configuración de la aplicación
+ * @returns {Object<string, TranscriptionProvider>} Proveedores indexados por nombre
+ */
+export function createTranscriptionProviders(config) {
+  const providers = {};
+  const { provider: defaultProvider } = config.transcription;
+
+  if (config.groq.token) {
+    providers.groq = new GroqProvider(config.groq.token, config.groq.model, { timeout: config.resilience.timeout });
+  }
+
+  if (config.openai.baseUrl) {
+    providers.openai = new OpenAiCompatibleProvider(config.openai);
+  }
+
+  // El proveedor local solo se registra si se pide explícitamente
+  if (config.local.enabled || defaultProvider === 'local') {
+    providers.local = new LocalProvider(config.local);
+  }
+
+  for (const [name, provider] of Object.entries(providers)) {
+    providers[name] = new ResilientProvider(provider, config.resilience);
+  }
+
+  return providers;
+}
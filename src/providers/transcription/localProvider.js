@@ -0,0 +1,132 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { TranscriptionProvider } from './transcriptionProvider.js';
+
+/**
+ * Proveedor local sin red que genera transcripciones deterministas.
+ * Sirve para ejecutar la API completa en desarrollo o CI sin consumir créditos.
+ * @class LocalProvider
+ * @extends TranscriptionProvider
+ */
+export class LocalProvider extends TranscriptionProvider {
+  /**
+   * Constructor del proveedor local
+   * @param {Object} [options={}] - Opciones del proveedor
+   * @param {string} [options.model='local-fake'] - Nombre de modelo informado en los resultados
+   * @param {number} [options.bytesPerSecond=16000] - Bytes por segundo usados para estimar la duración
+   * @param {number} [options.segmentDuration=5] - Duración de cada segmento generado en segundos
+   */
+  constructor(options = {}) {
+    super('local', options.model || 'local-fake');
+    this.bytesPerSecond = options.bytesPerSecond || 16000;
+    this.segmentDuration = options.segmentDuration || 5;
+  }
+
+  /**
+   * Genera una transcripción ficticia a partir del nombre y tamaño del archivo
+   * @param {string} filePath - Ruta al archivo de audio
+   * @param {Object} options - Opciones de transcripción normalizadas
+   * @returns {Promise<Object|string>} Transcripción con el formato solicitado
+   */
+  async transcribe(filePath, options) {
+    options.signal?.throwIfAborted();
+    const verbose = await this.buildResult(filePath, 'transcribe', options.language || 'es', options.timestampGranularities);
+    return this.toResponseFormat(verbose, options.responseFormat);
+  }
+
+  /**
+   * Genera una traducción ficticia a inglés
+   * @param {string} filePath - Ruta al archivo de audio
+   * @param {Object} options - Opciones de traducción normalizadas
+   * @returns {Promise<Object|string>} Traducción con el formato solicitado
+   */
+  async translate(filePath, options) {
+    options.signal?.throwIfAborted();
+    const verbose = await this.buildResult(filePath, 'translate', 'en', ['segment']);
+    return this.toResponseFormat(verbose, options.responseFormat);
+  }
+
+  /**
+   * Construye un resultado verbose_json con segmentos y palabras regulares
+   * @param {string} filePath - Ruta al archivo de audio
+   * @param {string} task - 'transcribe' o 'translate'
+   * @param {string} language - Idioma informado
+   * @param {Array<string>} [granularities=['segment']] - Granularidades solicitadas
+   * @returns {Promise<Object>} Resultado verbose_json
+   * @private
+   */
+  async buildResult(filePath, task, language, granularities = ['segment']) {
+    const { size } = await fs.stat(filePath);
+    const name = path.parse(filePath).name;
+    const duration = Math.max(1, Math.round((size / this.bytesPerSecond) * 100) / 100);
+
+    const segments = [];
+    const words = [];
+    for (let start = 0, id = 0; start < duration; start += this.segmentDuration, id++) {
+      const end = Math.min(duration, start + this.segmentDuration);
+      const tokens = [name, 'segmento', String(id + 1)];
+      const step = (end - start) / tokens.length;
+
+      segments.push({
+        id,
+        seek: Math.round(start * 100),
+        start,
+        end,
+        text: ` ${tokens.join(' ')}`,
+        avg_logprob: 0,
+        no_speech_prob: 0,
+        compression_ratio: 1,
+      });
+      tokens.forEach((word, index) => {
+        words.push({ word, start: start + step * index, end: start + step * (index + 1) });
+      });
+    }
+
+    const result = {
+      task,
+      language,
+      duration,
+      text: segments.map(segment => segment.text).join('').trim(),
+      segments,
+    };
+
+    if (granularities.includes('word')) {
+      result.words = words;
+    }
+    return result;
+  }
+
+  /**
+   * Adapta el resultado al formato de respuesta pedido
+   * @param {Object} verbose - Resultado verbose_json
+   * @param {string} responseFormat - Formato solicitado
+   * @returns {Object|string} Resultado en el formato solicitado
+   * @private
+   */
+  toResponseFormat(verbose, responseFormat) {
+    if (responseFormat === 'text') {
+      return verbose.text;
+    }
+    if (responseFormat === 'json') {
+      return { text: verbose.text };
+    }
+    return verbose;
+  }
+
+  /**
+   * Capacidades del proveedor local
+   * @returns {Object} Capacidades del proveedor
+   */
+  capabilities() {
+    return {
+      translation: true,
+      // Acepta cualquier contenedor y codec: no decodifica el audio
+      acceptedFormats: null,
+      acceptedCodecs: null,
+      responseFormats: ['json', 'verbose_json', 'text'],
+      timestampGranularities: ['segment', 'word'],
+      maxFileSize: Infinity,
+      translationModel: this.model,
+    };
+  }
+}
@@ -0,0 +1,131 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { TranscriptionProvider, WHISPER_API_FORMATS, WHISPER_API_CODECS } from './transcriptionProvider.js';
+
+/**
+ * Proveedor para cualquier servidor compatible con la API de audio de OpenAI
+ * (OpenAI, servidores whisper autoalojados, etc.)
+ * @class OpenAiCompatibleProvider
+ * @extends TranscriptionProvider
+ */
+export class OpenAiCompatibleProvider extends TranscriptionProvider {
+  /**
+   * Constructor del proveedor compatible con OpenAI
+   * @param {Object} options - Opciones del proveedor
+   * @param {string} options.baseUrl - URL base de la API (ej: 'https://api.openai.com/v1')
+   * @param {string} [options.apiKey] - Clave enviada como `Authorization: Bearer`
+   * @param {string} [options.model='whisper-1'] - Modelo a utilizar
+   * @param {boolean} [options.translation=true] - Si el servidor soporta /audio/translations
+   * @param {number} [options.maxFileSize=26214400] - Tamaño máximo aceptado por petición
+   */
+  constructor(options = {}) {
+    if (!options.baseUrl) {
+      throw new Error('La URL base del proveedor compatible con OpenAI es requerida');
+    }
+
+    super('openai', options.model || 'whisper-1');
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+    this.supportsTranslation = options.translation !== false;
+    this.maxFileSize = options.maxFileSize || 26214400;
+  }
+
+  /**
+   * Transcribe un archivo con el endpoint /audio/transcriptions
+   * @param {string} filePath - Ruta al archivo de audio
+   * @param {Object} options - Opciones de transcripción normalizadas
+   * @returns {Promise<Object|string>} Respuesta de la API
+   */
+  async transcribe(filePath, options) {
+    const { language, prompt, responseFormat, timestampGranularities, temperature, signal } = options;
+
+    const params = {
+      model: this.model,
+      response_format: responseFormat,
+      temperature,
+      language,
+      prompt,
+    };
+
+    if (responseFormat === 'verbose_json' && timestampGranularities.length > 0) {
+      params['timestamp_granularities[]'] = timestampGranularities;
+    }
+
+    return this.request('transcriptions', filePath, params, signal);
+  }
+
+  /**
+   * Traduce un archivo a inglés con el endpoint /audio/translations
+   * @param {string} filePath - Ruta al archivo de audio
+   * @param {Object} options - Opciones de traducción normalizadas
+   * @returns {Promise<Object|string>} Respuesta de la API
+   */
+  async translate(filePath, options) {
+    const { prompt, responseFormat, temperature, signal } = options;
+
+    return this.request('translations', filePath, {
+      model: this.model,
+      response_format: responseFormat,
+      temperature,
+      prompt,
+    }, signal);
+  }
+
+  /**
+   * Envía un archivo como multipart/form-data al servidor
+   * @param {string} endpoint - 'transcriptions' o 'translations'
+   * @param {string} filePath - Ruta al archivo de audio
+   * @param {Object} params - Campos del formulario (se omiten los vacíos)
+   * @param {AbortSignal} [signal] - Señal para cancelar la petición
+   * @returns {Promise<Object|string>} Respuesta JSON o texto plano
+   * @private
+   */
+  async request(endpoint, filePath, params, signal) {
+    const form = new FormData();
+    const buffer = await fs.readFile(filePath);
+    form.append('file', new Blob([buffer]), path.basename(filePath));
+
+    for (const [key, value] of Object.entries(params)) {
+      if (value === undefined || value === null || value === '') {
+        continue;
+      }
+      for (const item of Array.isArray(value) ? value : [value]) {
+        form.append(key, String(item));
+      }
+    }
+
+    const response = await fetch(`${this.baseUrl}/audio/${endpoint}`, {
+      method: 'POST',
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      body: form,
+      signal,
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      const error = new Error(`Error del proveedor ${this.name} (${response.status}): ${body.slice(0, 200)}`);
+      error.status = response.status;
+      // Mismo formato que los errores de groq-sdk, para leer retry-after en los 429
+      error.headers = Object.fromEntries(response.headers);
+      throw error;
+    }
+
+    return params.response_format === 'text' ? response.text() : response.json();
+  }
+
+  /**
+   * Capacidades configuradas del servidor
+   * @returns {Object} Capacidades del proveedor
+   */
+  capabilities() {
+    return {
+      translation: this.supportsTranslation,
+      acceptedFormats: WHISPER_API_FORMATS,
+      acceptedCodecs: WHISPER_API_CODECS,
+      responseFormats: ['json', 'verbose_json', 'text'],
+      timestampGranularities: ['segment', 'word'],
+      maxFileSize: this.maxFileSize,
+      translationModel: this.model,
+    };
+  }
+}
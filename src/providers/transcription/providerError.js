@@ -0,0 +1,56 @@
+/**
+ * Códigos de los errores de proveedor y el estado HTTP con el que se devuelven al cliente
+ * @readonly
+ * @enum {Object}
+ */
+export const ProviderErrorCode = {
+  RATE_LIMITED: { code: 'PROVIDER_RATE_LIMITED', status: 429 },
+  UNAVAILABLE: { code: 'PROVIDER_UNAVAILABLE', status: 502 },
+  REJECTED: { code: 'PROVIDER_REJECTED', status: 502 },
+  TIMEOUT: { code: 'PROVIDER_TIMEOUT', status: 504 },
+  CIRCUIT_OPEN: { code: 'PROVIDER_CIRCUIT_OPEN', status: 503 },
+};
+
+/**
+ * Error de un proveedor de transcripción ya clasificado: indica si es temporal y
+ * con qué estado HTTP debe verlo el cliente
+ * @class ProviderError
+ * @extends Error
+ */
+export class ProviderError extends Error {
+  /**
+   * Constructor del error de proveedor
+   * @param {Object} kind - Entrada de ProviderErrorCode
+   * @param {string} message - Descripción del error
+   * @param {Object} [options={}] - Datos adicionales
+   * @param {string} [options.provider] - Proveedor que falló
+   * @param {number} [options.upstreamStatus] - Estado HTTP devuelto por el proveedor
+   * @param {Object<string, string>} [options.headers] - Cabeceras de la respuesta del proveedor
+   * @param {number} [options.retryAfter] - Segundos tras los que se puede reintentar
+   * @param {Error} [options.cause] - Error original
+   */
+  constructor(kind, message, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = 'ProviderError';
+    this.code = kind.code;
+    this.status = kind.status;
+    this.provider = options.provider;
+    this.upstreamStatus = options.upstreamStatus;
+    this.headers = options.headers || {};
+    this.retryAfter = options.retryAfter;
+  }
+
+  /**
+   * Busca un ProviderError en la cadena de causas de un error
+   * @param {Error} error - Error capturado (puede envolver al original con `cause`)
+   * @returns {ProviderError|null} Error de proveedor o null si no hay ninguno
+   */
+  static find(error) {
+    for (let current = error; current; current = current.cause) {
+      if (current instanceof ProviderError) {
+        return current;
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,232 @@
+import { TranscriptionProvider } from './transcriptionProvider.js';
+import { ProviderError, ProviderErrorCode } from './providerError.js';
+import { CircuitBreaker } from '../../services/circuitBreaker.js';
+import { metrics } from '../../services/metrics.js';
+
+/**
+ * Códigos de error de red que indican un fallo temporal de la conexión
+ */
+const NETWORK_ERROR_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT',
+];
+
+/**
+ * Decorador que añade a cualquier proveedor un tiempo máximo por llamada, reintentos con
+ * jitter para los errores temporales y un circuit breaker que falla al momento cuando el
+ * proveedor está caído. Los errores se convierten en ProviderError con su estado HTTP.
+ * Los 429 no se reintentan aquí: los gestiona el planificador de AudioService, que pausa
+ * todas las peticiones y no solo la que lo recibió.
+ * @class ResilientProvider
+ * @extends TranscriptionProvider
+ */
+export class ResilientProvider extends TranscriptionProvider {
+  /**
+   * Constructor del decorador
+   * @param {TranscriptionProvider} provider - Proveedor a proteger
+   * @param {Object} [options={}] - Opciones de resiliencia
+   * @param {number} [options.timeout=120000] - Tiempo máximo de cada llamada en ms
+   * @param {number} [options.maxRetries=2] - Reintentos de los errores temporales
+   * @param {number} [options.retryDelay=500] - Espera base en ms antes del primer reintento (se duplica en cada uno)
+   * @param {number} [options.failureThreshold=5] - Fallos seguidos que abren el circuito
+   * @param {number} [options.resetTimeout=30000] - Tiempo en ms que el circuito permanece abierto
+   * @param {string} [options.kind='transcription'] - Tipo de proveedor en las métricas ('transcription', 'llm')
+   */
+  constructor(provider, options = {}) {
+    super(provider.name, provider.model);
+    this.provider = provider;
+    this.kind = options.kind || 'transcription';
+    this.timeout = options.timeout || 120000;
+    this.maxRetries = options.maxRetries ?? 2;
+    this.retryDelay = options.retryDelay || 500;
+    this.circuit = new CircuitBreaker({
+      failureThreshold: options.failureThreshold,
+      resetTimeout: options.resetTimeout,
+    });
+  }
+
+  /**
+   * Transcribe un archivo con el proveedor protegido
+   * @param {string} filePath - Ruta al archivo de audio
+   * @param {Object} options - Opciones de transcripción normalizadas
+   * @returns {Promise<Object|string>} Transcripción
+   */
+  async transcribe(filePath, options) {
+    return this.call(signal => this.provider.transcribe(filePath, { ...options, signal }), options.signal);
+  }
+
+  /**
+   * Traduce un archivo con el proveedor protegido
+   * @param {string} filePath - Ruta al archivo de audio
+   * @param {Object} options - Opciones de traducción normalizadas
+   * @returns {Promise<Object|string>} Traducción
+   */
+  async translate(filePath, options) {
+    return this.call(signal => this.provider.translate(filePath, { ...options, signal }), options.signal);
+  }
+
+  /**
+   * Capacidades del proveedor protegido
+   * @returns {Object} Capacidades del proveedor
+   */
+  capabilities() {
+    return this.provider.capabilities();
+  }
+
+  /**
+   * Ejecuta una llamada con circuit breaker, tiempo máximo y reintentos.
+   * ResilientLlmClient la usa también para las llamadas a modelos de lenguaje.
+   * @param {Function} operation - `(signal)` que hace la llamada al proveedor
+   * @param {AbortSignal} [signal] - Señal de cancelación de quien llama
+   * @returns {Promise<*>} Respuesta del proveedor
+   * @throws {ProviderError} Si la llamada falla de forma definitiva
+   */
+  async call(operation, signal) {
+    for (let attempt = 0; ; attempt++) {
+      const labels = { kind: this.kind, provider: this.name };
+
+      if (!this.circuit.allowRequest()) {
+        metrics.providerRequests.inc({ ...labels, outcome: ProviderErrorCode.CIRCUIT_OPEN.code });
+        const retryAfter = this.circuit.retryAfter();
+        throw new ProviderError(
+          ProviderErrorCode.CIRCUIT_OPEN,
+          `El proveedor ${this.name} no está disponible tras varios fallos seguidos; reintenta en ${retryAfter}s`,
+          { provider: this.name, retryAfter },
+        );
+      }
+
+      const timeoutSignal = AbortSignal.timeout(this.timeout);
+      const attemptSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+
+      const stopTimer = metrics.providerDuration.startTimer(labels);
+
+      try {
+        const result = await operation(attemptSignal);
+        stopTimer();
+        metrics.providerRequests.inc({ ...labels, outcome: 'success' });
+        this.circuit.recordSuccess();
+        return result;
+      } catch (error) {
+        if (signal?.aborted) {
+          this.circuit.release();
+          throw error;
+        }
+
+        const providerError = this.classify(error, timeoutSignal.aborted);
+        if (!providerError) {
+          // Errores propios (archivo inexistente, parámetros...): no dicen nada del proveedor
+          this.circuit.release();
+          throw error;
+        }
+
+        stopTimer();
+        metrics.providerRequests.inc({ ...labels, outcome: providerError.code });
+
+        const retryable = [ProviderErrorCode.UNAVAILABLE.code, ProviderErrorCode.TIMEOUT.code].includes(providerError.code);
+        if (retryable) {
+          this.circuit.recordFailure();
+        } else {
+          this.circuit.release();
+        }
+
+        if (!retryable || attempt >= this.maxRetries) {
+          throw providerError;
+        }
+
+        const wait = this.backoff(attempt + 1);
+        console.warn(`🔁 ${providerError.message}. Reintento ${attempt + 1}/${this.maxRetries} en ${wait}ms`);
+        await ResilientProvider.sleep(wait, signal);
+      }
+    }
+  }
+
+  /**
+   * Clasifica el error de una llamada
+   * @param {Error} error - Error lanzado por el proveedor
+   * @param {boolean} timedOut - Si se agotó el tiempo máximo de la llamada
+   * @returns {ProviderError|null} Error clasificado, o null si no es un fallo del proveedor
+   * @private
+   */
+  classify(error, timedOut) {
+    const options = { provider: this.name, cause: error };
+
+    // groq-sdk aplica su propio tiempo máximo (el mismo) y lanza APIConnectionTimeoutError
+    if (timedOut || error.constructor?.name === 'APIConnectionTimeoutError') {
+      return new ProviderError(ProviderErrorCode.TIMEOUT, `El proveedor ${this.name} no respondió en ${this.timeout}ms`, options);
+    }
+
+    const status = error.status;
+    if (typeof status === 'number') {
+      const upstream = { ...options, upstreamStatus: status, headers: error.headers };
+
+      if (status === 429) {
+        const retryAfter = Number(error.headers?.['retry-after']) || undefined;
+        return new ProviderError(ProviderErrorCode.RATE_LIMITED, `El proveedor ${this.name} limitó la tasa de peticiones`, { ...upstream, retryAfter });
+      }
+      if (status === 408 || status === 504) {
+        return new ProviderError(ProviderErrorCode.TIMEOUT, `El proveedor ${this.name} no respondió a tiempo (HTTP ${status})`, upstream);
+      }
+      if (status >= 500) {
+        return new ProviderError(ProviderErrorCode.UNAVAILABLE, `El proveedor ${this.name} devolvió un error (HTTP ${status})`, upstream);
+      }
+      return new ProviderError(ProviderErrorCode.REJECTED, `El proveedor ${this.name} rechazó la petición (HTTP ${status}): ${error.message}`, upstream);
+    }
+
+    if (ResilientProvider.isNetworkError(error)) {
+      return new ProviderError(ProviderErrorCode.UNAVAILABLE, `No se pudo conectar con el proveedor ${this.name}: ${error.cause?.code || error.message}`, options);
+    }
+
+    return null;
+  }
+
+  /**
+   * Espera exponencial con jitter: entre la mitad y el total de `retryDelay * 2^(n-1)`
+   * @param {number} retry - Número de reintento (desde 1)
+   * @returns {number} Espera en ms
+   * @private
+   */
+  backoff(retry) {
+    const base = this.retryDelay * 2 ** (retry - 1);
+    return Math.round(base / 2 + Math.random() * base / 2);
+  }
+
+  /**
+   * Indica si un error es un fallo de red (conexión rechazada, cortada, DNS...)
+   * @param {Error} error - Error a comprobar
+   * @returns {boolean} True si es un error de red
+   * @private
+   */
+  static isNetworkError(error) {
+    // groq-sdk envuelve los fallos de red en APIConnectionError y fetch en TypeError('fetch failed')
+    if (error.constructor?.name === 'APIConnectionError') {
+      return true;
+    }
+    for (let current = error; current; current = current.cause) {
+      if (NETWORK_ERROR_CODES.includes(current.code)) {
+        return true;
+      }
+    }
+    return error instanceof TypeError && error.message === 'fetch failed';
+  }
+
+  /**
+   * Espera un tiempo, interrumpible con una señal
+   * @param {number} ms - Milisegundos a esperar
+   * @param {AbortSignal} [signal] - Señal de cancelación
+   * @returns {Promise<void>}
+   * @private
+   */
+  static sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Contenedores aceptados por las APIs de audio compatibles con Whisper (Groq, OpenAI)
+ */
+export const WHISPER_API_FORMATS = ['flac', 'mp3', 'mp4', 'mpeg', 'mpga', 'm4a', 'ogg', 'wav', 'webm'];
+
+/**
+ * Codecs de audio que esas APIs decodifican sin problemas
+ */
+export const WHISPER_API_CODECS = [
+  'flac', 'mp3', 'aac', 'opus', 'vorbis', 'pcm_s16le', 'pcm_s24le', 'pcm_s32le', 'pcm_f32le', 'pcm_u8',
+];
+
+/**
+ * Interfaz base para los proveedores de transcripción.
+ * Cada proveedor recibe opciones ya normalizadas por AudioService y devuelve
+ * la respuesta en el formato de la API de Whisper (json, verbose_json o text).
+ * @class TranscriptionProvider
+ */
+export class TranscriptionProvider {
+  /**
+   * Constructor del proveedor
+   * @param {string} name - Nombre con el que se registra el proveedor
+   * @param {string} model - Modelo usado por defecto
+   */
+  constructor(name, model) {
+    this.name = name;
+    this.model = model;
+  }
+
+  /**
+   * Transcribe un archivo de audio
+   * @param {string} filePath - Ruta al archivo de audio (ya compatible)
+   * @param {Object} options - Opciones de transcripción
+   * @param {string} [options.language] - Código de idioma ISO-639-1
+   * @param {string} [options.prompt] - Prompt para guiar el estilo del modelo
+   * @param {string} options.responseFormat - Formato de respuesta
+   * @param {Array<string>} options.timestampGranularities - Granularidad de timestamps
+   * @param {number} options.temperature - Temperatura para la generación
+   * @param {AbortSignal} [options.signal] - Señal para cancelar la petición
+   * @returns {Promise<Object|string>} Transcripción
+   */
+  async transcribe(filePath, options) {
+    throw new Error(`El proveedor ${this.name} no implementa transcribe`);
+  }
+
+  /**
+   * Traduce un archivo de audio a inglés
+   * @param {string} filePath - Ruta al archivo de audio (ya compatible)
+   * @param {Object} options - Opciones de traducción (prompt, responseFormat, temperature, signal)
+   * @returns {Promise<Object|string>} Traducción
+   */
+  async translate(filePath, options) {
+    throw new Error(`El proveedor ${this.name} no implementa translate`);
+  }
+
+  /**
+   * Describe las capacidades del proveedor
+   * @returns {Object} Capacidades: `translation`, `responseFormats`, `timestampGranularities`,
+   * `maxFileSize`, `translationModel`, `acceptedFormats` y `acceptedCodecs` (null acepta cualquiera)
+   */
+  capabilities() {
+    return {
+      translation: false,
+      acceptedFormats: WHISPER_API_FORMATS,
+      acceptedCodecs: WHISPER_API_CODECS,
+      responseFormats: ['json', 'verbose_json', 'text'],
+      timestampGranularities: ['segment'],
+      maxFileSize: Infinity,
+      translationModel: this.model,
+    };
+  }
+}
@@ -0,0 +1,28 @@
+import { TranslationProvider } from './translationProvider.js';
+import { LlmTranslationProvider } from './llmTranslationProvider.js';
+import { LocalTranslationProvider } from './localTranslationProvider.js';
+
+export { TranslationProvider, LlmTranslationProvider, LocalTranslationProvider };
+
+/**
+ * Crea los proveedores de traducción de texto: uno por cada cliente de modelo de
+ * lenguaje configurado, con su mismo nombre, más el local si está habilitado
+ * @param {Object} config - Configuración de la aplicación
+ * @param {Object<string, LlmClient>} llmClients - Clientes de modelos de lenguaje (ver createLlmClients)
+ * @returns {Object<string, TranslationProvider>} Proveedores indexados por nombre
+ */
+export function createTranslationProviders(config, llmClients) {
+  const providers = {};
+
+  for (const [name, client] of Object.entries(llmClients)) {
+    providers[name] = new LlmTranslationProvider(client, { batchSize: config.translation.batchSize });
+  }
+
+  // Igual que el proveedor de transcripción local, solo si se pide explícitamente; sustituye
+  // al que se habría creado sobre el cliente local de modelos de lenguaje
+  if (config.local.enabled || config.transcription.provider === 'local') {
+    providers.local = new LocalTranslationProvider();
+  }
+
+  return providers;
+}
@@ -0,0 +1,116 @@
+import { TranslationProvider } from './translationProvider.js';
+import { languageName } from '../../utils/language.js';
+
+/**
+ * Proveedor de traducción que usa un modelo de lenguaje. Envía los segmentos como un
+ * array JSON y exige un array de traducciones del mismo tamaño; si el modelo une o
+ * divide segmentos, el lote se parte por la mitad hasta que las cuentas cuadran.
+ * @class LlmTranslationProvider
+ * @extends TranslationProvider
+ */
+export class LlmTranslationProvider extends TranslationProvider {
+  /**
+   * Constructor del proveedor
+   * @param {LlmClient} client - Cliente del modelo de lenguaje
+   * @param {Object} [options={}] - Opciones del proveedor
+   * @param {number} [options.batchSize=40] - Segmentos enviados en cada llamada
+   */
+  constructor(client, options = {}) {
+    super(client.name, client.model);
+    this.client = client;
+    this.batchSize = options.batchSize || 40;
+    this.circuit = client.circuit ?? null;
+  }
+
+  /**
+   * Traduce un lote de textos con el modelo de lenguaje
+   * @param {Array<string>} texts - Textos a traducir
+   * @param {Object} options - Opciones de traducción
+   * @returns {Promise<Array<string>>} Traducciones en el mismo orden
+   */
+  async translate(texts, options) {
+    if (texts.length === 0) {
+      return [];
+    }
+
+    const response = await this.client.complete(this.buildMessages(texts, options), {
+      json: true,
+      temperature: 0,
+      signal: options.signal,
+    });
+
+    const translations = LlmTranslationProvider.parseTranslations(response, texts.length);
+    if (translations) {
+      return translations;
+    }
+
+    if (texts.length === 1) {
+      throw new Error(`El modelo ${this.model} no devolvió una traducción válida`);
+    }
+
+    const middle = Math.ceil(texts.length / 2);
+    return [
+      ...await this.translate(texts.slice(0, middle), options),
+      ...await this.translate(texts.slice(middle), options),
+    ];
+  }
+
+  /**
+   * Mensajes de la petición de traducción
+   * @param {Array<string>} texts - Textos a traducir
+   * @param {Object} options - Idiomas de origen y destino
+   * @returns {Array<Object>} Mensajes para el modelo
+   * @private
+   */
+  buildMessages(texts, options) {
+    const source = options.sourceLanguage ? languageName(options.sourceLanguage) : 'the source language (detect it)';
+    const target = languageName(options.targetLanguage);
+
+    // El prompt va en inglés: los modelos siguen mejor las instrucciones de formato en ese idioma
+    return [
+      {
+        role: 'system',
+        content: [
+          'You are a professional subtitle translator.',
+          `Translate each string of the "segments" array from ${source} to ${target} (${options.targetLanguage}).`,
+          `Reply only with a JSON object {"translations": [...]} containing exactly ${texts.length} strings, in the same order.`,
+          'Translate every segment on its own: never merge, split, skip or comment segments.',
+          'Keep names, numbers and the tone of the speaker. Return an empty string for an empty segment.',
+        ].join(' '),
+      },
+      {
+        role: 'user',
+        content: JSON.stringify({ segments: texts }),
+      },
+    ];
+  }
+
+  /**
+   * Capacidades del proveedor
+   * @returns {Object} Capacidades del proveedor
+   */
+  capabilities() {
+    return {
+      maxBatchSize: this.batchSize,
+    };
+  }
+
+  /**
+   * Extrae las traducciones de la respuesta del modelo
+   * @param {string} response - Contenido de la respuesta
+   * @param {number} expected - Número de traducciones esperado
+   * @returns {Array<string>|null} Traducciones, o null si la respuesta no es válida
+   * @private
+   */
+  static parseTranslations(response, expected) {
+    try {
+      const { translations } = JSON.parse(response);
+      if (Array.isArray(translations) && translations.length === expected) {
+        return translations.map(translation => String(translation ?? '').trim());
+      }
+    } catch {
+      // Respuesta que no es JSON: se trata como inválida
+    }
+    return null;
+  }
+}
@@ -0,0 +1,39 @@
+import { TranslationProvider } from './translationProvider.js';
+
+/**
+ * Proveedor de traducción local sin red que marca cada texto con el idioma de destino.
+ * Sirve para probar la traducción completa en desarrollo o CI sin consumir créditos.
+ * @class LocalTranslationProvider
+ * @extends TranslationProvider
+ */
+export class LocalTranslationProvider extends TranslationProvider {
+  /**
+   * Constructor del proveedor local
+   * @param {Object} [options={}] - Opciones del proveedor
+   * @param {string} [options.model='local-fake'] - Nombre de modelo informado en los resultados
+   */
+  constructor(options = {}) {
+    super('local', options.model || 'local-fake');
+  }
+
+  /**
+   * Genera traducciones ficticias del tipo `[es] texto`
+   * @param {Array<string>} texts - Textos a traducir
+   * @param {Object} options - Opciones de traducción
+   * @returns {Promise<Array<string>>} Textos marcados con el idioma de destino
+   */
+  async translate(texts, options) {
+    options.signal?.throwIfAborted();
+    return texts.map(text => (text ? `[${options.targetLanguage}] ${text}` : ''));
+  }
+
+  /**
+   * Capacidades del proveedor local
+   * @returns {Object} Capacidades del proveedor
+   */
+  capabilities() {
+    return {
+      maxBatchSize: 100,
+    };
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Interfaz base para los proveedores de traducción de texto.
+ * Traducen los segmentos de una transcripción uno a uno, sin unirlos ni dividirlos,
+ * para que cada traducción conserve los tiempos de su segmento original.
+ * @class TranslationProvider
+ */
+export class TranslationProvider {
+  /**
+   * Constructor del proveedor
+   * @param {string} name - Nombre con el que se registra el proveedor
+   * @param {string} model - Modelo usado
+   */
+  constructor(name, model) {
+    this.name = name;
+    this.model = model;
+  }
+
+  /**
+   * Traduce un lote de textos
+   * @param {Array<string>} texts - Textos a traducir (como máximo `maxBatchSize`)
+   * @param {Object} options - Opciones de traducción
+   * @param {string} [options.sourceLanguage] - Idioma de origen (código o nombre); si se omite se detecta
+   * @param {string} options.targetLanguage - Código del idioma de destino
+   * @param {AbortSignal} [options.signal] - Señal para cancelar la petición
+   * @returns {Promise<Array<string>>} Traducciones en el mismo orden y con el mismo número de elementos
+   */
+  async translate(texts, options) {
+    throw new Error(`El proveedor de traducción ${this.name} no implementa translate`);
+  }
+
+  /**
+   * Describe las capacidades del proveedor
+   * @returns {Object} Capacidades: `maxBatchSize` (textos por llamada)
+   */
+  capabilities() {
+    return {
+      maxBatchSize: 1,
+    };
+  }
+}
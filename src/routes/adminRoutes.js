@@ -0,0 +1,183 @@
+import express from 'express';
+import { config } from '../middleware/config.js';
+import { validateRequest } from '../middleware/validate.js';
+import { apiKeyStore, resultCache } from '../services/instances.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/admin/keys
+ * Crea una API key. El valor en claro solo se devuelve en esta respuesta.
+ */
+router.post('/keys', validateRequest('createApiKey'), async (req, res, next) => {
+  try {
+    const { name, requestsPerMinute, audioMinutesPerDay } = req.body;
+    const apiKey = await apiKeyStore.create({ name, requestsPerMinute, audioMinutesPerDay });
+
+    res.status(201).json({
+      success: true,
+      data: apiKey,
+      message: 'API key creada. Guárdala ahora: no se volverá a mostrar',
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/keys
+ * Lista las API keys con sus cuotas y consumo del día
+ */
+router.get('/keys', validateRequest('listApiKeys'), (req, res) => {
+  const keys = apiKeyStore.list();
+
+  res.json({
+    success: true,
+    data: {
+      keys,
+      count: keys.length,
+    },
+    message: `Encontradas ${keys.length} API keys`,
+  });
+});
+
+/**
+ * DELETE /api/admin/keys/:id
+ * Revoca una API key
+ */
+router.delete('/keys/:id', validateRequest('revokeApiKey'), async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyStore.revoke(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key no encontrada',
+        details: `No existe ninguna key con id ${req.params.id}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: apiKey,
+      message: 'API key revocada',
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/cache
+ * Estado de la caché de resultados y sus entradas, de la usada más recientemente a la menos.
+ * Filtros opcionales: `task`, `audioHash`; paginación con `page` y `pageSize`.
+ */
+router.get('/cache', validateRequest('getCache'), async (req, res, next) => {
+  try {
+    await resultCache.initialize();
+    const { task, audioHash, page = 1, pageSize = 20 } = req.query;
+    const entries = resultCache.list()
+      .filter(entry => (!task || entry.task === task) && (!audioHash || entry.audioHash === audioHash));
+
+    res.json({
+      success: true,
+      data: {
+        enabled: config.cache.enabled,
+        ...resultCache.stats(),
+        items: entries.slice((page - 1) * pageSize, page * pageSize),
+        total: entries.length,
+        page,
+        pageSize,
+        totalPages: Math.ceil(entries.length / pageSize),
+      },
+      message: `Encontradas ${entries.length} entradas en la caché`,
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/cache/:key
+ * Obtiene una entrada de la caché con el resultado guardado
+ */
+router.get('/cache/:key', validateRequest('getCacheEntry'), async (req, res, next) => {
+  try {
+    await resultCache.initialize();
+    const entry = resultCache.find(req.params.key);
+    const result = entry && await resultCache.read(req.params.key);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Entrada de caché no encontrada',
+        details: `No existe ninguna entrada con clave ${req.params.key}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { ...entry, result },
+      message: 'Entrada de caché obtenida exitosamente',
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/cache
+ * Vacía la caché o, con `?expired=true`, solo elimina las entradas caducadas
+ */
+router.delete('/cache', validateRequest('purgeCache'), async (req, res, next) => {
+  try {
+    await resultCache.initialize();
+    const expiredOnly = req.query.expired === true;
+    const removed = await resultCache.clear({ expiredOnly });
+
+    res.json({
+      success: true,
+      data: { removed },
+      message: expiredOnly
+        ? `Eliminadas ${removed} entradas caducadas de la caché`
+        : `Caché vaciada (${removed} entradas eliminadas)`,
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/cache/:key
+ * Elimina una entrada de la caché
+ */
+router.delete('/cache/:key', validateRequest('deleteCacheEntry'), async (req, res, next) => {
+  try {
+    await resultCache.initialize();
+    const removed = await resultCache.remove(req.params.key);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Entrada de caché no encontrada',
+        details: `No existe ninguna entrada con clave ${req.params.key}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { key: req.params.key },
+      message: 'Entrada de caché eliminada',
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
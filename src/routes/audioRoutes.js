@@ -1,53 +1,562 @@
 import express from 'express';
-import { AudioService } from '../services/audioService.js';
-import { upload, validateFileUpload } from '../middleware/upload.js';
+import { AudioService, OUTPUT_FORMATS } from '../services/audioService.js';
+import { AudioConverter } from '../services/audioConverter.js';
+import { SUBTITLE_FORMATS, SubtitleFormatter } from '../services/subtitleFormatter.js';
+import { AlignmentFormatter } from '../services/alignmentFormatter.js';
+import { TranscriptStore } from '../services/transcriptStore.js';
+import { audioService, jobQueue, transcriptStore, webhookDispatcher } from '../services/instances.js';
+import { upload, validateFileUpload, validateBatchUpload, fetchAudioUrl, removeUploadedFiles } from '../middleware/upload.js';
+import { enforceAudioQuota, refundAudioQuota } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validate.js';
 import { config } from '../middleware/config.js';
+import { normalizeLanguageCode } from '../utils/language.js';
+import { createZip } from '../utils/zip.js';
 import fs from 'fs/promises';
 import path from 'path';
 
 const router = express.Router();
 
-// Instancia del servicio de audio
-const audioService = new AudioService(config.groq.token, config.groq.model);
+/**
+ * Normaliza las opciones de transcripción recibidas en el body
+ * @param {Object} body - Body de la petición
+ * @returns {Object} Opciones para AudioService.transcribeFile
+ */
+function parseTranscriptionOptions(body) {
+  const { 
+    language, 
+    prompt, 
+    responseFormat = 'verbose_json',
+    timestampGranularities = 'segment',
+    temperature = 0,
+    format = 'txt',
+    provider,
+    diarize = false,
+    numSpeakers,
+    diarizationEngine,
+    preprocess,
+    cache,
+    analyze = [],
+    analysisProvider,
+    analysisLanguage,
+    analysisPrompts,
+  } = body;
+  const withSpeakers = isTrue(diarize);
+
+  // Convertir timestampGranularities a array si es string
+  const granularities = typeof timestampGranularities === 'string' 
+    ? timestampGranularities.split(',').map(g => g.trim())
+    : timestampGranularities;
+
+  return {
+    language,
+    prompt,
+    // Los subtítulos, la alineación, la diarización y el análisis se generan a partir de los segmentos de verbose_json
+    responseFormat: SUBTITLE_FORMATS.includes(format) || format === 'alignment' || withSpeakers || analyze.length > 0
+      ? 'verbose_json'
+      : responseFormat,
+    timestampGranularities: granularities,
+    temperature: parseFloat(temperature),
+    format,
+    provider,
+    diarize: withSpeakers,
+    numSpeakers: numSpeakers !== undefined ? parseInt(numSpeakers) : undefined,
+    diarizationEngine,
+    preprocess: AudioConverter.parseFilters(preprocess),
+    // Con cache=false se ignora la caché de resultados
+    cache: cache !== undefined ? isTrue(cache) : undefined,
+    analyze,
+    analysisProvider,
+    analysisLanguage: analysisLanguage ? normalizeLanguageCode(analysisLanguage) ?? analysisLanguage : undefined,
+    analysisPrompts,
+  };
+}
 
 /**
- * POST /api/audio/transcribe
- * Transcribe un archivo de audio subido por el usuario
+ * Normaliza las opciones de traducción recibidas en el body
+ * @param {Object} body - Body de la petición
+ * @returns {Object} Opciones para AudioService.translateFile
+ */
+function parseTranslationOptions(body) {
+  const {
+    prompt,
+    responseFormat = 'json',
+    temperature = 0,
+    format = 'txt',
+    provider,
+    targetLanguage,
+    language,
+    translationProvider,
+    preprocess,
+    cache,
+  } = body;
+
+  return {
+    prompt,
+    // Los subtítulos y la alineación se generan a partir de los segmentos de verbose_json
+    responseFormat: SUBTITLE_FORMATS.includes(format) || format === 'alignment' ? 'verbose_json' : responseFormat,
+    temperature: parseFloat(temperature),
+    format,
+    provider,
+    // Un código no válido se conserva para que findInvalidOption lo rechace
+    targetLanguage: targetLanguage ? normalizeLanguageCode(targetLanguage) ?? targetLanguage : undefined,
+    language,
+    translationProvider,
+    preprocess: AudioConverter.parseFilters(preprocess),
+    cache: cache !== undefined ? isTrue(cache) : undefined,
+  };
+}
+
+/**
+ * Busca proveedores, idiomas o motores no disponibles: lo que el documento OpenAPI no
+ * puede describir porque depende de la configuración del servidor
+ * @param {Object} options - Opciones normalizadas de la petición
+ * @returns {Object|null} Error y detalles para una respuesta 400, o null si son válidas
+ */
+function findInvalidOption(options) {
+  if (options.provider && !audioService.hasProvider(options.provider)) {
+    return {
+      error: 'Proveedor no válido',
+      details: `Proveedor '${options.provider}' no disponible. Disponibles: ${Object.keys(audioService.providers).join(', ')}`,
+    };
+  }
+
+  if (options.targetLanguage !== undefined) {
+    if (!normalizeLanguageCode(options.targetLanguage)) {
+      return {
+        error: 'Idioma de destino no válido',
+        details: `'${options.targetLanguage}' no es un código de idioma válido (ej: es, en, pt-BR)`,
+      };
+    }
+
+    const translator = options.translationProvider || audioService.defaultTranslationProvider;
+    if (!translator || !audioService.hasTranslationProvider(translator)) {
+      return {
+        error: 'Proveedor de traducción no válido',
+        details: `Proveedor de traducción '${translator}' no disponible. Disponibles: ${Object.keys(audioService.translationProviders).join(', ') || 'ninguno'}`,
+      };
+    }
+  }
+
+  if (options.diarize) {
+    const engine = options.diarizationEngine || audioService.defaultDiarizationEngine;
+    if (!audioService.hasDiarizationEngine(engine)) {
+      return {
+        error: 'Motor de diarización no válido',
+        details: `Motor '${engine}' no disponible. Disponibles: ${Object.keys(audioService.diarizationEngines).join(', ')}`,
+      };
+    }
+  }
+
+  if (options.analyze?.length > 0) {
+    return findInvalidAnalysisOption(options.analysisProvider, options.analysisLanguage);
+  }
+
+  return null;
+}
+
+/**
+ * Comprueba el modelo de lenguaje y el idioma de un análisis de transcripción
+ * @param {string} [provider] - Modelo de lenguaje pedido (por defecto el configurado)
+ * @param {string} [language] - Idioma pedido para el análisis
+ * @returns {Object|null} Error y detalles para una respuesta 400, o null si son válidos
+ */
+function findInvalidAnalysisOption(provider, language) {
+  const { analyzer } = audioService;
+  const client = provider || analyzer.defaultClient;
+  if (!client || !analyzer.hasClient(client)) {
+    return {
+      error: 'Proveedor de análisis no válido',
+      details: `Proveedor de análisis '${client}' no disponible. Disponibles: ${Object.keys(analyzer.clients).join(', ') || 'ninguno'}`,
+    };
+  }
+
+  if (language !== undefined && !normalizeLanguageCode(language)) {
+    return {
+      error: 'Idioma de análisis no válido',
+      details: `'${language}' no es un código de idioma válido (ej: es, en, pt-BR)`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Normaliza las opciones de process-directory: las de transcripción más `force`
+ * @param {Object} body - Body de la petición
+ * @returns {Object} Opciones para AudioService.processAudioDirectory
+ */
+function parseDirectoryOptions(body) {
+  return {
+    ...parseTranscriptionOptions(body),
+    force: isTrue(body.force),
+  };
+}
+
+/**
+ * Lista los archivos del directorio 'audios' que procesaría process-directory
+ * (sin los que el manifiesto permite omitir), para la cuota de audio
+ * @param {import('express').Request} req - Objeto request de Express
+ * @returns {Promise<Array<string>>} Rutas de los archivos
+ */
+async function listDirectoryAudio(req) {
+  const { pending } = await audioService.planDirectory(config.audio.audioDir, req.options);
+  return pending.map(file => file.filePath);
+}
+
+/**
+ * Archivos que consume un trabajo según su tipo, para la cuota de audio
+ * @param {import('express').Request} req - Objeto request de Express
+ * @returns {Promise<Array<string>>} Rutas de los archivos
+ */
+async function jobAudioPaths(req) {
+  if (req.body.type === 'process-directory') {
+    return listDirectoryAudio(req);
+  }
+  return req.file ? [req.file.path] : [];
+}
+
+/**
+ * Normalizadores de opciones de cada tipo de trabajo
+ */
+const JOB_OPTION_PARSERS = {
+  transcribe: parseTranscriptionOptions,
+  translate: parseTranslationOptions,
+  'process-directory': parseDirectoryOptions,
+};
+
+/**
+ * Crea un middleware que normaliza las opciones de la petición y responde 400 si alguna no
+ * es válida o si se pide callbackUrl con los webhooks deshabilitados. Va antes de descargar
+ * el audio por URL y de descontar la cuota, para no cobrar peticiones que no se procesarán.
+ * Deja las opciones en `req.options` y el callbackUrl en `req.callbackUrl`.
+ * @param {Function} parse - Función `(body) => opciones` que normaliza el body
+ * @returns {import('express').RequestHandler} Middleware de Express
  */
-router.post('/transcribe', upload.single('audio'), validateFileUpload, async (req, res, next) => {
+function resolveOptions(parse) {
+  return async (req, res, next) => {
+    const options = parse(req.body);
+    const { callbackUrl, ...invalidCallback } = await parseCallbackUrl(req.body);
+
+    const invalidOption = findInvalidOption(options) || (invalidCallback.error && invalidCallback);
+    if (invalidOption) {
+      await removeUploadedFiles(req).catch(() => {});
+      return res.status(400).json({ success: false, ...invalidOption });
+    }
+
+    req.options = options;
+    req.callbackUrl = callbackUrl;
+    next();
+  };
+}
+
+/**
+ * Normaliza las opciones de cada archivo de un lote (las comunes del formulario sustituidas
+ * por las de `fileOptions`) y responde 400 si alguna no es válida, antes de descontar la cuota.
+ * Deja en `req.batch` los archivos con sus opciones, en el orden de subida.
+ * @param {import('express').Request} req - Objeto request de Express
+ * @param {import('express').Response} res - Objeto response de Express
+ * @param {import('express').NextFunction} next - Función next de Express
+ */
+async function resolveBatchOptions(req, res, next) {
+  const { files } = req;
+  const { fileOptions = [], output, saveToFiles, ...shared } = req.body;
+
+  if (fileOptions.length > files.length) {
+    await removeUploadedFiles(req).catch(() => {});
+    return res.status(400).json({
+      success: false,
+      error: 'Opciones por archivo no válidas',
+      details: `fileOptions tiene ${fileOptions.length} elementos y se han subido ${files.length} archivos`,
+    });
+  }
+
+  const batch = files.map((file, index) => ({
+    filePath: file.path,
+    originalName: file.originalname,
+    options: parseTranscriptionOptions({ ...shared, ...fileOptions[index] }),
+  }));
+
+  for (const { originalName, options } of batch) {
+    const invalidOption = findInvalidOption(options);
+    if (invalidOption) {
+      await removeUploadedFiles(req).catch(() => {});
+      return res.status(400).json({
+        success: false,
+        error: invalidOption.error,
+        details: `${originalName}: ${invalidOption.details}`,
+      });
+    }
+  }
+
+  req.batch = batch;
+  next();
+}
+
+/**
+ * Indica si un recurso creado con la API key `apiKeyId` es visible para la petición: cada
+ * key solo ve lo suyo y, con la autenticación deshabilitada, todo es visible
+ * @param {import('express').Request} req - Objeto request de Express
+ * @param {string|null} apiKeyId - Id de la API key que creó el recurso
+ * @returns {boolean} True si la petición puede ver y modificar el recurso
+ */
+function isOwnedBy(req, apiKeyId) {
+  return !req.apiKey || apiKeyId === req.apiKey.id;
+}
+
+/**
+ * Obtiene la transcripción guardada con el id de la ruta si la petición puede verla (ver isOwnedBy)
+ * @param {import('express').Request} req - Objeto request de Express
+ * @returns {Object|null} Registro de la transcripción, o null si no existe o es de otra key
+ */
+function getOwnedTranscript(req) {
+  const record = transcriptStore.get(req.params.id);
+  return record && isOwnedBy(req, record.source.apiKeyId) ? record : null;
+}
+
+/**
+ * Comprueba que una edición de PATCH /transcripts/:id se pueda aplicar a la transcripción
+ * @param {Object} record - Registro de la transcripción
+ * @param {Object} changes - Body ya validado de la petición
+ * @returns {Object|null} `{ error, details }` si no se puede aplicar, o null
+ */
+function findInvalidTranscriptEdit(record, changes) {
+  if (changes.segments === undefined) {
+    return null;
+  }
+
+  if (changes.text !== undefined) {
+    return {
+      error: 'Edición no válida',
+      details: 'Corrige el texto completo con text o por segmentos con segments, no ambos',
+    };
+  }
+
+  if (!SubtitleFormatter.hasSegments(record.transcription)) {
+    return {
+      error: 'La transcripción no tiene segmentos',
+      details: 'Corrige el texto completo con text',
+    };
+  }
+
+  const ids = new Set(record.transcription.segments.map(segment => segment.id));
+  const unknown = changes.segments.find(segment => !ids.has(segment.id));
+  if (unknown) {
+    return {
+      error: 'Segmento no encontrado',
+      details: `La transcripción no tiene ningún segmento con id ${unknown.id}`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Registra un resultado en el almacén de transcripciones y añade su id al resultado
+ * @param {Object} result - Resultado de la transcripción o traducción
+ * @param {import('express').Request} req - Petición que lo produjo
+ * @param {string} [originalName] - Nombre original del archivo subido
+ * @returns {Promise<void>}
+ */
+async function storeResult(result, req, originalName) {
+  const record = await transcriptStore.add(result, { originalName, apiKeyId: req.apiKey?.id });
+  result.transcriptId = record.id;
+}
+
+/**
+ * Añade al resultado los subtítulos o la alineación por palabra del formato pedido
+ * @param {Object} result - Resultado de la transcripción o traducción
+ * @param {string} format - Formato de salida de la petición
+ */
+function attachFormattedOutput(result, format) {
+  if (SUBTITLE_FORMATS.includes(format)) {
+    result.subtitles = {
+      format,
+      content: audioService.formatTranscription(result, format),
+    };
+  } else if (format === 'alignment') {
+    result.alignment = AlignmentFormatter.build(result.transcription ?? result.translation);
+  }
+}
+
+/**
+ * Empaqueta los resultados de un lote en un ZIP: una transcripción por archivo correcto,
+ * en su formato y con el nombre original, y `summary.json` con el estado de cada archivo
+ * @param {Array<Object>} results - Resultados de AudioService.transcribeBatch
+ * @param {Array<Object>} batch - Archivos del lote con sus opciones, en el mismo orden
+ * @param {Object} summary - Resumen de AudioService.summarizeResults
+ * @returns {Buffer} Contenido del ZIP
+ */
+function buildBatchZip(results, batch, summary) {
+  const names = new Set(['summary.json']);
+  const entries = [];
+
+  const files = results.map((result, index) => {
+    const { originalName, options } = batch[index];
+    const file = { originalName, success: result.success, transcriptId: result.transcriptId };
+    if (!result.success) {
+      return { ...file, error: result.error };
+    }
+
+    // Los nombres repetidos se numeran: reunion.txt, reunion (2).txt...
+    const baseName = path.parse(originalName).name;
+    const extension = AudioService.formatExtension(options.format);
+    let name = `${baseName}.${extension}`;
+    for (let copy = 2; names.has(name); copy++) {
+      name = `${baseName} (${copy}).${extension}`;
+    }
+    names.add(name);
+
+    entries.push({ name, content: audioService.formatTranscription(result, options.format) });
+    return { ...file, entry: name };
+  });
+
+  entries.push({ name: 'summary.json', content: JSON.stringify({ summary, files }, null, 2) });
+  return createZip(entries);
+}
+
+/**
+ * Lee el callbackUrl opcional de una petición, ya validado como URL http(s)
+ * @param {Object} body - Body de la petición
+ * @returns {Promise<Object>} `{ callbackUrl }` (null si no se envió), o `{ error, details }` si los webhooks
+ * están deshabilitados o la URL apunta a una red privada o reservada
+ */
+async function parseCallbackUrl(body) {
+  if (!body.callbackUrl) {
+    return { callbackUrl: null };
+  }
+
+  if (!webhookDispatcher.isEnabled()) {
+    return {
+      error: 'Webhooks deshabilitados',
+      details: 'Configura WEBHOOK_SECRET en el servidor para usar callbackUrl',
+    };
+  }
+
+  const callbackUrl = new URL(body.callbackUrl);
   try {
-    const { file } = req;
-    const { 
-      language, 
-      prompt, 
-      responseFormat = 'verbose_json',
-      timestampGranularities = 'segment',
-      temperature = 0,
-      saveToFile = false 
-    } = req.body;
-
-    // Convertir timestampGranularities a array si es string
-    const granularities = typeof timestampGranularities === 'string' 
-      ? timestampGranularities.split(',').map(g => g.trim())
-      : timestampGranularities;
-
-    const options = {
-      language,
-      prompt,
-      responseFormat,
-      timestampGranularities: granularities,
-      temperature: parseFloat(temperature),
+    await webhookDispatcher.checkUrl(callbackUrl);
+  } catch (error) {
+    return { error: 'callbackUrl no permitido', details: error.message };
+  }
+
+  return { callbackUrl: callbackUrl.toString() };
+}
+
+/**
+ * Encola la petición como trabajo asíncrono que notificará su resultado al callbackUrl
+ * @param {import('express').Request} req - Objeto request de Express
+ * @param {import('express').Response} res - Objeto response de Express
+ * @param {Object} params - Parámetros de JobQueue.enqueue (`type`, `options`, `saveToFile`, `callbackUrl`)
+ * @returns {Promise<void>}
+ */
+async function enqueueWithCallback(req, res, params) {
+  const job = await jobQueue.enqueue({
+    ...params,
+    input: req.file ? { filePath: req.file.path, originalName: req.file.originalname } : null,
+    apiKeyId: req.apiKey?.id,
+    audioCharge: req.audioCharge,
+  });
+
+  res.status(202).json({
+    success: true,
+    data: {
+      jobId: job.id,
+      state: job.state,
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+      callbackUrl: job.callbackUrl,
+    },
+    message: 'Trabajo encolado exitosamente, el resultado se enviará al callbackUrl',
+  });
+}
+
+/**
+ * Convierte la query ya validada de GET /transcripts en criterios de búsqueda
+ * @param {Object} query - Query string de la petición
+ * @returns {Object} Criterios para TranscriptStore.search
+ */
+function parseSearchQuery(query) {
+  const { page = 1, pageSize = 20 } = query;
+
+  const dates = {};
+  for (const field of ['from', 'to']) {
+    if (query[field] !== undefined) {
+      dates[field] = new Date(query[field]);
+    }
+  }
+
+  // Una fecha sin hora en `to` incluye todo ese día
+  if (dates.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    dates.to = new Date(dates.to.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+
+  return {
+    q: query.q,
+    language: query.language,
+    model: query.model,
+    provider: query.provider,
+    tag: query.tag,
+    ...dates,
+    page,
+    pageSize,
+  };
+}
+
+/**
+ * Comprueba que el tramo de tiempo `start`/`end` (en segundos) de una consulta sea creciente
+ * @param {Object} query - Query de la petición, con start y end ya convertidos a número
+ * @returns {Object} `{ start, end }` (end Infinity si no se indica), o `{ error, details }` para una respuesta 400
+ */
+function parseTimeRange(query) {
+  const { start = 0, end = Infinity } = query;
+
+  if (end <= start) {
+    return {
+      error: 'Rango de tiempo no válido',
+      details: 'start y end deben ser segundos con 0 <= start < end',
     };
+  }
+
+  return { start, end };
+}
+
+/**
+ * Interpreta un flag booleano que puede llegar como string desde multipart
+ * @param {*} value - Valor recibido
+ * @returns {boolean} True si el valor representa verdadero
+ */
+function isTrue(value) {
+  return value === 'true' || value === true;
+}
+
+/**
+ * POST /api/audio/transcribe
+ * Transcribe un archivo de audio subido por el usuario o descargado de la URL indicada
+ */
+router.post('/transcribe', upload.single('audio'), validateRequest('transcribe'), resolveOptions(parseTranscriptionOptions), fetchAudioUrl, validateFileUpload, enforceAudioQuota(), async (req, res, next) => {
+  try {
+    const { file, options, callbackUrl } = req;
+    const { saveToFile = false } = req.body;
+
+    // Con callbackUrl se procesa en segundo plano y el resultado se envía al terminar
+    if (callbackUrl) {
+      return await enqueueWithCallback(req, res, { type: 'transcribe', options, saveToFile: isTrue(saveToFile), callbackUrl });
+    }
 
     // Transcribir el archivo
     const result = await audioService.transcribeFile(file.path, options);
 
+    // Incluir los subtítulos o la alineación por palabra generados en la respuesta
+    attachFormattedOutput(result, options.format);
+
     // Guardar en archivo si se solicita
-    if (saveToFile === 'true' || saveToFile === true) {
-      const savedPath = await audioService.saveTranscription(result, config.audio.textsDir);
+    if (isTrue(saveToFile)) {
+      const savedPath = await audioService.saveTranscription(result, config.audio.textsDir, options.format);
       result.savedPath = savedPath;
     }
 
+    // Registrar en el almacén de transcripciones
+    await storeResult(result, req, file.originalname);
+
     // Limpiar archivo temporal
     await fs.unlink(file.path);
 
@@ -58,6 +567,8 @@ router.post('/transcribe', upload.single('audio'), validateFileUpload, async (re
     });
 
   } catch (error) {
+    await refundAudioQuota(req);
+
     // Limpiar archivo temporal si existe
     if (req.file?.path) {
       try {
@@ -72,33 +583,33 @@ router.post('/transcribe', upload.single('audio'), validateFileUpload, async (re
 
 /**
  * POST /api/audio/translate
- * Traduce un archivo de audio a inglés
+ * Traduce un archivo de audio a inglés o, con targetLanguage, a cualquier idioma
  */
-router.post('/translate', upload.single('audio'), validateFileUpload, async (req, res, next) => {
+router.post('/translate', upload.single('audio'), validateRequest('translate'), resolveOptions(parseTranslationOptions), fetchAudioUrl, validateFileUpload, enforceAudioQuota(), async (req, res, next) => {
   try {
-    const { file } = req;
-    const { 
-      prompt, 
-      responseFormat = 'json',
-      temperature = 0,
-      saveToFile = false 
-    } = req.body;
-
-    const options = {
-      prompt,
-      responseFormat,
-      temperature: parseFloat(temperature),
-    };
+    const { file, options, callbackUrl } = req;
+    const { saveToFile = false } = req.body;
+
+    // Con callbackUrl se procesa en segundo plano y el resultado se envía al terminar
+    if (callbackUrl) {
+      return await enqueueWithCallback(req, res, { type: 'translate', options, saveToFile: isTrue(saveToFile), callbackUrl });
+    }
 
     // Traducir el archivo
     const result = await audioService.translateFile(file.path, options);
 
+    // Incluir los subtítulos o la alineación por palabra generados en la respuesta
+    attachFormattedOutput(result, options.format);
+
     // Guardar en archivo si se solicita
-    if (saveToFile === 'true' || saveToFile === true) {
-      const savedPath = await audioService.saveTranscription(result, config.audio.textsDir);
+    if (isTrue(saveToFile)) {
+      const savedPath = await audioService.saveTranscription(result, config.audio.textsDir, options.format);
       result.savedPath = savedPath;
     }
 
+    // Registrar en el almacén de transcripciones
+    await storeResult(result, req, file.originalname);
+
     // Limpiar archivo temporal
     await fs.unlink(file.path);
 
@@ -109,6 +620,8 @@ router.post('/translate', upload.single('audio'), validateFileUpload, async (req
     });
 
   } catch (error) {
+    await refundAudioQuota(req);
+
     // Limpiar archivo temporal si existe
     if (req.file?.path) {
       try {
@@ -125,57 +638,101 @@ router.post('/translate', upload.single('audio'), validateFileUpload, async (req
  * POST /api/audio/process-directory
  * Procesa todos los archivos de audio en el directorio 'audios'
  */
-router.post('/process-directory', async (req, res, next) => {
+router.post('/process-directory', validateRequest('processDirectory'), resolveOptions(parseDirectoryOptions), enforceAudioQuota(listDirectoryAudio), async (req, res, next) => {
   try {
-    const { 
-      language, 
-      prompt, 
-      responseFormat = 'verbose_json',
-      timestampGranularities = 'segment',
-      temperature = 0,
-      saveToFiles = true 
-    } = req.body;
-
-    // Convertir timestampGranularities a array si es string
-    const granularities = typeof timestampGranularities === 'string' 
-      ? timestampGranularities.split(',').map(g => g.trim())
-      : timestampGranularities;
-
-    const options = {
-      language,
-      prompt,
-      responseFormat,
-      timestampGranularities: granularities,
-      temperature: parseFloat(temperature),
-    };
+    const { options, callbackUrl } = req;
+    const { saveToFiles = true } = req.body;
+
+    // Con callbackUrl se procesa en segundo plano y el resultado se envía al terminar
+    if (callbackUrl) {
+      return await enqueueWithCallback(req, res, { type: 'process-directory', options, saveToFile: saveToFiles, callbackUrl });
+    }
 
     const outputDirectory = saveToFiles ? config.audio.textsDir : null;
 
     // Procesar directorio de audios
-    const results = await audioService.processAudioDirectory(
+    const { results, skipped } = await audioService.processAudioDirectory(
       config.audio.audioDir, 
       options, 
       outputDirectory
     );
 
-    const successCount = results.filter(r => r.success).length;
-    const errorCount = results.filter(r => !r.success).length;
+    for (const result of results.filter(r => r.success)) {
+      await storeResult(result, req);
+    }
+
+    // Los archivos que fallaron no consumen cuota
+    await refundAudioQuota(req, results.filter(r => !r.success).map(r => r.metadata.filePath));
+
+    const summary = AudioService.summarizeResults(results, skipped);
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        skipped,
+        summary,
+      },
+      message: `Procesados ${summary.total} archivos. ${summary.successful} exitosos, ${summary.failed} fallidos, ${summary.skipped} omitidos.`,
+    });
+
+  } catch (error) {
+    await refundAudioQuota(req);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/audio/batch
+ * Transcribe varios archivos subidos en una sola petición. Las opciones del formulario
+ * son comunes a todos y `fileOptions` las sustituye archivo a archivo, en el orden de subida.
+ * Con `output=zip` responde con un ZIP de las transcripciones en lugar de JSON.
+ */
+router.post('/batch', upload.array('audio', config.batch.maxFiles), validateRequest('transcribeBatch'), validateBatchUpload, resolveBatchOptions, enforceAudioQuota(req => req.files.map(file => file.path)), async (req, res, next) => {
+  try {
+    const { batch } = req;
+    const { output = 'json', saveToFiles = false } = req.body;
+
+    const results = await audioService.transcribeBatch(batch, {
+      outputDirectory: saveToFiles ? config.audio.textsDir : null,
+    });
+
+    for (const [index, result] of results.entries()) {
+      if (result.success) {
+        attachFormattedOutput(result, batch[index].options.format);
+        await storeResult(result, req, batch[index].originalName);
+      }
+    }
+
+    // Los archivos que fallaron no consumen cuota
+    await refundAudioQuota(req, batch.filter((file, index) => !results[index].success).map(file => file.filePath));
+
+    const summary = AudioService.summarizeResults(results);
+
+    if (output === 'zip') {
+      return res
+        .type('application/zip')
+        .attachment(`transcripciones-${new Date().toISOString().slice(0, 10)}.zip`)
+        .send(buildBatchZip(results, batch, summary));
+    }
 
     res.json({
       success: true,
       data: {
         results,
-        summary: {
-          total: results.length,
-          successful: successCount,
-          failed: errorCount,
-        }
+        summary,
       },
-      message: `Procesados ${results.length} archivos. ${successCount} exitosos, ${errorCount} fallidos.`,
+      message: `Procesados ${summary.total} archivos. ${summary.successful} exitosos, ${summary.failed} fallidos.`,
     });
 
   } catch (error) {
+    await refundAudioQuota(req);
     next(error);
+  } finally {
+    // Los archivos subidos se eliminan tanto si el lote termina como si falla
+    await removeUploadedFiles(req).catch(unlinkError => {
+      console.error('Error al eliminar archivos temporales:', unlinkError);
+    });
   }
 });
 
@@ -183,7 +740,7 @@ router.post('/process-directory', async (req, res, next) => {
  * GET /api/audio/files
  * Lista todos los archivos de audio en el directorio 'audios'
  */
-router.get('/files', async (req, res, next) => {
+router.get('/files', validateRequest('listFiles'), async (req, res, next) => {
   try {
     const files = await fs.readdir(config.audio.audioDir);
     
@@ -216,10 +773,10 @@ router.get('/files', async (req, res, next) => {
  * GET /api/audio/transcriptions
  * Lista todas las transcripciones en el directorio 'texts'
  */
-router.get('/transcriptions', async (req, res, next) => {
+router.get('/transcriptions', validateRequest('listTranscriptions'), async (req, res, next) => {
   try {
     const files = await fs.readdir(config.audio.textsDir);
-    const transcriptionFiles = files.filter(file => file.endsWith('.txt'));
+    const transcriptionFiles = files.filter(file => AudioService.parseOutputFileName(file));
 
     const transcriptions = [];
 
@@ -229,6 +786,7 @@ router.get('/transcriptions', async (req, res, next) => {
       
       transcriptions.push({
         name: file,
+        format: AudioService.parseOutputFileName(file).format,
         size: stats.size,
         lastModified: stats.mtime,
         path: filePath,
@@ -251,29 +809,50 @@ router.get('/transcriptions', async (req, res, next) => {
 
 /**
  * GET /api/audio/transcriptions/:filename
- * Obtiene el contenido de una transcripción específica
+ * Obtiene el contenido de una transcripción específica.
+ * Con `?format=txt|json|srt|vtt|karaoke|alignment` la convierte a partir del `.json` guardado junto a ella.
  */
-router.get('/transcriptions/:filename', async (req, res, next) => {
+router.get('/transcriptions/:filename', validateRequest('getTranscription'), async (req, res, next) => {
   try {
     const { filename } = req.params;
-    const filePath = path.join(config.audio.textsDir, filename);
+    const parsed = AudioService.parseOutputFileName(filename);
 
-    // Verificar que el archivo existe y es un archivo de texto
-    if (!filename.endsWith('.txt')) {
+    // Verificar que el archivo existe y es un archivo de transcripción
+    if (path.basename(filename) !== filename || !parsed) {
       return res.status(400).json({
         success: false,
         error: 'Archivo no válido',
-        details: 'Solo se pueden leer archivos .txt',
+        details: `Solo se pueden leer archivos ${OUTPUT_FORMATS.map(f => `.${AudioService.formatExtension(f)}`).join(', ')}`,
       });
     }
 
-    const content = await fs.readFile(filePath, 'utf8');
+    const extension = parsed.format;
+    const { format = extension } = req.query;
+
+    // Convertir desde el resultado completo si se pide otro formato
+    const sourceName = format === extension ? filename : `${parsed.baseName}.json`;
+    const filePath = path.join(config.audio.textsDir, sourceName);
+
+    let content = await fs.readFile(filePath, 'utf8');
     const stats = await fs.stat(filePath);
 
+    if (format !== extension) {
+      try {
+        content = audioService.formatTranscription(JSON.parse(content), format);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'No se pudo convertir la transcripción',
+          details: error.message,
+        });
+      }
+    }
+
     res.json({
       success: true,
       data: {
         filename,
+        format,
         content,
         size: stats.size,
         lastModified: stats.mtime,
@@ -293,4 +872,376 @@ router.get('/transcriptions/:filename', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/audio/transcripts
+ * Busca en el almacén de transcripciones con texto completo, filtros y paginación
+ */
+router.get('/transcripts', validateRequest('searchTranscripts'), (req, res) => {
+  const results = transcriptStore.search({ ...parseSearchQuery(req.query), apiKeyId: req.apiKey?.id });
+
+  res.json({
+    success: true,
+    data: results,
+    message: `Encontradas ${results.total} transcripciones`,
+  });
+});
+
+/**
+ * GET /api/audio/transcripts/:id
+ * Obtiene una transcripción guardada con su resultado completo.
+ * Con `?format=txt|json|srt|vtt|karaoke|alignment` devuelve además el contenido exportado.
+ */
+router.get('/transcripts/:id', validateRequest('getTranscript'), (req, res) => {
+  const record = getOwnedTranscript(req);
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'Transcripción no encontrada',
+      details: `No existe ninguna transcripción con id ${req.params.id}`,
+    });
+  }
+
+  const { format } = req.query;
+  if (!format) {
+    return res.json({
+      success: true,
+      data: record,
+      message: 'Transcripción obtenida exitosamente',
+    });
+  }
+
+  try {
+    const content = audioService.formatTranscription(
+      { transcription: record.transcription, metadata: record.metadata },
+      format,
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...TranscriptStore.summarize(record),
+        format,
+        content,
+      },
+      message: 'Transcripción exportada exitosamente',
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'No se pudo convertir la transcripción',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/audio/transcripts/:id/analysis
+ * Analiza una transcripción guardada (resumen, temas, tareas y capítulos) con un modelo de
+ * lenguaje y guarda el resultado en el registro, sustituyendo al análisis anterior
+ */
+router.post('/transcripts/:id/analysis', validateRequest('analyzeTranscript'), async (req, res, next) => {
+  try {
+    const record = getOwnedTranscript(req);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcripción no encontrada',
+        details: `No existe ninguna transcripción con id ${req.params.id}`,
+      });
+    }
+
+    const { tasks, provider, prompts } = req.body ?? {};
+    const language = req.body?.language ? normalizeLanguageCode(req.body.language) ?? req.body.language : undefined;
+    const invalidOption = findInvalidAnalysisOption(provider, language);
+    if (invalidOption) {
+      return res.status(400).json({ success: false, ...invalidOption });
+    }
+
+    const analysis = await audioService.analyzeTranscription(record.transcription, {
+      analyze: tasks,
+      analysisProvider: provider,
+      // Sin idioma pedido, el del registro (el detectado si el proveedor lo informó)
+      analysisLanguage: language || record.language || undefined,
+      analysisPrompts: prompts,
+    });
+    await transcriptStore.setAnalysis(record.id, analysis);
+
+    res.json({
+      success: true,
+      data: { id: record.id, analysis },
+      message: 'Transcripción analizada exitosamente',
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/audio/transcripts/:id/words
+ * Palabras de una transcripción guardada, con sus tiempos y confianza, en el tramo
+ * `?start=&end=` (segundos; por defecto toda la transcripción)
+ */
+router.get('/transcripts/:id/words', validateRequest('getTranscriptWords'), (req, res) => {
+  const record = getOwnedTranscript(req);
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'Transcripción no encontrada',
+      details: `No existe ninguna transcripción con id ${req.params.id}`,
+    });
+  }
+
+  const range = parseTimeRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ success: false, error: range.error, details: range.details });
+  }
+
+  try {
+    const alignment = AlignmentFormatter.inRange(record.transcription, range.start, range.end);
+
+    res.json({
+      success: true,
+      data: {
+        id: record.id,
+        start: range.start,
+        end: Number.isFinite(range.end) ? range.end : alignment.duration,
+        ...alignment,
+        count: alignment.words.length,
+      },
+      message: `Encontradas ${alignment.words.length} palabras`,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'La transcripción no tiene tiempos',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/audio/transcripts/:id
+ * Modifica el título, las etiquetas o el texto (completo o por segmentos) de una transcripción guardada
+ */
+router.patch('/transcripts/:id', validateRequest('updateTranscript'), async (req, res, next) => {
+  try {
+    const existing = getOwnedTranscript(req);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcripción no encontrada',
+        details: `No existe ninguna transcripción con id ${req.params.id}`,
+      });
+    }
+
+    const invalidEdit = findInvalidTranscriptEdit(existing, req.body);
+    if (invalidEdit) {
+      return res.status(400).json({ success: false, ...invalidEdit });
+    }
+
+    const record = await transcriptStore.update(existing.id, req.body);
+
+    res.json({
+      success: true,
+      data: TranscriptStore.summarize(record),
+      message: 'Transcripción actualizada exitosamente',
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/audio/transcripts/:id
+ * Elimina una transcripción del almacén
+ */
+router.delete('/transcripts/:id', validateRequest('deleteTranscript'), async (req, res, next) => {
+  try {
+    const removed = getOwnedTranscript(req) && await transcriptStore.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcripción no encontrada',
+        details: `No existe ninguna transcripción con id ${req.params.id}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id: req.params.id },
+      message: 'Transcripción eliminada exitosamente',
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/audio/jobs
+ * Crea un trabajo asíncrono de transcripción, traducción o procesamiento de directorio
+ */
+router.post('/jobs', upload.single('audio'), validateRequest('createJob'), resolveOptions(body => JOB_OPTION_PARSERS[body.type || 'transcribe'](body)), fetchAudioUrl, enforceAudioQuota(jobAudioPaths), async (req, res, next) => {
+  try {
+    const { options, callbackUrl } = req;
+    const { type = 'transcribe' } = req.body;
+
+    if (type !== 'process-directory' && !req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No se ha subido ningún archivo',
+        details: 'Se requiere un archivo de audio (campo audio) o su URL (campo url) para este tipo de trabajo',
+      });
+    }
+
+    const job = await jobQueue.enqueue({
+      type,
+      options,
+      input: req.file ? { filePath: req.file.path, originalName: req.file.originalname } : null,
+      saveToFile: type === 'process-directory'
+        ? req.body.saveToFiles !== false
+        : isTrue(req.body.saveToFile),
+      apiKeyId: req.apiKey?.id,
+      callbackUrl,
+      audioCharge: req.audioCharge,
+    });
+
+    res.status(202).json({
+      success: true,
+      data: {
+        jobId: job.id,
+        state: job.state,
+        statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+        callbackUrl: job.callbackUrl,
+      },
+      message: 'Trabajo encolado exitosamente',
+    });
+
+  } catch (error) {
+    await refundAudioQuota(req);
+
+    if (req.file?.path) {
+      try {
+        await fs.unlink(req.file.path);
+      } catch (unlinkError) {
+        console.error('Error al eliminar archivo temporal:', unlinkError);
+      }
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/audio/jobs
+ * Lista los trabajos conocidos sin incluir sus resultados
+ */
+router.get('/jobs', validateRequest('listJobs'), (req, res) => {
+  const jobs = jobQueue.list({ apiKeyId: req.apiKey?.id }).map(({ result, ...job }) => job);
+
+  res.json({
+    success: true,
+    data: {
+      jobs,
+      count: jobs.length,
+    },
+    message: `Encontrados ${jobs.length} trabajos`,
+  });
+});
+
+/**
+ * GET /api/audio/jobs/:id
+ * Obtiene el estado, progreso y resultado de un trabajo
+ */
+router.get('/jobs/:id', validateRequest('getJob'), (req, res) => {
+  const job = jobQueue.get(req.params.id);
+
+  // Los trabajos de otras API keys se tratan como inexistentes
+  if (!job || !isOwnedBy(req, job.apiKeyId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Trabajo no encontrado',
+      details: `No existe el trabajo ${req.params.id}`,
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job,
+    message: `Trabajo en estado ${job.state}`,
+  });
+});
+
+/**
+ * DELETE /api/audio/jobs/:id
+ * Cancela un trabajo pendiente o en ejecución, o elimina uno terminado
+ */
+router.delete('/jobs/:id', validateRequest('cancelJob'), async (req, res, next) => {
+  try {
+    const job = jobQueue.get(req.params.id);
+    const outcome = job && isOwnedBy(req, job.apiKeyId) ? await jobQueue.cancel(job.id) : null;
+
+    if (!outcome) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trabajo no encontrado',
+        details: `No existe el trabajo ${req.params.id}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        jobId: outcome.job.id,
+        action: outcome.action,
+      },
+      message: outcome.action === 'cancelled' ? 'Trabajo cancelado' : 'Trabajo eliminado',
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/audio/webhooks
+ * Lista las entregas de webhooks con sus intentos, filtrables por trabajo y estado
+ */
+router.get('/webhooks', validateRequest('listWebhooks'), (req, res) => {
+  const { jobId, state } = req.query;
+  const deliveries = webhookDispatcher.list({ jobId, state, apiKeyId: req.apiKey?.id });
+
+  res.json({
+    success: true,
+    data: {
+      deliveries,
+      count: deliveries.length,
+    },
+    message: `Encontradas ${deliveries.length} entregas`,
+  });
+});
+
+/**
+ * GET /api/audio/webhooks/:id
+ * Obtiene una entrega de webhook con su payload e historial de intentos
+ */
+router.get('/webhooks/:id', validateRequest('getWebhook'), (req, res) => {
+  const delivery = webhookDispatcher.get(req.params.id);
+
+  if (!delivery || !isOwnedBy(req, delivery.apiKeyId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Entrega no encontrada',
+      details: `No existe la entrega ${req.params.id}`,
+    });
+  }
+
+  res.json({
+    success: true,
+    data: delivery,
+    message: `Entrega en estado ${delivery.state}`,
+  });
+});
+
 export default router;
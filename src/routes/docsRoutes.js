@@ -0,0 +1,58 @@
+import express from 'express';
+import { openApiDocument } from '../docs/openapi.js';
+
+const router = express.Router();
+
+/**
+ * Versión de swagger-ui-dist que carga la página de documentación desde el CDN
+ */
+const SWAGGER_UI_VERSION = '5.17.14';
+
+/**
+ * Página de Swagger UI que carga el documento de /api/docs/openapi.json
+ * @param {string} specUrl - URL del documento OpenAPI
+ * @returns {string} HTML de la página
+ */
+function renderSwaggerPage(specUrl) {
+  const assets = `https://cdn.jsdelivr.net/npm/swagger-ui-dist@${SWAGGER_UI_VERSION}`;
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${openApiDocument.info.title} - Documentación</title>
+  <link rel="stylesheet" href="${assets}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${assets}/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({
+      url: '${specUrl}',
+      dom_id: '#swagger-ui',
+      deepLinking: true,
+      persistAuthorization: true,
+    });
+  </script>
+</body>
+</html>`;
+}
+
+/**
+ * GET /api/docs
+ * Documentación interactiva de la API con Swagger UI
+ */
+router.get('/', (req, res) => {
+  res.type('html').send(renderSwaggerPage(`${req.baseUrl}/openapi.json`));
+});
+
+/**
+ * GET /api/docs/openapi.json
+ * Documento OpenAPI 3 de la API
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+export default router;
@@ -0,0 +1,72 @@
+import express from 'express';
+import { config } from '../middleware/config.js';
+import { requireMetricsToken } from '../middleware/auth.js';
+import { audioService, jobQueue, resultCache } from '../services/instances.js';
+import { registry } from '../services/metrics.js';
+import { CircuitState } from '../services/circuitBreaker.js';
+
+const router = express.Router();
+
+/**
+ * Gauges que se recalculan en cada lectura a partir del estado actual
+ */
+const gauges = {
+  jobs: registry.gauge('anyaudio_jobs', 'Trabajos asíncronos conocidos por estado', ['state']),
+  circuitOpen: registry.gauge(
+    'anyaudio_provider_circuit_open',
+    'Circuito del proveedor abierto o semiabierto (1) o cerrado (0)',
+    ['kind', 'provider'],
+  ),
+  schedulerActive: registry.gauge('anyaudio_scheduler_active', 'Tareas en ejecución en cada planificador', ['scheduler']),
+  schedulerQueued: registry.gauge('anyaudio_scheduler_queued', 'Tareas en espera en cada planificador', ['scheduler']),
+  cacheEntries: registry.gauge('anyaudio_cache_entries', 'Entradas en la caché de resultados'),
+  cacheSize: registry.gauge('anyaudio_cache_size_bytes', 'Bytes ocupados por la caché de resultados'),
+  uptime: registry.gauge('process_uptime_seconds', 'Segundos desde el arranque del proceso'),
+  residentMemory: registry.gauge('process_resident_memory_bytes', 'Memoria residente del proceso'),
+  heapUsed: registry.gauge('nodejs_heap_used_bytes', 'Memoria del heap de V8 en uso'),
+};
+
+registry.onCollect(() => {
+  gauges.jobs.reset();
+  for (const job of jobQueue.list()) {
+    gauges.jobs.inc({ state: job.state });
+  }
+
+  const providers = [
+    ...Object.values(audioService.providers).map(provider => ['transcription', provider]),
+    ...Object.values(audioService.translationProviders).map(provider => ['llm', provider]),
+  ];
+  for (const [kind, provider] of providers) {
+    if (provider.circuit) {
+      gauges.circuitOpen.set({ kind, provider: provider.name }, provider.circuit.state === CircuitState.CLOSED ? 0 : 1);
+    }
+  }
+
+  const schedulers = {
+    providers: audioService.requests.stats(),
+    conversions: audioService.audioConverter.scheduler.stats(),
+  };
+  for (const [scheduler, stats] of Object.entries(schedulers)) {
+    gauges.schedulerActive.set({ scheduler }, stats.active);
+    gauges.schedulerQueued.set({ scheduler }, stats.queued);
+  }
+
+  const cache = resultCache.stats();
+  gauges.cacheEntries.set({}, cache.entries);
+  gauges.cacheSize.set({}, cache.size);
+
+  const memory = process.memoryUsage();
+  gauges.uptime.set({}, process.uptime());
+  gauges.residentMemory.set({}, memory.rss);
+  gauges.heapUsed.set({}, memory.heapUsed);
+});
+
+/**
+ * GET /metrics
+ * Métricas en el formato de exposición de texto de Prometheus
+ */
+router.get(config.metrics.path, requireMetricsToken, (req, res) => {
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(registry.render());
+});
+
+export default router;
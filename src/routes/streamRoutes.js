@@ -0,0 +1,232 @@
+import http from 'http';
+import { WebSocketServer } from 'ws';
+import { config } from '../middleware/config.js';
+import { HttpError } from '../middleware/errorHandler.js';
+import { StreamingSession, STREAM_INPUT_FORMATS } from '../services/streamingSession.js';
+import { audioService, apiKeyStore, transcriptStore } from '../services/instances.js';
+
+/**
+ * Lee y valida los parámetros de la sesión de la query string
+ * @param {URLSearchParams} params - Parámetros de la URL de conexión
+ * @returns {Object} Opciones para StreamingSession
+ * @throws {HttpError} Si algún parámetro no es válido
+ */
+function parseStreamOptions(params) {
+  const format = params.get('format') || 'webm';
+  if (!STREAM_INPUT_FORMATS[format]) {
+    throw new HttpError(400, 'Formato de stream no válido', `Formatos permitidos: ${Object.keys(STREAM_INPUT_FORMATS).join(', ')}`);
+  }
+
+  const provider = params.get('provider') || undefined;
+  if (provider && !audioService.hasProvider(provider)) {
+    throw new HttpError(400, 'Proveedor no válido', `Proveedor '${provider}' no disponible. Disponibles: ${Object.keys(audioService.providers).join(', ')}`);
+  }
+
+  const numbers = {};
+  for (const [name, min, max] of [['windowSeconds', 2, 60], ['partialInterval', 0, 60], ['sampleRate', 8000, 48000], ['channels', 1, 2]]) {
+    if (params.has(name)) {
+      const value = parseFloat(params.get(name));
+      if (!(value >= min && value <= max)) {
+        throw new HttpError(400, 'Parámetro de stream no válido', `${name} debe estar entre ${min} y ${max}`);
+      }
+      numbers[name] = value;
+    }
+  }
+
+  return {
+    format,
+    provider,
+    language: params.get('language') || undefined,
+    prompt: params.get('prompt') || undefined,
+    windowSeconds: config.streaming.windowSeconds,
+    partialInterval: config.streaming.partialInterval,
+    maxDuration: config.streaming.maxDuration,
+    ...numbers,
+  };
+}
+
+/**
+ * Autentica la conexión con la misma API key y cuota de peticiones que las rutas HTTP.
+ * Los navegadores no pueden enviar cabeceras en un WebSocket, así que también se acepta `?apiKey=`.
+ * @param {import('http').IncomingMessage} req - Petición de upgrade
+ * @param {URLSearchParams} params - Parámetros de la URL de conexión
+ * @returns {Object|null} API key autenticada, o null si la autenticación está desactivada
+ * @throws {HttpError} Si la key falta, no es válida o superó su cuota
+ */
+function authenticate(req, params) {
+  if (!config.auth.enabled) {
+    return null;
+  }
+
+  const header = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  const token = header ? header[1].trim() : params.get('apiKey');
+  if (!token) {
+    throw new HttpError(401, 'API key requerida', 'Envía la key en la cabecera Authorization: Bearer <API_KEY> o en el parámetro apiKey');
+  }
+
+  const apiKey = apiKeyStore.verify(token);
+  if (!apiKey) {
+    throw new HttpError(401, 'API key no válida', 'La key no existe o ha sido revocada');
+  }
+
+  const rate = apiKeyStore.consumeRequest(apiKey);
+  if (!rate.allowed) {
+    throw new HttpError(429, 'Límite de peticiones superado', `Reintenta en ${rate.retryAfter}s`, { 'Retry-After': String(rate.retryAfter) });
+  }
+
+  return apiKey;
+}
+
+/**
+ * Rechaza un upgrade respondiendo con el JSON de error habitual de la API
+ * @param {import('net').Socket} socket - Socket de la conexión
+ * @param {HttpError} error - Error a devolver
+ */
+function rejectUpgrade(socket, error) {
+  const body = JSON.stringify({ success: false, error: error.message, details: error.details });
+  const headers = Object.entries(error.headers || {}).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+  socket.end(
+    `HTTP/1.1 ${error.status} ${http.STATUS_CODES[error.status]}\r\n`
+    + 'Content-Type: application/json; charset=utf-8\r\n'
+    + `Content-Length: ${Buffer.byteLength(body)}\r\n`
+    + headers
+    + 'Connection: close\r\n\r\n'
+    + body,
+  );
+}
+
+/**
+ * Gestiona una conexión de streaming: audio binario hacia la sesión, mensajes JSON hacia el cliente
+ * @param {import('ws').WebSocket} ws - Conexión WebSocket
+ * @param {Object} options - Opciones de la sesión
+ * @param {Object|null} apiKey - API key autenticada
+ */
+function handleConnection(ws, options, apiKey) {
+  const send = (message) => {
+    if (ws.readyState !== ws.OPEN) {
+      return;
+    }
+    ws.send(JSON.stringify(message));
+    if (message.type === 'error' && message.fatal) {
+      ws.close(message.status === 429 ? 1008 : 1011, message.error.slice(0, 120));
+    }
+  };
+
+  const session = new StreamingSession(audioService, {
+    ...options,
+    send,
+    onAudio: async (seconds) => {
+      if (!apiKey) {
+        return;
+      }
+      const quota = await apiKeyStore.consumeAudio(apiKey, seconds);
+      if (!quota.allowed) {
+        throw new HttpError(429, 'Cuota diaria de audio superada', `Límite de ${apiKey.quotas.audioMinutesPerDay} min por día`);
+      }
+    },
+  });
+
+  let stopping = false;
+
+  // Los mensajes que lleguen mientras la sesión arranca esperan, en orden, a que termine
+  const started = session.start().then(() => {
+    console.log(`🎙️  Stream ${session.id} iniciado (${options.format})`);
+    return true;
+  }, (error) => {
+    send({ type: 'error', fatal: true, error: 'No se pudo iniciar el stream', details: error.message });
+    return false;
+  });
+
+  ws.on('message', async (data, isBinary) => {
+    if (!(await started)) {
+      return;
+    }
+
+    if (isBinary) {
+      // Un error de la sesión cierra solo esta conexión
+      try {
+        session.write(data);
+      } catch (error) {
+        console.error(`Error en el stream ${session.id}:`, error.message);
+        send({ type: 'error', fatal: true, error: 'Error al procesar el audio del stream', details: error.message });
+      }
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      send({ type: 'error', error: 'Mensaje no válido', details: 'Los mensajes de control deben ser JSON, p. ej. {"type":"stop"}' });
+      return;
+    }
+
+    if (message.type !== 'stop' || stopping) {
+      return;
+    }
+
+    stopping = true;
+    try {
+      const transcription = await session.stop();
+      const provider = audioService.getProvider(options.provider);
+      const record = await transcriptStore.add({
+        transcription,
+        metadata: {
+          fileName: `stream-${session.id}.wav`,
+          provider: provider.name,
+          model: provider.model,
+          language: options.language || 'auto-detect',
+          streaming: true,
+          timestamp: new Date().toISOString(),
+        },
+      }, { originalName: `stream-${session.id}`, apiKeyId: apiKey?.id });
+
+      send({ type: 'done', transcriptId: record.id, ...transcription });
+      ws.close(1000, 'Stream finalizado');
+    } catch (error) {
+      send({ type: 'error', fatal: true, error: 'Error al finalizar el stream', details: error.message });
+    }
+  });
+
+  ws.on('close', async () => {
+    await started;
+    if (!stopping) {
+      session.abort().catch(error => {
+        console.error(`Error al cerrar el stream ${session.id}:`, error.message);
+      });
+    }
+  });
+}
+
+/**
+ * Añade el endpoint WebSocket de transcripción en streaming al servidor HTTP
+ * @param {import('http').Server} server - Servidor HTTP de Express
+ * @returns {WebSocketServer} Servidor WebSocket creado
+ */
+export function attachStreamServer(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 1024 * 1024 });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== config.streaming.path) {
+      socket.destroy();
+      return;
+    }
+
+    let options;
+    let apiKey;
+    try {
+      apiKey = authenticate(req, url.searchParams);
+      options = parseStreamOptions(url.searchParams);
+    } catch (error) {
+      rejectUpgrade(socket, error);
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      handleConnection(ws, options, apiKey);
+    });
+  });
+
+  return wss;
+}
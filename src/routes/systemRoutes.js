@@ -1,5 +1,10 @@
 import express from 'express';
 import { config } from '../middleware/config.js';
+import { audioService, folderWatcher, tempWorkspace, tempFileSweeper } from '../services/instances.js';
+import { CircuitState } from '../services/circuitBreaker.js';
+import { PREPROCESSING_FILTERS } from '../services/audioConverter.js';
+import { ANALYSIS_TASKS } from '../services/transcriptAnalyzer.js';
+import { listEndpoints } from '../docs/openapi.js';
 
 const router = express.Router();
 
@@ -7,18 +12,47 @@ const router = express.Router();
  * GET /api/system/health
  * Endpoint de salud del sistema
  */
-router.get('/health', (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      uptime: process.uptime(),
-      memory: process.memoryUsage(),
-      version: process.version,
-    },
-    message: 'Sistema funcionando correctamente',
-  });
+router.get('/health', async (req, res, next) => {
+  const providers = Object.values(audioService.providers).map(provider => ({
+    name: provider.name,
+    circuit: provider.circuit?.stats() ?? null,
+  }));
+  const translationProviders = Object.values(audioService.translationProviders).map(provider => ({
+    name: provider.name,
+    circuit: provider.circuit?.stats() ?? null,
+  }));
+  const degraded = [...providers, ...translationProviders]
+    .some(provider => provider.circuit && provider.circuit.state !== CircuitState.CLOSED);
+
+  try {
+    // Bytes y archivos de cada directorio y espacio libre de su sistema de archivos, medidos en el último barrido
+    const { directories, at: measuredAt } = await tempFileSweeper.getDiskReport();
+
+    res.json({
+      success: true,
+      data: {
+        status: degraded ? 'degraded' : 'healthy',
+        providers,
+        translationProviders,
+        disk: {
+          directories,
+          measuredAt,
+          activeWorkspaces: tempWorkspace.active.size,
+          sweeper: {
+            enabled: tempFileSweeper.isEnabled(),
+            lastSweep: tempFileSweeper.lastSweep,
+          },
+        },
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        memory: process.memoryUsage(),
+        version: process.version,
+      },
+      message: 'Sistema funcionando correctamente',
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
@@ -32,16 +66,88 @@ router.get('/config', (req, res) => {
       server: {
         port: config.server.port,
       },
+      logging: config.logging,
+      metrics: {
+        enabled: config.metrics.enabled,
+        path: config.metrics.path,
+        protected: Boolean(config.metrics.token),
+      },
       groq: {
         model: config.groq.model,
         hasToken: !!config.groq.token,
       },
+      transcription: {
+        defaultProvider: audioService.defaultProvider,
+        providers: audioService.listProviders(),
+      },
+      translation: {
+        defaultProvider: audioService.defaultTranslationProvider ?? null,
+        providers: Object.values(audioService.translationProviders).map(provider => ({
+          name: provider.name,
+          model: provider.model,
+          capabilities: provider.capabilities(),
+        })),
+      },
+      analysis: {
+        defaultProvider: audioService.analyzer.defaultClient ?? null,
+        providers: Object.values(audioService.analyzer.clients).map(client => ({
+          name: client.name,
+          model: client.model,
+        })),
+        tasks: ANALYSIS_TASKS,
+      },
+      auth: {
+        enabled: config.auth.enabled,
+        defaultQuotas: config.auth.defaultQuotas,
+      },
+      diarization: {
+        defaultEngine: audioService.defaultDiarizationEngine,
+        engines: Object.keys(audioService.diarizationEngines),
+        maxSpeakers: config.diarization.maxSpeakers,
+      },
+      preprocessing: {
+        ...audioService.audioConverter.preprocessing,
+        filters: PREPROCESSING_FILTERS,
+        defaultFilters: audioService.preprocessFilters,
+      },
+      resilience: config.resilience,
+      concurrency: {
+        ...config.concurrency,
+        schedulers: {
+          providers: audioService.requests.stats(),
+          conversions: audioService.audioConverter.scheduler.stats(),
+        },
+      },
+      webhooks: {
+        enabled: Boolean(config.webhooks.secret),
+        maxAttempts: config.webhooks.maxAttempts,
+        retryDelay: config.webhooks.retryDelay,
+        timeout: config.webhooks.timeout,
+      },
+      watch: {
+        enabled: config.watch.enabled,
+        interval: config.watch.interval,
+        stableChecks: config.watch.stableChecks,
+        processedDir: config.watch.moveFiles ? folderWatcher.processedDir : null,
+        failedDir: config.watch.moveFiles ? folderWatcher.failedDir : null,
+        options: folderWatcher.options,
+        ...folderWatcher.stats(),
+      },
       audio: {
         maxFileSize: config.audio.maxFileSize,
         allowedFormats: config.audio.allowedFormats,
         audioDir: config.audio.audioDir,
         textsDir: config.audio.textsDir,
       },
+      batch: config.batch,
+      urlFetch: config.urlFetch,
+      cache: {
+        enabled: config.cache.enabled,
+        ttl: config.cache.ttl,
+        maxSize: config.cache.maxSize,
+        maxEntries: config.cache.maxEntries,
+      },
+      tempFiles: config.tempFiles,
     },
     message: 'Configuración del sistema',
   });
@@ -49,7 +155,7 @@ router.get('/config', (req, res) => {
 
 /**
  * GET /api/system/info
- * Información general del sistema
+ * Información general del sistema; la lista de endpoints sale del documento OpenAPI
  */
 router.get('/info', (req, res) => {
   res.json({
@@ -59,16 +165,7 @@ router.get('/info', (req, res) => {
       description: 'Servicio de transcripción de audio usando Groq API',
       version: '1.0.0',
       author: 'Tu Nombre',
-      endpoints: {
-        transcribe: 'POST /api/audio/transcribe',
-        translate: 'POST /api/audio/translate',
-        processDirectory: 'POST /api/audio/process-directory',
-        listFiles: 'GET /api/audio/files',
-        listTranscriptions: 'GET /api/audio/transcriptions',
-        getTranscription: 'GET /api/audio/transcriptions/:filename',
-        health: 'GET /api/system/health',
-        config: 'GET /api/system/config',
-      },
+      endpoints: listEndpoints(),
       groqModels: {
         'whisper-large-v3': {
           description: 'Modelo de alta precisión para transcripción y traducción multiidioma',
@@ -0,0 +1,94 @@
+import { SubtitleFormatter } from './subtitleFormatter.js';
+
+/**
+ * Formatos de salida que trabajan con los tiempos de cada palabra: alineación JSON y WebVTT karaoke
+ */
+export const WORD_FORMATS = ['alignment', 'karaoke'];
+
+/**
+ * Generador de la alineación por palabra (inicio, fin y confianza de cada palabra)
+ * a partir de transcripciones verbose_json
+ * @class AlignmentFormatter
+ */
+export class AlignmentFormatter {
+  /**
+   * Construye la alineación por palabra de una transcripción. Si el proveedor no devolvió
+   * timestamps por palabra, los tiempos se estiman repartiendo cada segmento y las palabras
+   * se marcan con `estimated`.
+   * @param {Object} transcription - Transcripción verbose_json con `segments` y opcionalmente `words`
+   * @returns {Object} `language`, `duration`, `estimated` (si alguna palabra tiene tiempos estimados) y `words`
+   * con `word`, `start`, `end`, `confidence`, `segment` y `speaker` si se diarizó
+   * @throws {Error} Si la transcripción no tiene segmentos
+   */
+  static build(transcription) {
+    if (!SubtitleFormatter.hasSegments(transcription)) {
+      throw new Error('Se requiere una transcripción verbose_json con segmentos para exportar la alineación por palabra');
+    }
+
+    const words = [];
+
+    for (const segment of transcription.segments) {
+      for (const word of SubtitleFormatter.segmentWords(segment, transcription.words)) {
+        words.push({
+          word: word.word,
+          start: AlignmentFormatter.round(word.start),
+          end: AlignmentFormatter.round(word.end),
+          confidence: AlignmentFormatter.confidence(word, segment),
+          segment: segment.id ?? null,
+          ...(segment.speaker && { speaker: segment.speaker }),
+          ...(word.estimated && { estimated: true }),
+        });
+      }
+    }
+
+    return {
+      language: transcription.language ?? null,
+      duration: transcription.duration ?? null,
+      estimated: words.some(word => word.estimated),
+      words,
+    };
+  }
+
+  /**
+   * Palabras de una transcripción que se solapan con un tramo de tiempo
+   * @param {Object} transcription - Transcripción verbose_json
+   * @param {number} [start=0] - Segundo de inicio del tramo
+   * @param {number} [end=Infinity] - Segundo de fin del tramo
+   * @returns {Object} Alineación (ver build) con solo las palabras del tramo
+   */
+  static inRange(transcription, start = 0, end = Infinity) {
+    const alignment = AlignmentFormatter.build(transcription);
+    const words = alignment.words.filter(word => word.end > start && word.start < end);
+
+    return {
+      ...alignment,
+      estimated: words.some(word => word.estimated),
+      words,
+    };
+  }
+
+  /**
+   * Confianza de una palabra: la probabilidad que dé el proveedor para la palabra o, si no
+   * la hay, la probabilidad media del segmento (exp de avg_logprob)
+   * @param {Object} word - Palabra con timestamps
+   * @param {Object} segment - Segmento que la contiene
+   * @returns {number|null} Confianza entre 0 y 1, o null si el proveedor no da ninguna
+   * @private
+   */
+  static confidence(word, segment) {
+    const value = word.probability ?? word.confidence
+      ?? (typeof segment.avg_logprob === 'number' ? Math.exp(segment.avg_logprob) : null);
+
+    return typeof value === 'number' ? Math.round(Math.min(1, Math.max(0, value)) * 1000) / 1000 : null;
+  }
+
+  /**
+   * Redondea a milisegundos
+   * @param {number} seconds - Segundos
+   * @returns {number} Segundos redondeados
+   * @private
+   */
+  static round(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+  }
+}
@@ -0,0 +1,254 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Ventana usada para limitar peticiones por minuto
+ */
+const RATE_WINDOW_MS = 60 * 1000;
+
+/**
+ * Almacén local de API keys con sus cuotas y consumo, persistido en un archivo JSON.
+ * Solo se guarda el hash SHA-256 de cada key: el valor en claro se muestra una única vez al crearla.
+ * @class ApiKeyStore
+ */
+export class ApiKeyStore {
+  /**
+   * Constructor del almacén de API keys
+   * @param {Object} [options={}] - Opciones del almacén
+   * @param {string} [options.filePath='data/api-keys.json'] - Archivo donde se persisten las keys
+   * @param {Object} [options.defaultQuotas] - Cuotas aplicadas a las keys que no indican las suyas
+   * @param {number} [options.defaultQuotas.requestsPerMinute=60] - Peticiones por minuto
+   * @param {number} [options.defaultQuotas.audioMinutesPerDay=120] - Minutos de audio por día (UTC)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || 'data/api-keys.json';
+    this.defaultQuotas = {
+      requestsPerMinute: 60,
+      audioMinutesPerDay: 120,
+      ...options.defaultQuotas,
+    };
+
+    this.keys = new Map();
+    this.requests = new Map();
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Carga las keys persistidas
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    try {
+      const records = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      for (const record of records) {
+        this.keys.set(record.id, record);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Error al cargar las API keys: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Crea una API key nueva
+   * @param {Object} params - Datos de la key
+   * @param {string} params.name - Nombre descriptivo del cliente
+   * @param {number} [params.requestsPerMinute] - Cuota de peticiones por minuto
+   * @param {number} [params.audioMinutesPerDay] - Cuota de minutos de audio por día
+   * @returns {Promise<Object>} Registro público de la key y su valor en claro (`key`)
+   */
+  async create({ name, requestsPerMinute, audioMinutesPerDay }) {
+    const key = `aak_${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+      id: crypto.randomUUID(),
+      name,
+      keyHash: ApiKeyStore.hash(key),
+      prefix: key.slice(0, 12),
+      quotas: {
+        requestsPerMinute: requestsPerMinute ?? this.defaultQuotas.requestsPerMinute,
+        audioMinutesPerDay: audioMinutesPerDay ?? this.defaultQuotas.audioMinutesPerDay,
+      },
+      usage: { day: ApiKeyStore.today(), audioSeconds: 0 },
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+    };
+
+    this.keys.set(record.id, record);
+    await this.persist();
+
+    return { ...ApiKeyStore.toPublic(record), key };
+  }
+
+  /**
+   * Revoca una API key
+   * @param {string} id - Id de la key
+   * @returns {Promise<Object|null>} Registro público de la key, o null si no existe
+   */
+  async revoke(id) {
+    const record = this.keys.get(id);
+    if (!record) {
+      return null;
+    }
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      this.requests.delete(id);
+      await this.persist();
+    }
+
+    return ApiKeyStore.toPublic(record);
+  }
+
+  /**
+   * Lista las keys registradas sin su hash
+   * @returns {Array<Object>} Registros públicos
+   */
+  list() {
+    return [...this.keys.values()].map(record => ApiKeyStore.toPublic(record));
+  }
+
+  /**
+   * Obtiene el registro de una key por su id
+   * @param {string} id - Id de la key
+   * @returns {Object|null} Registro de la key, o null si no existe
+   */
+  get(id) {
+    return this.keys.get(id) || null;
+  }
+
+  /**
+   * Busca la key activa correspondiente a un valor en claro
+   * @param {string} key - API key recibida
+   * @returns {Object|null} Registro de la key, o null si no existe o está revocada
+   */
+  verify(key) {
+    if (!key) {
+      return null;
+    }
+
+    // Se compara el hash, así que el tiempo de comparación no revela la key
+    const keyHash = ApiKeyStore.hash(key);
+    const record = [...this.keys.values()].find(candidate => candidate.keyHash === keyHash);
+    return record && !record.revokedAt ? record : null;
+  }
+
+  /**
+   * Registra una petición y comprueba la cuota de peticiones por minuto
+   * @param {Object} record - Registro de la key
+   * @returns {Object} `allowed`, peticiones `remaining` y `retryAfter` en segundos si se superó la cuota
+   */
+  consumeRequest(record) {
+    const now = Date.now();
+    const limit = record.quotas.requestsPerMinute;
+    const recent = (this.requests.get(record.id) || []).filter(time => now - time < RATE_WINDOW_MS);
+
+    if (recent.length >= limit) {
+      this.requests.set(record.id, recent);
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfter: Math.ceil((recent[0] + RATE_WINDOW_MS - now) / 1000),
+      };
+    }
+
+    recent.push(now);
+    this.requests.set(record.id, recent);
+    return { allowed: true, remaining: limit - recent.length, retryAfter: 0 };
+  }
+
+  /**
+   * Descuenta segundos de audio de la cuota diaria si caben en ella
+   * @param {Object} record - Registro de la key
+   * @param {number} seconds - Duración del audio a procesar
+   * @returns {Promise<Object>} `allowed`, segundos `usedSeconds` y `limitSeconds`, y día `day` (UTC) del descuento
+   */
+  async consumeAudio(record, seconds) {
+    const today = ApiKeyStore.today();
+    if (record.usage.day !== today) {
+      record.usage = { day: today, audioSeconds: 0 };
+    }
+
+    const limitSeconds = record.quotas.audioMinutesPerDay * 60;
+    if (record.usage.audioSeconds + seconds > limitSeconds) {
+      return { allowed: false, usedSeconds: record.usage.audioSeconds, limitSeconds, day: today };
+    }
+
+    record.usage.audioSeconds += seconds;
+    await this.persist();
+
+    return { allowed: true, usedSeconds: record.usage.audioSeconds, limitSeconds, day: today };
+  }
+
+  /**
+   * Devuelve a la cuota diaria los segundos descontados por archivos que no se llegaron a procesar.
+   * Los archivos devueltos se quitan del cargo, así que cada uno se reembolsa una sola vez;
+   * si el día ha cambiado desde el descuento no hay nada que devolver.
+   * @param {Object} record - Registro de la key
+   * @param {Object} charge - Cargo `{ day, files }` con los segundos descontados por archivo
+   * @param {Array<string>} [filePaths] - Archivos a reembolsar; por defecto todos los del cargo
+   * @returns {Promise<number>} Segundos devueltos
+   */
+  async refundAudio(record, charge, filePaths = Object.keys(charge.files)) {
+    let seconds = 0;
+    for (const filePath of filePaths) {
+      seconds += charge.files[filePath] || 0;
+      delete charge.files[filePath];
+    }
+
+    if (seconds <= 0 || record.usage.day !== charge.day) {
+      return 0;
+    }
+
+    record.usage.audioSeconds = Math.max(0, record.usage.audioSeconds - seconds);
+    await this.persist();
+    return seconds;
+  }
+
+  /**
+   * Encadena la escritura del archivo para que las actualizaciones lleguen a disco en orden
+   * @returns {Promise<void>}
+   * @private
+   */
+  persist() {
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      const temporary = `${this.filePath}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify([...this.keys.values()], null, 2), 'utf8');
+      await fs.rename(temporary, this.filePath);
+    });
+    return this.writing;
+  }
+
+  /**
+   * Hash con el que se guarda una key
+   * @param {string} key - API key en claro
+   * @returns {string} SHA-256 en hexadecimal
+   * @private
+   */
+  static hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Día actual (UTC) usado para reiniciar la cuota de audio
+   * @returns {string} Fecha YYYY-MM-DD
+   * @private
+   */
+  static today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  /**
+   * Elimina el hash de un registro antes de exponerlo
+   * @param {Object} record - Registro de la key
+   * @returns {Object} Registro sin `keyHash`
+   * @private
+   */
+  static toPublic(record) {
+    const { keyHash, ...rest } = record;
+    return rest;
+  }
+}
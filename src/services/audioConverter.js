@@ -1,112 +1,392 @@
 import ffmpeg from 'fluent-ffmpeg';
 import fs from 'fs/promises';
 import path from 'path';
+import { Scheduler } from './scheduler.js';
+import { SilenceMap } from './silenceMap.js';
+import { metrics } from './metrics.js';
 
 /**
- * Servicio para convertir archivos de audio a formatos compatibles con Groq
+ * Extensiones de archivo aceptadas como entrada (audio y video con pista de audio)
+ */
+export const SUPPORTED_INPUT_FORMATS = [
+  'mp3', 'wav', 'm4a', 'flac', 'ogg', 'opus', 'webm', 'mp4', 'mpeg', 'mpga',
+  'aac', 'wma', 'amr', 'mka', 'mkv', 'mov', 'avi',
+];
+
+/**
+ * Formatos de salida de la normalización
+ */
+export const TARGET_FORMATS = {
+  flac: { extension: 'flac', codec: 'flac', container: 'flac' },
+  ogg: { extension: 'ogg', codec: 'libopus', container: 'ogg', bitrate: '32k' },
+};
+
+/**
+ * Filtros de preprocesado disponibles, en el orden en que se aplican:
+ * reducción de ruido (highpass + afftdn), recorte de silencios y normalización de volumen (loudnorm)
+ */
+export const PREPROCESSING_FILTERS = ['denoise', 'silence', 'loudnorm'];
+
+/**
+ * Servicio para normalizar archivos de audio a formatos compatibles con el proveedor
  * @class AudioConverter
  */
 export class AudioConverter {
   /**
    * Constructor del convertidor de audio
+   * @param {Object} [options={}] - Opciones de normalización
+   * @param {string} [options.targetFormat='flac'] - Formato de salida habitual ('flac' u 'ogg')
+   * @param {string} [options.compactFormat='ogg'] - Formato de salida cuando el archivo supera el tamaño del proveedor
+   * @param {number} [options.concurrency=2] - Procesos de FFmpeg de conversión ejecutados a la vez
+   * @param {Object} [options.preprocessing] - Parámetros de los filtros de preprocesado
+   * @param {number} [options.preprocessing.silenceThreshold=-40] - Nivel en dB por debajo del cual se considera silencio
+   * @param {number} [options.preprocessing.minSilence=1] - Segundos mínimos de un silencio para recortarlo
+   * @param {number} [options.preprocessing.silencePadding=0.25] - Segundos de silencio conservados junto a la voz
+   * @param {number} [options.preprocessing.loudness=-16] - Sonoridad integrada objetivo en LUFS
+   * @param {number} [options.preprocessing.highpass=100] - Frecuencia de corte en Hz del filtro de graves
+   * @param {number} [options.preprocessing.noiseFloor=-25] - Nivel de ruido en dB para afftdn
    */
-  constructor() {
+  constructor(options = {}) {
     this.sampleRate = 16000; // Recomendado por Groq para speech-to-text
     this.channels = 1; // Mono recomendado por Groq
+    this.targetFormat = options.targetFormat || 'flac';
+    this.compactFormat = options.compactFormat || 'ogg';
+    this.scheduler = new Scheduler({ name: 'conversiones', concurrency: options.concurrency || 2 });
+    this.preprocessing = {
+      silenceThreshold: -40,
+      minSilence: 1,
+      silencePadding: 0.25,
+      loudness: -16,
+      highpass: 100,
+      noiseFloor: -25,
+      ...options.preprocessing,
+    };
   }
 
   /**
-   * Determina si un archivo necesita conversión
+   * Convierte el parámetro de filtros de una petición ('denoise,silence' o array) en una lista
+   * @param {string|Array<string>} [value] - Filtros pedidos; 'none' desactiva los filtros por defecto
+   * @returns {Array<string>|undefined} Filtros pedidos, o undefined si no se indicó ninguno
+   */
+  static parseFilters(value) {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+
+    const filters = (Array.isArray(value) ? value : String(value).split(','))
+      .map(filter => String(filter).trim())
+      .filter(Boolean);
+
+    return filters.includes('none') ? [] : filters;
+  }
+
+  /**
+   * Determina por qué un archivo necesita conversión para el proveedor
    * @param {string} filePath - Ruta al archivo
-   * @returns {boolean} True si necesita conversión
+   * @param {Object|null} info - Información de getAudioInfo, o null si no se pudo analizar
+   * @param {Object} [capabilities={}] - Capacidades del proveedor (`acceptedFormats`, `acceptedCodecs`, `maxFileSize`)
+   * @returns {Array<string>} Motivos de conversión; vacío si el archivo ya es compatible
    */
-  needsConversion(filePath) {
-    const extension = path.extname(filePath).toLowerCase();
-    return extension === '.opus';
+  needsConversion(filePath, info, capabilities = {}) {
+    const { acceptedFormats = null, acceptedCodecs = null, maxFileSize = Infinity } = capabilities;
+    const extension = path.extname(filePath).toLowerCase().substring(1);
+    const reasons = [];
+
+    if (acceptedFormats && !acceptedFormats.includes(extension)) {
+      reasons.push('container');
+    }
+
+    // Sin análisis solo se puede decidir por la extensión
+    if (!info) {
+      return reasons;
+    }
+
+    if (info.hasVideo) {
+      reasons.push('video');
+    }
+    if (acceptedCodecs && info.audio && !acceptedCodecs.includes(info.audio.codec)) {
+      reasons.push('codec');
+    }
+    if (info.size > maxFileSize) {
+      reasons.push('size');
+    }
+
+    return reasons;
   }
 
   /**
-   * Convierte un archivo .opus a .mp4 manteniendo el mismo nombre base
-   * @param {string} inputPath - Ruta del archivo .opus
-   * @returns {Promise<string>} Ruta del archivo .mp4 convertido
+   * Transcodifica un archivo a audio compacto 16KHz mono sin pista de video
+   * @param {string} inputPath - Ruta del archivo de origen
+   * @param {string} [format='flac'] - Formato de salida ('flac' u 'ogg' con Opus)
+   * @param {string} [outputDirectory] - Directorio del archivo normalizado (por defecto, el del original)
+   * @returns {Promise<string>} Ruta del archivo normalizado
    */
-  async convertOpusToMp4(inputPath) {
+  async normalizeAudio(inputPath, format = this.targetFormat, outputDirectory = path.dirname(inputPath)) {
+    const target = TARGET_FORMATS[format];
+    if (!target) {
+      throw new Error(`Formato de normalización no soportado: ${format}`);
+    }
+
     try {
       // Verificar que el archivo existe
       await fs.access(inputPath);
 
-      // Generar ruta de salida con mismo nombre pero extensión .mp4
-      const directory = path.dirname(inputPath);
-      const fileName = path.basename(inputPath, '.opus');
-      const outputPath = path.join(directory, `${fileName}.mp4`);
-
-      console.log(`🔄 Convirtiendo ${path.basename(inputPath)} a MP4...`);
-
-      return new Promise((resolve, reject) => {
-        ffmpeg(inputPath)
-          // Configuración de audio optimizada para speech-to-text
-          .audioCodec('aac')           // Codec AAC compatible con MP4
-          .audioFrequency(this.sampleRate)  // 16KHz recomendado por Groq
-          .audioChannels(this.channels)     // Mono
-          .audioBitrate('128k')        // Bitrate moderado
-          // Configuración de video (necesario para MP4, pero mínimo)
-          .videoCodec('libx264')       // Codec de video H.264
-          .videoFilter('color=black:size=320x240:duration=0.1') // Video negro mínimo
-          .fps(1)                      // 1 FPS mínimo
-          .format('mp4')
+      // Generar ruta de salida con el mismo nombre base
+      const fileName = path.parse(inputPath).name;
+      const outputName = `${fileName}.normalized.${target.extension}`;
+      const outputPath = path.join(outputDirectory, outputName);
+
+      console.log(`🔄 Normalizando ${path.basename(inputPath)} a ${format.toUpperCase()} 16KHz mono...`);
+
+      return await this.scheduler.run(() => new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath)
+          .noVideo()                         // Descartar video y carátulas
+          .audioCodec(target.codec)
+          .audioFrequency(this.sampleRate)   // 16KHz recomendado por Groq
+          .audioChannels(this.channels)      // Mono
+          .format(target.container);
+
+        if (target.bitrate) {
+          command.audioBitrate(target.bitrate);
+        }
+
+        command
           .on('start', (commandLine) => {
             console.log(`📝 Comando FFmpeg: ${commandLine}`);
           })
           .on('progress', (progress) => {
             if (progress.percent) {
-              console.log(`⏳ Progreso: ${Math.round(progress.percent)}% - ${fileName}.mp4`);
+              console.log(`⏳ Progreso: ${Math.round(progress.percent)}% - ${outputName}`);
             }
           })
           .on('end', () => {
-            console.log(`✅ Conversión completada: ${fileName}.mp4`);
+            console.log(`✅ Normalización completada: ${outputName}`);
             resolve(outputPath);
           })
           .on('error', (err) => {
-            console.error(`❌ Error en conversión de ${fileName}: ${err.message}`);
+            console.error(`❌ Error normalizando ${fileName}: ${err.message}`);
             reject(new Error(`Error convirtiendo ${inputPath}: ${err.message}`));
           })
           .save(outputPath);
-      });
+      }));
 
     } catch (error) {
-      throw new Error(`Error al convertir archivo OPUS: ${error.message}`);
+      throw new Error(`Error al normalizar archivo: ${error.message}`);
     }
   }
 
   /**
-   * Procesa un archivo de audio: convierte si es .opus o devuelve la ruta original
+   * Aplica filtros de preprocesado a un audio y lo guarda como audio 16KHz mono.
+   * Con el filtro 'silence' primero se detectan los silencios y después se eliminan
+   * con aselect, de modo que se conoce exactamente qué tramos desaparecen.
+   * @param {string} inputPath - Ruta del audio (normalmente ya normalizado)
+   * @param {Array<string>} filters - Filtros a aplicar (ver PREPROCESSING_FILTERS)
+   * @param {string} [format='flac'] - Formato de salida ('flac' u 'ogg' con Opus)
+   * @param {string} [outputDirectory] - Directorio del audio preprocesado (por defecto, el de la entrada)
+   * @returns {Promise<Object>} `path` del audio preprocesado, `filters` aplicados en orden y
+   * `silenceMap` (SilenceMap, o null sin el filtro 'silence')
+   */
+  async preprocessAudio(inputPath, filters, format = this.targetFormat, outputDirectory = path.dirname(inputPath)) {
+    const target = TARGET_FORMATS[format];
+    if (!target) {
+      throw new Error(`Formato de normalización no soportado: ${format}`);
+    }
+
+    const unknown = filters.filter(filter => !PREPROCESSING_FILTERS.includes(filter));
+    if (unknown.length > 0) {
+      throw new Error(`Filtros de preprocesado no soportados: ${unknown.join(', ')}`);
+    }
+
+    const applied = PREPROCESSING_FILTERS.filter(filter => filters.includes(filter));
+    const fileName = path.parse(inputPath).name.replace(/\.normalized$/, '');
+    const outputName = `${fileName}.preprocessed.${target.extension}`;
+    const outputPath = path.join(outputDirectory, outputName);
+    const scriptPath = path.join(outputDirectory, `${fileName}.filters.txt`);
+
+    try {
+      await fs.access(inputPath);
+
+      let silenceMap = null;
+      if (applied.includes('silence')) {
+        const { duration } = await this.getAudioInfo(inputPath);
+        const silences = await this.detectSilences(inputPath, applied);
+        silenceMap = SilenceMap.fromSilences(silences, duration, { padding: this.preprocessing.silencePadding });
+        console.log(`🔇 ${silenceMap.removed.length} silencios detectados en ${path.basename(inputPath)} (${silenceMap.removedDuration}s)`);
+      }
+
+      console.log(`🎚️  Preprocesando ${path.basename(inputPath)} (${applied.join(', ')})...`);
+
+      // La cadena se pasa en un archivo con -filter_script: con muchos silencios la expresión
+      // de aselect superaría el tamaño máximo de un argumento de la línea de comandos
+      const chain = this.buildFilterChain(applied, silenceMap);
+      if (chain.length > 0) {
+        await fs.writeFile(scriptPath, chain.join(','), 'utf8');
+      }
+
+      await this.scheduler.run(() => new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath)
+          .noVideo()
+          .audioCodec(target.codec)
+          .audioFrequency(this.sampleRate)
+          .audioChannels(this.channels)
+          .format(target.container);
+
+        if (target.bitrate) {
+          command.audioBitrate(target.bitrate);
+        }
+        if (chain.length > 0) {
+          command.outputOptions('-filter_script:a', scriptPath);
+        }
+
+        command
+          .on('start', (commandLine) => {
+            console.log(`📝 Comando FFmpeg: ${commandLine}`);
+          })
+          .on('end', () => {
+            console.log(`✅ Preprocesado completado: ${outputName}`);
+            resolve();
+          })
+          .on('error', (err) => {
+            reject(new Error(`Error preprocesando ${path.basename(inputPath)}: ${err.message}`));
+          })
+          .save(outputPath);
+      }));
+
+      return { path: outputPath, filters: applied, silenceMap };
+
+    } catch (error) {
+      throw new Error(`Error al preprocesar archivo: ${error.message}`, { cause: error });
+    } finally {
+      await fs.rm(scriptPath, { force: true });
+    }
+  }
+
+  /**
+   * Detecta los silencios de un audio con silencedetect, después de la reducción de ruido
+   * si se aplica, para que el ruido de fondo no se confunda con voz
+   * @param {string} inputPath - Ruta del audio
+   * @param {Array<string>} filters - Filtros que se aplicarán
+   * @returns {Promise<Array<Object>>} Silencios `{ start, end }` (end null si llega al final)
+   * @private
+   */
+  async detectSilences(inputPath, filters) {
+    const { silenceThreshold, minSilence } = this.preprocessing;
+    const chain = [
+      ...this.buildFilterChain(filters.filter(filter => filter === 'denoise')),
+      `silencedetect=noise=${silenceThreshold}dB:d=${minSilence}`,
+    ];
+
+    return this.scheduler.run(() => new Promise((resolve, reject) => {
+      const silences = [];
+
+      ffmpeg(inputPath)
+        .noVideo()
+        .audioFilters(chain)
+        .format('null')
+        .on('stderr', (line) => {
+          const start = line.match(/silence_start: (-?[\d.]+)/);
+          const end = line.match(/silence_end: (-?[\d.]+)/);
+          if (start) {
+            silences.push({ start: Math.max(0, parseFloat(start[1])), end: null });
+          } else if (end && silences.length > 0) {
+            silences[silences.length - 1].end = parseFloat(end[1]);
+          }
+        })
+        .on('end', () => resolve(silences))
+        .on('error', (err) => {
+          reject(new Error(`Error detectando silencios en ${path.basename(inputPath)}: ${err.message}`));
+        })
+        .save('/dev/null');
+    }));
+  }
+
+  /**
+   * Cadena de filtros de FFmpeg para los filtros de preprocesado indicados
+   * @param {Array<string>} filters - Filtros en el orden de PREPROCESSING_FILTERS
+   * @param {SilenceMap|null} [silenceMap=null] - Tramos a eliminar con el filtro 'silence'
+   * @returns {Array<string>} Filtros de audio de FFmpeg
+   * @private
+   */
+  buildFilterChain(filters, silenceMap = null) {
+    const { highpass, noiseFloor, loudness } = this.preprocessing;
+    const chain = [];
+
+    if (filters.includes('denoise')) {
+      chain.push(`highpass=f=${highpass}`, `afftdn=nf=${noiseFloor}`);
+    }
+
+    if (filters.includes('silence') && silenceMap?.removed.length > 0) {
+      const kept = silenceMap.keptRanges()
+        .map(range => `between(t,${range.start},${range.end})`)
+        .join('+');
+      chain.push(`aselect='${kept || 0}'`, 'asetpts=N/SR/TB');
+    }
+
+    if (filters.includes('loudnorm')) {
+      chain.push(`loudnorm=I=${loudness}:TP=-1.5:LRA=11`);
+    }
+
+    return chain;
+  }
+
+  /**
+   * Procesa un archivo de audio: lo analiza y lo normaliza si el proveedor no lo acepta
    * @param {string} filePath - Ruta del archivo
+   * @param {Object} [capabilities={}] - Capacidades del proveedor de destino
+   * @param {string} [outputDirectory] - Directorio del archivo normalizado (por defecto, el del original)
    * @returns {Promise<Object>} Resultado del procesamiento
    */
-  async processAudioFile(filePath) {
+  async processAudioFile(filePath, capabilities = {}, outputDirectory = path.dirname(filePath)) {
     try {
-      if (this.needsConversion(filePath)) {
-        console.log(`🔄 Archivo ${path.basename(filePath)} necesita conversión de OPUS a MP4`);
-        
-        const convertedPath = await this.convertOpusToMp4(filePath);
-        
-        return {
-          success: true,
-          originalPath: filePath,
-          processedPath: convertedPath,
-          wasConverted: true,
-          originalFormat: 'opus',
-          targetFormat: 'mp4'
-        };
-      } else {
+      let info = null;
+      try {
+        info = await this.getAudioInfo(filePath);
+      } catch (error) {
+        console.warn(`⚠️  No se pudo analizar ${path.basename(filePath)}, se decide por la extensión: ${error.message}`);
+      }
+
+      if (info && !info.audio) {
+        throw new Error(`${path.basename(filePath)} no contiene ninguna pista de audio`);
+      }
+
+      const reasons = this.needsConversion(filePath, info, capabilities);
+      const originalFormat = path.extname(filePath).toLowerCase().substring(1);
+
+      if (reasons.length === 0) {
         console.log(`✅ Archivo ${path.basename(filePath)} ya es compatible`);
+        metrics.conversions.inc({ format: originalFormat, outcome: 'skipped' });
         return {
           success: true,
           originalPath: filePath,
           processedPath: filePath,
-          wasConverted: false
+          wasConverted: false,
+          audioInfo: info,
         };
       }
+
+      // Los archivos demasiado grandes se comprimen con Opus en lugar de FLAC
+      const targetFormat = reasons.includes('size') ? this.compactFormat : this.targetFormat;
+      console.log(`🔄 Archivo ${path.basename(filePath)} necesita conversión (${reasons.join(', ')})`);
+
+      let convertedPath;
+      try {
+        convertedPath = await this.normalizeAudio(filePath, targetFormat, outputDirectory);
+      } catch (error) {
+        metrics.conversions.inc({ format: targetFormat, outcome: 'failed' });
+        throw error;
+      }
+      metrics.conversions.inc({ format: targetFormat, outcome: 'converted' });
+
+      return {
+        success: true,
+        originalPath: filePath,
+        processedPath: convertedPath,
+        wasConverted: true,
+        originalFormat,
+        targetFormat,
+        reasons,
+        audioInfo: info,
+      };
     } catch (error) {
       return {
         success: false,
@@ -117,6 +397,71 @@ export class AudioConverter {
     }
   }
 
+  /**
+   * Decodifica un archivo o stream a PCM de 16 bits, 16KHz mono como stream
+   * @param {string|import('stream').Readable} input - Ruta del archivo o stream con el audio
+   * @param {Object} [inputOptions={}] - Descripción de la entrada cuando ffmpeg no puede detectarla (streams)
+   * @param {string} [inputOptions.format] - Demuxer de entrada (ej: 'matroska', 'ogg', 's16le')
+   * @param {number} [inputOptions.sampleRate] - Frecuencia de muestreo de una entrada PCM
+   * @param {number} [inputOptions.channels] - Canales de una entrada PCM
+   * @returns {import('stream').Readable} Stream con muestras s16le
+   */
+  createPcmStream(input, inputOptions = {}) {
+    const command = ffmpeg(input);
+
+    if (inputOptions.format) {
+      command.inputFormat(inputOptions.format);
+    }
+    if (inputOptions.sampleRate) {
+      command.inputOptions(['-ar', String(inputOptions.sampleRate)]);
+    }
+    if (inputOptions.channels) {
+      command.inputOptions(['-ac', String(inputOptions.channels)]);
+    }
+
+    command
+      .noVideo()
+      .audioFrequency(this.sampleRate)
+      .audioChannels(this.channels)
+      .format('s16le');
+
+    const name = typeof input === 'string' ? path.basename(input) : 'stream de audio';
+    const stream = command.pipe();
+    command.on('error', (err) => {
+      stream.destroy(new Error(`Error decodificando ${name}: ${err.message}`));
+    });
+
+    return stream;
+  }
+
+  /**
+   * Empaqueta muestras PCM de 16 bits en un archivo WAV
+   * @param {Buffer} pcm - Muestras s16le
+   * @param {number} [sampleRate=16000] - Frecuencia de muestreo
+   * @param {number} [channels=1] - Número de canales
+   * @returns {Buffer} Contenido del archivo WAV
+   */
+  static encodeWav(pcm, sampleRate = 16000, channels = 1) {
+    const header = Buffer.alloc(44);
+    const byteRate = sampleRate * channels * 2;
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16); // Tamaño del bloque fmt
+    header.writeUInt16LE(1, 20); // PCM sin comprimir
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(byteRate, 28);
+    header.writeUInt16LE(channels * 2, 32);
+    header.writeUInt16LE(16, 34); // Bits por muestra
+    header.write('data', 36);
+    header.writeUInt32LE(pcm.length, 40);
+
+    return Buffer.concat([header, pcm]);
+  }
+
   /**
    * Obtiene información de un archivo de audio usando ffprobe
    * @param {string} filePath - Ruta del archivo
@@ -129,12 +474,17 @@ export class AudioConverter {
           reject(new Error(`Error obteniendo información del audio: ${err.message}`));
         } else {
           const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
+          // Las carátulas de los audios aparecen como pistas de video adjuntas
+          const hasVideo = metadata.streams.some(stream => 
+            stream.codec_type === 'video' && !stream.disposition?.attached_pic
+          );
           
           resolve({
             duration: parseFloat(metadata.format.duration) || 0,
             format: metadata.format.format_name,
             size: parseInt(metadata.format.size) || 0,
             bitrate: parseInt(metadata.format.bit_rate) || 0,
+            hasVideo,
             audio: audioStream ? {
               codec: audioStream.codec_name,
               sampleRate: parseInt(audioStream.sample_rate) || 0,
@@ -147,6 +497,77 @@ export class AudioConverter {
     });
   }
 
+  /**
+   * Extrae un tramo de un archivo de audio como FLAC 16KHz mono
+   * @param {string} inputPath - Ruta del archivo de origen
+   * @param {string} outputPath - Ruta del archivo de salida (.flac)
+   * @param {number} start - Segundo de inicio del tramo
+   * @param {number} duration - Duración del tramo en segundos
+   * @returns {Promise<string>} Ruta del archivo generado
+   */
+  async extractSegment(inputPath, outputPath, start, duration) {
+    return this.scheduler.run(() => new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .setStartTime(start)
+        .duration(duration)
+        .noVideo()
+        .audioCodec('flac')
+        .audioFrequency(this.sampleRate)
+        .audioChannels(this.channels)
+        .format('flac')
+        .on('end', () => resolve(outputPath))
+        .on('error', (err) => {
+          reject(new Error(`Error extrayendo tramo ${start}s de ${path.basename(inputPath)}: ${err.message}`));
+        })
+        .save(outputPath);
+    }));
+  }
+
+  /**
+   * Divide un archivo de audio en fragmentos solapados
+   * @param {string} inputPath - Ruta del archivo de audio
+   * @param {string} outputDirectory - Directorio donde guardar los fragmentos
+   * @param {Object} [options={}] - Opciones de división
+   * @param {number} [options.chunkDuration=600] - Duración de cada fragmento en segundos
+   * @param {number} [options.overlap=5] - Solapamiento entre fragmentos consecutivos en segundos
+   * @returns {Promise<Array<Object>>} Fragmentos generados con su ruta, índice, inicio y duración
+   */
+  async splitIntoChunks(inputPath, outputDirectory, options = {}) {
+    const { chunkDuration = 600, overlap = 5 } = options;
+
+    if (overlap >= chunkDuration) {
+      throw new Error('El solapamiento debe ser menor que la duración del fragmento');
+    }
+
+    const { duration } = await this.getAudioInfo(inputPath);
+    if (!duration) {
+      throw new Error(`No se pudo determinar la duración de ${path.basename(inputPath)}`);
+    }
+
+    await fs.mkdir(outputDirectory, { recursive: true });
+
+    const step = chunkDuration - overlap;
+    const baseName = path.parse(inputPath).name;
+    const chunks = [];
+
+    for (let index = 0, start = 0; start < duration; index++, start += step) {
+      const chunkLength = Math.min(chunkDuration, duration - start);
+      const outputPath = path.join(outputDirectory, `${baseName}.chunk${String(index).padStart(3, '0')}.flac`);
+
+      console.log(`✂️  Generando fragmento ${index + 1} (${start}s - ${Math.round(start + chunkLength)}s)`);
+      await this.extractSegment(inputPath, outputPath, start, chunkLength);
+
+      chunks.push({ path: outputPath, index, start, duration: chunkLength });
+
+      // El último fragmento ya cubre el final del audio
+      if (start + chunkDuration >= duration) {
+        break;
+      }
+    }
+
+    return chunks;
+  }
+
   /**
    * Valida que FFmpeg esté instalado y disponible
    * @returns {Promise<boolean>} True si FFmpeg está disponible
@@ -169,29 +590,27 @@ export class AudioConverter {
   }
 
   /**
-   * Convierte múltiples archivos .opus en un directorio
+   * Normaliza todos los archivos de un directorio que el proveedor no acepta, en paralelo
+   * hasta el límite de conversiones simultáneas
    * @param {string} directoryPath - Ruta del directorio
+   * @param {Object} [capabilities={}] - Capacidades del proveedor de destino
    * @returns {Promise<Array>} Resultados de las conversiones
    */
-  async convertOpusFilesInDirectory(directoryPath) {
+  async normalizeFilesInDirectory(directoryPath, capabilities = {}) {
     try {
       const files = await fs.readdir(directoryPath);
-      const opusFiles = files.filter(file => path.extname(file).toLowerCase() === '.opus');
+      const inputFiles = files.filter(file => 
+        SUPPORTED_INPUT_FORMATS.includes(path.extname(file).toLowerCase().substring(1))
+      );
       
-      console.log(`📁 Encontrados ${opusFiles.length} archivos OPUS en ${directoryPath}`);
+      console.log(`📁 Encontrados ${inputFiles.length} archivos en ${directoryPath}`);
       
-      const results = [];
-      
-      for (const file of opusFiles) {
-        const filePath = path.join(directoryPath, file);
-        const result = await this.processAudioFile(filePath);
-        results.push(result);
-      }
-      
-      return results;
+      // processAudioFile no lanza errores y cada conversión espera su turno en this.scheduler
+      return await Promise.all(inputFiles.map(file => 
+        this.processAudioFile(path.join(directoryPath, file), capabilities)
+      ));
     } catch (error) {
       throw new Error(`Error procesando directorio: ${error.message}`);
     }
   }
 }
-
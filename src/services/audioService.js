@@ -1,30 +1,210 @@
-import Groq from 'groq-sdk';
 import fs from 'fs/promises';
-import fsSync from 'fs';
 import path from 'path';
-import { AudioConverter } from './audioConverter.js';
+import { AudioConverter, SUPPORTED_INPUT_FORMATS, PREPROCESSING_FILTERS } from './audioConverter.js';
+import { TranscriptMerger } from './transcriptMerger.js';
+import { SubtitleFormatter, SUBTITLE_FORMATS } from './subtitleFormatter.js';
+import { AlignmentFormatter, WORD_FORMATS } from './alignmentFormatter.js';
+import { Scheduler } from './scheduler.js';
+import { ProcessingManifest } from './processingManifest.js';
+import { metrics } from './metrics.js';
+import { ResultCache } from './resultCache.js';
+import { TempWorkspace } from './tempWorkspace.js';
+import { TranscriptAnalyzer } from './transcriptAnalyzer.js';
+import { hashFile, hashObject } from '../utils/fileHash.js';
+import { TranscriptionProvider } from '../providers/transcription/index.js';
+import { DiarizationEngine } from '../providers/diarization/index.js';
+import { TranslationProvider } from '../providers/translation/index.js';
+import { LlmClient } from '../providers/llm/index.js';
 
 /**
- * Servicio para manejar la transcripción de archivos de audio usando la API de Groq
+ * Formatos en los que se puede guardar o exportar una transcripción
+ */
+export const OUTPUT_FORMATS = ['txt', 'json', ...SUBTITLE_FORMATS, 'alignment'];
+
+/**
+ * Extensión de los archivos de los formatos cuyo nombre no coincide con ella
+ */
+const FORMAT_EXTENSIONS = {
+  alignment: 'alignment.json',
+  karaoke: 'karaoke.vtt',
+};
+
+/**
+ * Opciones que cambian el resultado de una transcripción y forman parte de su huella en el manifiesto
+ */
+const FINGERPRINT_OPTIONS = [
+  'language', 'prompt', 'responseFormat', 'timestampGranularities', 'temperature',
+  'diarize', 'numSpeakers', 'diarizationEngine', 'format',
+];
+
+/**
+ * Servicio para manejar la transcripción de archivos de audio con proveedores intercambiables
  * @class AudioService
  */
 export class AudioService {
   /**
    * Constructor del servicio de audio
-   * @param {string} groqToken - Token de autenticación para la API de Groq
-   * @param {string} [model='whisper-large-v3-turbo'] - Modelo de Whisper a utilizar
+   * @param {Object<string, TranscriptionProvider>|TranscriptionProvider} providers - Proveedores de transcripción
+   * indexados por nombre, o un único proveedor
+   * @param {Object} [options={}] - Opciones adicionales del servicio
+   * @param {string} [options.defaultProvider] - Proveedor usado cuando la petición no indica ninguno
+   * @param {Object} [options.chunking] - Configuración de división de audios largos
+   * @param {number} [options.chunking.maxFileSize=26214400] - Tamaño a partir del cual se divide el audio
+   * @param {number} [options.chunking.chunkDuration=600] - Duración de cada fragmento en segundos
+   * @param {number} [options.chunking.overlap=5] - Solapamiento entre fragmentos en segundos
+   * @param {Object} [options.subtitles] - Opciones de maquetación de subtítulos (ver SubtitleFormatter.buildCues)
+   * @param {Object} [options.conversion] - Formatos de normalización (ver AudioConverter)
+   * @param {Object} [options.preprocessing] - Parámetros de los filtros de preprocesado (ver AudioConverter)
+   * @param {Array<string>} [options.preprocessing.filters=[]] - Filtros aplicados cuando la petición no indica ninguno
+   * @param {Object<string, DiarizationEngine>} [options.diarizationEngines] - Motores de diarización indexados por nombre
+   * @param {string} [options.defaultDiarizationEngine] - Motor usado cuando la petición no indica ninguno
+   * @param {Object} [options.concurrency] - Límites de paralelismo
+   * @param {number} [options.concurrency.files=4] - Archivos de un directorio procesados a la vez
+   * @param {number} [options.concurrency.requests=4] - Peticiones simultáneas a los proveedores
+   * @param {number} [options.concurrency.maxRetries=3] - Reintentos de una petición limitada por tasa (429)
+   * @param {number} [options.concurrency.retryDelay=1000] - Espera base en ms si el 429 no trae retry-after
+   * @param {ProcessingManifest} [options.manifest] - Manifiesto con el que processAudioDirectory omite los archivos ya procesados
+   * @param {ResultCache} [options.cache] - Caché de resultados consultada antes de transcribir o traducir
+   * @param {TempWorkspace} [options.workspace] - Espacio de trabajo de los archivos intermedios
+   * @param {Object<string, TranslationProvider>} [options.translationProviders] - Proveedores de traducción de texto indexados por nombre
+   * @param {string} [options.defaultTranslationProvider] - Proveedor de traducción usado cuando la petición no indica ninguno
+   * @param {Object<string, LlmClient>} [options.analysisClients] - Modelos de lenguaje del análisis de transcripciones indexados por nombre
+   * @param {string} [options.defaultAnalysisClient] - Modelo de análisis usado cuando la petición no indica ninguno
+   * @param {number} [options.analysisChunkChars] - Caracteres de segmentos enviados como máximo en cada petición de análisis
    */
-  constructor(groqToken, model = 'whisper-large-v3-turbo') {
-    if (!groqToken) {
-      throw new Error('El token de Groq es requerido');
+  constructor(providers, options = {}) {
+    this.providers = providers instanceof TranscriptionProvider
+      ? { [providers.name]: providers }
+      : { ...providers };
+
+    const available = Object.keys(this.providers);
+    if (available.length === 0) {
+      throw new Error('Se requiere al menos un proveedor de transcripción configurado');
+    }
+
+    this.defaultProvider = options.defaultProvider || available[0];
+    if (!this.providers[this.defaultProvider]) {
+      throw new Error(`El proveedor por defecto '${this.defaultProvider}' no está configurado. Disponibles: ${available.join(', ')}`);
     }
     
-    this.client = new Groq({
-      apiKey: groqToken,
+    this.chunking = {
+      maxFileSize: 26214400,
+      chunkDuration: 600,
+      overlap: 5,
+      ...options.chunking,
+    };
+    this.subtitles = options.subtitles || {};
+    this.concurrency = {
+      files: 4,
+      requests: 4,
+      ...options.concurrency,
+    };
+    this.audioConverter = new AudioConverter({ ...options.conversion, preprocessing: options.preprocessing });
+    this.preprocessFilters = options.preprocessing?.filters || [];
+    this.manifest = options.manifest || null;
+    this.cache = options.cache || null;
+    this.workspace = options.workspace || new TempWorkspace();
+    // Todas las llamadas a proveedores comparten planificador, así un 429 pausa también las demás
+    this.requests = new Scheduler({
+      name: 'proveedores',
+      concurrency: this.concurrency.requests,
+      maxRetries: this.concurrency.maxRetries,
+      retryDelay: this.concurrency.retryDelay,
     });
-    
-    this.model = model;
-    this.audioConverter = new AudioConverter();
+    this.diarizationEngines = { ...options.diarizationEngines };
+    this.defaultDiarizationEngine = options.defaultDiarizationEngine || Object.keys(this.diarizationEngines)[0];
+    this.translationProviders = { ...options.translationProviders };
+    // Sin configuración explícita se traduce con el mismo servicio que transcribe, si lo hay
+    this.defaultTranslationProvider = options.defaultTranslationProvider
+      || (this.translationProviders[this.defaultProvider] ? this.defaultProvider : Object.keys(this.translationProviders)[0]);
+    const analysisClients = { ...options.analysisClients };
+    this.analyzer = new TranscriptAnalyzer(analysisClients, {
+      defaultClient: options.defaultAnalysisClient || (analysisClients[this.defaultProvider] ? this.defaultProvider : undefined),
+      scheduler: this.requests,
+      chunkChars: options.analysisChunkChars,
+    });
+  }
+
+  /**
+   * Indica si hay un motor de diarización registrado con ese nombre
+   * @param {string} name - Nombre del motor
+   * @returns {boolean} True si el motor está disponible
+   */
+  hasDiarizationEngine(name) {
+    return Object.prototype.hasOwnProperty.call(this.diarizationEngines, name);
+  }
+
+  /**
+   * Obtiene un motor de diarización por nombre o el motor por defecto
+   * @param {string} [name] - Nombre del motor
+   * @returns {DiarizationEngine} Motor de diarización
+   * @throws {Error} Si el motor no está registrado
+   */
+  getDiarizationEngine(name) {
+    const engineName = name || this.defaultDiarizationEngine;
+    if (!engineName || !this.hasDiarizationEngine(engineName)) {
+      throw new Error(`Motor de diarización no disponible: ${engineName}. Disponibles: ${Object.keys(this.diarizationEngines).join(', ') || 'ninguno'}`);
+    }
+    return this.diarizationEngines[engineName];
+  }
+
+  /**
+   * Indica si hay un proveedor registrado con ese nombre
+   * @param {string} name - Nombre del proveedor
+   * @returns {boolean} True si el proveedor está disponible
+   */
+  hasProvider(name) {
+    return Object.prototype.hasOwnProperty.call(this.providers, name);
+  }
+
+  /**
+   * Obtiene un proveedor por nombre o el proveedor por defecto
+   * @param {string} [name] - Nombre del proveedor
+   * @returns {TranscriptionProvider} Proveedor de transcripción
+   * @throws {Error} Si el proveedor no está registrado
+   */
+  getProvider(name) {
+    const providerName = name || this.defaultProvider;
+    if (!this.hasProvider(providerName)) {
+      throw new Error(`Proveedor de transcripción no disponible: ${providerName}. Disponibles: ${Object.keys(this.providers).join(', ')}`);
+    }
+    return this.providers[providerName];
+  }
+
+  /**
+   * Indica si hay un proveedor de traducción de texto registrado con ese nombre
+   * @param {string} name - Nombre del proveedor
+   * @returns {boolean} True si el proveedor está disponible
+   */
+  hasTranslationProvider(name) {
+    return Object.prototype.hasOwnProperty.call(this.translationProviders, name);
+  }
+
+  /**
+   * Obtiene un proveedor de traducción de texto por nombre o el proveedor por defecto
+   * @param {string} [name] - Nombre del proveedor
+   * @returns {TranslationProvider} Proveedor de traducción
+   * @throws {Error} Si el proveedor no está registrado
+   */
+  getTranslationProvider(name) {
+    const providerName = name || this.defaultTranslationProvider;
+    if (!providerName || !this.hasTranslationProvider(providerName)) {
+      throw new Error(`Proveedor de traducción no disponible: ${providerName}. Disponibles: ${Object.keys(this.translationProviders).join(', ') || 'ninguno'}`);
+    }
+    return this.translationProviders[providerName];
+  }
+
+  /**
+   * Describe los proveedores registrados y sus capacidades
+   * @returns {Array<Object>} Nombre, modelo, capacidades y si es el proveedor por defecto
+   */
+  listProviders() {
+    return Object.values(this.providers).map(provider => ({
+      name: provider.name,
+      model: provider.model,
+      default: provider.name === this.defaultProvider,
+      capabilities: provider.capabilities(),
+    }));
   }
 
   /**
@@ -36,62 +216,148 @@ export class AudioService {
    * @param {string} [options.responseFormat='verbose_json'] - Formato de respuesta
    * @param {Array<string>} [options.timestampGranularities=['segment']] - Granularidad de timestamps
    * @param {number} [options.temperature=0] - Temperatura para la generación
-   * @returns {Promise<Object>} Resultado de la transcripción
-   * @throws {Error} Si hay un error en la transcripción
+   * @param {string} [options.provider] - Proveedor a utilizar (por defecto el configurado)
+   * @param {string} [options.format] - Formato de salida previsto; los formatos por palabra (WORD_FORMATS)
+   * fuerzan verbose_json con timestamps por palabra si el proveedor los admite
+   * @param {boolean} [options.diarize=false] - Etiquetar cada segmento con su hablante (fuerza verbose_json)
+   * @param {number} [options.numSpeakers] - Número de hablantes conocido; si se omite se estima
+   * @param {string} [options.diarizationEngine] - Motor de diarización (por defecto el configurado)
+   * @param {Array<string>} [options.preprocess] - Filtros de preprocesado (ver PREPROCESSING_FILTERS); por defecto los configurados
+   * @param {Array<string>} [options.analyze] - Tareas de análisis a realizar sobre la transcripción (ver ANALYSIS_TASKS);
+   * fuerzan verbose_json
+   * @param {string} [options.analysisProvider] - Modelo de lenguaje del análisis (por defecto el configurado)
+   * @param {string} [options.analysisLanguage] - Idioma del análisis (por defecto el de la transcripción)
+   * @param {Object<string, string>} [options.analysisPrompts] - Instrucciones de análisis personalizadas, por tarea
+   * @param {Function} [options.onProgress] - Callback `(stage, progress)` con la etapa ('converting', 'preprocessing',
+   * 'transcribing', 'diarizing', 'analyzing') y el porcentaje
+   * @param {AbortSignal} [options.signal] - Señal para cancelar la transcripción
+   * @param {boolean} [options.cache=true] - Usar la caché de resultados (con false se transcribe siempre)
+   * @returns {Promise<Object>} Resultado de la transcripción, con `metadata.cacheHit` y, si se pidió, `analysis`
+   * @throws {Error} Si hay un error en la transcripción o en el análisis
    */
   async transcribeFile(filePath, options = {}) {
+    if (!options.analyze?.length) {
+      return this.withCache('transcribe', filePath, options, () => this.runTranscription(filePath, options));
+    }
+
+    // El análisis trabaja sobre los segmentos de verbose_json. Solo se guarda en la caché la
+    // transcripción: un fallo del análisis no obliga a volver a transcribir al reintentar.
+    const transcribeOptions = { ...options, responseFormat: 'verbose_json' };
+    const result = await this.withCache('transcribe', filePath, transcribeOptions, () => this.runTranscription(filePath, transcribeOptions));
+    return { ...result, analysis: await this.analyzeTranscription(result.transcription, options) };
+  }
+
+  /**
+   * Analiza una transcripción con un modelo de lenguaje (ver TranscriptAnalyzer)
+   * @param {Object|string} transcription - Transcripción, preferiblemente verbose_json con segmentos
+   * @param {Object} [options={}] - Opciones del análisis
+   * @param {Array<string>} [options.analyze] - Tareas a realizar (por defecto todas)
+   * @param {string} [options.analysisProvider] - Modelo de lenguaje (por defecto el configurado)
+   * @param {string} [options.analysisLanguage] - Idioma del análisis (por defecto el de la transcripción)
+   * @param {Object<string, string>} [options.analysisPrompts] - Instrucciones personalizadas, por tarea
+   * @param {Function} [options.onProgress] - Callback `(stage, progress)` con la etapa 'analyzing'
+   * @param {AbortSignal} [options.signal] - Señal para cancelar el análisis
+   * @returns {Promise<Object>} Resultado del análisis
+   */
+  async analyzeTranscription(transcription, options = {}) {
+    const { onProgress = () => {} } = options;
+
+    onProgress('analyzing', 0);
+    const analysis = await this.analyzer.analyze(transcription, {
+      tasks: options.analyze,
+      client: options.analysisProvider,
+      language: options.analysisLanguage,
+      prompts: options.analysisPrompts,
+      signal: options.signal,
+    });
+    onProgress('analyzing', 100);
+
+    return analysis;
+  }
+
+  /**
+   * Transcribe un archivo sin pasar por la caché (ver transcribeFile)
+   * @param {string} filePath - Ruta al archivo de audio
+   * @param {Object} options - Opciones de transcribeFile
+   * @returns {Promise<Object>} Resultado de la transcripción
+   * @private
+   */
+  async runTranscription(filePath, options) {
     let processedResult = null;
+    const { onProgress = () => {}, signal } = options;
+    const stopTimer = metrics.transcriptionDuration.startTimer({ task: 'transcribe' });
+    // Los archivos intermedios (normalizado, preprocesado, fragmentos) se eliminan al terminar
+    let workDirectory = null;
     
     try {
+      const provider = this.getProvider(options.provider);
+
       // Verificar que el archivo existe
       await fs.access(filePath);
+      workDirectory = await this.workspace.create('transcribe');
       
-      // Procesar archivo (convertir .opus a .mp4 si es necesario)
-      processedResult = await this.audioConverter.processAudioFile(filePath);
+      // Normalizar el archivo si el proveedor no acepta su contenedor, codec o tamaño
+      onProgress('converting', 0);
+      processedResult = await this.audioConverter.processAudioFile(filePath, provider.capabilities(), workDirectory);
+      signal?.throwIfAborted();
       
       if (!processedResult.success) {
         throw new Error(`Error procesando archivo: ${processedResult.error}`);
       }
 
-      const actualFilePath = processedResult.processedPath;
+      const preprocessed = await this.preprocessAudio(processedResult, options.preprocess, onProgress, workDirectory);
+      signal?.throwIfAborted();
+
+      const actualFilePath = preprocessed?.path || processedResult.processedPath;
       const fileName = path.basename(actualFilePath);
       
       const {
         language,
         prompt,
-        responseFormat = 'verbose_json',
-        timestampGranularities = ['segment'],
-        temperature = 0
+        temperature = 0,
+        diarize = false,
       } = options;
+      // La diarización trabaja sobre los segmentos con timestamps y los formatos por palabra, sobre las palabras
+      const wordLevel = WORD_FORMATS.includes(options.format);
+      const responseFormat = diarize || wordLevel ? 'verbose_json' : (options.responseFormat || 'verbose_json');
+      const timestampGranularities = AudioService.resolveGranularities(provider, options.timestampGranularities, wordLevel);
+      const diarizationEngine = diarize ? this.getDiarizationEngine(options.diarizationEngine) : null;
 
       console.log(`📝 Transcribiendo archivo: ${fileName}`);
       if (processedResult.wasConverted) {
         console.log(`🔄 Archivo convertido de ${processedResult.originalFormat} a ${processedResult.targetFormat}`);
       }
 
-      // Configurar parámetros de transcripción
-      const transcriptionParams = {
-        file: fsSync.createReadStream(actualFilePath),
-        model: this.model,
-        response_format: responseFormat,
-        temperature,
-      };
-
-      // Agregar parámetros opcionales si están presentes
-      if (language) {
-        transcriptionParams.language = language;
-      }
+      // Los archivos que superan el límite del proveedor se transcriben por fragmentos
+      const { size } = await fs.stat(actualFilePath);
+      const maxFileSize = Math.min(this.chunking.maxFileSize, provider.capabilities().maxFileSize);
+      const requestOptions = { language, prompt, responseFormat, timestampGranularities, temperature, signal };
+      let transcription;
+      let chunkCount = null;
 
-      if (prompt) {
-        transcriptionParams.prompt = prompt;
+      onProgress('transcribing', 0);
+      if (size > maxFileSize) {
+        const chunked = await this.transcribeInChunks(provider, actualFilePath, requestOptions, onProgress, workDirectory);
+        transcription = chunked.transcription;
+        chunkCount = chunked.chunkCount;
+      } else {
+        transcription = await this.requests.run(() => provider.transcribe(actualFilePath, requestOptions), { signal });
       }
+      onProgress('transcribing', 100);
 
-      if (responseFormat === 'verbose_json' && timestampGranularities.length > 0) {
-        transcriptionParams.timestamp_granularities = timestampGranularities;
+      let diarization = null;
+      if (diarizationEngine) {
+        onProgress('diarizing', 0);
+        diarization = await this.diarizeTranscription(diarizationEngine, actualFilePath, transcription, {
+          numSpeakers: options.numSpeakers,
+          signal,
+        });
+        onProgress('diarizing', 100);
       }
 
-      // Realizar la transcripción
-      const transcription = await this.client.audio.transcriptions.create(transcriptionParams);
+      // El proveedor y el motor de diarización trabajan con el audio recortado
+      preprocessed?.silenceMap?.remapTranscription(transcription);
+      AudioService.recordCompletion('transcribe', provider.name, stopTimer, transcription, processedResult);
 
       return {
         success: true,
@@ -103,44 +369,246 @@ export class AudioService {
           wasConverted: processedResult.wasConverted,
           conversionInfo: processedResult.wasConverted ? {
             originalFormat: processedResult.originalFormat,
-            targetFormat: processedResult.targetFormat
+            targetFormat: processedResult.targetFormat,
+            reasons: processedResult.reasons,
           } : null,
-          model: this.model,
+          chunked: chunkCount !== null,
+          chunks: chunkCount,
+          preprocessing: AudioService.describePreprocessing(preprocessed),
+          diarization,
+          provider: provider.name,
+          model: provider.model,
           language: language || 'auto-detect',
           timestamp: new Date().toISOString(),
         }
       };
 
     } catch (error) {
-      throw new Error(`Error al transcribir el archivo: ${error.message}`);
+      AudioService.recordFailure('transcribe', options.provider || this.defaultProvider, signal);
+      throw new Error(`Error al transcribir el archivo: ${error.message}`, { cause: error });
+    } finally {
+      if (workDirectory) {
+        await this.workspace.release(workDirectory);
+      }
     }
   }
 
   /**
-   * Traduce un archivo de audio a texto en inglés
+   * Aplica al audio ya normalizado los filtros de preprocesado pedidos o, si la petición
+   * no indica ninguno, los configurados por defecto
+   * @param {Object} processedResult - Resultado de AudioConverter.processAudioFile
+   * @param {Array<string>} [filters] - Filtros pedidos
+   * @param {Function} onProgress - Callback de progreso `(stage, progress)`
+   * @param {string} workDirectory - Directorio de trabajo de la operación
+   * @returns {Promise<Object|null>} Resultado de AudioConverter.preprocessAudio, o null si no hay filtros
+   * @private
+   */
+  async preprocessAudio(processedResult, filters = this.preprocessFilters, onProgress, workDirectory) {
+    if (filters.length === 0) {
+      return null;
+    }
+
+    onProgress('preprocessing', 0);
+    // Se conserva el formato que eligió la normalización (FLAC, u Opus si el archivo es grande)
+    const format = processedResult.wasConverted ? processedResult.targetFormat : this.audioConverter.targetFormat;
+    const preprocessed = await this.audioConverter.preprocessAudio(processedResult.processedPath, filters, format, workDirectory);
+
+    // El audio normalizado intermedio ya no se necesita
+    if (processedResult.wasConverted) {
+      await fs.rm(processedResult.processedPath, { force: true });
+    }
+    onProgress('preprocessing', 100);
+
+    return preprocessed;
+  }
+
+  /**
+   * Describe el preprocesado aplicado para los metadatos del resultado
+   * @param {Object|null} preprocessed - Resultado de preprocessAudio
+   * @returns {Object|null} Filtros aplicados y silencios eliminados, o null sin preprocesado
+   * @private
+   */
+  static describePreprocessing(preprocessed) {
+    if (!preprocessed) {
+      return null;
+    }
+
+    return {
+      filters: preprocessed.filters,
+      silence: preprocessed.silenceMap ? preprocessed.silenceMap.toJSON() : null,
+    };
+  }
+
+  /**
+   * Granularidades de timestamps que se piden al proveedor
+   * @param {TranscriptionProvider} provider - Proveedor de transcripción
+   * @param {Array<string>} [requested=['segment']] - Granularidades pedidas
+   * @param {boolean} wordLevel - El formato de salida necesita los tiempos de cada palabra
+   * @returns {Array<string>} Granularidades; sin soporte del proveedor, las palabras se estiman después
+   * @private
+   */
+  static resolveGranularities(provider, requested = ['segment'], wordLevel) {
+    const supported = provider.capabilities().timestampGranularities || ['segment'];
+    if (!wordLevel || !supported.includes('word') || requested.includes('word')) {
+      return requested;
+    }
+    return [...requested, 'word'];
+  }
+
+  /**
+   * Añade la propiedad `speaker` a los segmentos (y palabras) de una transcripción
+   * @param {DiarizationEngine} engine - Motor de diarización
+   * @param {string} filePath - Audio transcrito
+   * @param {Object} transcription - Transcripción verbose_json, se modifica en el sitio
+   * @param {Object} [options={}] - Opciones del motor (`numSpeakers`, `signal`)
+   * @returns {Promise<Object>} Motor usado y hablantes detectados
+   * @private
+   */
+  async diarizeTranscription(engine, filePath, transcription, options = {}) {
+    if (!SubtitleFormatter.hasSegments(transcription)) {
+      return { engine: engine.name, speakers: [] };
+    }
+
+    console.log(`🗣️  Identificando hablantes con el motor ${engine.name}`);
+    const { segments } = transcription;
+    const labels = await engine.diarize(filePath, segments, options);
+
+    segments.forEach((segment, index) => {
+      segment.speaker = labels[index];
+    });
+
+    if (Array.isArray(transcription.words)) {
+      for (const word of transcription.words) {
+        const middle = (word.start + word.end) / 2;
+        const segment = segments.find(s => middle >= s.start && middle < s.end);
+        if (segment) {
+          word.speaker = segment.speaker;
+        }
+      }
+    }
+
+    return {
+      engine: engine.name,
+      speakers: [...new Set(labels)],
+    };
+  }
+
+  /**
+   * Transcribe o traduce un audio largo dividiéndolo en fragmentos solapados y uniendo el resultado
+   * @param {TranscriptionProvider} provider - Proveedor que procesa cada fragmento
+   * @param {string} filePath - Ruta al archivo de audio
+   * @param {Object} options - Opciones de transcripción o traducción normalizadas
+   * @param {Function} onProgress - Callback de progreso `(stage, progress)`
+   * @param {string} workDirectory - Directorio de trabajo de la operación
+   * @param {string} [task='transcribe'] - 'transcribe' o 'translate'
+   * @returns {Promise<Object>} Transcripción o traducción unificada y número de fragmentos
+   * @private
+   */
+  async transcribeInChunks(provider, filePath, options, onProgress, workDirectory, task = 'transcribe') {
+    const { chunkDuration, overlap } = this.chunking;
+    const chunksDirectory = path.join(workDirectory, 'chunks');
+
+    try {
+      const chunks = await this.audioConverter.splitIntoChunks(filePath, chunksDirectory, { chunkDuration, overlap });
+      console.log(`🧩 Audio dividido en ${chunks.length} fragmentos de hasta ${chunkDuration}s`);
+
+      // Se necesitan los segmentos para poder recolocar y deduplicar el texto
+      const granularities = new Set(['segment', ...(options.timestampGranularities || [])]);
+      const chunkOptions = {
+        ...options,
+        responseFormat: 'verbose_json',
+        timestampGranularities: [...granularities],
+      };
+
+      let completed = 0;
+      const chunkResults = await Promise.all(chunks.map(chunk => this.requests.run(async () => {
+        console.log(`📝 ${task === 'translate' ? 'Traduciendo' : 'Transcribiendo'} fragmento ${chunk.index + 1}/${chunks.length}`);
+        const transcription = await provider[task](chunk.path, chunkOptions);
+        onProgress('transcribing', (++completed / chunks.length) * 100);
+        return { ...chunk, transcription };
+      }, { signal: options.signal })));
+
+      const merged = TranscriptMerger.merge(chunkResults, { overlap });
+
+      return {
+        transcription: TranscriptMerger.toResponseFormat(merged, options.responseFormat),
+        chunkCount: chunks.length,
+      };
+
+    } finally {
+      // Los fragmentos se liberan en cuanto se unen, sin esperar al resto de la operación
+      await fs.rm(chunksDirectory, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Traduce un archivo de audio. Sin `targetLanguage` se usa la traducción a inglés del
+   * proveedor (Whisper); con él, el audio se transcribe en su idioma y los segmentos se
+   * traducen con un proveedor de traducción de texto, conservando sus tiempos.
    * @param {string} filePath - Ruta al archivo de audio
    * @param {Object} [options={}] - Opciones adicionales para la traducción
+   * @param {string} [options.targetLanguage] - Código del idioma de destino (ej: 'es', 'pt-BR')
+   * @param {string} [options.language] - Idioma del audio, con `targetLanguage` (por defecto se detecta)
+   * @param {string} [options.translationProvider] - Proveedor de traducción de texto, con `targetLanguage`
+   * @param {boolean} [options.diarize=false] - Etiquetar los segmentos con su hablante, con `targetLanguage`
    * @param {string} [options.prompt] - Prompt para guiar el estilo del modelo
    * @param {string} [options.responseFormat='json'] - Formato de respuesta
    * @param {number} [options.temperature=0] - Temperatura para la generación
-   * @returns {Promise<Object>} Resultado de la traducción
+   * @param {string} [options.provider] - Proveedor a utilizar (por defecto el configurado)
+   * @param {Array<string>} [options.preprocess] - Filtros de preprocesado (ver PREPROCESSING_FILTERS); por defecto los configurados
+   * @param {Function} [options.onProgress] - Callback `(stage, progress)` con la etapa (con `targetLanguage`,
+   * también 'translating') y el porcentaje
+   * @param {AbortSignal} [options.signal] - Señal para cancelar la traducción
+   * @param {boolean} [options.cache=true] - Usar la caché de resultados (con false se traduce siempre)
+   * @returns {Promise<Object>} Resultado de la traducción, con `metadata.cacheHit`
    * @throws {Error} Si hay un error en la traducción
    */
   async translateFile(filePath, options = {}) {
+    return this.withCache('translate', filePath, options, () => this.runTranslation(filePath, options));
+  }
+
+  /**
+   * Traduce un archivo sin pasar por la caché (ver translateFile)
+   * @param {string} filePath - Ruta al archivo de audio
+   * @param {Object} options - Opciones de translateFile
+   * @returns {Promise<Object>} Resultado de la traducción
+   * @private
+   */
+  async runTranslation(filePath, options) {
+    if (options.targetLanguage) {
+      return this.translateToLanguage(filePath, options);
+    }
+
     let processedResult = null;
+    const { onProgress = () => {}, signal } = options;
+    const stopTimer = metrics.transcriptionDuration.startTimer({ task: 'translate' });
+    let workDirectory = null;
     
     try {
+      const provider = this.getProvider(options.provider);
+      const capabilities = provider.capabilities();
+
+      if (!capabilities.translation) {
+        throw new Error(`El proveedor ${provider.name} no soporta traducción`);
+      }
+
       // Verificar que el archivo existe
       await fs.access(filePath);
+      workDirectory = await this.workspace.create('translate');
       
-      // Procesar archivo (convertir .opus a .mp4 si es necesario)
-      processedResult = await this.audioConverter.processAudioFile(filePath);
+      // Normalizar el archivo si el proveedor no acepta su contenedor, codec o tamaño
+      onProgress('converting', 0);
+      processedResult = await this.audioConverter.processAudioFile(filePath, provider.capabilities(), workDirectory);
+      signal?.throwIfAborted();
       
       if (!processedResult.success) {
         throw new Error(`Error procesando archivo: ${processedResult.error}`);
       }
 
-      const actualFilePath = processedResult.processedPath;
+      const preprocessed = await this.preprocessAudio(processedResult, options.preprocess, onProgress, workDirectory);
+      signal?.throwIfAborted();
+
+      const actualFilePath = preprocessed?.path || processedResult.processedPath;
       const fileName = path.basename(actualFilePath);
       
       const {
@@ -154,22 +622,24 @@ export class AudioService {
         console.log(`🔄 Archivo convertido de ${processedResult.originalFormat} a ${processedResult.targetFormat}`);
       }
 
-      // Configurar parámetros de traducción
-      const translationParams = {
-        file: fsSync.createReadStream(actualFilePath),
-        model: this.model === 'whisper-large-v3-turbo' ? 'whisper-large-v3' : this.model, // turbo no soporta traducción
-        response_format: responseFormat,
-        temperature,
-        language: 'en', // Solo inglés para traducciones
-      };
+      // Igual que en la transcripción, los archivos que superan el límite del proveedor se traducen por fragmentos
+      const { size } = await fs.stat(actualFilePath);
+      const maxFileSize = Math.min(this.chunking.maxFileSize, capabilities.maxFileSize);
+      const requestOptions = { prompt, responseFormat, temperature, signal };
+      let translation;
+      let chunkCount = null;
 
-      // Agregar prompt si está presente
-      if (prompt) {
-        translationParams.prompt = prompt;
+      onProgress('transcribing', 0);
+      if (size > maxFileSize) {
+        const chunked = await this.transcribeInChunks(provider, actualFilePath, requestOptions, onProgress, workDirectory, 'translate');
+        translation = chunked.transcription;
+        chunkCount = chunked.chunkCount;
+      } else {
+        translation = await this.requests.run(() => provider.translate(actualFilePath, requestOptions), { signal });
       }
-
-      // Realizar la traducción
-      const translation = await this.client.audio.translations.create(translationParams);
+      onProgress('transcribing', 100);
+      preprocessed?.silenceMap?.remapTranscription(translation);
+      AudioService.recordCompletion('translate', provider.name, stopTimer, translation, processedResult);
 
       return {
         success: true,
@@ -181,107 +651,593 @@ export class AudioService {
           wasConverted: processedResult.wasConverted,
           conversionInfo: processedResult.wasConverted ? {
             originalFormat: processedResult.originalFormat,
-            targetFormat: processedResult.targetFormat
+            targetFormat: processedResult.targetFormat,
+            reasons: processedResult.reasons,
           } : null,
-          model: translationParams.model,
+          chunked: chunkCount !== null,
+          chunks: chunkCount,
+          preprocessing: AudioService.describePreprocessing(preprocessed),
+          provider: provider.name,
+          model: capabilities.translationModel,
           targetLanguage: 'en',
           timestamp: new Date().toISOString(),
         }
       };
 
     } catch (error) {
-      throw new Error(`Error al traducir el archivo: ${error.message}`);
+      AudioService.recordFailure('translate', options.provider || this.defaultProvider, signal);
+      throw new Error(`Error al traducir el archivo: ${error.message}`, { cause: error });
+    } finally {
+      if (workDirectory) {
+        await this.workspace.release(workDirectory);
+      }
+    }
+  }
+
+  /**
+   * Devuelve el resultado guardado en la caché para el mismo audio y opciones o, si no lo
+   * hay, ejecuta la operación y guarda su resultado. Los fallos de la caché no hacen fallar
+   * la transcripción: solo se pierde el atajo.
+   * @param {string} task - 'transcribe' o 'translate'
+   * @param {string} filePath - Ruta al archivo de audio
+   * @param {Object} options - Opciones de transcribeFile o translateFile
+   * @param {Function} run - Operación que produce el resultado sin caché
+   * @returns {Promise<Object>} Resultado con `metadata.cacheHit` (y `metadata.cachedAt` si viene de la caché)
+   * @private
+   */
+  async withCache(task, filePath, options, run) {
+    if (!this.cache || options.cache === false) {
+      return run();
+    }
+
+    let key = null;
+    let info = null;
+    try {
+      info = { task, audioHash: await hashFile(filePath), options: this.cacheOptions(task, options) };
+      key = ResultCache.key(info.audioHash, info.options);
+
+      const cached = await this.cache.get(key);
+      metrics.cacheRequests.inc({ task, outcome: cached ? 'hit' : 'miss' });
+      if (cached) {
+        console.log(`♻️  Resultado de ${path.basename(filePath)} recuperado de la caché`);
+        return {
+          ...cached.result,
+          metadata: {
+            ...cached.result.metadata,
+            fileName: path.basename(filePath),
+            originalFilePath: filePath,
+            processedFilePath: filePath,
+            cacheHit: true,
+            cachedAt: cached.entry.createdAt,
+            timestamp: new Date().toISOString(),
+          },
+        };
+      }
+    } catch (error) {
+      // Archivo inexistente, proveedor desconocido...: la operación dará el error adecuado
+      key = null;
+    }
+
+    const result = await run();
+    // translateToLanguage hereda los metadatos de su transcripción, que también pasa por la caché
+    const { cacheHit, cachedAt, ...metadata } = result.metadata;
+
+    if (key) {
+      try {
+        await this.cache.set(key, { ...result, metadata }, info);
+      } catch (error) {
+        console.warn(`⚠️  No se pudo guardar el resultado en la caché: ${error.message}`);
+      }
+    }
+
+    return { ...result, metadata: { ...metadata, cacheHit: false } };
+  }
+
+  /**
+   * Opciones que forman la clave de caché de una transcripción o traducción: la huella de
+   * la transcripción más lo que solo afecta a la traducción
+   * @param {string} task - 'transcribe' o 'translate'
+   * @param {Object} options - Opciones de transcribeFile o translateFile
+   * @returns {Object} Opciones normalizadas
+   * @private
+   */
+  cacheOptions(task, options) {
+    const normalized = { task, ...this.fingerprint(options).options };
+
+    if (task === 'translate' && options.targetLanguage) {
+      const translator = this.getTranslationProvider(options.translationProvider);
+      Object.assign(normalized, {
+        targetLanguage: options.targetLanguage,
+        translationProvider: translator.name,
+        translationModel: translator.model,
+      });
+    } else if (task === 'translate') {
+      normalized.model = this.getProvider(options.provider).capabilities().translationModel;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Registra en las métricas una transcripción o traducción terminada: su duración y los
+   * segundos de audio procesados (los del resultado o, si no los trae, los medidos con ffprobe)
+   * @param {string} task - 'transcribe' o 'translate'
+   * @param {string} provider - Nombre del proveedor
+   * @param {Function} stopTimer - Cronómetro iniciado al empezar (ver Histogram.startTimer)
+   * @param {Object|string} result - Transcripción o traducción
+   * @param {Object} processedResult - Resultado de AudioConverter.processAudioFile
+   * @private
+   */
+  static recordCompletion(task, provider, stopTimer, result, processedResult) {
+    const labels = { provider, task };
+    const duration = typeof result?.duration === 'number' ? result.duration : processedResult.audioInfo?.duration;
+
+    stopTimer({ provider });
+    metrics.transcriptions.inc({ ...labels, outcome: 'success' });
+    metrics.audioSeconds.inc(labels, duration || 0);
+  }
+
+  /**
+   * Registra en las métricas una transcripción o traducción fallida o cancelada
+   * @param {string} task - 'transcribe' o 'translate'
+   * @param {string} provider - Nombre del proveedor pedido
+   * @param {AbortSignal} [signal] - Señal de cancelación de la petición
+   * @private
+   */
+  static recordFailure(task, provider, signal) {
+    metrics.transcriptions.inc({ provider, task, outcome: signal?.aborted ? 'cancelled' : 'error' });
+  }
+
+  /**
+   * Transcribe un archivo en su idioma y traduce sus segmentos a `options.targetLanguage`
+   * @param {string} filePath - Ruta al archivo de audio
+   * @param {Object} options - Opciones de translateFile
+   * @returns {Promise<Object>} Resultado de la traducción, con los segmentos en el idioma de destino
+   * @private
+   */
+  async translateToLanguage(filePath, options) {
+    const { onProgress = () => {}, signal, targetLanguage } = options;
+
+    try {
+      const translator = this.getTranslationProvider(options.translationProvider);
+
+      // Los segmentos con tiempos son los que permiten generar subtítulos traducidos
+      const transcribed = await this.transcribeFile(filePath, {
+        language: options.language,
+        prompt: options.prompt,
+        temperature: options.temperature,
+        provider: options.provider,
+        responseFormat: 'verbose_json',
+        timestampGranularities: ['segment'],
+        diarize: options.diarize,
+        numSpeakers: options.numSpeakers,
+        diarizationEngine: options.diarizationEngine,
+        preprocess: options.preprocess,
+        cache: options.cache,
+        onProgress,
+        signal,
+      });
+
+      const source = transcribed.transcription;
+      const sourceLanguage = options.language || source.language;
+      const segments = SubtitleFormatter.hasSegments(source)
+        ? source.segments
+        : [{ id: 0, start: 0, end: source.duration || 0, text: source.text || '' }];
+
+      console.log(`🌍 Traduciendo ${segments.length} segmentos a '${targetLanguage}' con ${translator.name} (${translator.model})`);
+      onProgress('translating', 0);
+      const texts = await this.translateTexts(translator, segments.map(segment => segment.text.trim()), {
+        sourceLanguage,
+        targetLanguage,
+        signal,
+        onProgress: progress => onProgress('translating', progress),
+      });
+      onProgress('translating', 100);
+
+      // Las palabras con tiempos siguen en el idioma original: no se conservan
+      const translatedSegments = segments.map(({ words, ...segment }, index) => ({
+        ...segment,
+        text: ` ${texts[index]}`,
+      }));
+
+      return {
+        success: true,
+        translation: {
+          task: 'translate',
+          language: targetLanguage,
+          duration: source.duration,
+          text: texts.filter(Boolean).join(' '),
+          segments: translatedSegments,
+          source: {
+            language: sourceLanguage || null,
+            text: source.text,
+          },
+        },
+        metadata: {
+          ...transcribed.metadata,
+          language: targetLanguage,
+          sourceLanguage: sourceLanguage || 'auto-detect',
+          targetLanguage,
+          translationProvider: translator.name,
+          translationModel: translator.model,
+          timestamp: new Date().toISOString(),
+        },
+      };
+
+    } catch (error) {
+      throw new Error(`Error al traducir el archivo: ${error.message}`, { cause: error });
     }
   }
 
   /**
-   * Procesa todos los archivos de audio en un directorio
+   * Traduce textos en lotes del tamaño que admite el proveedor. Los lotes pasan por el
+   * planificador de peticiones, así que comparten el límite de concurrencia y las pausas por 429.
+   * Los textos vacíos no se envían.
+   * @param {TranslationProvider} translator - Proveedor de traducción
+   * @param {Array<string>} texts - Textos a traducir
+   * @param {Object} options - Idiomas, `signal` y `onProgress(porcentaje)`
+   * @returns {Promise<Array<string>>} Traducciones en el mismo orden
+   * @private
+   */
+  async translateTexts(translator, texts, options) {
+    const { sourceLanguage, targetLanguage, signal, onProgress = () => {} } = options;
+    const pending = texts.map((text, index) => ({ text, index })).filter(item => item.text);
+    const { maxBatchSize } = translator.capabilities();
+
+    const batches = [];
+    for (let start = 0; start < pending.length; start += maxBatchSize) {
+      batches.push(pending.slice(start, start + maxBatchSize));
+    }
+
+    const translations = new Array(texts.length).fill('');
+    let translated = 0;
+
+    await Promise.all(batches.map(batch => this.requests.run(async () => {
+      const result = await translator.translate(batch.map(item => item.text), { sourceLanguage, targetLanguage, signal });
+      if (result.length !== batch.length) {
+        throw new Error(`El proveedor de traducción ${translator.name} devolvió ${result.length} textos de ${batch.length}`);
+      }
+
+      batch.forEach((item, position) => {
+        translations[item.index] = result[position];
+      });
+      translated += batch.length;
+      onProgress((translated / pending.length) * 100);
+    }, { signal })));
+
+    return translations;
+  }
+
+  /**
+   * Procesa todos los archivos de audio en un directorio, varios a la vez (ver `concurrency.files`).
+   * Con manifiesto, los archivos cuyo contenido ya se procesó con las mismas opciones se omiten.
    * @param {string} audioDirectory - Directorio que contiene los archivos de audio
    * @param {Object} [options={}] - Opciones para la transcripción
+   * @param {boolean} [options.force=false] - Procesar también los archivos que ya constan en el manifiesto
+   * @param {Function} [options.onProgress] - Callback `(stage, progress)` con el progreso agregado del directorio
+   * @param {AbortSignal} [options.signal] - Señal para descartar los archivos que aún no han empezado
+   * @param {string} [options.format='txt'] - Formato de los archivos guardados (ver OUTPUT_FORMATS)
    * @param {string} [outputDirectory] - Directorio donde guardar las transcripciones
-   * @returns {Promise<Array>} Array con los resultados de todas las transcripciones
+   * @returns {Promise<Object>} `results` de los archivos procesados y `skipped` con los omitidos
    */
   async processAudioDirectory(audioDirectory, options = {}, outputDirectory = null) {
     try {
-      // Leer archivos del directorio
-      const files = await fs.readdir(audioDirectory);
-      
-      // Filtrar solo archivos de audio compatibles (incluyendo .opus que se convertirá automáticamente)
-      const audioExtensions = ['.mp3', '.wav', '.m4a', '.flac', '.ogg', '.opus', '.webm', '.mp4', '.mpeg', '.mpga'];
-      const audioFiles = files.filter(file => 
-        audioExtensions.includes(path.extname(file).toLowerCase())
-      );
-
-      const results = [];
-
-      for (const file of audioFiles) {
-        const filePath = path.join(audioDirectory, file);
-        
-        try {
-          const result = await this.transcribeFile(filePath, options);
-          results.push(result);
-
-          // Guardar transcripción si se especifica directorio de salida
-          if (outputDirectory) {
-            await this.saveTranscription(result, outputDirectory);
-          }
+      const plan = await this.planDirectory(audioDirectory, options);
+      return await this.processPlan(plan, options, outputDirectory);
+    } catch (error) {
+      throw new Error(`Error al procesar directorio de audio: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Transcribe los archivos pendientes de un plan (ver planFiles) y los registra en el manifiesto
+   * @param {Object} plan - Plan devuelto por planFiles o planDirectory
+   * @param {Object} [options={}] - Opciones para la transcripción (ver processAudioDirectory)
+   * @param {string} [outputDirectory] - Directorio donde guardar las transcripciones
+   * @returns {Promise<Object>} `results` en el orden de `plan.pending` y `skipped` del plan
+   */
+  async processPlan(plan, options = {}, outputDirectory = null) {
+    const { pending, skipped, fingerprint } = plan;
+    const { onProgress, signal } = options;
+
+    // Cada llamada usa su propio límite de archivos; las conversiones y las peticiones
+    // se limitan globalmente en AudioConverter y en el planificador de proveedores
+    const scheduler = new Scheduler({ name: 'archivos', concurrency: this.concurrency.files });
+
+    const results = await scheduler.map(pending, async ({ fileName, filePath, hash }, index, reportProgress) => {
+      try {
+        const result = await this.transcribeFile(filePath, { ...options, onProgress: reportProgress });
+
+        // Guardar transcripción si se especifica directorio de salida
+        if (outputDirectory) {
+          result.savedPath = await this.saveTranscription(result, outputDirectory, options.format);
+        }
 
-        } catch (error) {
-          results.push({
-            success: false,
-            error: error.message,
-            metadata: {
-              fileName: file,
-              filePath,
-              timestamp: new Date().toISOString(),
-            }
+        if (hash) {
+          await this.manifest.record(hash, {
+            fingerprint: fingerprint.id,
+            fileName,
+            provider: fingerprint.options.provider,
+            model: fingerprint.options.model,
+            options: fingerprint.options,
+            savedPath: result.savedPath || null,
           });
         }
+
+        return result;
+
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        return {
+          success: false,
+          error: error.message,
+          metadata: {
+            fileName,
+            filePath,
+            timestamp: new Date().toISOString(),
+          }
+        };
       }
+    }, { onProgress, signal });
 
-      return results;
+    return { results, skipped };
+  }
 
-    } catch (error) {
-      throw new Error(`Error al procesar directorio de audio: ${error.message}`);
-    }
+  /**
+   * Transcribe un lote de archivos, cada uno con sus propias opciones, con el mismo
+   * paralelismo que los directorios. Un archivo que falla no detiene el resto.
+   * @param {Array<Object>} files - Archivos `{ filePath, originalName, options }`
+   * @param {Object} [batchOptions={}] - Opciones del lote
+   * @param {string} [batchOptions.outputDirectory] - Directorio donde guardar las transcripciones
+   * @param {Function} [batchOptions.onProgress] - Callback `(stage, progress)` con el porcentaje global
+   * @param {AbortSignal} [batchOptions.signal] - Señal para cancelar los archivos pendientes
+   * @returns {Promise<Array<Object>>} Resultados en el orden de `files`, con `metadata.originalName`
+   */
+  async transcribeBatch(files, batchOptions = {}) {
+    const { outputDirectory = null, onProgress, signal } = batchOptions;
+    const scheduler = new Scheduler({ name: 'lote', concurrency: this.concurrency.files });
+
+    return scheduler.map(files, async ({ filePath, originalName, options = {} }, index, reportProgress) => {
+      try {
+        const result = await this.transcribeFile(filePath, { ...options, signal, onProgress: reportProgress });
+        result.metadata.originalName = originalName;
+
+        if (outputDirectory) {
+          result.savedPath = await this.saveTranscription(result, outputDirectory, options.format);
+        }
+
+        return result;
+
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        return {
+          success: false,
+          error: error.message,
+          metadata: {
+            fileName: path.basename(filePath),
+            originalName,
+            timestamp: new Date().toISOString(),
+          },
+        };
+      }
+    }, { onProgress, signal });
   }
 
   /**
-   * Guarda una transcripción en un archivo de texto
-   * @param {Object} transcriptionResult - Resultado de la transcripción
-   * @param {string} outputDirectory - Directorio donde guardar el archivo
-   * @returns {Promise<string>} Ruta del archivo guardado
+   * Decide qué archivos de un directorio hay que procesar según el manifiesto
+   * @param {string} audioDirectory - Directorio que contiene los archivos de audio
+   * @param {Object} [options={}] - Opciones de transcripción (y `force`)
+   * @returns {Promise<Object>} `pending` (`fileName`, `filePath`, `hash`), `skipped` con la ejecución
+   * previa de cada archivo omitido y la `fingerprint` de las opciones
    */
-  async saveTranscription(transcriptionResult, outputDirectory) {
-    try {
-      // Crear directorio de salida si no existe
-      await fs.mkdir(outputDirectory, { recursive: true });
+  async planDirectory(audioDirectory, options = {}) {
+    const files = await fs.readdir(audioDirectory);
 
-      const { metadata, transcription } = transcriptionResult;
-      const fileName = path.parse(metadata.fileName).name + '.txt';
-      const outputPath = path.join(outputDirectory, fileName);
+    // Filtrar solo archivos de audio o video soportados (se normalizan automáticamente)
+    const audioFiles = files.filter(file => AudioService.isValidAudioFile(file));
+    return this.planFiles(audioFiles.map(fileName => path.join(audioDirectory, fileName)), options);
+  }
 
-      let content;
-      
-      if (typeof transcription === 'string') {
-        content = transcription;
-      } else if (transcription.text) {
-        content = transcription.text;
+  /**
+   * Decide cuáles de los archivos indicados hay que procesar según el manifiesto
+   * @param {string[]} filePaths - Rutas de los archivos de audio
+   * @param {Object} [options={}] - Opciones de transcripción (y `force`)
+   * @returns {Promise<Object>} Plan con la misma forma que el de planDirectory
+   */
+  async planFiles(filePaths, options = {}) {
+    const fingerprint = this.fingerprint(options);
+
+    const pending = [];
+    const skipped = [];
+
+    for (const filePath of filePaths) {
+      const fileName = path.basename(filePath);
+      const hash = this.manifest ? await this.manifest.hash(filePath) : null;
+      const previous = hash && !options.force ? this.manifest.find(hash, fingerprint.id) : null;
+
+      if (previous) {
+        skipped.push({
+          fileName,
+          filePath,
+          hash,
+          reason: previous.fileName === fileName ? 'already-processed' : 'duplicate-content',
+          processedAs: previous.fileName,
+          processedAt: previous.processedAt,
+          savedPath: previous.savedPath,
+        });
       } else {
-        content = JSON.stringify(transcription, null, 2);
+        pending.push({ fileName, filePath, hash });
+      }
+    }
+
+    return { pending, skipped, fingerprint };
+  }
+
+  /**
+   * Huella de las opciones que determinan el resultado de una transcripción
+   * @param {Object} options - Opciones de transcripción
+   * @returns {Object} `id` (hash) y `options` normalizadas, con el proveedor y el modelo resueltos
+   * @private
+   */
+  fingerprint(options) {
+    const provider = this.getProvider(options.provider);
+    const normalized = {
+      provider: provider.name,
+      model: provider.model,
+      responseFormat: 'verbose_json',
+      timestampGranularities: ['segment'],
+      temperature: 0,
+      format: 'txt',
+    };
+
+    for (const name of FINGERPRINT_OPTIONS) {
+      if (options[name] !== undefined) {
+        normalized[name] = options[name];
       }
+    }
+
+    if (normalized.diarize) {
+      normalized.diarizationEngine = normalized.diarizationEngine || this.defaultDiarizationEngine;
+    }
+
+    // Sin filtros no se añade la clave, así las huellas previas a los filtros siguen siendo válidas
+    const preprocess = options.preprocess ?? this.preprocessFilters;
+    if (preprocess.length > 0) {
+      normalized.preprocess = PREPROCESSING_FILTERS.filter(filter => preprocess.includes(filter));
+    }
+
+    return { id: hashObject(normalized), options: normalized };
+  }
+
+  /**
+   * Resume los resultados de un procesamiento por lotes
+   * @param {Array<Object>} results - Resultados con la propiedad `success`
+   * @param {Array<Object>} [skipped=[]] - Archivos omitidos por estar ya procesados
+   * @returns {Object} Totales de archivos procesados, exitosos, fallidos y omitidos
+   */
+  static summarizeResults(results, skipped = []) {
+    const successful = results.filter(r => r.success).length;
+    return {
+      total: results.length,
+      successful,
+      failed: results.length - successful,
+      skipped: skipped.length,
+    };
+  }
+
+  /**
+   * Genera el contenido de una transcripción en el formato indicado
+   * @param {Object} transcriptionResult - Resultado de la transcripción o traducción
+   * @param {string} [format='txt'] - Formato de salida (ver OUTPUT_FORMATS)
+   * @returns {string} Contenido formateado
+   * @throws {Error} Si el formato no existe o requiere segmentos que la transcripción no tiene
+   */
+  formatTranscription(transcriptionResult, format = 'txt') {
+    const { metadata } = transcriptionResult;
+    const transcription = transcriptionResult.transcription ?? transcriptionResult.translation;
+
+    if (SUBTITLE_FORMATS.includes(format)) {
+      return SubtitleFormatter.format(transcription, format, this.subtitles);
+    }
+
+    if (format === 'json') {
+      return JSON.stringify(transcriptionResult, null, 2);
+    }
+
+    if (format === 'alignment') {
+      return JSON.stringify(AlignmentFormatter.build(transcription), null, 2);
+    }
+
+    if (format !== 'txt') {
+      throw new Error(`Formato de salida no soportado: ${format}`);
+    }
+
+    let content;
+    
+    if (typeof transcription === 'string') {
+      content = transcription;
+    } else if (AudioService.hasSpeakers(transcription)) {
+      content = AudioService.formatSpeakerTurns(transcription.segments);
+    } else if (transcription.text) {
+      content = transcription.text;
+    } else {
+      content = JSON.stringify(transcription, null, 2);
+    }
 
-      // Agregar metadatos al archivo
-      const fileContent = `# Transcripción generada automáticamente
+    // Agregar metadatos al archivo
+    return `# Transcripción generada automáticamente
 # Archivo: ${metadata.fileName}
 # Modelo: ${metadata.model}
 # Fecha: ${metadata.timestamp}
 # Idioma: ${metadata.language || 'auto-detect'}
-
+${metadata.diarization ? `# Hablantes: ${metadata.diarization.speakers.join(', ')}\n` : ''}
 ${content}
 `;
+  }
+
+  /**
+   * Indica si los segmentos de una transcripción tienen hablante asignado
+   * @param {Object|string} transcription - Transcripción
+   * @returns {boolean} True si hay etiquetas de hablante
+   */
+  static hasSpeakers(transcription) {
+    return SubtitleFormatter.hasSegments(transcription)
+      && transcription.segments.some(segment => segment.speaker);
+  }
+
+  /**
+   * Agrupa segmentos consecutivos del mismo hablante en turnos de texto
+   * @param {Array<Object>} segments - Segmentos con `speaker` y `text`
+   * @returns {string} Un párrafo `[SPEAKER_N] texto` por turno
+   * @private
+   */
+  static formatSpeakerTurns(segments) {
+    const turns = [];
 
+    for (const segment of segments) {
+      const text = segment.text.trim();
+      const last = turns[turns.length - 1];
+      if (last && last.speaker === segment.speaker) {
+        last.text = `${last.text} ${text}`;
+      } else {
+        turns.push({ speaker: segment.speaker, text });
+      }
+    }
+
+    return turns.map(turn => `[${turn.speaker}] ${turn.text}`).join('\n\n');
+  }
+
+  /**
+   * Guarda una transcripción en un archivo del formato indicado.
+   * Si la transcripción tiene segmentos se guarda además el resultado completo
+   * en un `.json` junto al archivo, para poder regenerar otros formatos.
+   * @param {Object} transcriptionResult - Resultado de la transcripción
+   * @param {string} outputDirectory - Directorio donde guardar el archivo
+   * @param {string} [format='txt'] - Formato de salida (ver OUTPUT_FORMATS)
+   * @returns {Promise<string>} Ruta del archivo guardado
+   */
+  async saveTranscription(transcriptionResult, outputDirectory, format = 'txt') {
+    try {
+      // Crear directorio de salida si no existe
+      await fs.mkdir(outputDirectory, { recursive: true });
+
+      const { metadata } = transcriptionResult;
+      const transcription = transcriptionResult.transcription ?? transcriptionResult.translation;
+      const baseName = path.parse(metadata.fileName).name;
+      const outputPath = path.join(outputDirectory, `${baseName}.${AudioService.formatExtension(format)}`);
+
+      const fileContent = this.formatTranscription(transcriptionResult, format);
       await fs.writeFile(outputPath, fileContent, 'utf8');
+
+      if (format !== 'json' && SubtitleFormatter.hasSegments(transcription)) {
+        const dataPath = path.join(outputDirectory, `${baseName}.json`);
+        await fs.writeFile(dataPath, this.formatTranscription(transcriptionResult, 'json'), 'utf8');
+      }
+
       return outputPath;
 
     } catch (error) {
@@ -289,15 +1245,42 @@ ${content}
     }
   }
 
+  /**
+   * Extensión de los archivos guardados en un formato
+   * @param {string} format - Formato de salida
+   * @returns {string} Extensión sin punto (ej: 'srt', 'karaoke.vtt')
+   */
+  static formatExtension(format) {
+    return FORMAT_EXTENSIONS[format] || format;
+  }
+
+  /**
+   * Identifica el formato de un archivo de transcripción por su extensión
+   * @param {string} fileName - Nombre del archivo (ej: 'audio.karaoke.vtt')
+   * @returns {Object|null} `baseName` y `format`, o null si no es un archivo de transcripción
+   */
+  static parseOutputFileName(fileName) {
+    // Las extensiones compuestas se comprueban antes que las simples ('.karaoke.vtt' antes que '.vtt')
+    const formats = [...OUTPUT_FORMATS].sort((a, b) => AudioService.formatExtension(b).length - AudioService.formatExtension(a).length);
+    const format = formats.find(candidate => fileName.endsWith(`.${AudioService.formatExtension(candidate)}`));
+    if (!format) {
+      return null;
+    }
+
+    return {
+      baseName: fileName.slice(0, -(AudioService.formatExtension(format).length + 1)),
+      format,
+    };
+  }
+
   /**
    * Valida si un archivo es un formato de audio soportado
    * @param {string} filePath - Ruta al archivo
    * @returns {boolean} True si el archivo es soportado
    */
   static isValidAudioFile(filePath) {
-    const supportedExtensions = ['.mp3', '.wav', '.m4a', '.flac', '.ogg', '.opus', '.webm', '.mp4', '.mpeg', '.mpga'];
-    const extension = path.extname(filePath).toLowerCase();
-    return supportedExtensions.includes(extension);
+    const extension = path.extname(filePath).toLowerCase().substring(1);
+    return SUPPORTED_INPUT_FORMATS.includes(extension);
   }
 
   /**
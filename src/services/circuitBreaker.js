@@ -0,0 +1,108 @@
+/**
+ * Estados del circuito
+ * @readonly
+ * @enum {string}
+ */
+export const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open',
+};
+
+/**
+ * Circuit breaker para dejar de llamar a un servicio caído.
+ * Tras `failureThreshold` fallos seguidos el circuito se abre y las llamadas fallan al
+ * momento durante `resetTimeout`; después se deja pasar una llamada de prueba que lo
+ * cierra si va bien o lo vuelve a abrir si falla.
+ * @class CircuitBreaker
+ */
+export class CircuitBreaker {
+  /**
+   * Constructor del circuit breaker
+   * @param {Object} [options={}] - Opciones del circuito
+   * @param {number} [options.failureThreshold=5] - Fallos seguidos que abren el circuito
+   * @param {number} [options.resetTimeout=30000] - Tiempo en ms que el circuito permanece abierto
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+
+    this.state = CircuitState.CLOSED;
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Indica si se puede hacer una llamada ahora; en half-open solo se permite una a la vez
+   * @returns {boolean} True si la llamada puede continuar
+   */
+  allowRequest() {
+    if (this.state === CircuitState.OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = CircuitState.HALF_OPEN;
+    }
+
+    if (this.state === CircuitState.CLOSED) {
+      return true;
+    }
+
+    if (this.state === CircuitState.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Registra una llamada correcta y cierra el circuito
+   */
+  recordSuccess() {
+    this.state = CircuitState.CLOSED;
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Registra un fallo del servicio y abre el circuito si se alcanza el umbral
+   */
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === CircuitState.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = CircuitState.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Libera la llamada de prueba sin contarla como éxito ni fallo (p. ej. si se canceló)
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Segundos que faltan para que el circuito admita una llamada de prueba
+   * @returns {number} Segundos restantes (0 si no está abierto)
+   */
+  retryAfter() {
+    if (this.state !== CircuitState.OPEN) {
+      return 0;
+    }
+    return Math.max(0, Math.ceil((this.openedAt + this.resetTimeout - Date.now()) / 1000));
+  }
+
+  /**
+   * Estado actual del circuito
+   * @returns {Object} `state`, fallos seguidos y segundos hasta la siguiente prueba
+   */
+  stats() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryAfter: this.retryAfter(),
+    };
+  }
+}
@@ -0,0 +1,335 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { AudioService, OUTPUT_FORMATS } from './audioService.js';
+import { AudioConverter, PREPROCESSING_FILTERS } from './audioConverter.js';
+
+/**
+ * Vigila una carpeta y transcribe automáticamente los archivos de audio que aparecen en ella.
+ * La carpeta se revisa cada `interval` ms y un archivo se procesa cuando su tamaño y su fecha
+ * de modificación no cambian durante `stableChecks` revisiones seguidas, para no leer archivos
+ * que aún se están copiando. Los archivos ya transcritos con las mismas opciones se omiten
+ * gracias al manifiesto de AudioService.
+ * @class FolderWatcher
+ */
+export class FolderWatcher {
+  /**
+   * Constructor del vigilante
+   * @param {AudioService} audioService - Servicio de audio que transcribe los archivos
+   * @param {Object} [options={}] - Opciones del vigilante
+   * @param {string} [options.dir='audios'] - Carpeta vigilada
+   * @param {string} [options.textsDir='texts'] - Carpeta donde se guardan las transcripciones
+   * @param {number} [options.interval=2000] - Tiempo en ms entre revisiones de la carpeta
+   * @param {number} [options.stableChecks=2] - Revisiones sin cambios para considerar un archivo completo
+   * @param {boolean} [options.moveFiles=false] - Mover los originales a `processedDir` o `failedDir` al terminar
+   * @param {string} [options.processedDir] - Carpeta de los originales transcritos (por defecto `<dir>/processed`)
+   * @param {string} [options.failedDir] - Carpeta de los originales que fallaron (por defecto `<dir>/failed`)
+   * @param {Object} [options.options={}] - Opciones de transcripción (`provider`, `language`, `format`...);
+   * `preprocess` admite también una lista separada por comas
+   * @param {TranscriptStore} [options.transcriptStore] - Almacén donde registrar las transcripciones
+   */
+  constructor(audioService, options = {}) {
+    this.audioService = audioService;
+    this.dir = options.dir || 'audios';
+    this.textsDir = options.textsDir || 'texts';
+    this.interval = options.interval || 2000;
+    this.stableChecks = options.stableChecks || 2;
+    this.moveFiles = options.moveFiles || false;
+    this.processedDir = options.processedDir || path.join(this.dir, 'processed');
+    this.failedDir = options.failedDir || path.join(this.dir, 'failed');
+    this.options = {
+      ...options.options,
+      preprocess: AudioConverter.parseFilters(options.options?.preprocess),
+    };
+    this.transcriptStore = options.transcriptStore || null;
+
+    // Archivos que están cambiando, archivos ya tratados (si no se mueven) y archivos en curso
+    this.candidates = new Map();
+    this.handled = new Map();
+    this.processing = new Set();
+
+    this.counts = { processed: 0, skipped: 0, failed: 0 };
+    this.running = false;
+    this.timer = null;
+    this.controller = null;
+    this.lastScanAt = null;
+  }
+
+  /**
+   * Empieza a vigilar la carpeta
+   * @returns {Promise<void>}
+   * @throws {Error} Si las opciones de transcripción no son válidas
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+
+    const format = this.options.format || 'txt';
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new Error(`Formato de salida no soportado para la carpeta vigilada: ${format}`);
+    }
+    const unknownFilters = (this.options.preprocess || []).filter(filter => !PREPROCESSING_FILTERS.includes(filter));
+    if (unknownFilters.length > 0) {
+      throw new Error(`Filtros de preprocesado no soportados para la carpeta vigilada: ${unknownFilters.join(', ')}`);
+    }
+    // Lanza si el proveedor no está configurado
+    this.audioService.getProvider(this.options.provider);
+
+    await fs.mkdir(this.dir, { recursive: true });
+    if (this.moveFiles) {
+      await fs.mkdir(this.processedDir, { recursive: true });
+      await fs.mkdir(this.failedDir, { recursive: true });
+    }
+
+    this.running = true;
+    this.controller = new AbortController();
+    await this.scan();
+  }
+
+  /**
+   * Deja de vigilar la carpeta y cancela los archivos que aún no han empezado
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.controller?.abort(new Error('Vigilancia de la carpeta detenida'));
+  }
+
+  /**
+   * Estado actual del vigilante
+   * @returns {Object} Archivos en espera y en curso, totales procesados y fecha de la última revisión
+   */
+  stats() {
+    return {
+      running: this.running,
+      dir: this.dir,
+      moveFiles: this.moveFiles,
+      waiting: this.candidates.size,
+      processing: this.processing.size,
+      ...this.counts,
+      lastScanAt: this.lastScanAt,
+    };
+  }
+
+  /**
+   * Revisa la carpeta, lanza los archivos listos y programa la siguiente revisión
+   * @returns {Promise<void>}
+   * @private
+   */
+  async scan() {
+    try {
+      const ready = await this.detect();
+      if (ready.length > 0) {
+        // No se espera: la siguiente revisión puede detectar otros archivos mientras tanto
+        this.process(ready);
+      }
+    } catch (error) {
+      console.error(`❌ Error al revisar la carpeta ${this.dir}: ${error.message}`);
+    } finally {
+      this.lastScanAt = new Date().toISOString();
+      if (this.running) {
+        this.timer = setTimeout(() => this.scan(), this.interval);
+      }
+    }
+  }
+
+  /**
+   * Compara los archivos de la carpeta con la revisión anterior
+   * @returns {Promise<Array<string>>} Rutas de los archivos que ya están completos
+   * @private
+   */
+  async detect() {
+    const entries = await fs.readdir(this.dir, { withFileTypes: true });
+    const present = new Set();
+    const ready = [];
+
+    for (const entry of entries) {
+      if (!entry.isFile() || !FolderWatcher.isWatchable(entry.name)) {
+        continue;
+      }
+
+      const filePath = path.join(this.dir, entry.name);
+      present.add(filePath);
+      if (this.processing.has(filePath)) {
+        continue;
+      }
+
+      let stats;
+      try {
+        stats = await fs.stat(filePath);
+      } catch {
+        // Borrado o movido entre readdir y stat
+        continue;
+      }
+
+      const handled = this.handled.get(filePath);
+      if (handled && FolderWatcher.isUnchanged(handled, stats)) {
+        continue;
+      }
+
+      const candidate = this.candidates.get(filePath);
+      if (candidate && FolderWatcher.isUnchanged(candidate, stats) && stats.size > 0) {
+        candidate.checks++;
+        if (candidate.checks >= this.stableChecks) {
+          this.candidates.delete(filePath);
+          ready.push(filePath);
+        }
+      } else {
+        this.candidates.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, checks: 0 });
+      }
+    }
+
+    // Olvidar los archivos que ya no están en la carpeta
+    for (const known of [this.candidates, this.handled]) {
+      for (const filePath of known.keys()) {
+        if (!present.has(filePath)) {
+          known.delete(filePath);
+        }
+      }
+    }
+
+    return ready;
+  }
+
+  /**
+   * Transcribe un grupo de archivos completos y mueve o recuerda cada uno según el resultado
+   * @param {Array<string>} filePaths - Rutas de los archivos
+   * @returns {Promise<void>}
+   * @private
+   */
+  async process(filePaths) {
+    filePaths.forEach(filePath => this.processing.add(filePath));
+    const { signal } = this.controller;
+
+    try {
+      const options = { ...this.options, signal };
+      const plan = await this.audioService.planFiles(filePaths, options);
+      const { results, skipped } = await this.audioService.processPlan(plan, options, this.textsDir);
+
+      for (const file of skipped) {
+        this.counts.skipped++;
+        console.log(`⏭️  ${file.fileName} ya se transcribió como ${file.processedAs} (${file.savedPath || 'sin archivo de salida'})`);
+        await this.settle(file.filePath, this.processedDir);
+      }
+
+      for (const [index, result] of results.entries()) {
+        const { fileName, filePath } = plan.pending[index];
+
+        if (result.success) {
+          await this.complete(result);
+          this.counts.processed++;
+          console.log(`✅ ${fileName} transcrito automáticamente en ${result.savedPath}`);
+          await this.settle(filePath, this.processedDir);
+        } else {
+          this.counts.failed++;
+          console.error(`❌ Error al transcribir ${fileName} desde la carpeta vigilada: ${result.error}`);
+          await this.settle(filePath, this.failedDir);
+        }
+      }
+    } catch (error) {
+      if (signal.aborted) {
+        return;
+      }
+      // Error antes de transcribir (p. ej. al calcular el hash): se reintenta si el archivo cambia
+      console.error(`❌ Error al procesar archivos de la carpeta vigilada: ${error.message}`);
+      for (const filePath of filePaths) {
+        await this.remember(filePath);
+      }
+    } finally {
+      filePaths.forEach(filePath => this.processing.delete(filePath));
+    }
+  }
+
+  /**
+   * Registra una transcripción en el almacén
+   * @param {Object} result - Resultado de AudioService.transcribeFile
+   * @returns {Promise<void>}
+   * @private
+   */
+  async complete(result) {
+    if (this.transcriptStore) {
+      const record = await this.transcriptStore.add(result);
+      result.transcriptId = record.id;
+    }
+  }
+
+  /**
+   * Deja un archivo terminado: lo mueve a `destination` o, si no se mueven, lo recuerda
+   * @param {string} filePath - Ruta del archivo
+   * @param {string} destination - Carpeta de destino
+   * @returns {Promise<void>}
+   * @private
+   */
+  async settle(filePath, destination) {
+    if (!this.moveFiles) {
+      await this.remember(filePath);
+      return;
+    }
+
+    try {
+      const target = await FolderWatcher.availablePath(destination, path.basename(filePath));
+      await fs.rename(filePath, target);
+    } catch (error) {
+      console.error(`❌ Error al mover ${filePath} a ${destination}: ${error.message}`);
+      await this.remember(filePath);
+    }
+  }
+
+  /**
+   * Recuerda el tamaño y la fecha de un archivo para no volver a tratarlo mientras no cambie
+   * @param {string} filePath - Ruta del archivo
+   * @returns {Promise<void>}
+   * @private
+   */
+  async remember(filePath) {
+    try {
+      const { size, mtimeMs } = await fs.stat(filePath);
+      this.handled.set(filePath, { size, mtimeMs });
+    } catch {
+      // El archivo ya no existe: no hay nada que recordar
+    }
+  }
+
+  /**
+   * Ruta libre en una carpeta para un nombre de archivo, añadiendo la fecha si ya existe
+   * @param {string} directory - Carpeta de destino
+   * @param {string} fileName - Nombre del archivo
+   * @returns {Promise<string>} Ruta de destino
+   * @private
+   */
+  static async availablePath(directory, fileName) {
+    const target = path.join(directory, fileName);
+    try {
+      await fs.access(target);
+    } catch {
+      return target;
+    }
+    const { name, ext } = path.parse(fileName);
+    return path.join(directory, `${name}-${Date.now()}${ext}`);
+  }
+
+  /**
+   * Indica si un archivo de la carpeta debe vigilarse
+   * @param {string} fileName - Nombre del archivo
+   * @returns {boolean} True si es un audio soportado que no es oculto ni intermedio
+   * @private
+   */
+  static isWatchable(fileName) {
+    return !fileName.startsWith('.')
+      && !fileName.includes('.normalized.')
+      && !fileName.includes('.preprocessed.')
+      && AudioService.isValidAudioFile(fileName);
+  }
+
+  /**
+   * Indica si el tamaño y la fecha de modificación de un archivo no han cambiado
+   * @param {Object} previous - Tamaño y fecha registrados
+   * @param {fs.Stats} stats - Estado actual del archivo
+   * @returns {boolean} True si coinciden
+   * @private
+   */
+  static isUnchanged(previous, stats) {
+    return previous.size === stats.size && previous.mtimeMs === stats.mtimeMs;
+  }
+}
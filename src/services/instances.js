@@ -0,0 +1,133 @@
+import { config } from '../middleware/config.js';
+import { AudioService } from './audioService.js';
+import { JobQueue } from './jobQueue.js';
+import { ApiKeyStore } from './apiKeyStore.js';
+import { TranscriptStore } from './transcriptStore.js';
+import { WebhookDispatcher } from './webhookDispatcher.js';
+import { ProcessingManifest } from './processingManifest.js';
+import { ResultCache } from './resultCache.js';
+import { TempWorkspace } from './tempWorkspace.js';
+import { TempFileSweeper } from './tempFileSweeper.js';
+import { FolderWatcher } from './folderWatcher.js';
+import { RemoteAudioFetcher } from './remoteAudioFetcher.js';
+import { Logger } from '../utils/logger.js';
+import { createTranscriptionProviders } from '../providers/transcription/index.js';
+import { createDiarizationEngines } from '../providers/diarization/index.js';
+import { createLlmClients } from '../providers/llm/index.js';
+import { createTranslationProviders } from '../providers/translation/index.js';
+
+/**
+ * Logger estructurado compartido
+ */
+export const logger = new Logger({ level: config.logging.level });
+
+/**
+ * Manifiesto compartido de archivos ya procesados
+ */
+export const processingManifest = new ProcessingManifest({ filePath: config.manifest.file });
+
+/**
+ * Caché compartida de resultados de transcripción y traducción
+ */
+export const resultCache = new ResultCache(config.cache);
+
+/**
+ * Espacio de trabajo compartido de los archivos intermedios de las conversiones
+ */
+export const tempWorkspace = new TempWorkspace({ dir: config.tempFiles.dir });
+
+/**
+ * Clientes compartidos de modelos de lenguaje
+ */
+export const llmClients = createLlmClients(config);
+
+/**
+ * Instancia compartida del servicio de audio
+ */
+export const audioService = new AudioService(createTranscriptionProviders(config), {
+  defaultProvider: config.transcription.provider,
+  chunking: config.chunking,
+  conversion: { ...config.conversion, concurrency: config.concurrency.conversions },
+  preprocessing: config.preprocessing,
+  concurrency: config.concurrency,
+  subtitles: config.subtitles,
+  diarizationEngines: createDiarizationEngines(config),
+  defaultDiarizationEngine: config.diarization.engine,
+  manifest: processingManifest,
+  cache: config.cache.enabled ? resultCache : null,
+  workspace: tempWorkspace,
+  translationProviders: createTranslationProviders(config, llmClients),
+  defaultTranslationProvider: config.translation.provider,
+  analysisClients: llmClients,
+  defaultAnalysisClient: config.analysis.provider,
+  analysisChunkChars: config.analysis.chunkChars,
+});
+
+/**
+ * Descargador compartido de audios por URL
+ */
+export const remoteAudioFetcher = new RemoteAudioFetcher({
+  ...config.urlFetch,
+  allowedFormats: config.audio.allowedFormats,
+});
+
+/**
+ * Almacén compartido de transcripciones
+ */
+export const transcriptStore = new TranscriptStore({ dir: config.store.dir });
+
+/**
+ * Despachador compartido de webhooks de finalización
+ */
+export const webhookDispatcher = new WebhookDispatcher(config.webhooks);
+
+/**
+ * Almacén compartido de API keys y cuotas
+ */
+export const apiKeyStore = new ApiKeyStore({
+  filePath: config.auth.keysFile,
+  defaultQuotas: config.auth.defaultQuotas,
+});
+
+/**
+ * Cola compartida de trabajos asíncronos
+ */
+export const jobQueue = new JobQueue(audioService, {
+  transcriptStore,
+  webhookDispatcher,
+  apiKeyStore,
+  jobsDir: config.jobs.dir,
+  concurrency: config.jobs.concurrency,
+  audioDir: config.audio.audioDir,
+  textsDir: config.audio.textsDir,
+});
+
+/**
+ * Barrido compartido de subidas y directorios de trabajo abandonados
+ */
+export const tempFileSweeper = new TempFileSweeper({
+  uploadsDir: config.audio.uploadsDir,
+  workspace: tempWorkspace,
+  maxAge: config.tempFiles.maxAge,
+  interval: config.tempFiles.sweepInterval,
+  // Las subidas de los trabajos en cola pueden esperar su turno más de maxAge
+  isInUse: filePath => jobQueue.usesFile(filePath),
+  // Uso de disco informado en /api/system/health
+  directories: {
+    uploads: config.audio.uploadsDir,
+    audios: config.audio.audioDir,
+    texts: config.audio.textsDir,
+    temp: config.tempFiles.dir,
+    cache: config.cache.dir,
+    transcripts: config.store.dir,
+  },
+});
+
+/**
+ * Vigilante compartido de la carpeta de transcripción automática
+ */
+export const folderWatcher = new FolderWatcher(audioService, {
+  ...config.watch,
+  textsDir: config.audio.textsDir,
+  transcriptStore,
+});
@@ -0,0 +1,514 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { AudioService } from './audioService.js';
+import { TranscriptStore } from './transcriptStore.js';
+import { SUBTITLE_FORMATS } from './subtitleFormatter.js';
+import { AlignmentFormatter } from './alignmentFormatter.js';
+import { ProviderError } from '../providers/transcription/index.js';
+import { WebhookDispatcher } from './webhookDispatcher.js';
+import { ApiKeyStore } from './apiKeyStore.js';
+
+/**
+ * Estados posibles de un trabajo
+ * @readonly
+ * @enum {string}
+ */
+export const JobState = {
+  QUEUED: 'queued',
+  CONVERTING: 'converting',
+  PREPROCESSING: 'preprocessing',
+  TRANSCRIBING: 'transcribing',
+  DIARIZING: 'diarizing',
+  TRANSLATING: 'translating',
+  ANALYZING: 'analyzing',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * Tipos de trabajo que sabe ejecutar la cola
+ */
+export const JOB_TYPES = ['transcribe', 'translate', 'process-directory'];
+
+/**
+ * Estados en los que un trabajo sigue pendiente o en ejecución
+ */
+const ACTIVE_STATES = [
+  JobState.QUEUED, JobState.CONVERTING, JobState.PREPROCESSING, JobState.TRANSCRIBING,
+  JobState.DIARIZING, JobState.TRANSLATING, JobState.ANALYZING,
+];
+
+/**
+ * Mensajes de las respuestas de cada tipo de trabajo, iguales a los de las rutas síncronas
+ */
+const SUCCESS_MESSAGES = {
+  transcribe: 'Archivo transcrito exitosamente',
+  translate: 'Archivo traducido exitosamente',
+};
+
+/**
+ * Cola de trabajos de transcripción asíncronos con persistencia en disco
+ * @class JobQueue
+ */
+export class JobQueue {
+  /**
+   * Constructor de la cola de trabajos
+   * @param {AudioService} audioService - Servicio usado para ejecutar los trabajos
+   * @param {Object} [options={}] - Opciones de la cola
+   * @param {string} [options.jobsDir='jobs'] - Directorio donde se persisten los trabajos
+   * @param {number} [options.concurrency=1] - Trabajos ejecutados en paralelo
+   * @param {string} [options.audioDir='audios'] - Directorio procesado por los trabajos de directorio
+   * @param {string} [options.textsDir='texts'] - Directorio donde se guardan las transcripciones
+   * @param {TranscriptStore} [options.transcriptStore] - Almacén donde se registran los resultados
+   * @param {WebhookDispatcher} [options.webhookDispatcher] - Despachador de los webhooks de finalización
+   * @param {ApiKeyStore} [options.apiKeyStore] - Almacén de API keys al que se devuelve la cuota de audio de los trabajos fallidos
+   */
+  constructor(audioService, options = {}) {
+    this.audioService = audioService;
+    this.jobsDir = options.jobsDir || 'jobs';
+    this.concurrency = options.concurrency || 1;
+    this.audioDir = options.audioDir || 'audios';
+    this.textsDir = options.textsDir || 'texts';
+    this.transcriptStore = options.transcriptStore || null;
+    this.webhookDispatcher = options.webhookDispatcher || null;
+    this.apiKeyStore = options.apiKeyStore || null;
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = new Map();
+    this.writes = new Map();
+  }
+
+  /**
+   * Carga los trabajos persistidos y reanuda los que quedaron sin terminar
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await fs.mkdir(this.jobsDir, { recursive: true });
+
+    const files = (await fs.readdir(this.jobsDir)).filter(file => file.endsWith('.json'));
+    const resumable = [];
+
+    for (const file of files) {
+      try {
+        const job = JSON.parse(await fs.readFile(path.join(this.jobsDir, file), 'utf8'));
+        this.jobs.set(job.id, job);
+
+        if (ACTIVE_STATES.includes(job.state)) {
+          resumable.push(job);
+        }
+      } catch (error) {
+        console.error(`✗ No se pudo cargar el trabajo ${file}:`, error.message);
+      }
+    }
+
+    resumable.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of resumable) {
+      Object.assign(job, { state: JobState.QUEUED, progress: 0, startedAt: null });
+      await this.persist(job);
+      this.pending.push(job.id);
+    }
+
+    if (resumable.length > 0) {
+      console.log(`🔁 Reanudando ${resumable.length} trabajos pendientes`);
+    }
+
+    this.drain();
+  }
+
+  /**
+   * Crea un trabajo y lo encola para su ejecución
+   * @param {Object} params - Datos del trabajo
+   * @param {string} params.type - Tipo de trabajo ('transcribe', 'translate', 'process-directory')
+   * @param {Object} [params.options={}] - Opciones de transcripción o traducción
+   * @param {Object} [params.input] - Archivo de entrada (`filePath`, `originalName`)
+   * @param {boolean} [params.saveToFile=false] - Guardar el resultado en el directorio de textos
+   * @param {string} [params.apiKeyId] - Id de la API key que creó el trabajo
+   * @param {string} [params.callbackUrl] - URL que recibe el resultado al terminar el trabajo
+   * @param {Object} [params.audioCharge] - Cuota de audio descontada al crearlo (ver enforceAudioQuota),
+   * que se devuelve si el trabajo falla o se cancela
+   * @returns {Promise<Object>} Trabajo creado
+   */
+  async enqueue({ type, options = {}, input = null, saveToFile = false, apiKeyId = null, callbackUrl = null, audioCharge = null }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      state: JobState.QUEUED,
+      progress: 0,
+      options,
+      input,
+      saveToFile,
+      apiKeyId,
+      callbackUrl,
+      audioCharge,
+      result: null,
+      error: null,
+      errorCode: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+    };
+
+    this.jobs.set(job.id, job);
+    await this.persist(job);
+    this.pending.push(job.id);
+    this.drain();
+
+    return job;
+  }
+
+  /**
+   * Obtiene un trabajo por su id
+   * @param {string} id - Id del trabajo
+   * @returns {Object|null} Trabajo o null si no existe
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Lista los trabajos, del más reciente al más antiguo
+   * @param {Object} [filter={}] - Filtro opcional
+   * @param {string} [filter.apiKeyId] - Solo los trabajos creados con esta API key
+   * @returns {Array<Object>} Trabajos conocidos
+   */
+  list(filter = {}) {
+    return [...this.jobs.values()]
+      .filter(job => !filter.apiKeyId || job.apiKeyId === filter.apiKeyId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Indica si un archivo es la entrada de un trabajo pendiente o en ejecución
+   * (el trabajo lo eliminará al terminar)
+   * @param {string} filePath - Ruta del archivo
+   * @returns {boolean} True si algún trabajo activo lo usa
+   */
+  usesFile(filePath) {
+    const target = path.resolve(filePath);
+    return [...this.jobs.values()].some(job =>
+      ACTIVE_STATES.includes(job.state) && job.input?.filePath && path.resolve(job.input.filePath) === target);
+  }
+
+  /**
+   * Cancela un trabajo activo o elimina uno ya terminado
+   * @param {string} id - Id del trabajo
+   * @returns {Promise<Object|null>} Trabajo afectado y acción realizada, o null si no existe
+   */
+  async cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    if (!ACTIVE_STATES.includes(job.state)) {
+      this.jobs.delete(id);
+      await fs.rm(this.jobPath(id), { force: true });
+      return { job, action: 'deleted' };
+    }
+
+    const running = this.running.get(id);
+    if (running) {
+      // El ejecutor marcará el trabajo como cancelado al detectar la señal
+      running.abort();
+    } else {
+      this.pending = this.pending.filter(pendingId => pendingId !== id);
+      await this.finish(job, { state: JobState.CANCELLED });
+    }
+
+    return { job, action: 'cancelled' };
+  }
+
+  /**
+   * Arranca trabajos pendientes mientras haya capacidad libre
+   * @private
+   */
+  drain() {
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      if (job && job.state === JobState.QUEUED) {
+        this.run(job);
+      }
+    }
+  }
+
+  /**
+   * Ejecuta un trabajo y registra su resultado
+   * @param {Object} job - Trabajo a ejecutar
+   * @returns {Promise<void>}
+   * @private
+   */
+  async run(job) {
+    const controller = new AbortController();
+    this.running.set(job.id, controller);
+
+    try {
+      await this.update(job, { state: JobState.CONVERTING, startedAt: new Date().toISOString() });
+
+      const onProgress = (stage, progress) => {
+        this.update(job, { state: stage, progress: Math.round(progress) }).catch(error => {
+          console.error(`Error al actualizar el trabajo ${job.id}:`, error.message);
+        });
+      };
+
+      const result = await this.execute(job, { onProgress, signal: controller.signal });
+      await this.finish(job, { state: JobState.DONE, progress: 100, result });
+
+    } catch (error) {
+      if (controller.signal.aborted) {
+        await this.finish(job, { state: JobState.CANCELLED });
+      } else {
+        await this.finish(job, {
+          state: JobState.FAILED,
+          error: error.message,
+          errorCode: ProviderError.find(error)?.code ?? null,
+        });
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.drain();
+    }
+  }
+
+  /**
+   * Ejecuta la operación correspondiente al tipo de trabajo
+   * @param {Object} job - Trabajo a ejecutar
+   * @param {Object} context - Callback de progreso y señal de cancelación
+   * @returns {Promise<Object>} Resultado de la operación
+   * @private
+   */
+  async execute(job, { onProgress, signal }) {
+    const options = { ...job.options, onProgress, signal };
+
+    switch (job.type) {
+      case 'transcribe':
+      case 'translate': {
+        const result = job.type === 'transcribe'
+          ? await this.audioService.transcribeFile(job.input.filePath, options)
+          : await this.audioService.translateFile(job.input.filePath, options);
+
+        // Igual que las rutas síncronas, los subtítulos o la alineación se incluyen en el resultado
+        if (SUBTITLE_FORMATS.includes(job.options.format)) {
+          result.subtitles = {
+            format: job.options.format,
+            content: this.audioService.formatTranscription(result, job.options.format),
+          };
+        } else if (job.options.format === 'alignment') {
+          result.alignment = AlignmentFormatter.build(result.transcription ?? result.translation);
+        }
+
+        if (job.saveToFile) {
+          result.savedPath = await this.audioService.saveTranscription(result, this.textsDir, job.options.format);
+        }
+        await this.store(job, result, job.input.originalName);
+        return result;
+      }
+
+      case 'process-directory': {
+        const outputDirectory = job.saveToFile ? this.textsDir : null;
+        const { results, skipped } = await this.audioService.processAudioDirectory(this.audioDir, options, outputDirectory);
+        for (const result of results.filter(r => r.success)) {
+          await this.store(job, result);
+        }
+        return {
+          results,
+          skipped,
+          summary: AudioService.summarizeResults(results, skipped),
+        };
+      }
+
+      default:
+        throw new Error(`Tipo de trabajo no soportado: ${job.type}`);
+    }
+  }
+
+  /**
+   * Registra un resultado en el almacén de transcripciones, si hay uno configurado
+   * @param {Object} job - Trabajo que produjo el resultado
+   * @param {Object} result - Resultado de la transcripción o traducción
+   * @param {string} [originalName] - Nombre original del archivo subido
+   * @returns {Promise<void>}
+   * @private
+   */
+  async store(job, result, originalName) {
+    if (this.transcriptStore) {
+      const record = await this.transcriptStore.add(result, { originalName, apiKeyId: job.apiKeyId });
+      result.transcriptId = record.id;
+    }
+  }
+
+  /**
+   * Marca un trabajo como terminado y libera su archivo de entrada
+   * @param {Object} job - Trabajo terminado
+   * @param {Object} changes - Estado final y resultado
+   * @returns {Promise<void>}
+   * @private
+   */
+  async finish(job, changes) {
+    await this.update(job, { ...changes, finishedAt: new Date().toISOString() });
+
+    if (job.callbackUrl && [JobState.DONE, JobState.FAILED].includes(job.state)) {
+      await this.notify(job);
+    }
+
+    await this.refund(job);
+
+    if (job.input?.filePath) {
+      try {
+        await fs.unlink(job.input.filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Error al eliminar archivo temporal:', error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Devuelve a la API key del trabajo la cuota de audio que no se llegó a usar: toda si el
+   * trabajo falló o se canceló, y la de los archivos fallidos de un directorio procesado
+   * @param {Object} job - Trabajo terminado
+   * @returns {Promise<void>}
+   * @private
+   */
+  async refund(job) {
+    const record = job.audioCharge && job.apiKeyId ? this.apiKeyStore?.get(job.apiKeyId) : null;
+    if (!record) {
+      return;
+    }
+
+    const filePaths = job.state === JobState.DONE
+      ? (job.result?.results || []).filter(result => !result.success).map(result => result.metadata.filePath)
+      : undefined;
+
+    try {
+      await this.apiKeyStore.refundAudio(record, job.audioCharge, filePaths);
+      await this.persist(job);
+    } catch (error) {
+      console.error(`Error al devolver la cuota de audio del trabajo ${job.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Envía al callbackUrl del trabajo la misma respuesta que devolvería la ruta síncrona
+   * @param {Object} job - Trabajo terminado
+   * @returns {Promise<void>}
+   * @private
+   */
+  async notify(job) {
+    if (!this.webhookDispatcher) {
+      return;
+    }
+
+    try {
+      await this.webhookDispatcher.deliver({
+        url: job.callbackUrl,
+        event: `job.${job.state}`,
+        jobId: job.id,
+        apiKeyId: job.apiKeyId,
+        payload: { jobId: job.id, ...JobQueue.toResponse(job) },
+      });
+    } catch (error) {
+      console.error(`Error al registrar el webhook del trabajo ${job.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Construye la respuesta de un trabajo terminado con el formato de la API
+   * @param {Object} job - Trabajo terminado
+   * @returns {Object} Respuesta `{ success, data, message }` o `{ success: false, error, details }`
+   */
+  static toResponse(job) {
+    if (job.state === JobState.FAILED) {
+      return {
+        success: false,
+        error: 'Error al procesar el trabajo',
+        code: job.errorCode ?? undefined,
+        details: job.error,
+      };
+    }
+
+    if (job.type === 'process-directory') {
+      const { summary } = job.result;
+      return {
+        success: true,
+        data: job.result,
+        message: `Procesados ${summary.total} archivos. ${summary.successful} exitosos, ${summary.failed} fallidos, ${summary.skipped} omitidos.`,
+      };
+    }
+
+    return {
+      success: true,
+      data: job.result,
+      message: SUCCESS_MESSAGES[job.type],
+    };
+  }
+
+  /**
+   * Aplica cambios a un trabajo y los persiste
+   * @param {Object} job - Trabajo a modificar
+   * @param {Object} changes - Propiedades a actualizar
+   * @returns {Promise<void>}
+   * @private
+   */
+  async update(job, changes) {
+    // Un trabajo cancelado no vuelve a cambiar de estado
+    if (job.state === JobState.CANCELLED) {
+      return;
+    }
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    await this.persist(job);
+  }
+
+  /**
+   * Encadena la escritura del trabajo para que las actualizaciones lleguen a disco en orden
+   * @param {Object} job - Trabajo a persistir
+   * @returns {Promise<void>}
+   * @private
+   */
+  persist(job) {
+    const previous = this.writes.get(job.id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => this.writeJob(job));
+    const cleanup = () => {
+      if (this.writes.get(job.id) === next) {
+        this.writes.delete(job.id);
+      }
+    };
+
+    this.writes.set(job.id, next);
+    next.then(cleanup, cleanup);
+    return next;
+  }
+
+  /**
+   * Escribe el estado actual del trabajo en disco de forma atómica
+   * @param {Object} job - Trabajo a escribir
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeJob(job) {
+    // Un trabajo eliminado no debe volver a escribirse
+    if (!this.jobs.has(job.id)) {
+      return;
+    }
+    const target = this.jobPath(job.id);
+    const temporary = `${target}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(job, null, 2), 'utf8');
+    await fs.rename(temporary, target);
+  }
+
+  /**
+   * Ruta del archivo de un trabajo
+   * @param {string} id - Id del trabajo
+   * @returns {string} Ruta del archivo JSON
+   * @private
+   */
+  jobPath(id) {
+    return path.join(this.jobsDir, `${id}.json`);
+  }
+}
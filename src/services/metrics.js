@@ -0,0 +1,368 @@
+/**
+ * Límites por defecto (en segundos) de los histogramas de duración de peticiones HTTP
+ */
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+/**
+ * Límites (en segundos) de los histogramas de duración de transcripciones y llamadas a proveedores
+ */
+const PROCESSING_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800];
+
+/**
+ * Métrica con etiquetas en el formato de exposición de texto de Prometheus
+ * @class Metric
+ */
+class Metric {
+  /**
+   * Constructor de la métrica
+   * @param {string} type - Tipo Prometheus ('counter', 'gauge', 'histogram')
+   * @param {string} name - Nombre de la métrica
+   * @param {string} help - Descripción
+   * @param {Array<string>} [labelNames=[]] - Nombres de las etiquetas
+   */
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Serie de un conjunto de etiquetas, creada si no existe
+   * @param {Object} labels - Valores de las etiquetas
+   * @param {Function} create - Crea el valor inicial de la serie
+   * @returns {Object} Serie `{ labels, value }`
+   * @protected
+   */
+  getSeries(labels, create) {
+    const values = this.labelNames.map(name => String(labels[name] ?? ''));
+    const key = values.join('\u0000');
+
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: values, value: create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Elimina todas las series (para los gauges que se recalculan en cada lectura)
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * Líneas de la métrica en el formato de texto
+   * @returns {Array<string>} Líneas HELP, TYPE y una por serie
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value } of this.series.values()) {
+      lines.push(...this.renderSeries(labels, value));
+    }
+    return lines;
+  }
+
+  /**
+   * Líneas de una serie
+   * @param {Array<string>} labels - Valores de las etiquetas
+   * @param {*} value - Valor de la serie
+   * @returns {Array<string>} Líneas de la serie
+   * @protected
+   */
+  renderSeries(labels, value) {
+    return [`${this.name}${this.formatLabels(labels)} ${value}`];
+  }
+
+  /**
+   * Formatea las etiquetas `{a="1",b="2"}`
+   * @param {Array<string>} values - Valores en el orden de labelNames
+   * @param {Array<Array<string>>} [extra=[]] - Etiquetas adicionales `[nombre, valor]` (ej: `le`)
+   * @returns {string} Etiquetas formateadas, o cadena vacía si no hay
+   * @protected
+   */
+  formatLabels(values, extra = []) {
+    const pairs = [...this.labelNames.map((name, index) => [name, values[index]]), ...extra];
+    if (pairs.length === 0) {
+      return '';
+    }
+
+    const escape = value => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${pairs.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+  }
+}
+
+/**
+ * Contador que solo aumenta
+ * @class Counter
+ * @extends Metric
+ */
+export class Counter extends Metric {
+  /**
+   * Constructor del contador
+   * @param {string} name - Nombre de la métrica (terminado en _total)
+   * @param {string} help - Descripción
+   * @param {Array<string>} [labelNames=[]] - Nombres de las etiquetas
+   */
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  /**
+   * Incrementa el contador
+   * @param {Object} [labels={}] - Valores de las etiquetas
+   * @param {number} [value=1] - Incremento (no negativo)
+   */
+  inc(labels = {}, value = 1) {
+    if (!(value >= 0)) {
+      return;
+    }
+    this.getSeries(labels, () => 0).value += value;
+  }
+}
+
+/**
+ * Valor que puede subir y bajar
+ * @class Gauge
+ * @extends Metric
+ */
+export class Gauge extends Metric {
+  /**
+   * Constructor del gauge
+   * @param {string} name - Nombre de la métrica
+   * @param {string} help - Descripción
+   * @param {Array<string>} [labelNames=[]] - Nombres de las etiquetas
+   */
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  /**
+   * Fija el valor
+   * @param {Object} labels - Valores de las etiquetas
+   * @param {number} value - Valor
+   */
+  set(labels, value) {
+    this.getSeries(labels, () => 0).value = value;
+  }
+
+  /**
+   * Incrementa el valor
+   * @param {Object} [labels={}] - Valores de las etiquetas
+   * @param {number} [value=1] - Incremento
+   */
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => 0).value += value;
+  }
+}
+
+/**
+ * Histograma de observaciones acumuladas en intervalos
+ * @class Histogram
+ * @extends Metric
+ */
+export class Histogram extends Metric {
+  /**
+   * Constructor del histograma
+   * @param {string} name - Nombre de la métrica
+   * @param {string} help - Descripción
+   * @param {Array<string>} [labelNames=[]] - Nombres de las etiquetas
+   * @param {Array<number>} [buckets=HTTP_BUCKETS] - Límites superiores de los intervalos, ordenados
+   */
+  constructor(name, help, labelNames, buckets = HTTP_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * Registra una observación
+   * @param {Object} labels - Valores de las etiquetas
+   * @param {number} value - Valor observado
+   */
+  observe(labels, value) {
+    if (!Number.isFinite(value)) {
+      return;
+    }
+
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bucket, index) => {
+      if (value <= bucket) {
+        series.value.counts[index]++;
+      }
+    });
+    series.value.sum += value;
+    series.value.count++;
+  }
+
+  /**
+   * Inicia un cronómetro
+   * @param {Object} [labels={}] - Etiquetas conocidas al empezar
+   * @returns {Function} `(extraLabels)` que registra los segundos transcurridos y los devuelve
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  /**
+   * Líneas _bucket, _sum y _count de una serie
+   * @param {Array<string>} labels - Valores de las etiquetas
+   * @param {Object} value - Conteos de la serie
+   * @returns {Array<string>} Líneas de la serie
+   * @protected
+   */
+  renderSeries(labels, value) {
+    return [
+      ...this.buckets.map((bucket, index) =>
+        `${this.name}_bucket${this.formatLabels(labels, [['le', String(bucket)]])} ${value.counts[index]}`),
+      `${this.name}_bucket${this.formatLabels(labels, [['le', '+Inf']])} ${value.count}`,
+      `${this.name}_sum${this.formatLabels(labels)} ${value.sum}`,
+      `${this.name}_count${this.formatLabels(labels)} ${value.count}`,
+    ];
+  }
+}
+
+/**
+ * Registro de métricas que genera la exposición de texto de Prometheus
+ * @class MetricsRegistry
+ */
+export class MetricsRegistry {
+  /**
+   * Constructor del registro
+   */
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  /**
+   * Crea y registra un contador
+   * @param {string} name - Nombre de la métrica
+   * @param {string} help - Descripción
+   * @param {Array<string>} [labelNames] - Nombres de las etiquetas
+   * @returns {Counter} Contador registrado
+   */
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  /**
+   * Crea y registra un gauge
+   * @param {string} name - Nombre de la métrica
+   * @param {string} help - Descripción
+   * @param {Array<string>} [labelNames] - Nombres de las etiquetas
+   * @returns {Gauge} Gauge registrado
+   */
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  /**
+   * Crea y registra un histograma
+   * @param {string} name - Nombre de la métrica
+   * @param {string} help - Descripción
+   * @param {Array<string>} [labelNames] - Nombres de las etiquetas
+   * @param {Array<number>} [buckets] - Límites de los intervalos
+   * @returns {Histogram} Histograma registrado
+   */
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Registra una métrica
+   * @param {Metric} metric - Métrica a registrar
+   * @returns {Metric} La misma métrica
+   * @private
+   */
+  register(metric) {
+    if (this.metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`La métrica ${metric.name} ya está registrada`);
+    }
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Añade una función que actualiza gauges justo antes de cada lectura
+   * (estado de la cola, circuitos, memoria...)
+   * @param {Function} collector - Función sin argumentos
+   */
+  onCollect(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Genera la exposición de texto de todas las métricas
+   * @returns {string} Texto en formato Prometheus 0.0.4
+   */
+  render() {
+    for (const collector of this.collectors) {
+      collector();
+    }
+    return `${this.metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+/**
+ * Registro compartido de la aplicación
+ */
+export const registry = new MetricsRegistry();
+
+/**
+ * Métricas de la aplicación
+ */
+export const metrics = {
+  httpRequests: registry.counter(
+    'anyaudio_http_requests_total',
+    'Peticiones HTTP atendidas',
+    ['method', 'route', 'status'],
+  ),
+  httpDuration: registry.histogram(
+    'anyaudio_http_request_duration_seconds',
+    'Duración de las peticiones HTTP',
+    ['method', 'route'],
+  ),
+  transcriptions: registry.counter(
+    'anyaudio_transcriptions_total',
+    'Transcripciones y traducciones de audio terminadas',
+    ['provider', 'task', 'outcome'],
+  ),
+  transcriptionDuration: registry.histogram(
+    'anyaudio_transcription_duration_seconds',
+    'Duración de las transcripciones de audio, desde la normalización hasta la diarización',
+    ['provider', 'task'],
+    PROCESSING_BUCKETS,
+  ),
+  audioSeconds: registry.counter(
+    'anyaudio_audio_processed_seconds_total',
+    'Segundos de audio transcritos o traducidos',
+    ['provider', 'task'],
+  ),
+  cacheRequests: registry.counter(
+    'anyaudio_cache_requests_total',
+    'Consultas a la caché de resultados por resultado (hit, miss)',
+    ['task', 'outcome'],
+  ),
+  conversions: registry.counter(
+    'anyaudio_audio_conversions_total',
+    'Archivos analizados para la normalización con FFmpeg por resultado (converted, skipped, failed)',
+    ['format', 'outcome'],
+  ),
+  providerRequests: registry.counter(
+    'anyaudio_provider_requests_total',
+    'Llamadas a proveedores por resultado (success o el código de ProviderError)',
+    ['kind', 'provider', 'outcome'],
+  ),
+  providerDuration: registry.histogram(
+    'anyaudio_provider_request_duration_seconds',
+    'Duración de cada intento de llamada a un proveedor',
+    ['kind', 'provider'],
+    PROCESSING_BUCKETS,
+  ),
+};
@@ -0,0 +1,109 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { hashFile } from '../utils/fileHash.js';
+
+/**
+ * Manifiesto de los archivos ya procesados, indexado por el hash de su contenido.
+ * Cada entrada guarda las ejecuciones hechas sobre ese contenido y la huella de las
+ * opciones usadas (proveedor, modelo, idioma...), así que un archivo renombrado no se
+ * vuelve a transcribir y uno modificado sí. Para no releer todos los archivos en cada
+ * ejecución se recuerda el hash de cada ruta junto a su tamaño y fecha de modificación.
+ * @class ProcessingManifest
+ */
+export class ProcessingManifest {
+  /**
+   * Constructor del manifiesto
+   * @param {Object} [options={}] - Opciones del manifiesto
+   * @param {string} [options.filePath='data/manifest.json'] - Archivo donde se persiste
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || 'data/manifest.json';
+    this.entries = new Map();
+    this.files = new Map();
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Carga el manifiesto persistido
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      for (const entry of data.entries || []) {
+        this.entries.set(entry.hash, entry);
+      }
+      for (const [filePath, file] of Object.entries(data.files || {})) {
+        this.files.set(filePath, file);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Error al cargar el manifiesto: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Hash del contenido de un archivo, reutilizando el calculado si no ha cambiado
+   * @param {string} filePath - Ruta del archivo
+   * @returns {Promise<string>} Hash SHA-256 del contenido
+   */
+  async hash(filePath) {
+    const { size, mtimeMs } = await fs.stat(filePath);
+    const known = this.files.get(filePath);
+    if (known && known.size === size && known.mtimeMs === mtimeMs) {
+      return known.hash;
+    }
+
+    const hash = await hashFile(filePath);
+    this.files.set(filePath, { size, mtimeMs, hash });
+    return hash;
+  }
+
+  /**
+   * Busca una ejecución previa del mismo contenido con las mismas opciones
+   * @param {string} hash - Hash del contenido
+   * @param {string} fingerprint - Huella de las opciones de procesamiento
+   * @returns {Object|null} Ejecución registrada o null si no la hay
+   */
+  find(hash, fingerprint) {
+    return this.entries.get(hash)?.runs.find(run => run.fingerprint === fingerprint) || null;
+  }
+
+  /**
+   * Registra que un contenido se procesó con unas opciones
+   * @param {string} hash - Hash del contenido
+   * @param {Object} run - Datos de la ejecución (`fingerprint`, `fileName`, `provider`, `model`, `options`...)
+   * @returns {Promise<void>}
+   */
+  async record(hash, run) {
+    const entry = this.entries.get(hash) || { hash, runs: [] };
+    const processed = { ...run, processedAt: new Date().toISOString() };
+
+    // Una ejecución forzada con las mismas opciones sustituye a la anterior
+    entry.runs = [...entry.runs.filter(previous => previous.fingerprint !== run.fingerprint), processed];
+    this.entries.set(hash, entry);
+
+    await this.persist();
+  }
+
+  /**
+   * Encadena la escritura del archivo para que las actualizaciones lleguen a disco en orden
+   * @returns {Promise<void>}
+   * @private
+   */
+  persist() {
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      const data = {
+        entries: [...this.entries.values()],
+        files: Object.fromEntries(this.files),
+      };
+      const temporary = `${this.filePath}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify(data, null, 2), 'utf8');
+      await fs.rename(temporary, this.filePath);
+    });
+    return this.writing;
+  }
+}
@@ -0,0 +1,312 @@
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import http from 'http';
+import https from 'https';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { NetworkPolicy, BlockedAddressError } from '../utils/networkPolicy.js';
+
+/**
+ * Tipos de contenido aceptados además de audio/* y video/*, habituales en servidores de archivos
+ */
+const GENERIC_CONTENT_TYPES = ['application/octet-stream', 'binary/octet-stream', 'application/ogg'];
+
+/**
+ * Extensión que corresponde a cada tipo de contenido, para URLs sin extensión
+ */
+const CONTENT_TYPE_EXTENSIONS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/flac': 'flac',
+  'audio/x-flac': 'flac',
+  'audio/ogg': 'ogg',
+  'application/ogg': 'ogg',
+  'audio/opus': 'opus',
+  'audio/webm': 'webm',
+  'video/webm': 'webm',
+  'audio/amr': 'amr',
+  'audio/x-ms-wma': 'wma',
+  'audio/x-matroska': 'mka',
+  'video/x-matroska': 'mkv',
+  'video/mp4': 'mp4',
+  'video/mpeg': 'mpeg',
+  'video/quicktime': 'mov',
+  'video/x-msvideo': 'avi',
+};
+
+/**
+ * Códigos de respuesta que indican una redirección
+ */
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * Error de una descarga por URL con un código que identifica la causa
+ * (`URL_INVALID`, `URL_BLOCKED`, `URL_TOO_LARGE`, `URL_UNSUPPORTED_TYPE`, `URL_TOO_MANY_REDIRECTS`,
+ * `URL_TIMEOUT`, `URL_FETCH_FAILED`)
+ * @class RemoteFetchError
+ * @extends Error
+ */
+export class RemoteFetchError extends Error {
+  /**
+   * Constructor del error
+   * @param {string} code - Código de la causa
+   * @param {string} message - Descripción del error
+   * @param {Object} [options] - Opciones de Error (`cause`)
+   */
+  constructor(code, message, options) {
+    super(message, options);
+    this.name = 'RemoteFetchError';
+    this.code = code;
+  }
+}
+
+/**
+ * Descarga archivos de audio por URL para procesarlos como si se hubieran subido.
+ * Solo admite http y https, limita el tamaño, el tiempo y las redirecciones, comprueba el
+ * tipo de contenido y bloquea las direcciones privadas o locales (protección SSRF) salvo
+ * los hosts y redes permitidos. Las direcciones se comprueban al resolver el nombre en cada
+ * conexión, así que un DNS que cambie de respuesta no permite saltarse el bloqueo.
+ * @class RemoteAudioFetcher
+ */
+export class RemoteAudioFetcher {
+  /**
+   * Constructor del descargador
+   * @param {Object} [options={}] - Opciones de descarga
+   * @param {number} [options.maxSize=524288000] - Tamaño máximo del archivo en bytes
+   * @param {number} [options.timeout=60000] - Tiempo máximo de la descarga completa en ms
+   * @param {number} [options.maxRedirects=3] - Redirecciones que se siguen como máximo
+   * @param {Array<string>} [options.allowedHosts=[]] - Hosts a los que se permite descargar aunque resuelvan a una red privada
+   * @param {Array<string>} [options.allowedNetworks=[]] - Redes CIDR privadas permitidas (ej: '10.0.5.0/24')
+   * @param {Array<string>} [options.allowedFormats] - Extensiones aceptadas (por defecto todas)
+   */
+  constructor(options = {}) {
+    this.maxSize = options.maxSize || 524288000;
+    this.timeout = options.timeout || 60000;
+    this.maxRedirects = options.maxRedirects ?? 3;
+    this.allowedFormats = options.allowedFormats || null;
+    this.networkPolicy = new NetworkPolicy(options);
+  }
+
+  /**
+   * Descarga un audio a un directorio
+   * @param {string} rawUrl - URL del archivo
+   * @param {string} directory - Directorio donde guardarlo
+   * @returns {Promise<Object>} `path`, `originalName`, `size`, `contentType` y `url` final tras las redirecciones
+   * @throws {RemoteFetchError} Si la URL no es válida o está bloqueada, o la descarga falla
+   */
+  async download(rawUrl, directory) {
+    const signal = AbortSignal.timeout(this.timeout);
+    let url = this.parseUrl(rawUrl);
+
+    try {
+      for (let redirects = 0; ; redirects++) {
+        const response = await this.request(url, signal);
+
+        if (REDIRECT_STATUSES.includes(response.statusCode)) {
+          response.resume();
+          if (!response.headers.location) {
+            throw new RemoteFetchError('URL_FETCH_FAILED', `Redirección ${response.statusCode} sin cabecera Location desde ${url.host}`);
+          }
+          if (redirects >= this.maxRedirects) {
+            throw new RemoteFetchError('URL_TOO_MANY_REDIRECTS', `Se superó el máximo de ${this.maxRedirects} redirecciones`);
+          }
+          url = this.parseUrl(new URL(response.headers.location, url).toString());
+          continue;
+        }
+
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+          response.resume();
+          throw new RemoteFetchError('URL_FETCH_FAILED', `El servidor ${url.host} respondió ${response.statusCode}`);
+        }
+
+        return await this.save(response, url, directory);
+      }
+    } catch (error) {
+      if (signal.aborted) {
+        throw new RemoteFetchError('URL_TIMEOUT', `La descarga superó el tiempo máximo de ${this.timeout} ms`, { cause: error });
+      }
+      if (error instanceof RemoteFetchError) {
+        throw error;
+      }
+      // Los bloqueos detectados al resolver el nombre llegan envueltos por el socket
+      if (error.cause instanceof RemoteFetchError) {
+        throw error.cause;
+      }
+      throw new RemoteFetchError('URL_FETCH_FAILED', `No se pudo descargar ${url.host}: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Valida una URL: protocolo http o https y, si el host es una IP literal, que no esté bloqueada
+   * @param {string} rawUrl - URL recibida
+   * @returns {URL} URL analizada
+   * @throws {RemoteFetchError} Si la URL no es válida o apunta a una dirección bloqueada
+   * @private
+   */
+  parseUrl(rawUrl) {
+    let url;
+    try {
+      url = new URL(rawUrl);
+    } catch {
+      throw new RemoteFetchError('URL_INVALID', `URL no válida: ${rawUrl}`);
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new RemoteFetchError('URL_INVALID', `Protocolo no permitido: ${url.protocol} (solo http y https)`);
+    }
+
+    // Las IPs literales no pasan por la resolución de nombres: se comprueban aquí
+    try {
+      this.networkPolicy.checkLiteralHost(url);
+    } catch (error) {
+      throw new RemoteFetchError('URL_BLOCKED', error.message);
+    }
+
+    return url;
+  }
+
+  /**
+   * Abre la petición GET sin seguir redirecciones
+   * @param {URL} url - URL a pedir
+   * @param {AbortSignal} signal - Señal del tiempo máximo
+   * @returns {Promise<import('http').IncomingMessage>} Respuesta
+   * @private
+   */
+  request(url, signal) {
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.get(url, {
+        signal,
+        lookup: (hostname, options, callback) => this.lookup(hostname, options, callback),
+        headers: { 'user-agent': 'AnyAudio', accept: 'audio/*, video/*, application/octet-stream;q=0.8' },
+      }, resolve);
+      request.on('error', reject);
+    });
+  }
+
+  /**
+   * Resuelve un nombre con la política de red y convierte los bloqueos en RemoteFetchError
+   * @param {string} hostname - Nombre a resolver
+   * @param {Object} options - Opciones de dns.lookup (Node puede pedir `all`)
+   * @param {Function} callback - Callback de dns.lookup
+   * @private
+   */
+  lookup(hostname, options, callback) {
+    this.networkPolicy.lookup(hostname, options, (error, address, family) => {
+      if (error instanceof BlockedAddressError) {
+        return callback(new RemoteFetchError('URL_BLOCKED', error.message));
+      }
+      callback(error, address, family);
+    });
+  }
+
+  /**
+   * Comprueba el tipo y el tamaño de la respuesta y la guarda en el directorio
+   * @param {import('http').IncomingMessage} response - Respuesta 2xx
+   * @param {URL} url - URL final
+   * @param {string} directory - Directorio de destino
+   * @returns {Promise<Object>} Archivo descargado (ver download)
+   * @private
+   */
+  async save(response, url, directory) {
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType && !/^(audio|video)\//.test(contentType) && !GENERIC_CONTENT_TYPES.includes(contentType)) {
+      response.resume();
+      throw new RemoteFetchError('URL_UNSUPPORTED_TYPE', `Tipo de contenido no soportado: ${contentType}`);
+    }
+
+    const declaredSize = parseInt(response.headers['content-length']);
+    if (declaredSize > this.maxSize) {
+      response.resume();
+      throw new RemoteFetchError('URL_TOO_LARGE', `El archivo ocupa ${declaredSize} bytes y el máximo es ${this.maxSize}`);
+    }
+
+    const extension = this.resolveExtension(url, contentType);
+    if (!extension) {
+      response.resume();
+      throw new RemoteFetchError(
+        'URL_UNSUPPORTED_TYPE',
+        `No se pudo determinar un formato soportado para ${path.basename(url.pathname) || url.host} (${contentType || 'sin tipo de contenido'})`,
+      );
+    }
+
+    // Se decide antes de escribir nada: un escape % mal formado no debe dejar la descarga huérfana
+    const baseName = RemoteAudioFetcher.decodeBaseName(url);
+    const originalName = path.extname(baseName).toLowerCase() === `.${extension}` ? baseName : `${baseName || 'audio'}.${extension}`;
+
+    await fsPromises.mkdir(directory, { recursive: true });
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const filePath = path.join(directory, `audio-${uniqueSuffix}.${extension}`);
+
+    // El tamaño se vuelve a comprobar mientras llega, por si Content-Length falta o miente
+    let size = 0;
+    const limit = new Transform({
+      transform: (chunk, encoding, callback) => {
+        size += chunk.length;
+        if (size > this.maxSize) {
+          callback(new RemoteFetchError('URL_TOO_LARGE', `El archivo supera el máximo de ${this.maxSize} bytes`));
+        } else {
+          callback(null, chunk);
+        }
+      },
+    });
+
+    try {
+      await pipeline(response, limit, fs.createWriteStream(filePath));
+    } catch (error) {
+      await fsPromises.rm(filePath, { force: true });
+      throw error;
+    }
+
+    return {
+      path: filePath,
+      originalName,
+      size,
+      contentType: contentType || null,
+      url: url.toString(),
+    };
+  }
+
+  /**
+   * Extensión del archivo descargado: la de la URL si es un formato aceptado o, si no, la del tipo de contenido
+   * @param {URL} url - URL final
+   * @param {string} contentType - Tipo de contenido sin parámetros
+   * @returns {string|null} Extensión sin punto, o null si no se reconoce ningún formato aceptado
+   * @private
+   */
+  resolveExtension(url, contentType) {
+    const isAccepted = extension => Boolean(extension) && (!this.allowedFormats || this.allowedFormats.includes(extension));
+
+    const fromPath = path.extname(url.pathname).toLowerCase().substring(1);
+    if (isAccepted(fromPath)) {
+      return fromPath;
+    }
+
+    const fromType = CONTENT_TYPE_EXTENSIONS[contentType];
+    return isAccepted(fromType) ? fromType : null;
+  }
+
+  /**
+   * Nombre del archivo en la ruta de una URL, sin los escapes %; si alguno está mal formado
+   * se usa el nombre tal cual
+   * @param {URL} url - URL del archivo
+   * @returns {string} Nombre del archivo (vacío si la ruta termina en /)
+   * @private
+   */
+  static decodeBaseName(url) {
+    const baseName = path.basename(url.pathname);
+    try {
+      return path.basename(decodeURIComponent(baseName));
+    } catch {
+      return baseName;
+    }
+  }
+}
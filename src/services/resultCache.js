@@ -0,0 +1,282 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { hashObject } from '../utils/fileHash.js';
+
+/**
+ * Caché de resultados de transcripción y traducción direccionada por contenido: la clave
+ * combina el SHA-256 del audio con las opciones que determinan el resultado (proveedor,
+ * modelo, idioma, prompt, formato...). Cada entrada se guarda en `<dir>/<clave>.json` y en
+ * memoria solo se mantiene el índice. Las entradas caducan tras `ttl` segundos y, si se
+ * superan `maxSize` bytes o `maxEntries` entradas, se eliminan las usadas hace más tiempo.
+ * La fecha del último uso es la de modificación del archivo, así sobrevive a los reinicios.
+ * @class ResultCache
+ */
+export class ResultCache {
+  /**
+   * Constructor de la caché
+   * @param {Object} [options={}] - Opciones de la caché
+   * @param {string} [options.dir='data/cache'] - Directorio de las entradas
+   * @param {number} [options.ttl=604800] - Segundos que dura una entrada (7 días)
+   * @param {number} [options.maxSize=104857600] - Tamaño máximo total en bytes (100MB)
+   * @param {number} [options.maxEntries=1000] - Número máximo de entradas
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || 'data/cache';
+    this.ttl = options.ttl || 604800;
+    this.maxSize = options.maxSize || 104857600;
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+    this.counters = { hits: 0, misses: 0, evictions: 0 };
+    this.loading = null;
+  }
+
+  /**
+   * Clave de un resultado
+   * @param {string} audioHash - SHA-256 del contenido del audio
+   * @param {Object} options - Opciones normalizadas que determinan el resultado (incluida la tarea)
+   * @returns {string} Clave en hexadecimal
+   */
+  static key(audioHash, options) {
+    return hashObject({ audio: audioHash, ...options });
+  }
+
+  /**
+   * Carga el índice de las entradas guardadas y elimina las caducadas. Se llama sola
+   * en el primer uso, así que la CLI no necesita inicializarla.
+   * @returns {Promise<void>}
+   */
+  initialize() {
+    this.loading ??= this.load();
+    return this.loading;
+  }
+
+  /**
+   * Lee las entradas del directorio
+   * @returns {Promise<void>}
+   * @private
+   */
+  async load() {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+    for (const file of files) {
+      const filePath = path.join(this.dir, file);
+      try {
+        const [{ entry }, { size, mtime }] = await Promise.all([
+          fs.readFile(filePath, 'utf8').then(JSON.parse),
+          fs.stat(filePath),
+        ]);
+        this.entries.set(entry.key, { ...entry, size, lastUsedAt: mtime.toISOString(), hits: 0 });
+      } catch (error) {
+        console.error(`✗ No se pudo cargar la entrada de caché ${file}:`, error.message);
+      }
+    }
+
+    await this.clear({ expiredOnly: true });
+  }
+
+  /**
+   * Busca un resultado vigente y marca la entrada como usada
+   * @param {string} key - Clave del resultado
+   * @returns {Promise<Object|null>} `{ entry, result }`, o null si no está o ha caducado
+   */
+  async get(key) {
+    await this.initialize();
+
+    const entry = this.entries.get(key);
+    if (!entry || this.isExpired(entry)) {
+      if (entry) {
+        await this.remove(key);
+      }
+      this.counters.misses++;
+      return null;
+    }
+
+    try {
+      const { result } = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+      const now = new Date();
+      await fs.utimes(this.filePath(key), now, now);
+
+      entry.lastUsedAt = now.toISOString();
+      entry.hits++;
+      this.counters.hits++;
+      return { entry: { ...entry }, result };
+    } catch (error) {
+      // Entrada borrada o corrupta fuera del servicio: se olvida
+      this.entries.delete(key);
+      this.counters.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Guarda un resultado y elimina las entradas que sobren
+   * @param {string} key - Clave del resultado
+   * @param {Object} result - Resultado de AudioService.transcribeFile o translateFile
+   * @param {Object} [info={}] - Datos descriptivos de la entrada (`task`, `audioHash`, `options`)
+   * @returns {Promise<Object>} Entrada guardada
+   */
+  async set(key, result, info = {}) {
+    await this.initialize();
+
+    const createdAt = new Date();
+    const entry = {
+      key,
+      task: info.task,
+      audioHash: info.audioHash,
+      options: info.options,
+      createdAt: createdAt.toISOString(),
+      expiresAt: new Date(createdAt.getTime() + this.ttl * 1000).toISOString(),
+    };
+
+    const content = JSON.stringify({ entry, result });
+    const size = Buffer.byteLength(content);
+    if (size > this.maxSize) {
+      throw new Error(`El resultado ocupa ${size} bytes y la caché admite ${this.maxSize}`);
+    }
+
+    const temporary = `${this.filePath(key)}.tmp`;
+    await fs.writeFile(temporary, content, 'utf8');
+    await fs.rename(temporary, this.filePath(key));
+
+    const stored = { ...entry, size, lastUsedAt: entry.createdAt, hits: 0 };
+    this.entries.set(key, stored);
+    await this.evict();
+
+    return { ...stored };
+  }
+
+  /**
+   * Entrada del índice
+   * @param {string} key - Clave del resultado
+   * @returns {Object|null} Entrada, o null si no existe
+   */
+  find(key) {
+    const entry = this.entries.get(key);
+    return entry ? { ...entry, expired: this.isExpired(entry) } : null;
+  }
+
+  /**
+   * Resultado guardado de una entrada, sin marcarla como usada
+   * @param {string} key - Clave del resultado
+   * @returns {Promise<Object|null>} Resultado, o null si no existe
+   */
+  async read(key) {
+    if (!this.entries.has(key)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(key), 'utf8')).result;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.entries.delete(key);
+        return null;
+      }
+      throw new Error(`Error al leer la entrada de caché: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Entradas ordenadas de la usada más recientemente a la menos
+   * @returns {Array<Object>} Entradas del índice
+   */
+  list() {
+    return [...this.entries.values()]
+      .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt))
+      .map(entry => ({ ...entry, expired: this.isExpired(entry) }));
+  }
+
+  /**
+   * Elimina una entrada
+   * @param {string} key - Clave del resultado
+   * @returns {Promise<boolean>} True si existía
+   */
+  async remove(key) {
+    if (!this.entries.delete(key)) {
+      return false;
+    }
+    await fs.rm(this.filePath(key), { force: true });
+    return true;
+  }
+
+  /**
+   * Vacía la caché o solo sus entradas caducadas
+   * @param {Object} [options={}] - Opciones del vaciado
+   * @param {boolean} [options.expiredOnly=false] - Eliminar solo las caducadas
+   * @returns {Promise<number>} Entradas eliminadas
+   */
+  async clear(options = {}) {
+    const keys = [...this.entries.values()]
+      .filter(entry => !options.expiredOnly || this.isExpired(entry))
+      .map(entry => entry.key);
+
+    for (const key of keys) {
+      await this.remove(key);
+    }
+    return keys.length;
+  }
+
+  /**
+   * Estadísticas de la caché
+   * @returns {Object} Límites, ocupación y contadores de aciertos, fallos y desalojos desde el arranque
+   */
+  stats() {
+    return {
+      entries: this.entries.size,
+      size: this.totalSize(),
+      maxEntries: this.maxEntries,
+      maxSize: this.maxSize,
+      ttl: this.ttl,
+      ...this.counters,
+    };
+  }
+
+  /**
+   * Elimina las entradas caducadas y, mientras se superen los límites, las usadas hace más tiempo
+   * @returns {Promise<void>}
+   * @private
+   */
+  async evict() {
+    await this.clear({ expiredOnly: true });
+
+    const leastRecent = this.list().reverse();
+    while (leastRecent.length > 0 && (this.entries.size > this.maxEntries || this.totalSize() > this.maxSize)) {
+      await this.remove(leastRecent.shift().key);
+      this.counters.evictions++;
+    }
+  }
+
+  /**
+   * Bytes ocupados por todas las entradas
+   * @returns {number} Tamaño total
+   * @private
+   */
+  totalSize() {
+    let total = 0;
+    for (const entry of this.entries.values()) {
+      total += entry.size;
+    }
+    return total;
+  }
+
+  /**
+   * Indica si una entrada ha caducado
+   * @param {Object} entry - Entrada del índice
+   * @returns {boolean} True si ha pasado su expiresAt
+   * @private
+   */
+  isExpired(entry) {
+    return Date.parse(entry.expiresAt) <= Date.now();
+  }
+
+  /**
+   * Ruta del archivo de una entrada
+   * @param {string} key - Clave del resultado
+   * @returns {string} Ruta del archivo
+   * @private
+   */
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+}
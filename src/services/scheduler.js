@@ -0,0 +1,203 @@
+/**
+ * Planificador de tareas con concurrencia limitada que respeta los límites de tasa.
+ * Las tareas se ejecutan en orden de llegada, como máximo `concurrency` a la vez. Si una
+ * tarea falla con un 429, el planificador deja de arrancar tareas durante el tiempo que
+ * indique `retry-after` (o un backoff exponencial si no lo indica) y la reintenta.
+ * @class Scheduler
+ */
+export class Scheduler {
+  /**
+   * Constructor del planificador
+   * @param {Object} [options={}] - Opciones del planificador
+   * @param {string} [options.name='tareas'] - Nombre usado en los logs
+   * @param {number} [options.concurrency=1] - Tareas ejecutadas en paralelo
+   * @param {number} [options.maxRetries=3] - Reintentos de una tarea limitada por tasa (429)
+   * @param {number} [options.retryDelay=1000] - Espera base en ms cuando la respuesta no trae retry-after
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'tareas';
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryDelay = options.retryDelay || 1000;
+
+    this.queue = [];
+    this.active = 0;
+    this.pausedUntil = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Encola una tarea
+   * @param {Function} task - Función asíncrona a ejecutar
+   * @param {Object} [options={}] - Opciones de la tarea
+   * @param {AbortSignal} [options.signal] - Señal que descarta la tarea si aún no ha empezado
+   * @returns {Promise<*>} Resultado de la tarea
+   */
+  run(task, options = {}) {
+    const { signal } = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const entry = { task, signal, resolve, reject, retries: 0 };
+
+      // Una tarea cancelada mientras espera sale de la cola sin ejecutarse
+      entry.onAbort = () => {
+        const index = this.queue.indexOf(entry);
+        if (index !== -1) {
+          this.queue.splice(index, 1);
+          reject(signal.reason);
+        }
+      };
+      signal?.addEventListener('abort', entry.onAbort, { once: true });
+
+      this.queue.push(entry);
+      this.drain();
+    });
+  }
+
+  /**
+   * Ejecuta una función sobre cada elemento a través del planificador y agrega el progreso
+   * @param {Array} items - Elementos a procesar
+   * @param {Function} worker - `(item, index, reportProgress)` que procesa un elemento;
+   * `reportProgress(stage, progress)` informa del porcentaje de ese elemento
+   * @param {Object} [options={}] - Opciones del procesamiento
+   * @param {Function} [options.onProgress] - Callback `(stage, progress)` con el porcentaje global
+   * @param {AbortSignal} [options.signal] - Señal que descarta los elementos pendientes
+   * @returns {Promise<Array>} Resultados en el mismo orden que `items`
+   */
+  map(items, worker, options = {}) {
+    const { onProgress = () => {}, signal } = options;
+    const progress = new Array(items.length).fill(0);
+    const stages = new Array(items.length).fill(null);
+
+    const report = (index, stage, value) => {
+      stages[index] = stage;
+      progress[index] = Math.min(100, Math.max(progress[index], value));
+      const total = progress.reduce((sum, current) => sum + current, 0) / items.length;
+      onProgress(stage, total);
+    };
+
+    return Promise.all(items.map((item, index) => this.run(async () => {
+      const result = await worker(item, index, (stage, value) => report(index, stage, value));
+      // Un elemento terminado cuenta completo aunque no informara del 100%; se repite su última etapa
+      if (stages[index]) {
+        report(index, stages[index], 100);
+      } else {
+        progress[index] = 100;
+      }
+      return result;
+    }, { signal })));
+  }
+
+  /**
+   * Estado actual del planificador
+   * @returns {Object} Tareas `active` y `queued`, límite y fin de la pausa por límite de tasa
+   */
+  stats() {
+    return {
+      concurrency: this.concurrency,
+      active: this.active,
+      queued: this.queue.length,
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+    };
+  }
+
+  /**
+   * Arranca tareas de la cola mientras haya huecos y no haya una pausa activa
+   * @private
+   */
+  drain() {
+    if (this.timer) {
+      return;
+    }
+
+    const wait = this.pausedUntil - Date.now();
+    if (wait > 0) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, wait);
+      return;
+    }
+
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      this.execute(this.queue.shift());
+    }
+  }
+
+  /**
+   * Ejecuta una tarea y la reencola si el proveedor limitó la tasa
+   * @param {Object} entry - Tarea encolada
+   * @returns {Promise<void>}
+   * @private
+   */
+  async execute(entry) {
+    this.active++;
+
+    try {
+      const result = await entry.task();
+      entry.signal?.removeEventListener('abort', entry.onAbort);
+      entry.resolve(result);
+    } catch (error) {
+      if (Scheduler.isRateLimited(error) && entry.retries < this.maxRetries && !entry.signal?.aborted) {
+        entry.retries++;
+        const wait = Scheduler.retryAfter(error) ?? this.backoff(entry.retries);
+        console.warn(`⏸️  Límite de tasa en ${this.name}: pausa de ${Math.ceil(wait / 1000)}s (reintento ${entry.retries}/${this.maxRetries})`);
+
+        // La pausa afecta a todas las tareas: si el proveedor limita, las demás también recibirían 429
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + wait);
+        this.queue.unshift(entry);
+      } else {
+        entry.signal?.removeEventListener('abort', entry.onAbort);
+        entry.reject(error);
+      }
+    } finally {
+      this.active--;
+      this.drain();
+    }
+  }
+
+  /**
+   * Espera exponencial con jitter para un reintento sin retry-after
+   * @param {number} retry - Número de reintento (desde 1)
+   * @returns {number} Espera en ms
+   * @private
+   */
+  backoff(retry) {
+    const base = this.retryDelay * 2 ** (retry - 1);
+    return base + Math.round(Math.random() * base * 0.2);
+  }
+
+  /**
+   * Indica si un error corresponde a un límite de tasa del proveedor
+   * @param {Error} error - Error de la tarea
+   * @returns {boolean} True si el error tiene estado 429
+   */
+  static isRateLimited(error) {
+    return error?.status === 429;
+  }
+
+  /**
+   * Lee la cabecera retry-after de un error (en segundos o como fecha HTTP)
+   * @param {Error} error - Error con `headers` de la respuesta
+   * @returns {number|null} Espera en ms, o null si no se indicó
+   */
+  static retryAfter(error) {
+    const value = error?.headers?.['retry-after'];
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Mapa de los silencios recortados de un audio. Permite llevar los tiempos del audio
+ * recortado (los que devuelve el proveedor) a la línea de tiempo del audio original.
+ * @class SilenceMap
+ */
+export class SilenceMap {
+  /**
+   * Constructor del mapa
+   * @param {Array<Object>} removed - Tramos eliminados `{ start, end }` en segundos del audio original, ordenados
+   * @param {number} [duration=0] - Duración del audio original en segundos
+   */
+  constructor(removed, duration = 0) {
+    this.removed = removed;
+    this.duration = duration;
+  }
+
+  /**
+   * Crea el mapa a partir de los silencios detectados, dejando un margen a cada lado
+   * para no cortar el principio ni el final de las palabras
+   * @param {Array<Object>} silences - Silencios `{ start, end }` detectados (end null si llega al final)
+   * @param {number} duration - Duración del audio original en segundos
+   * @param {Object} [options={}] - Opciones del recorte
+   * @param {number} [options.padding=0.25] - Segundos de silencio que se conservan junto a la voz
+   * @returns {SilenceMap} Mapa de los tramos que se eliminarán
+   */
+  static fromSilences(silences, duration, options = {}) {
+    const { padding = 0.25 } = options;
+    const removed = [];
+
+    for (const silence of silences) {
+      const silenceEnd = silence.end ?? duration;
+      // Al principio y al final del audio no hace falta margen
+      const start = silence.start <= 0 ? 0 : silence.start + padding;
+      const end = silenceEnd >= duration ? duration : silenceEnd - padding;
+
+      if (end - start > 0.01) {
+        removed.push({ start: SilenceMap.round(start), end: SilenceMap.round(end) });
+      }
+    }
+
+    return new SilenceMap(removed.sort((a, b) => a.start - b.start), duration);
+  }
+
+  /**
+   * Segundos eliminados en total
+   * @returns {number} Duración recortada
+   */
+  get removedDuration() {
+    return SilenceMap.round(this.removed.reduce((total, range) => total + range.end - range.start, 0));
+  }
+
+  /**
+   * Tramos que se conservan del audio original
+   * @returns {Array<Object>} Tramos `{ start, end }` en segundos del audio original
+   */
+  keptRanges() {
+    const kept = [];
+    let position = 0;
+
+    for (const range of this.removed) {
+      if (range.start > position) {
+        kept.push({ start: position, end: range.start });
+      }
+      position = range.end;
+    }
+
+    if (position < this.duration) {
+      kept.push({ start: position, end: this.duration });
+    }
+
+    return kept;
+  }
+
+  /**
+   * Convierte un tiempo del audio recortado en el tiempo equivalente del audio original
+   * @param {number} time - Segundos en el audio recortado
+   * @param {boolean} [isEnd=false] - El tiempo cierra un tramo: en un corte se queda antes del silencio
+   * @returns {number} Segundos en el audio original
+   */
+  toOriginal(time, isEnd = false) {
+    let shift = 0;
+
+    for (const range of this.removed) {
+      const cut = range.start - shift; // Posición del corte en el audio recortado
+      if (time > cut || (!isEnd && time === cut)) {
+        shift += range.end - range.start;
+      } else {
+        break;
+      }
+    }
+
+    return SilenceMap.round(time + shift);
+  }
+
+  /**
+   * Lleva los tiempos de los segmentos y palabras de una transcripción a la línea de
+   * tiempo del audio original
+   * @param {Object|string} transcription - Transcripción, se modifica en el sitio
+   * @returns {Object|string} La misma transcripción
+   */
+  remapTranscription(transcription) {
+    if (!transcription || typeof transcription !== 'object' || this.removed.length === 0) {
+      return transcription;
+    }
+
+    for (const item of [...(transcription.segments || []), ...(transcription.words || [])]) {
+      item.start = this.toOriginal(item.start);
+      item.end = this.toOriginal(item.end, true);
+    }
+
+    if (this.duration && transcription.duration !== undefined) {
+      transcription.duration = this.duration;
+    }
+
+    return transcription;
+  }
+
+  /**
+   * Representación incluida en los metadatos del resultado
+   * @returns {Object} Tramos eliminados y duración recortada
+   */
+  toJSON() {
+    return {
+      removed: this.removed,
+      removedDuration: this.removedDuration,
+    };
+  }
+
+  /**
+   * Redondea a milisegundos
+   * @param {number} seconds - Segundos
+   * @returns {number} Segundos redondeados
+   * @private
+   */
+  static round(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+  }
+}
@@ -0,0 +1,421 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { PassThrough } from 'stream';
+import { AudioConverter } from './audioConverter.js';
+
+/**
+ * Formatos de audio aceptados en streaming y cómo se le indican a ffmpeg
+ */
+export const STREAM_INPUT_FORMATS = {
+  webm: { format: 'matroska' }, // MediaRecorder con WebM/Opus
+  ogg: { format: 'ogg' }, // Ogg/Opus
+  pcm: { format: 's16le' }, // PCM de 16 bits little-endian sin cabecera
+};
+
+/**
+ * Frecuencia y canales a los que se decodifica todo el audio del stream
+ */
+const SAMPLE_RATE = 16000;
+const BYTES_PER_SECOND = SAMPLE_RATE * 2;
+
+/**
+ * Sesión de transcripción en tiempo casi real. Decodifica los fragmentos recibidos a
+ * PCM 16KHz mono, los agrupa en ventanas que corta en el punto más silencioso cerca
+ * del límite y transcribe cada ventana con AudioService. Mientras una ventana se llena
+ * se envían transcripciones parciales provisionales; al cerrarla, los segmentos finales
+ * con timestamps relativos al inicio del stream.
+ * @class StreamingSession
+ */
+export class StreamingSession {
+  /**
+   * Constructor de la sesión
+   * @param {AudioService} audioService - Servicio usado para transcribir cada ventana
+   * @param {Object} options - Opciones de la sesión
+   * @param {Function} options.send - Callback `(message)` que entrega los mensajes al cliente
+   * @param {string} [options.format='webm'] - Formato de entrada (ver STREAM_INPUT_FORMATS)
+   * @param {number} [options.sampleRate=16000] - Frecuencia de muestreo de una entrada PCM
+   * @param {number} [options.channels=1] - Canales de una entrada PCM
+   * @param {string} [options.language] - Código de idioma ISO-639-1
+   * @param {string} [options.prompt] - Prompt para guiar el estilo del modelo
+   * @param {string} [options.provider] - Proveedor de transcripción
+   * @param {number} [options.windowSeconds=10] - Duración objetivo de cada ventana
+   * @param {number} [options.partialInterval=3] - Segundos de audio nuevo entre transcripciones parciales (0 las desactiva)
+   * @param {number} [options.maxDuration=3600] - Duración máxima del stream en segundos
+   * @param {Function} [options.onAudio] - Callback `async (seconds)` antes de transcribir cada ventana final;
+   * si lanza un error la sesión se detiene (se usa para las cuotas)
+   */
+  constructor(audioService, options) {
+    this.audioService = audioService;
+    this.id = crypto.randomUUID();
+    this.send = options.send;
+    this.format = options.format || 'webm';
+    this.sampleRate = options.sampleRate || SAMPLE_RATE;
+    this.channels = options.channels || 1;
+    this.language = options.language;
+    this.prompt = options.prompt;
+    this.provider = options.provider;
+    this.windowSeconds = options.windowSeconds || 10;
+    this.partialInterval = options.partialInterval ?? 3;
+    this.maxDuration = options.maxDuration || 3600;
+    this.onAudio = options.onAudio || (async () => {});
+
+    this.pcm = Buffer.alloc(0);
+    this.windowOffset = 0; // Bytes de PCM ya cerrados en ventanas anteriores
+    this.lastPartialBytes = 0;
+    this.partialBusy = false;
+    this.queue = Promise.resolve();
+    this.segments = [];
+    this.windowCount = 0;
+    this.state = 'created';
+    this.controller = new AbortController();
+  }
+
+  /**
+   * Prepara el directorio temporal y el decodificador
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.workDirectory = await this.audioService.workspace.create('stream');
+
+    const isNativePcm = this.format === 'pcm' && this.sampleRate === SAMPLE_RATE && this.channels === 1;
+    if (isNativePcm) {
+      // El PCM ya está en el formato de trabajo: no hace falta ffmpeg
+      this.decoderInput = null;
+      this.decoderDone = Promise.resolve();
+    } else {
+      this.decoderInput = new PassThrough();
+      const output = new AudioConverter().createPcmStream(this.decoderInput, {
+        ...STREAM_INPUT_FORMATS[this.format],
+        ...(this.format === 'pcm' && { sampleRate: this.sampleRate, channels: this.channels }),
+      });
+
+      output.on('data', chunk => this.receivePcm(chunk));
+      this.decoderDone = new Promise((resolve, reject) => {
+        output.on('end', resolve);
+        output.on('error', reject);
+      }).catch(error => {
+        this.fail(error);
+      });
+    }
+
+    this.state = 'streaming';
+    this.send({
+      type: 'ready',
+      sessionId: this.id,
+      format: this.format,
+      windowSeconds: this.windowSeconds,
+      partialInterval: this.partialInterval,
+    });
+  }
+
+  /**
+   * Recibe un fragmento de audio del cliente
+   * @param {Buffer} chunk - Audio en el formato de la sesión
+   */
+  write(chunk) {
+    if (this.state !== 'streaming') {
+      return;
+    }
+
+    if (this.decoderInput) {
+      this.decoderInput.write(chunk);
+    } else {
+      this.receivePcm(chunk);
+    }
+  }
+
+  /**
+   * Termina el stream: transcribe el audio pendiente y devuelve la transcripción completa
+   * @returns {Promise<Object>} Transcripción verbose_json de todo el stream
+   */
+  async stop() {
+    if (this.state === 'streaming') {
+      this.state = 'stopping';
+      this.decoderInput?.end();
+      await this.decoderDone;
+
+      // Cerrar la última ventana aunque no esté llena (se ignoran restos de menos de 0.2s)
+      if (this.pcm.length >= BYTES_PER_SECOND * 0.2 && this.state === 'stopping') {
+        this.closeWindow(this.pcm.length);
+      }
+    }
+
+    await this.queue;
+    // Las parciales que sigan en curso ya no se enviarán
+    this.controller.abort();
+    await this.cleanup();
+
+    return {
+      task: 'transcribe',
+      language: this.language || this.detectedLanguage || null,
+      duration: StreamingSession.round((this.windowOffset + this.pcm.length) / BYTES_PER_SECOND),
+      text: this.segments.map(segment => segment.text).join(' '),
+      segments: this.segments,
+    };
+  }
+
+  /**
+   * Cancela la sesión sin transcribir el audio pendiente
+   * @returns {Promise<void>}
+   */
+  async abort() {
+    this.state = 'closed';
+    this.controller.abort();
+    this.decoderInput?.destroy();
+    await this.queue.catch(() => {});
+    await this.cleanup();
+  }
+
+  /**
+   * Acumula PCM decodificado y decide si cerrar la ventana o pedir una parcial
+   * @param {Buffer} chunk - Muestras s16le 16KHz mono
+   * @private
+   */
+  receivePcm(chunk) {
+    if (this.state !== 'streaming' && this.state !== 'stopping') {
+      return;
+    }
+
+    this.pcm = Buffer.concat([this.pcm, chunk]);
+
+    const totalSeconds = (this.windowOffset + this.pcm.length) / BYTES_PER_SECOND;
+    if (totalSeconds > this.maxDuration) {
+      this.fail(new Error(`El stream supera la duración máxima de ${this.maxDuration}s`));
+      return;
+    }
+
+    // windowSeconds admite decimales: la ventana se redondea a muestras completas
+    const windowBytes = StreamingSession.alignBytes(this.windowSeconds * BYTES_PER_SECOND);
+    if (this.pcm.length >= windowBytes) {
+      while (this.pcm.length >= windowBytes) {
+        this.closeWindow(this.findCutPoint(windowBytes));
+      }
+      return;
+    }
+
+    const newAudio = (this.pcm.length - this.lastPartialBytes) / BYTES_PER_SECOND;
+    if (this.partialInterval > 0 && newAudio >= this.partialInterval && !this.partialBusy) {
+      this.transcribePartial();
+    }
+  }
+
+  /**
+   * Busca el tramo de 20ms más silencioso al final de la ventana para no cortar palabras
+   * @param {number} windowBytes - Tamaño objetivo de la ventana en bytes
+   * @returns {number} Byte donde cortar la ventana
+   * @private
+   */
+  findCutPoint(windowBytes) {
+    const frameBytes = Math.round(SAMPLE_RATE * 0.02) * 2;
+    const searchBytes = StreamingSession.alignBytes(Math.min(2, this.windowSeconds / 4) * BYTES_PER_SECOND);
+    let bestCut = windowBytes;
+    let bestEnergy = Infinity;
+
+    for (let start = windowBytes - frameBytes; start >= windowBytes - searchBytes; start -= frameBytes) {
+      let energy = 0;
+      for (let offset = start; offset < start + frameBytes; offset += 2) {
+        const sample = this.pcm.readInt16LE(offset);
+        energy += sample * sample;
+      }
+      if (energy < bestEnergy) {
+        bestEnergy = energy;
+        bestCut = start + frameBytes / 2;
+      }
+    }
+
+    return bestCut - (bestCut % 2);
+  }
+
+  /**
+   * Cierra la ventana actual y encola su transcripción final
+   * @param {number} cutBytes - Bytes de la ventana actual que se cierran
+   * @private
+   */
+  closeWindow(cutBytes) {
+    const window = this.pcm.subarray(0, cutBytes);
+    const offset = this.windowOffset / BYTES_PER_SECOND;
+
+    this.pcm = this.pcm.subarray(cutBytes);
+    this.windowOffset += cutBytes;
+    this.lastPartialBytes = 0;
+
+    this.queue = this.queue.then(async () => {
+      if (this.state === 'failed' || this.state === 'closed') {
+        return;
+      }
+
+      try {
+        await this.onAudio(window.length / BYTES_PER_SECOND);
+      } catch (error) {
+        this.fail(error);
+        return;
+      }
+
+      try {
+        const transcription = await this.transcribeWindow(window, 'final');
+        const duration = window.length / BYTES_PER_SECOND;
+        const segments = this.shiftSegments(transcription, offset, duration);
+        this.segments.push(...segments);
+        this.detectedLanguage ??= transcription?.language;
+
+        this.send({
+          type: 'final',
+          start: StreamingSession.round(offset),
+          end: StreamingSession.round(offset + duration),
+          segments,
+        });
+      } catch (error) {
+        if (!this.controller.signal.aborted) {
+          // Una ventana fallida no detiene el stream: el cliente recibe el error y sigue enviando
+          this.send({ type: 'error', error: 'Error al transcribir la ventana', details: error.message, start: offset });
+        }
+      }
+    });
+  }
+
+  /**
+   * Transcribe de forma provisional el audio acumulado en la ventana actual
+   * @returns {Promise<void>}
+   * @private
+   */
+  async transcribePartial() {
+    this.partialBusy = true;
+    this.lastPartialBytes = this.pcm.length;
+
+    const windowOffset = this.windowOffset;
+    const window = Buffer.from(this.pcm);
+
+    try {
+      const transcription = await this.transcribeWindow(window, 'partial');
+
+      // Si la ventana se cerró mientras tanto, la parcial ya no sirve
+      if (windowOffset === this.windowOffset && this.state === 'streaming') {
+        const start = windowOffset / BYTES_PER_SECOND;
+        this.send({
+          type: 'partial',
+          start: StreamingSession.round(start),
+          end: StreamingSession.round(start + window.length / BYTES_PER_SECOND),
+          text: StreamingSession.textOf(transcription),
+        });
+      }
+    } catch (error) {
+      console.error(`Error en la transcripción parcial del stream ${this.id}:`, error.message);
+    } finally {
+      this.partialBusy = false;
+    }
+  }
+
+  /**
+   * Escribe una ventana como WAV y la transcribe con AudioService
+   * @param {Buffer} pcm - Muestras de la ventana
+   * @param {string} kind - 'final' o 'partial', usado en el nombre del archivo temporal
+   * @returns {Promise<Object>} Transcripción verbose_json de la ventana
+   * @private
+   */
+  async transcribeWindow(pcm, kind) {
+    const filePath = path.join(this.workDirectory, `${kind}-${++this.windowCount}.wav`);
+    await fs.writeFile(filePath, AudioConverter.encodeWav(pcm, SAMPLE_RATE, 1));
+
+    try {
+      const result = await this.audioService.transcribeFile(filePath, {
+        language: this.language,
+        prompt: this.prompt,
+        provider: this.provider,
+        responseFormat: 'verbose_json',
+        // Cada ventana es un audio distinto: guardarla solo ocuparía la caché
+        cache: false,
+        signal: this.controller.signal,
+      });
+      return result.transcription;
+    } finally {
+      await fs.rm(filePath, { force: true });
+    }
+  }
+
+  /**
+   * Desplaza los segmentos de una ventana al tiempo del stream y los renumera
+   * @param {Object|string} transcription - Transcripción de la ventana
+   * @param {number} offset - Inicio de la ventana en segundos desde el comienzo del stream
+   * @param {number} duration - Duración de la ventana, a la que se limitan los timestamps
+   * @returns {Array<Object>} Segmentos con `id`, `start`, `end` y `text`
+   * @private
+   */
+  shiftSegments(transcription, offset, duration) {
+    const segments = typeof transcription === 'object' && Array.isArray(transcription.segments)
+      ? transcription.segments
+      : [{ start: 0, end: duration, text: StreamingSession.textOf(transcription) }];
+
+    return segments
+      .filter(segment => segment.text.trim())
+      .map((segment, index) => ({
+        id: this.segments.length + index,
+        start: StreamingSession.round(Math.min(segment.start, duration) + offset),
+        end: StreamingSession.round(Math.min(segment.end, duration) + offset),
+        text: segment.text.trim(),
+      }));
+  }
+
+  /**
+   * Detiene la sesión por un error irrecuperable y avisa al cliente
+   * @param {Error} error - Error producido
+   * @private
+   */
+  fail(error) {
+    if (this.state === 'failed' || this.state === 'closed') {
+      return;
+    }
+    this.state = 'failed';
+    this.controller.abort();
+    this.decoderInput?.destroy();
+    this.send({
+      type: 'error',
+      fatal: true,
+      status: error.status,
+      error: error.message,
+      details: error.details,
+    });
+  }
+
+  /**
+   * Elimina el directorio temporal de la sesión
+   * @returns {Promise<void>}
+   * @private
+   */
+  async cleanup() {
+    if (this.workDirectory) {
+      await this.audioService.workspace.release(this.workDirectory);
+      this.workDirectory = null;
+    }
+  }
+
+  /**
+   * Redondea hacia abajo un tamaño en bytes a muestras completas de 16 bits
+   * @param {number} bytes - Tamaño, posiblemente fraccionario
+   * @returns {number} Número par de bytes
+   * @private
+   */
+  static alignBytes(bytes) {
+    return Math.floor(bytes / 2) * 2;
+  }
+
+  /**
+   * Redondea un tiempo a milisegundos
+   * @param {number} seconds - Tiempo en segundos
+   * @returns {number} Tiempo redondeado
+   * @private
+   */
+  static round(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+  }
+
+  /**
+   * Texto de una transcripción en cualquier formato de respuesta
+   * @param {Object|string} transcription - Transcripción
+   * @returns {string} Texto sin espacios extremos
+   * @private
+   */
+  static textOf(transcription) {
+    return (typeof transcription === 'string' ? transcription : transcription?.text || '').trim();
+  }
+}
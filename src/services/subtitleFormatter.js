@@ -0,0 +1,269 @@
+/**
+ * Formatos de subtítulos que se generan localmente a partir de segmentos
+ * ('karaoke' es WebVTT con el tiempo de cada palabra)
+ */
+export const SUBTITLE_FORMATS = ['srt', 'vtt', 'karaoke'];
+
+/**
+ * Generador de subtítulos SRT y WebVTT a partir de transcripciones verbose_json
+ * @class SubtitleFormatter
+ */
+export class SubtitleFormatter {
+  /**
+   * Indica si una transcripción contiene segmentos con timestamps
+   * @param {Object|string} transcription - Transcripción devuelta por el proveedor
+   * @returns {boolean} True si se pueden generar subtítulos
+   */
+  static hasSegments(transcription) {
+    return typeof transcription === 'object'
+      && Array.isArray(transcription?.segments)
+      && transcription.segments.length > 0;
+  }
+
+  /**
+   * Construye los cues de subtítulos respetando longitud de línea y duración máxima
+   * @param {Object} transcription - Transcripción verbose_json con `segments` y opcionalmente `words`
+   * @param {Object} [options={}] - Opciones de maquetación
+   * @param {number} [options.maxLineLength=42] - Caracteres máximos por línea
+   * @param {number} [options.maxLines=2] - Líneas máximas por cue
+   * @param {number} [options.maxCueDuration=7] - Duración máxima de un cue en segundos
+   * @returns {Array<Object>} Cues con `start`, `end`, `lines`, `words` (palabras de cada línea) y `speaker` si el segmento lo tiene
+   */
+  static buildCues(transcription, options = {}) {
+    const { maxLineLength = 42, maxLines = 2, maxCueDuration = 7 } = options;
+
+    if (!SubtitleFormatter.hasSegments(transcription)) {
+      throw new Error('Se requiere una transcripción verbose_json con segmentos para generar subtítulos');
+    }
+
+    const cues = [];
+
+    for (const segment of transcription.segments) {
+      const words = SubtitleFormatter.segmentWords(segment, transcription.words);
+      let current = null;
+
+      for (const word of words) {
+        if (current) {
+          const lines = SubtitleFormatter.wrap([...current.words, word].map(w => w.word), maxLineLength);
+          const tooLong = lines.length > maxLines;
+          const tooSlow = word.end - current.start > maxCueDuration;
+
+          if (!tooLong && !tooSlow) {
+            current.words.push(word);
+            current.end = word.end;
+            continue;
+          }
+          cues.push(current);
+        }
+        current = { start: word.start, end: word.end, words: [word], speaker: segment.speaker };
+      }
+
+      if (current) {
+        cues.push(current);
+      }
+    }
+
+    return cues.map(cue => {
+      const lineWords = SubtitleFormatter.wrapWords(cue.words, maxLineLength);
+      return {
+        start: cue.start,
+        end: Math.max(cue.end, cue.start),
+        lines: lineWords.map(line => line.map(w => w.word).join(' ')),
+        words: lineWords,
+        speaker: cue.speaker,
+      };
+    });
+  }
+
+  /**
+   * Obtiene las palabras de un segmento, usando timestamps por palabra si existen
+   * o repartiendo la duración del segmento según la longitud de cada palabra
+   * @param {Object} segment - Segmento con `start`, `end` y `text`
+   * @param {Array<Object>} [words] - Palabras con timestamps de toda la transcripción
+   * @returns {Array<Object>} Palabras con `word`, `start`, `end` y `estimated` si los tiempos se repartieron
+   */
+  static segmentWords(segment, words) {
+    if (Array.isArray(words) && words.length > 0) {
+      const inside = words.filter(word => {
+        const middle = (word.start + word.end) / 2;
+        return middle >= segment.start && middle < segment.end;
+      });
+      if (inside.length > 0) {
+        return inside.map(word => ({ ...word, word: word.word.trim() }));
+      }
+    }
+
+    const tokens = segment.text.trim().split(/\s+/).filter(Boolean);
+    const totalChars = tokens.reduce((sum, token) => sum + token.length, 0) || 1;
+    const duration = segment.end - segment.start;
+    let cursor = segment.start;
+
+    return tokens.map(token => {
+      const start = cursor;
+      cursor += duration * (token.length / totalChars);
+      return { word: token, start, end: cursor, estimated: true };
+    });
+  }
+
+  /**
+   * Reparte palabras en líneas de longitud máxima
+   * @param {Array<string>} words - Palabras a maquetar
+   * @param {number} maxLineLength - Caracteres máximos por línea
+   * @returns {Array<string>} Líneas resultantes
+   * @private
+   */
+  static wrap(words, maxLineLength) {
+    return SubtitleFormatter.wrapWords(words.map(word => ({ word })), maxLineLength)
+      .map(line => line.map(w => w.word).join(' '));
+  }
+
+  /**
+   * Reparte palabras con timestamps en líneas de longitud máxima
+   * @param {Array<Object>} words - Palabras con `word`
+   * @param {number} maxLineLength - Caracteres máximos por línea
+   * @returns {Array<Array<Object>>} Palabras de cada línea
+   * @private
+   */
+  static wrapWords(words, maxLineLength) {
+    const lines = [];
+    let line = [];
+    let length = 0;
+
+    for (const word of words) {
+      if (line.length > 0 && length + 1 + word.word.length > maxLineLength) {
+        lines.push(line);
+        line = [word];
+        length = word.word.length;
+      } else {
+        length += (line.length > 0 ? 1 : 0) + word.word.length;
+        line.push(word);
+      }
+    }
+
+    if (line.length > 0) {
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  /**
+   * Formatea segundos como timestamp de subtítulos
+   * @param {number} seconds - Tiempo en segundos
+   * @param {string} separator - Separador de milisegundos (',' en SRT, '.' en WebVTT)
+   * @returns {string} Timestamp HH:MM:SS,mmm
+   * @private
+   */
+  static timestamp(seconds, separator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+  }
+
+  /**
+   * Antepone la etiqueta del hablante a la primera línea de un cue
+   * @param {Array<string>} lines - Líneas del cue
+   * @param {string} [label] - Etiqueta a anteponer (`[SPEAKER_1] ` en SRT, `<v SPEAKER_1>` en WebVTT)
+   * @returns {Array<string>} Líneas etiquetadas
+   * @private
+   */
+  static labelLines(lines, label) {
+    if (!label) {
+      return lines;
+    }
+    return lines.map((line, index) => (index === 0 ? `${label}${line}` : line));
+  }
+
+  /**
+   * Genera subtítulos en formato SRT
+   * @param {Object} transcription - Transcripción verbose_json
+   * @param {Object} [options={}] - Opciones de maquetación (ver buildCues)
+   * @returns {string} Contenido SRT
+   */
+  static toSrt(transcription, options = {}) {
+    const cues = SubtitleFormatter.buildCues(transcription, options);
+    return cues.map((cue, index) => [
+      index + 1,
+      `${SubtitleFormatter.timestamp(cue.start, ',')} --> ${SubtitleFormatter.timestamp(cue.end, ',')}`,
+      ...SubtitleFormatter.labelLines(cue.lines, cue.speaker && `[${cue.speaker}] `),
+    ].join('\n')).join('\n\n') + '\n';
+  }
+
+  /**
+   * Genera subtítulos en formato WebVTT
+   * @param {Object} transcription - Transcripción verbose_json
+   * @param {Object} [options={}] - Opciones de maquetación (ver buildCues)
+   * @returns {string} Contenido WebVTT
+   */
+  static toVtt(transcription, options = {}) {
+    const cues = SubtitleFormatter.buildCues(transcription, options);
+    const body = cues.map(cue => [
+      `${SubtitleFormatter.timestamp(cue.start, '.')} --> ${SubtitleFormatter.timestamp(cue.end, '.')}`,
+      // Sin escapar, un `<` o un `-->` del texto se interpretaría como etiqueta o como tiempos
+      ...SubtitleFormatter.labelLines(cue.lines.map(SubtitleFormatter.escapeCueText), cue.speaker && `<v ${cue.speaker}>`),
+    ].join('\n')).join('\n\n');
+    return `WEBVTT\n\n${body}\n`;
+  }
+
+  /**
+   * Genera subtítulos WebVTT de tipo karaoke: cada palabra lleva su timestamp dentro del cue
+   * (`<00:00:01.400><c>palabra</c>`) para que el reproductor la resalte al pronunciarse
+   * @param {Object} transcription - Transcripción verbose_json, preferiblemente con `words`
+   * @param {Object} [options={}] - Opciones de maquetación (ver buildCues)
+   * @returns {string} Contenido WebVTT
+   */
+  static toKaraokeVtt(transcription, options = {}) {
+    const cues = SubtitleFormatter.buildCues(transcription, options);
+    const body = cues.map(cue => {
+      // Los timestamps internos deben ser posteriores al inicio del cue y crecientes
+      let previous = cue.start;
+      const lines = cue.words.map(line => line.map(word => {
+        const text = `<c>${SubtitleFormatter.escapeCueText(word.word)}</c>`;
+        if (word.start <= previous || word.start >= cue.end) {
+          return text;
+        }
+        previous = word.start;
+        return `<${SubtitleFormatter.timestamp(word.start, '.')}>${text}`;
+      }).join(' '));
+
+      return [
+        `${SubtitleFormatter.timestamp(cue.start, '.')} --> ${SubtitleFormatter.timestamp(cue.end, '.')}`,
+        ...SubtitleFormatter.labelLines(lines, cue.speaker && `<v ${cue.speaker}>`),
+      ].join('\n');
+    }).join('\n\n');
+    return `WEBVTT\n\n${body}\n`;
+  }
+
+  /**
+   * Escapa los caracteres reservados del texto de un cue WebVTT
+   * @param {string} text - Texto de la palabra o la línea
+   * @returns {string} Texto escapado
+   * @private
+   */
+  static escapeCueText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Genera subtítulos en el formato indicado
+   * @param {Object} transcription - Transcripción verbose_json
+   * @param {string} format - Formato de subtítulos ('srt', 'vtt' o 'karaoke')
+   * @param {Object} [options={}] - Opciones de maquetación (ver buildCues)
+   * @returns {string} Contenido de los subtítulos
+   */
+  static format(transcription, format, options = {}) {
+    switch (format) {
+      case 'srt':
+        return SubtitleFormatter.toSrt(transcription, options);
+      case 'vtt':
+        return SubtitleFormatter.toVtt(transcription, options);
+      case 'karaoke':
+        return SubtitleFormatter.toKaraokeVtt(transcription, options);
+      default:
+        throw new Error(`Formato de subtítulos no soportado: ${format}`);
+    }
+  }
+}
@@ -0,0 +1,243 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Antigüedad máxima en ms del informe de disco cuando los barridos están desactivados
+ */
+const DISK_REPORT_MAX_AGE = 15 * 60 * 1000;
+
+/**
+ * Barrido periódico de archivos temporales abandonados: subidas que ninguna petición ni
+ * trabajo llegó a eliminar (cortes de conexión, reinicios, errores) y directorios de
+ * trabajo que dejó un proceso terminado a la fuerza. Solo se eliminan las entradas con
+ * más de `maxAge` segundos sin modificarse que no estén en uso. Cada barrido mide también
+ * el uso de disco de los directorios indicados, para informarlo sin recorrerlos en cada consulta.
+ * @class TempFileSweeper
+ */
+export class TempFileSweeper {
+  /**
+   * Constructor del barrido
+   * @param {Object} options - Opciones del barrido
+   * @param {string} options.uploadsDir - Directorio de las subidas
+   * @param {TempWorkspace} options.workspace - Espacio de trabajo de las conversiones
+   * @param {number} [options.maxAge=86400] - Segundos sin modificarse tras los que una entrada se considera abandonada
+   * @param {number} [options.interval=900] - Segundos entre barridos (0 los desactiva)
+   * @param {Function} [options.isInUse] - `(filePath) => boolean` para las subidas que aún se van a procesar
+   * @param {Object<string, string>} [options.directories={}] - Directorios cuyo uso de disco se mide, indexados por nombre
+   */
+  constructor(options) {
+    this.uploadsDir = options.uploadsDir;
+    this.workspace = options.workspace;
+    this.maxAge = options.maxAge || 86400;
+    this.interval = options.interval ?? 900;
+    this.isInUse = options.isInUse || (() => false);
+    this.directories = options.directories || {};
+    this.timer = null;
+    this.running = null;
+    this.measuring = null;
+    this.lastSweep = null;
+    this.diskReport = null;
+  }
+
+  /**
+   * Indica si el barrido periódico está activado
+   * @returns {boolean} True si interval es mayor que 0
+   */
+  isEnabled() {
+    return this.interval > 0;
+  }
+
+  /**
+   * Hace un primer barrido y programa los siguientes
+   */
+  start() {
+    if (!this.isEnabled() || this.timer) {
+      return;
+    }
+
+    const sweep = () => this.sweep().catch(error => {
+      console.error('✗ Error en el barrido de archivos temporales:', error.message);
+    });
+    sweep();
+    this.timer = setInterval(sweep, this.interval * 1000);
+    // El barrido no mantiene vivo el proceso
+    this.timer.unref();
+  }
+
+  /**
+   * Detiene los barridos programados
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Elimina las subidas y los directorios de trabajo abandonados. Si ya hay un barrido
+   * en curso se devuelve el mismo.
+   * @returns {Promise<Object>} `removed` (entradas eliminadas), `bytes` liberados y fecha `at`
+   */
+  sweep() {
+    this.running ??= this.run().finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  /**
+   * Ejecuta un barrido
+   * @returns {Promise<Object>} Resumen del barrido
+   * @private
+   */
+  async run() {
+    const cutoff = Date.now() - this.maxAge * 1000;
+    const summary = { removed: 0, bytes: 0 };
+
+    const candidates = [
+      ...(await this.listEntries(this.uploadsDir))
+        .filter(entry => entry.isFile() && entry.name !== '.gitkeep')
+        .map(entry => path.join(this.uploadsDir, entry.name))
+        .filter(filePath => !this.isInUse(filePath)),
+      ...(await this.listEntries(this.workspace.dir))
+        .filter(entry => entry.isDirectory())
+        .map(entry => path.join(this.workspace.dir, entry.name))
+        .filter(directory => !this.workspace.isActive(directory)),
+    ];
+
+    for (const candidate of candidates) {
+      try {
+        const stats = await fs.stat(candidate);
+        if (stats.mtimeMs > cutoff) {
+          continue;
+        }
+
+        const bytes = stats.isDirectory() ? (await TempFileSweeper.measure(candidate)).bytes : stats.size;
+        await fs.rm(candidate, { recursive: true, force: true });
+        summary.removed++;
+        summary.bytes += bytes;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`✗ No se pudo eliminar el temporal ${candidate}:`, error.message);
+        }
+      }
+    }
+
+    if (summary.removed > 0) {
+      console.log(`🧹 Barrido de temporales: ${summary.removed} eliminados (${(summary.bytes / 1048576).toFixed(1)} MB)`);
+    }
+
+    this.lastSweep = { ...summary, at: new Date().toISOString() };
+    await this.measureDisk();
+    return this.lastSweep;
+  }
+
+  /**
+   * Último informe de uso de disco. Se renueva en cada barrido; si los barridos están
+   * desactivados, o aún no ha terminado el primero, se mide al consultarlo y se reutiliza
+   * durante DISK_REPORT_MAX_AGE
+   * @returns {Promise<Object>} `directories` (ver diskUsage) y fecha `at` de la medición
+   */
+  async getDiskReport() {
+    const stale = !this.diskReport
+      || (!this.isEnabled() && Date.now() - Date.parse(this.diskReport.at) > DISK_REPORT_MAX_AGE);
+    return stale ? this.measureDisk() : this.diskReport;
+  }
+
+  /**
+   * Mide el uso de disco de los directorios. Si ya hay una medición en curso se devuelve la misma.
+   * @returns {Promise<Object>} Informe de uso de disco
+   * @private
+   */
+  measureDisk() {
+    this.measuring ??= TempFileSweeper.diskUsage(this.directories)
+      .then(directories => {
+        this.diskReport = { directories, at: new Date().toISOString() };
+        return this.diskReport;
+      })
+      .finally(() => {
+        this.measuring = null;
+      });
+    return this.measuring;
+  }
+
+  /**
+   * Entradas de un directorio, o ninguna si no existe
+   * @param {string} directory - Ruta del directorio
+   * @returns {Promise<Array<import('fs').Dirent>>} Entradas
+   * @private
+   */
+  async listEntries(directory) {
+    try {
+      return await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Número de archivos y bytes que ocupa un directorio, incluidos sus subdirectorios
+   * @param {string} directory - Ruta del directorio
+   * @returns {Promise<Object>} `files` y `bytes` (0 si el directorio no existe)
+   */
+  static async measure(directory) {
+    const usage = { files: 0, bytes: 0 };
+
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return usage;
+      }
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        const nested = await TempFileSweeper.measure(entryPath);
+        usage.files += nested.files;
+        usage.bytes += nested.bytes;
+      } else if (entry.isFile()) {
+        try {
+          usage.bytes += (await fs.stat(entryPath)).size;
+          usage.files++;
+        } catch (error) {
+          // Eliminado mientras se medía
+        }
+      }
+    }
+
+    return usage;
+  }
+
+  /**
+   * Uso de disco de varios directorios y espacio del sistema de archivos en que está cada
+   * uno (el directorio temporal suele estar en otro distinto que las subidas)
+   * @param {Object<string, string>} directories - Rutas indexadas por nombre (ej: `{ uploads: 'uploads' }`)
+   * @returns {Promise<Object>} Por nombre, `path`, `files`, `bytes` y `filesystem` (`total`,
+   * `free` y `available` en bytes, o null si no se puede consultar)
+   */
+  static async diskUsage(directories) {
+    const entries = await Promise.all(Object.entries(directories).map(async ([name, directory]) => {
+      let filesystem = null;
+      try {
+        const stats = await fs.statfs(directory);
+        filesystem = {
+          total: stats.blocks * stats.bsize,
+          free: stats.bfree * stats.bsize,
+          available: stats.bavail * stats.bsize,
+        };
+      } catch (error) {
+        // Directorio aún no creado o plataforma sin statfs
+      }
+
+      return [name, { path: directory, ...(await TempFileSweeper.measure(directory)), filesystem }];
+    }));
+
+    return Object.fromEntries(entries);
+  }
+}
@@ -0,0 +1,99 @@
+import fs from 'fs/promises';
+import { rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Espacio de trabajo para los archivos intermedios (audio normalizado, preprocesado,
+ * fragmentos...). Cada operación recibe su propio directorio dentro de `dir`, que se
+ * elimina al terminar tanto si va bien como si falla; con cleanupOnExit también se
+ * eliminan los que sigan abiertos cuando el proceso termina. Los que deja un proceso
+ * interrumpido a la fuerza los elimina TempFileSweeper.
+ * @class TempWorkspace
+ */
+export class TempWorkspace {
+  /**
+   * Constructor del espacio de trabajo
+   * @param {Object} [options={}] - Opciones del espacio de trabajo
+   * @param {string} [options.dir] - Directorio raíz (por defecto `<tmp del sistema>/anyaudio`)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(os.tmpdir(), 'anyaudio');
+    this.active = new Set();
+    this.exitHandler = null;
+  }
+
+  /**
+   * Crea un directorio de trabajo vacío
+   * @param {string} [prefix='work'] - Prefijo del nombre del directorio (ej: 'transcribe')
+   * @returns {Promise<string>} Ruta del directorio
+   */
+  async create(prefix = 'work') {
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      const directory = await fs.mkdtemp(path.join(this.dir, `${prefix}-`));
+      this.active.add(directory);
+      return directory;
+    } catch (error) {
+      throw new Error(`Error al crear el directorio de trabajo: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Elimina un directorio de trabajo y todo su contenido
+   * @param {string} directory - Ruta devuelta por create
+   * @returns {Promise<void>}
+   */
+  async release(directory) {
+    this.active.delete(directory);
+    try {
+      await fs.rm(directory, { recursive: true, force: true });
+    } catch (error) {
+      // El barrido periódico lo eliminará más adelante
+      console.error(`✗ No se pudo eliminar el directorio de trabajo ${directory}:`, error.message);
+    }
+  }
+
+  /**
+   * Ejecuta una tarea con un directorio de trabajo que se elimina al terminar
+   * @param {string} prefix - Prefijo del nombre del directorio
+   * @param {Function} task - `(directory) => Promise` que usa el directorio
+   * @returns {Promise<*>} Resultado de la tarea
+   */
+  async run(prefix, task) {
+    const directory = await this.create(prefix);
+    try {
+      return await task(directory);
+    } finally {
+      await this.release(directory);
+    }
+  }
+
+  /**
+   * Indica si un directorio pertenece a una operación en curso de este proceso
+   * @param {string} directory - Ruta del directorio
+   * @returns {boolean} True si está en uso
+   */
+  isActive(directory) {
+    return this.active.has(directory);
+  }
+
+  /**
+   * Elimina los directorios en uso cuando el proceso termina (evento 'exit', tras
+   * `process.exit` o al vaciarse el bucle de eventos). Solo se registra una vez.
+   */
+  cleanupOnExit() {
+    if (this.exitHandler) {
+      return;
+    }
+
+    // En 'exit' ya no se ejecuta código asíncrono
+    this.exitHandler = () => {
+      for (const directory of this.active) {
+        rmSync(directory, { recursive: true, force: true });
+      }
+      this.active.clear();
+    };
+    process.once('exit', this.exitHandler);
+  }
+}
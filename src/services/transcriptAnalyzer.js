@@ -0,0 +1,513 @@
+import { LlmClient } from '../providers/llm/index.js';
+import { languageName } from '../utils/language.js';
+
+/**
+ * Tareas de análisis que se pueden pedir sobre una transcripción
+ */
+export const ANALYSIS_TASKS = ['summary', 'topics', 'actionItems', 'chapters'];
+
+/**
+ * Instrucciones por defecto de cada tarea. Se pueden sustituir en cada petición y admiten
+ * los marcadores `{{language}}` (idioma de la respuesta) y `{{duration}}` (duración del audio).
+ * Van en inglés: los modelos siguen mejor las instrucciones de formato en ese idioma.
+ */
+export const DEFAULT_PROMPTS = {
+  summary: 'You summarize meeting and audio transcripts. Write a concise summary in {{language}} of the transcript '
+    + '({{duration}} long) in one or two short paragraphs, including the decisions and conclusions reached.',
+  topics: 'You extract the key topics of transcripts. List the 3 to 8 main topics discussed as short phrases in '
+    + '{{language}}, and up to 15 keywords (names, products, technical terms) as they appear in the transcript.',
+  actionItems: 'You extract action items from meeting transcripts. List, in {{language}}, every task that someone '
+    + 'committed to or was asked to do, with its owner and due date only when the transcript states them.',
+  chapters: 'You split transcripts into chapters. Group consecutive segments into 2 to 10 chapters by topic '
+    + '(fewer for short transcripts) and give each one a short title and a one-sentence summary in {{language}}.',
+};
+
+/**
+ * Formato de respuesta de cada tarea. Se añade siempre tras las instrucciones, también a
+ * las personalizadas, para que la respuesta se pueda interpretar.
+ */
+const RESPONSE_FORMATS = {
+  summary: 'Reply only with a JSON object {"summary": "..."}.',
+  topics: 'Reply only with a JSON object {"topics": ["..."], "keywords": ["..."]}.',
+  actionItems: 'Reply only with a JSON object {"actionItems": [{"text": "...", "owner": "..." or null, '
+    + '"dueDate": "..." or null, "start": <start of the segment where it is mentioned>}]}, '
+    + 'with an empty array if there are none.',
+  chapters: 'Reply only with a JSON object {"chapters": [{"title": "...", "summary": "...", '
+    + '"start": <start of the first segment of the chapter>}]} ordered by start.',
+};
+
+/**
+ * Máximo de temas y palabras clave que se conservan al unir los resultados de varios tramos
+ */
+const MAX_TOPICS = 8;
+const MAX_KEYWORDS = 15;
+
+/**
+ * Analiza transcripciones con un modelo de lenguaje: resumen, temas y palabras clave,
+ * tareas pendientes y capítulos con tiempos. Cada tarea es una llamada independiente que
+ * recibe los segmentos de verbose_json como JSON; los tiempos que devuelve el modelo se
+ * ajustan al inicio del segmento más cercano.
+ *
+ * Las transcripciones que no caben en una petición se dividen en tramos de segmentos
+ * consecutivos que se analizan por separado y se unen: los resúmenes parciales se resumen
+ * en otra llamada, los temas se ordenan por el número de tramos que los mencionan y las
+ * tareas y capítulos se concatenan en orden.
+ * @class TranscriptAnalyzer
+ */
+export class TranscriptAnalyzer {
+  /**
+   * Constructor del analizador
+   * @param {Object<string, LlmClient>} [clients={}] - Clientes de modelos de lenguaje indexados por nombre
+   * @param {Object} [options={}] - Opciones del analizador
+   * @param {string} [options.defaultClient] - Cliente usado cuando la petición no indica ninguno (por defecto el primero)
+   * @param {Scheduler} [options.scheduler] - Planificador por el que pasan las llamadas al modelo
+   * @param {number} [options.chunkChars=30000] - Caracteres de segmentos (en JSON) enviados como máximo en cada petición
+   */
+  constructor(clients = {}, options = {}) {
+    this.clients = { ...clients };
+    this.defaultClient = options.defaultClient || Object.keys(this.clients)[0];
+    this.scheduler = options.scheduler || null;
+    this.chunkChars = options.chunkChars || 30000;
+  }
+
+  /**
+   * Indica si hay un cliente registrado con ese nombre
+   * @param {string} name - Nombre del cliente
+   * @returns {boolean} True si el cliente está disponible
+   */
+  hasClient(name) {
+    return Object.prototype.hasOwnProperty.call(this.clients, name);
+  }
+
+  /**
+   * Obtiene un cliente por nombre o el cliente por defecto
+   * @param {string} [name] - Nombre del cliente
+   * @returns {LlmClient} Cliente del modelo de lenguaje
+   * @throws {Error} Si el cliente no está registrado
+   */
+  getClient(name) {
+    const clientName = name || this.defaultClient;
+    if (!clientName || !this.hasClient(clientName)) {
+      throw new Error(`Proveedor de análisis no disponible: ${clientName}. Disponibles: ${Object.keys(this.clients).join(', ') || 'ninguno'}`);
+    }
+    return this.clients[clientName];
+  }
+
+  /**
+   * Analiza una transcripción
+   * @param {Object|string} transcription - Transcripción, preferiblemente verbose_json con segmentos
+   * @param {Object} [options={}] - Opciones del análisis
+   * @param {Array<string>} [options.tasks=ANALYSIS_TASKS] - Tareas a realizar (ver ANALYSIS_TASKS)
+   * @param {string} [options.client] - Cliente del modelo de lenguaje (por defecto el configurado)
+   * @param {string} [options.language] - Idioma de la respuesta (por defecto el de la transcripción)
+   * @param {Object<string, string>} [options.prompts] - Instrucciones que sustituyen a las de DEFAULT_PROMPTS, por tarea
+   * @param {AbortSignal} [options.signal] - Señal para cancelar el análisis
+   * @returns {Promise<Object>} Proveedor, modelo, idioma y el resultado de cada tarea pedida
+   * (`summary`, `topics` y `keywords`, `actionItems`, `chapters`)
+   * @throws {Error} Si el cliente no existe o el modelo no devuelve un resultado válido
+   */
+  async analyze(transcription, options = {}) {
+    const { tasks = ANALYSIS_TASKS, prompts = {}, signal } = options;
+
+    try {
+      const client = this.getClient(options.client);
+      const segments = TranscriptAnalyzer.buildSegments(transcription);
+      const duration = transcription?.duration ?? segments[segments.length - 1]?.end ?? 0;
+      const language = options.language || transcription?.language || null;
+      const context = { segments, duration, language };
+      const selected = [...new Set(tasks)];
+
+      const results = await Promise.all(selected.map(task => (
+        this.runTask(client, task, prompts[task] || DEFAULT_PROMPTS[task], context, signal)
+      )));
+
+      return {
+        provider: client.name,
+        model: client.model,
+        language,
+        tasks: selected,
+        ...Object.assign({}, ...results),
+        generatedAt: new Date().toISOString(),
+      };
+
+    } catch (error) {
+      throw new Error(`Error al analizar la transcripción: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Ejecuta una llamada al modelo a través del planificador, si lo hay
+   * @param {Function} task - Función que hace la llamada
+   * @param {AbortSignal} [signal] - Señal de cancelación
+   * @returns {Promise<*>} Resultado de la llamada
+   * @private
+   */
+  run(task, signal) {
+    return this.scheduler ? this.scheduler.run(task, { signal }) : task();
+  }
+
+  /**
+   * Realiza una tarea de análisis: una llamada al modelo por tramo de la transcripción y,
+   * si hay varios tramos, la unión de sus resultados
+   * @param {LlmClient} client - Cliente del modelo de lenguaje
+   * @param {string} task - Tarea (ver ANALYSIS_TASKS)
+   * @param {string} prompt - Instrucciones de la tarea, con marcadores
+   * @param {Object} context - Segmentos, duración e idioma de la transcripción
+   * @param {AbortSignal} [signal] - Señal de cancelación
+   * @returns {Promise<Object>} Campos del resultado de la tarea
+   * @private
+   */
+  async runTask(client, task, prompt, context, signal) {
+    const { duration, language } = context;
+    const instructions = prompt
+      .replaceAll('{{language}}', language ? languageName(language) : 'the language of the transcript')
+      .replaceAll('{{duration}}', TranscriptAnalyzer.formatDuration(duration));
+
+    const chunks = TranscriptAnalyzer.chunkSegments(context.segments, this.chunkChars);
+    const parts = await Promise.all(chunks.map(segments => (
+      this.request(client, task, instructions, { ...context, segments }, signal)
+    )));
+    if (parts.length === 1) {
+      return parts[0];
+    }
+
+    switch (task) {
+      case 'summary':
+        return this.reduceSummaries(client, instructions, parts, chunks, context, signal);
+
+      case 'topics':
+        return {
+          topics: TranscriptAnalyzer.rankStrings(parts.map(part => part.topics)).slice(0, MAX_TOPICS),
+          keywords: TranscriptAnalyzer.rankStrings(parts.map(part => part.keywords)).slice(0, MAX_KEYWORDS),
+        };
+
+      case 'actionItems':
+        return { actionItems: parts.flatMap(part => part.actionItems) };
+
+      default:
+        return { chapters: TranscriptAnalyzer.sequenceChapters(parts.flatMap(part => part.chapters), duration) };
+    }
+  }
+
+  /**
+   * Resume los resúmenes parciales de los tramos, que se envían como segmentos con los
+   * tiempos de su tramo. Si tampoco caben en una petición se vuelven a dividir y resumir.
+   * @param {LlmClient} client - Cliente del modelo de lenguaje
+   * @param {string} instructions - Instrucciones de la tarea, ya sin marcadores
+   * @param {Array<Object>} parts - Resultado `{ summary }` de cada tramo
+   * @param {Array<Array<Object>>} chunks - Segmentos de cada tramo
+   * @param {Object} context - Duración e idioma de la transcripción
+   * @param {AbortSignal} [signal] - Señal de cancelación
+   * @returns {Promise<Object>} Resumen de toda la transcripción
+   * @private
+   */
+  async reduceSummaries(client, instructions, parts, chunks, context, signal) {
+    const summaries = parts.map((part, index) => ({
+      start: chunks[index][0].start,
+      end: chunks[index][chunks[index].length - 1].end,
+      text: part.summary,
+    }));
+
+    const reduced = TranscriptAnalyzer.chunkSegments(summaries, this.chunkChars);
+    if (reduced.length === 1) {
+      return this.request(client, 'summary', instructions, { ...context, segments: summaries }, signal);
+    }
+    // Los resúmenes deben ocupar menos que los tramos resumidos; si no, no se terminaría nunca
+    if (reduced.length >= chunks.length) {
+      throw new Error(`Los resúmenes parciales de ${client.model} no reducen la transcripción lo suficiente para resumirla`);
+    }
+
+    const reducedParts = await Promise.all(reduced.map(segments => (
+      this.request(client, 'summary', instructions, { ...context, segments }, signal)
+    )));
+    return this.reduceSummaries(client, instructions, reducedParts, reduced, context, signal);
+  }
+
+  /**
+   * Hace una petición de una tarea al modelo, a través del planificador, e interpreta la respuesta
+   * @param {LlmClient} client - Cliente del modelo de lenguaje
+   * @param {string} task - Tarea (ver ANALYSIS_TASKS)
+   * @param {string} instructions - Instrucciones de la tarea, ya sin marcadores
+   * @param {Object} context - Segmentos enviados, duración e idioma de la transcripción
+   * @param {AbortSignal} [signal] - Señal de cancelación
+   * @returns {Promise<Object>} Campos del resultado de la tarea para esos segmentos
+   * @throws {Error} Si el modelo no devuelve un resultado válido
+   * @private
+   */
+  async request(client, task, instructions, context, signal) {
+    const { segments, duration, language } = context;
+
+    const response = await this.run(() => client.complete([
+      { role: 'system', content: `${instructions}\n\n${RESPONSE_FORMATS[task]}` },
+      { role: 'user', content: JSON.stringify({ task, language, duration, segments }) },
+    ], { json: true, temperature: 0, signal }), signal);
+
+    let data = null;
+    try {
+      data = JSON.parse(response);
+    } catch {
+      // Respuesta que no es JSON: se trata como inválida
+    }
+
+    const result = data && typeof data === 'object' ? TranscriptAnalyzer.parseResult(task, data, context) : null;
+    if (!result) {
+      throw new Error(`El modelo ${client.model} no devolvió un resultado válido para la tarea '${task}'`);
+    }
+    return result;
+  }
+
+  /**
+   * Interpreta la respuesta de una tarea
+   * @param {string} task - Tarea (ver ANALYSIS_TASKS)
+   * @param {Object} data - Respuesta del modelo ya convertida desde JSON
+   * @param {Object} context - Segmentos y duración de la transcripción
+   * @returns {Object|null} Campos normalizados, o null si la respuesta no tiene la forma pedida
+   * @private
+   */
+  static parseResult(task, data, context) {
+    const { segments, duration } = context;
+
+    if (task === 'summary') {
+      return typeof data.summary === 'string' && data.summary.trim() ? { summary: data.summary.trim() } : null;
+    }
+
+    if (task === 'topics') {
+      const { topics, keywords = [] } = data;
+      if (!TranscriptAnalyzer.isStringList(topics) || !TranscriptAnalyzer.isStringList(keywords)) {
+        return null;
+      }
+      return {
+        topics: TranscriptAnalyzer.uniqueStrings(topics),
+        keywords: TranscriptAnalyzer.uniqueStrings(keywords),
+      };
+    }
+
+    if (task === 'actionItems') {
+      const { actionItems } = data;
+      if (!Array.isArray(actionItems) || actionItems.some(item => typeof item?.text !== 'string')) {
+        return null;
+      }
+      return {
+        actionItems: actionItems.filter(item => item.text.trim()).map(item => ({
+          text: item.text.trim(),
+          owner: TranscriptAnalyzer.optionalString(item.owner),
+          dueDate: TranscriptAnalyzer.optionalString(item.dueDate),
+          start: Number.isFinite(item.start) ? TranscriptAnalyzer.snapToSegment(item.start, segments) : null,
+        })),
+      };
+    }
+
+    const { chapters } = data;
+    if (!Array.isArray(chapters) || chapters.length === 0
+      || chapters.some(chapter => typeof chapter?.title !== 'string' || !Number.isFinite(chapter.start))) {
+      return null;
+    }
+
+    const snapped = chapters.map(chapter => ({
+      title: chapter.title.trim(),
+      summary: TranscriptAnalyzer.optionalString(chapter.summary),
+      start: TranscriptAnalyzer.snapToSegment(chapter.start, segments),
+    }));
+    // El primero empieza con el primer segmento enviado
+    const first = snapped.reduce((earliest, chapter) => (chapter.start < earliest.start ? chapter : earliest));
+    first.start = segments[0]?.start ?? 0;
+
+    return { chapters: TranscriptAnalyzer.sequenceChapters(snapped, duration) };
+  }
+
+  /**
+   * Ordena los capítulos, descarta los que empiezan en el mismo segmento que el anterior
+   * y hace terminar cada uno donde empieza el siguiente
+   * @param {Array<Object>} chapters - Capítulos `{ title, summary, start }`
+   * @param {number} duration - Duración de la transcripción, final del último capítulo
+   * @returns {Array<Object>} Capítulos `{ title, summary, start, end }`
+   * @private
+   */
+  static sequenceChapters(chapters, duration) {
+    const sorted = [...chapters]
+      .sort((a, b) => a.start - b.start)
+      .filter((chapter, index, list) => index === 0 || chapter.start !== list[index - 1].start);
+
+    return sorted.map((chapter, index) => ({
+      title: chapter.title,
+      summary: chapter.summary,
+      start: chapter.start,
+      end: sorted[index + 1]?.start ?? duration,
+    }));
+  }
+
+  /**
+   * Divide los segmentos en tramos consecutivos que no superan `maxChars` caracteres en
+   * JSON. Un segmento más largo se parte por palabras, repartiendo su tiempo en proporción
+   * al texto de cada parte.
+   * @param {Array<Object>} segments - Segmentos `{ start, end, speaker?, text }`
+   * @param {number} maxChars - Caracteres máximos de cada tramo
+   * @returns {Array<Array<Object>>} Tramos de segmentos
+   * @private
+   */
+  static chunkSegments(segments, maxChars) {
+    const chunks = [];
+    let current = [];
+    let size = 0;
+
+    for (const segment of segments.flatMap(item => TranscriptAnalyzer.splitSegment(item, maxChars))) {
+      const length = JSON.stringify(segment).length + 1;
+      if (current.length > 0 && size + length > maxChars) {
+        chunks.push(current);
+        current = [];
+        size = 0;
+      }
+      current.push(segment);
+      size += length;
+    }
+
+    if (current.length > 0) {
+      chunks.push(current);
+    }
+    return chunks;
+  }
+
+  /**
+   * Parte un segmento cuyo JSON supera `maxChars` en segmentos más cortos
+   * @param {Object} segment - Segmento `{ start, end, speaker?, text }`
+   * @param {number} maxChars - Caracteres máximos de cada parte en JSON
+   * @returns {Array<Object>} El segmento, o sus partes en orden
+   * @private
+   */
+  static splitSegment(segment, maxChars) {
+    if (JSON.stringify(segment).length <= maxChars) {
+      return [segment];
+    }
+
+    // Mitad del espacio libre como margen para los caracteres que JSON escapa
+    const overhead = JSON.stringify({ ...segment, text: '' }).length;
+    const budget = Math.max(Math.floor((maxChars - overhead) / 2), 100);
+    // Las palabras más largas que el presupuesto se cortan
+    const words = segment.text.split(/\s+/).flatMap(word => word.match(new RegExp(`.{1,${budget}}`, 'gsu')) || []);
+
+    const pieces = [];
+    let piece = '';
+    for (const word of words) {
+      if (piece && piece.length + word.length + 1 > budget) {
+        pieces.push(piece);
+        piece = '';
+      }
+      piece = piece ? `${piece} ${word}` : word;
+    }
+    pieces.push(piece);
+
+    const round = seconds => Math.round(seconds * 10) / 10;
+    const seconds = segment.end - segment.start;
+    let consumed = 0;
+    return pieces.map(text => {
+      const start = segment.start + (seconds * consumed) / segment.text.length;
+      consumed += text.length + 1;
+      const end = Math.min(segment.start + (seconds * consumed) / segment.text.length, segment.end);
+      return { ...segment, start: round(start), end: round(end), text };
+    });
+  }
+
+  /**
+   * Segmentos que se envían al modelo: tiempos redondeados a décimas, hablante si lo hay
+   * y texto. Una transcripción sin segmentos se envía como un único segmento.
+   * @param {Object|string} transcription - Transcripción
+   * @returns {Array<Object>} Segmentos `{ start, end, speaker?, text }`
+   * @private
+   */
+  static buildSegments(transcription) {
+    const round = seconds => Math.round(seconds * 10) / 10;
+
+    if (!Array.isArray(transcription?.segments) || transcription.segments.length === 0) {
+      const text = typeof transcription === 'string' ? transcription : transcription?.text;
+      if (!text?.trim()) {
+        throw new Error('La transcripción no tiene texto que analizar');
+      }
+      return [{ start: 0, end: round(transcription?.duration ?? 0), text: text.trim() }];
+    }
+
+    return transcription.segments.map(segment => ({
+      start: round(segment.start),
+      end: round(segment.end),
+      ...(segment.speaker && { speaker: segment.speaker }),
+      text: segment.text.trim(),
+    }));
+  }
+
+  /**
+   * Inicio del segmento más cercano a un tiempo
+   * @param {number} seconds - Tiempo devuelto por el modelo
+   * @param {Array<Object>} segments - Segmentos de la transcripción
+   * @returns {number} Inicio del segmento en segundos
+   * @private
+   */
+  static snapToSegment(seconds, segments) {
+    return segments.reduce((best, segment) => (
+      Math.abs(segment.start - seconds) < Math.abs(best - seconds) ? segment.start : best
+    ), segments[0]?.start ?? 0);
+  }
+
+  /**
+   * Duración legible para las instrucciones del modelo
+   * @param {number} seconds - Duración en segundos
+   * @returns {string} Duración `m:ss` o `h:mm:ss`
+   * @private
+   */
+  static formatDuration(seconds) {
+    const total = Math.round(seconds || 0);
+    const parts = [Math.floor(total / 3600), Math.floor((total % 3600) / 60), total % 60];
+    const [, minutes, secs] = parts.map(part => String(part).padStart(2, '0'));
+    return parts[0] > 0 ? `${parts[0]}:${minutes}:${secs}` : `${parts[1]}:${secs}`;
+  }
+
+  /**
+   * Indica si un valor es un array de textos
+   * @param {*} value - Valor a comprobar
+   * @returns {boolean} True si es un array de strings
+   * @private
+   */
+  static isStringList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+  }
+
+  /**
+   * Texto opcional de la respuesta del modelo
+   * @param {*} value - Valor devuelto
+   * @returns {string|null} Texto sin espacios sobrantes, o null si no hay
+   * @private
+   */
+  static optionalString(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+  }
+
+  /**
+   * Une listas de textos ordenándolos por el número de listas en que aparecen (sin distinguir
+   * mayúsculas) y, a igualdad, por su primera aparición
+   * @param {Array<Array<string>>} lists - Listas de textos de cada tramo
+   * @returns {Array<string>} Textos únicos, con la forma de su primera aparición
+   * @private
+   */
+  static rankStrings(lists) {
+    const ranked = new Map();
+    for (const list of lists) {
+      for (const key of new Set(list.map(value => value.toLowerCase()))) {
+        const entry = ranked.get(key) || { value: list.find(value => value.toLowerCase() === key), count: 0, index: ranked.size };
+        entry.count += 1;
+        ranked.set(key, entry);
+      }
+    }
+
+    return [...ranked.values()]
+      .sort((a, b) => b.count - a.count || a.index - b.index)
+      .map(entry => entry.value);
+  }
+
+  /**
+   * Textos sin espacios sobrantes, vacíos ni repetidos
+   * @param {Array<string>} values - Textos
+   * @returns {Array<string>} Textos únicos en su orden original
+   * @private
+   */
+  static uniqueStrings(values) {
+    return [...new Set(values.map(value => value.trim()).filter(Boolean))];
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Utilidades para unir transcripciones de fragmentos solapados en un único resultado
+ * @class TranscriptMerger
+ */
+export class TranscriptMerger {
+  /**
+   * Une las transcripciones verbose_json de varios fragmentos de un mismo audio.
+   * Cada fragmento conserva solo los segmentos cuyo punto medio cae dentro de su
+   * zona propia; el corte entre fragmentos se hace en la mitad del solapamiento.
+   * @param {Array<Object>} chunkResults - Fragmentos con `start`, `duration` y `transcription` (verbose_json)
+   * @param {Object} [options={}] - Opciones de unión
+   * @param {number} [options.overlap=0] - Solapamiento entre fragmentos en segundos
+   * @returns {Object} Transcripción unificada con el mismo formato que verbose_json
+   */
+  static merge(chunkResults, options = {}) {
+    const { overlap = 0 } = options;
+    const chunks = [...chunkResults].sort((a, b) => a.start - b.start);
+
+    const segments = [];
+    const words = [];
+    let hasWords = false;
+
+    chunks.forEach((chunk, index) => {
+      const next = chunks[index + 1];
+      const lowerCut = index === 0 ? -Infinity : chunk.start + overlap / 2;
+      const upperCut = next ? next.start + overlap / 2 : Infinity;
+      const isOwned = (start, end) => {
+        const middle = (start + end) / 2;
+        return middle >= lowerCut && middle < upperCut;
+      };
+
+      const { transcription } = chunk;
+
+      for (const segment of transcription.segments || []) {
+        const shifted = TranscriptMerger.shiftItem(segment, chunk.start);
+        if (!isOwned(shifted.start, shifted.end)) {
+          continue;
+        }
+        if (TranscriptMerger.isDuplicate(segments[segments.length - 1], shifted)) {
+          continue;
+        }
+        segments.push(shifted);
+      }
+
+      if (Array.isArray(transcription.words)) {
+        hasWords = true;
+        for (const word of transcription.words) {
+          const shifted = TranscriptMerger.shiftItem(word, chunk.start);
+          if (!isOwned(shifted.start, shifted.end)) {
+            continue;
+          }
+          if (TranscriptMerger.isDuplicate(words[words.length - 1], shifted, 'word')) {
+            continue;
+          }
+          words.push(shifted);
+        }
+      }
+    });
+
+    segments.forEach((segment, id) => {
+      segment.id = id;
+      if (segment.seek !== undefined) {
+        segment.seek = Math.round(segment.start * 100);
+      }
+    });
+
+    const lastChunk = chunks[chunks.length - 1];
+    const merged = {
+      task: chunks[0]?.transcription.task || 'transcribe',
+      language: chunks.find(c => c.transcription.language)?.transcription.language,
+      duration: lastChunk ? lastChunk.start + (lastChunk.transcription.duration ?? lastChunk.duration) : 0,
+      text: segments.map(segment => segment.text).join('').trim(),
+      segments,
+    };
+
+    if (hasWords) {
+      merged.words = words;
+    }
+
+    return merged;
+  }
+
+  /**
+   * Desplaza los tiempos de un segmento o palabra al inicio absoluto del fragmento
+   * @param {Object} item - Segmento o palabra con `start` y `end`
+   * @param {number} offset - Segundos a sumar
+   * @returns {Object} Copia con los tiempos desplazados
+   * @private
+   */
+  static shiftItem(item, offset) {
+    return {
+      ...item,
+      start: item.start + offset,
+      end: item.end + offset,
+    };
+  }
+
+  /**
+   * Indica si un elemento repite al anterior en la zona de solapamiento
+   * @param {Object} [previous] - Último elemento conservado
+   * @param {Object} current - Elemento candidato
+   * @param {string} [textKey='text'] - Propiedad que contiene el texto
+   * @returns {boolean} True si es un duplicado
+   * @private
+   */
+  static isDuplicate(previous, current, textKey = 'text') {
+    if (!previous) {
+      return false;
+    }
+    const normalize = (value = '') => value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    return current.start < previous.end && normalize(previous[textKey]) === normalize(current[textKey]);
+  }
+
+  /**
+   * Adapta una transcripción verbose_json al formato de respuesta solicitado
+   * @param {Object} verboseTranscription - Transcripción en formato verbose_json
+   * @param {string} responseFormat - Formato solicitado ('json', 'verbose_json', 'text')
+   * @returns {Object|string} Transcripción en el formato solicitado
+   */
+  static toResponseFormat(verboseTranscription, responseFormat) {
+    if (responseFormat === 'text') {
+      return verboseTranscription.text;
+    }
+    if (responseFormat === 'json') {
+      return { text: verboseTranscription.text };
+    }
+    return verboseTranscription;
+  }
+}
@@ -0,0 +1,364 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Campos que se pueden modificar con TranscriptStore.update
+ */
+export const EDITABLE_FIELDS = ['title', 'tags', 'text', 'segments'];
+
+/**
+ * Caracteres de contexto a cada lado de la coincidencia en los fragmentos de búsqueda
+ */
+const SNIPPET_CONTEXT = 60;
+
+/**
+ * Almacén de transcripciones con metadatos, búsqueda de texto completo y paginación.
+ * Cada transcripción se guarda en `<dir>/<id>.json` con el resultado completo; al
+ * iniciar se cargan todas en un índice en memoria sobre el que se filtra y busca.
+ * @class TranscriptStore
+ */
+export class TranscriptStore {
+  /**
+   * Constructor del almacén de transcripciones
+   * @param {Object} [options={}] - Opciones del almacén
+   * @param {string} [options.dir='data/transcripts'] - Directorio donde se guardan las transcripciones
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || 'data/transcripts';
+    this.records = new Map();
+  }
+
+  /**
+   * Carga las transcripciones guardadas en el índice
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+    for (const file of files) {
+      try {
+        const record = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+        this.records.set(record.id, record);
+      } catch (error) {
+        console.error(`✗ No se pudo cargar la transcripción ${file}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Guarda el resultado de una transcripción o traducción
+   * @param {Object} result - Resultado de AudioService.transcribeFile o translateFile
+   * @param {Object} [source={}] - Datos del origen
+   * @param {string} [source.originalName] - Nombre original del archivo subido
+   * @param {string} [source.apiKeyId] - Id de la API key que lo solicitó
+   * @returns {Promise<Object>} Registro guardado
+   */
+  async add(result, source = {}) {
+    const { metadata } = result;
+    const transcription = result.transcription ?? result.translation;
+    const now = new Date().toISOString();
+    const originalName = source.originalName || path.basename(metadata.originalFilePath || metadata.fileName);
+
+    const record = {
+      id: crypto.randomUUID(),
+      type: result.translation !== undefined ? 'translation' : 'transcription',
+      title: path.parse(originalName).name,
+      tags: [],
+      text: TranscriptStore.extractText(transcription),
+      language: TranscriptStore.detectLanguage(transcription, metadata),
+      model: metadata.model,
+      provider: metadata.provider,
+      source: {
+        originalName,
+        fileName: metadata.fileName,
+        apiKeyId: source.apiKeyId || null,
+      },
+      transcription,
+      metadata,
+      analysis: result.analysis ?? null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.records.set(record.id, record);
+    await this.write(record);
+
+    return record;
+  }
+
+  /**
+   * Obtiene una transcripción por su id
+   * @param {string} id - Id de la transcripción
+   * @returns {Object|null} Registro completo o null si no existe
+   */
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  /**
+   * Modifica el título, las etiquetas o el texto de una transcripción. El texto se corrige
+   * completo con `text`, que descarta los segmentos y las palabras con tiempos, o segmento a
+   * segmento con `segments`, que conserva los tiempos de los segmentos corregidos.
+   * @param {string} id - Id de la transcripción
+   * @param {Object} changes - Campos a modificar (ver EDITABLE_FIELDS)
+   * @param {Array<Object>} [changes.segments] - Textos corregidos `{ id, text }`; cada id debe
+   * existir en los segmentos de la transcripción
+   * @returns {Promise<Object|null>} Registro actualizado o null si no existe
+   */
+  async update(id, changes) {
+    const record = this.records.get(id);
+    if (!record) {
+      return null;
+    }
+
+    if (changes.title !== undefined) {
+      record.title = changes.title;
+    }
+    if (changes.tags !== undefined) {
+      record.tags = [...new Set(changes.tags)];
+    }
+    if (changes.text !== undefined) {
+      // El texto corregido sustituye al del resultado para que las exportaciones lo reflejen.
+      // Los segmentos y las palabras ya no le corresponden: sin ellos los subtítulos y la
+      // alineación se rechazan en lugar de exportar el texto anterior
+      record.text = changes.text;
+      if (typeof record.transcription === 'string') {
+        record.transcription = changes.text;
+      } else {
+        const { segments, words, ...transcription } = record.transcription;
+        record.transcription = { ...transcription, text: changes.text };
+      }
+    }
+    if (changes.segments !== undefined) {
+      record.transcription = TranscriptStore.editSegments(record.transcription, changes.segments);
+      record.text = record.transcription.text;
+    }
+
+    record.updatedAt = new Date().toISOString();
+    await this.write(record);
+
+    return record;
+  }
+
+  /**
+   * Guarda el análisis de una transcripción, sustituyendo al anterior
+   * @param {string} id - Id de la transcripción
+   * @param {Object} analysis - Resultado de TranscriptAnalyzer.analyze
+   * @returns {Promise<Object|null>} Registro actualizado o null si no existe
+   */
+  async setAnalysis(id, analysis) {
+    const record = this.records.get(id);
+    if (!record) {
+      return null;
+    }
+
+    record.analysis = analysis;
+    record.updatedAt = new Date().toISOString();
+    await this.write(record);
+
+    return record;
+  }
+
+  /**
+   * Elimina una transcripción
+   * @param {string} id - Id de la transcripción
+   * @returns {Promise<boolean>} True si existía
+   */
+  async remove(id) {
+    if (!this.records.delete(id)) {
+      return false;
+    }
+    await fs.rm(this.recordPath(id), { force: true });
+    return true;
+  }
+
+  /**
+   * Busca transcripciones por texto y filtros, con paginación
+   * @param {Object} [query={}] - Criterios de búsqueda
+   * @param {string} [query.q] - Términos a buscar en el título y el texto (todos deben aparecer)
+   * @param {string} [query.language] - Idioma exacto
+   * @param {string} [query.model] - Modelo exacto
+   * @param {string} [query.provider] - Proveedor exacto
+   * @param {string} [query.tag] - Etiqueta que debe tener
+   * @param {string} [query.apiKeyId] - Solo las creadas con esta API key
+   * @param {Date} [query.from] - Creadas desde esta fecha (incluida)
+   * @param {Date} [query.to] - Creadas hasta esta fecha (incluida)
+   * @param {number} [query.page=1] - Página a devolver
+   * @param {number} [query.pageSize=20] - Resultados por página
+   * @returns {Object} `items` (resúmenes con fragmento), `total`, `page`, `pageSize` y `totalPages`
+   */
+  search(query = {}) {
+    const { page = 1, pageSize = 20 } = query;
+    const terms = TranscriptStore.normalize(query.q || '').split(/\s+/).filter(Boolean);
+
+    const matches = [];
+    for (const record of this.records.values()) {
+      if (query.language && record.language !== query.language) continue;
+      if (query.model && record.model !== query.model) continue;
+      if (query.provider && record.provider !== query.provider) continue;
+      if (query.tag && !record.tags.includes(query.tag)) continue;
+      if (query.apiKeyId && record.source.apiKeyId !== query.apiKeyId) continue;
+      if (query.from && new Date(record.createdAt) < query.from) continue;
+      if (query.to && new Date(record.createdAt) > query.to) continue;
+
+      if (terms.length === 0) {
+        matches.push({ record, score: 0 });
+        continue;
+      }
+
+      const haystack = TranscriptStore.normalize(`${record.title}\n${record.text}`);
+      const counts = terms.map(term => haystack.split(term).length - 1);
+      if (counts.every(count => count > 0)) {
+        matches.push({ record, score: counts.reduce((sum, count) => sum + count, 0) });
+      }
+    }
+
+    // Con búsqueda se ordena por relevancia; si no, de la más reciente a la más antigua
+    matches.sort((a, b) => (b.score - a.score) || b.record.createdAt.localeCompare(a.record.createdAt));
+
+    const start = (page - 1) * pageSize;
+    const items = matches.slice(start, start + pageSize).map(({ record, score }) => ({
+      ...TranscriptStore.summarize(record),
+      ...(terms.length > 0 && { score, snippet: TranscriptStore.snippet(record.text, terms[0]) }),
+    }));
+
+    return {
+      items,
+      total: matches.length,
+      page,
+      pageSize,
+      totalPages: Math.ceil(matches.length / pageSize),
+    };
+  }
+
+  /**
+   * Sustituye el texto de algunos segmentos y recompone el texto completo. Las palabras con
+   * tiempos de los segmentos corregidos se descartan, así que la alineación y el karaoke
+   * reparten de nuevo la duración de esos segmentos entre las palabras corregidas.
+   * @param {Object} transcription - Transcripción verbose_json con `segments`
+   * @param {Array<Object>} edits - Textos corregidos `{ id, text }`
+   * @returns {Object} Nueva transcripción
+   * @private
+   */
+  static editSegments(transcription, edits) {
+    const texts = new Map(edits.map(edit => [edit.id, edit.text]));
+    const edited = [];
+
+    const segments = transcription.segments.map(segment => {
+      if (!texts.has(segment.id)) {
+        return segment;
+      }
+      edited.push(segment);
+      return { ...segment, text: texts.get(segment.id) };
+    });
+
+    const isEdited = word => {
+      const middle = (word.start + word.end) / 2;
+      return edited.some(segment => middle >= segment.start && middle < segment.end);
+    };
+
+    return {
+      ...transcription,
+      text: segments.map(segment => segment.text.trim()).filter(Boolean).join(' '),
+      segments,
+      ...(Array.isArray(transcription.words) && { words: transcription.words.filter(word => !isEdited(word)) }),
+    };
+  }
+
+  /**
+   * Resumen de un registro sin el resultado completo
+   * @param {Object} record - Registro de la transcripción
+   * @returns {Object} Campos principales del registro
+   */
+  static summarize(record) {
+    const { transcription, metadata, text, analysis, ...summary } = record;
+    return {
+      ...summary,
+      analyzed: Boolean(analysis),
+      duration: transcription?.duration ?? null,
+      textLength: text.length,
+    };
+  }
+
+  /**
+   * Texto plano de una transcripción en cualquier formato de respuesta
+   * @param {Object|string} transcription - Transcripción devuelta por el proveedor
+   * @returns {string} Texto de la transcripción
+   * @private
+   */
+  static extractText(transcription) {
+    if (typeof transcription === 'string') {
+      return transcription.trim();
+    }
+    return (transcription?.text || '').trim();
+  }
+
+  /**
+   * Idioma de la transcripción: el solicitado o, si se detectó automáticamente, el del proveedor
+   * @param {Object|string} transcription - Transcripción devuelta por el proveedor
+   * @param {Object} metadata - Metadatos del resultado
+   * @returns {string|null} Idioma de la transcripción
+   * @private
+   */
+  static detectLanguage(transcription, metadata) {
+    if (metadata.targetLanguage) {
+      return metadata.targetLanguage;
+    }
+    if (metadata.language && metadata.language !== 'auto-detect') {
+      return metadata.language;
+    }
+    return transcription?.language || null;
+  }
+
+  /**
+   * Normaliza texto para buscar sin distinguir mayúsculas ni acentos
+   * @param {string} text - Texto a normalizar
+   * @returns {string} Texto en minúsculas y sin diacríticos
+   * @private
+   */
+  static normalize(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  /**
+   * Fragmento del texto alrededor de la primera coincidencia de un término
+   * @param {string} text - Texto completo
+   * @param {string} term - Término normalizado
+   * @returns {string} Fragmento con puntos suspensivos si se recorta
+   * @private
+   */
+  static snippet(text, term) {
+    // Quitar los diacríticos tras NFD conserva la longitud de los textos precompuestos,
+    // así que la posición encontrada vale para el texto original
+    const index = Math.max(0, TranscriptStore.normalize(text).indexOf(term));
+    const start = Math.max(0, index - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, index + term.length + SNIPPET_CONTEXT);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * Escribe un registro en disco de forma atómica (cada escritura usa su propio temporal
+   * para que dos actualizaciones simultáneas no se pisen)
+   * @param {Object} record - Registro a escribir
+   * @returns {Promise<void>}
+   * @private
+   */
+  async write(record) {
+    const target = this.recordPath(record.id);
+    const temporary = `${target}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(record, null, 2), 'utf8');
+    await fs.rename(temporary, target);
+  }
+
+  /**
+   * Ruta del archivo de un registro
+   * @param {string} id - Id de la transcripción
+   * @returns {string} Ruta del archivo JSON
+   * @private
+   */
+  recordPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+}
@@ -0,0 +1,313 @@
+import fs from 'fs/promises';
+import http from 'http';
+import https from 'https';
+import path from 'path';
+import crypto from 'crypto';
+import { NetworkPolicy, BlockedAddressError } from '../utils/networkPolicy.js';
+
+/**
+ * Estados de una entrega de webhook
+ * @readonly
+ * @enum {string}
+ */
+export const DeliveryState = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed',
+};
+
+/**
+ * Códigos HTTP de error que se consideran temporales y se reintentan
+ */
+const RETRYABLE_STATUS = [408, 425, 429];
+
+/**
+ * Envío de webhooks firmados con HMAC-SHA256, con reintentos y backoff exponencial.
+ * Cada entrega y sus intentos se persisten en disco para consultarlos y reanudarlos tras un reinicio.
+ * Como en las descargas por URL, no se conecta a redes privadas o reservadas salvo las permitidas.
+ * @class WebhookDispatcher
+ */
+export class WebhookDispatcher {
+  /**
+   * Constructor del despachador de webhooks
+   * @param {Object} [options={}] - Opciones del despachador
+   * @param {string} [options.secret] - Secreto para firmar los envíos
+   * @param {string} [options.dir='data/webhooks'] - Directorio donde se guarda el registro de entregas
+   * @param {number} [options.maxAttempts=5] - Intentos máximos por entrega
+   * @param {number} [options.retryDelay=1000] - Espera antes del primer reintento en ms (se duplica en cada uno)
+   * @param {number} [options.timeout=10000] - Tiempo máximo de cada intento en ms
+   * @param {Array<string>} [options.allowedHosts=[]] - Hosts a los que se permite enviar aunque resuelvan a una red privada
+   * @param {Array<string>} [options.allowedNetworks=[]] - Redes CIDR privadas permitidas (ej: '10.0.5.0/24')
+   */
+  constructor(options = {}) {
+    this.secret = options.secret;
+    this.dir = options.dir || 'data/webhooks';
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryDelay = options.retryDelay || 1000;
+    this.timeout = options.timeout || 10000;
+    this.networkPolicy = new NetworkPolicy(options);
+
+    this.deliveries = new Map();
+    this.writes = new Map();
+  }
+
+  /**
+   * Indica si hay un secreto configurado para firmar webhooks
+   * @returns {boolean} True si se pueden enviar webhooks
+   */
+  isEnabled() {
+    return Boolean(this.secret);
+  }
+
+  /**
+   * Comprueba que se puedan enviar webhooks a una URL: que su host no sea ni resuelva a una
+   * dirección bloqueada. Los fallos de resolución no la rechazan: el envío se reintentará
+   * @param {URL} url - URL de destino
+   * @returns {Promise<void>}
+   * @throws {BlockedAddressError} Si el host es o resuelve a una red privada o reservada
+   */
+  async checkUrl(url) {
+    try {
+      await this.networkPolicy.checkHost(url);
+    } catch (error) {
+      if (error instanceof BlockedAddressError) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Carga el registro de entregas y reprograma las que quedaron pendientes (si hay secreto para firmarlas)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+    for (const file of files) {
+      try {
+        const delivery = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+        this.deliveries.set(delivery.id, delivery);
+
+        if (delivery.state === DeliveryState.PENDING && this.isEnabled()) {
+          const wait = Math.max(0, new Date(delivery.nextAttemptAt || 0).getTime() - Date.now());
+          this.schedule(delivery, wait);
+        }
+      } catch (error) {
+        console.error(`✗ No se pudo cargar la entrega de webhook ${file}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Registra una entrega y la envía en segundo plano
+   * @param {Object} params - Datos de la entrega
+   * @param {string} params.url - URL de destino
+   * @param {string} params.event - Nombre del evento (ej: 'job.done')
+   * @param {Object} params.payload - Cuerpo JSON a enviar
+   * @param {string} [params.jobId] - Trabajo que originó la entrega
+   * @param {string} [params.apiKeyId] - Id de la API key propietaria del trabajo
+   * @returns {Promise<Object>} Entrega registrada
+   */
+  async deliver({ url, event, payload, jobId = null, apiKeyId = null }) {
+    if (!this.isEnabled()) {
+      throw new Error('Webhooks deshabilitados: configura WEBHOOK_SECRET');
+    }
+
+    const now = new Date().toISOString();
+    const delivery = {
+      id: crypto.randomUUID(),
+      jobId,
+      apiKeyId,
+      event,
+      url,
+      state: DeliveryState.PENDING,
+      payload,
+      attempts: [],
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.deliveries.set(delivery.id, delivery);
+    await this.persist(delivery);
+    this.schedule(delivery, 0);
+
+    return delivery;
+  }
+
+  /**
+   * Obtiene una entrega por su id
+   * @param {string} id - Id de la entrega
+   * @returns {Object|null} Entrega o null si no existe
+   */
+  get(id) {
+    return this.deliveries.get(id) || null;
+  }
+
+  /**
+   * Lista las entregas, de la más reciente a la más antigua
+   * @param {Object} [filters={}] - Filtros opcionales
+   * @param {string} [filters.jobId] - Solo entregas de este trabajo
+   * @param {string} [filters.state] - Solo entregas en este estado
+   * @param {string} [filters.apiKeyId] - Solo entregas de trabajos creados con esta API key
+   * @returns {Array<Object>} Entregas sin el payload
+   */
+  list(filters = {}) {
+    return [...this.deliveries.values()]
+      .filter(delivery => !filters.apiKeyId || delivery.apiKeyId === filters.apiKeyId)
+      .filter(delivery => !filters.jobId || delivery.jobId === filters.jobId)
+      .filter(delivery => !filters.state || delivery.state === filters.state)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(({ payload, ...delivery }) => delivery);
+  }
+
+  /**
+   * Calcula la firma de un envío
+   * @param {string} timestamp - Timestamp en segundos enviado en X-Webhook-Timestamp
+   * @param {string} body - Cuerpo exacto del envío
+   * @returns {string} Firma `sha256=<hex>` de `${timestamp}.${body}`
+   */
+  sign(timestamp, body) {
+    const digest = crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Programa el siguiente intento de una entrega
+   * @param {Object} delivery - Entrega a enviar
+   * @param {number} wait - Espera en ms
+   * @private
+   */
+  schedule(delivery, wait) {
+    setTimeout(() => {
+      this.attempt(delivery).catch(error => {
+        console.error(`Error al enviar el webhook ${delivery.id}:`, error.message);
+      });
+    }, wait);
+  }
+
+  /**
+   * Realiza un intento de envío y decide si reintentar
+   * @param {Object} delivery - Entrega a enviar
+   * @returns {Promise<void>}
+   * @private
+   */
+  async attempt(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const startedAt = Date.now();
+    const attempt = { attempt: delivery.attempts.length + 1, at: new Date().toISOString() };
+    const signal = AbortSignal.timeout(this.timeout);
+    let retryable = true;
+
+    try {
+      const status = await this.post(new URL(delivery.url), {
+        'Content-Type': 'application/json',
+        'User-Agent': 'speech-to-text-webhooks/1.0',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': this.sign(timestamp, body),
+      }, body, signal);
+
+      attempt.status = status;
+      if (status < 200 || status >= 300) {
+        attempt.error = `Respuesta HTTP ${status}`;
+        retryable = status >= 500 || RETRYABLE_STATUS.includes(status);
+      }
+    } catch (error) {
+      // Los bloqueos detectados al resolver el nombre pueden llegar envueltos por el socket
+      const blocked = [error, error.cause].find(candidate => candidate instanceof BlockedAddressError);
+      if (blocked) {
+        attempt.error = blocked.message;
+        retryable = false;
+      } else {
+        attempt.error = signal.aborted ? `Sin respuesta en ${this.timeout}ms` : error.message;
+      }
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      await this.update(delivery, { state: DeliveryState.DELIVERED, nextAttemptAt: null });
+      console.log(`📨 Webhook ${delivery.event} entregado a ${delivery.url}`);
+    } else if (retryable && delivery.attempts.length < this.maxAttempts) {
+      // Backoff exponencial: retryDelay, 2x, 4x...
+      const wait = this.retryDelay * 2 ** (delivery.attempts.length - 1);
+      await this.update(delivery, { nextAttemptAt: new Date(Date.now() + wait).toISOString() });
+      this.schedule(delivery, wait);
+    } else {
+      await this.update(delivery, { state: DeliveryState.FAILED, nextAttemptAt: null });
+      console.error(`✗ Webhook ${delivery.id} descartado tras ${delivery.attempts.length} intentos: ${attempt.error}`);
+    }
+  }
+
+  /**
+   * Envía un cuerpo por POST sin seguir redirecciones, conectando solo a direcciones que
+   * permite la política de red
+   * @param {URL} url - URL de destino
+   * @param {Object} headers - Cabeceras del envío
+   * @param {string} body - Cuerpo del envío
+   * @param {AbortSignal} signal - Señal del tiempo máximo
+   * @returns {Promise<number>} Código HTTP de la respuesta
+   * @private
+   */
+  post(url, headers, body, signal) {
+    // Las IPs literales no pasan por la resolución de nombres: se comprueban aquí
+    this.networkPolicy.checkLiteralHost(url);
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        signal,
+        lookup: (hostname, options, callback) => this.networkPolicy.lookup(hostname, options, callback),
+      }, response => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Aplica cambios a una entrega y los persiste
+   * @param {Object} delivery - Entrega a modificar
+   * @param {Object} changes - Propiedades a actualizar
+   * @returns {Promise<void>}
+   * @private
+   */
+  update(delivery, changes) {
+    Object.assign(delivery, changes, { updatedAt: new Date().toISOString() });
+    return this.persist(delivery);
+  }
+
+  /**
+   * Encadena la escritura de la entrega para que las actualizaciones lleguen a disco en orden
+   * @param {Object} delivery - Entrega a persistir
+   * @returns {Promise<void>}
+   * @private
+   */
+  persist(delivery) {
+    const previous = this.writes.get(delivery.id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const target = path.join(this.dir, `${delivery.id}.json`);
+      const temporary = `${target}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify(delivery, null, 2), 'utf8');
+      await fs.rename(temporary, target);
+    });
+    const cleanup = () => {
+      if (this.writes.get(delivery.id) === next) {
+        this.writes.delete(delivery.id);
+      }
+    };
+
+    this.writes.set(delivery.id, next);
+    next.then(cleanup, cleanup);
+    return next;
+  }
+}
@@ -0,0 +1,47 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+/**
+ * Calcula el hash del contenido de un archivo leyéndolo por bloques
+ * @param {string} filePath - Ruta del archivo
+ * @param {string} [algorithm='sha256'] - Algoritmo de hash de Node
+ * @returns {Promise<string>} Hash en hexadecimal
+ */
+export function hashFile(filePath, algorithm = 'sha256') {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Calcula un hash estable de un objeto JSON, independiente del orden de sus claves
+ * @param {Object} value - Valor serializable
+ * @param {string} [algorithm='sha256'] - Algoritmo de hash de Node
+ * @returns {string} Hash en hexadecimal
+ */
+export function hashObject(value, algorithm = 'sha256') {
+  return crypto.createHash(algorithm).update(stableStringify(value)).digest('hex');
+}
+
+/**
+ * Serializa a JSON ordenando las claves de los objetos
+ * @param {*} value - Valor serializable
+ * @returns {string} JSON canónico
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
@@ -0,0 +1,116 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Indica si una ruta contiene comodines (`*`, `?`, `[...]`)
+ * @param {string} pattern - Ruta o patrón
+ * @returns {boolean} True si es un patrón
+ */
+export function hasMagic(pattern) {
+  return /[*?[]/.test(pattern);
+}
+
+/**
+ * Convierte un segmento de patrón en una expresión regular.
+ * `*` equivale a cualquier secuencia, `?` a un carácter y `[abc]`/`[!abc]` a un conjunto.
+ * @param {string} segment - Segmento sin separadores de directorio
+ * @returns {RegExp} Expresión regular que valida el nombre completo
+ */
+export function segmentToRegExp(segment) {
+  let source = '';
+
+  for (let i = 0; i < segment.length; i++) {
+    const char = segment[i];
+    const classEnd = char === '[' ? segment.indexOf(']', i + 2) : -1;
+
+    if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (classEnd !== -1) {
+      const members = segment.slice(i + 1, classEnd).replace(/\\/g, '\\\\');
+      source += members.startsWith('!') ? `[^${members.slice(1)}]` : `[${members}]`;
+      i = classEnd;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Busca los archivos que coinciden con un patrón. `**` recorre cualquier número de
+ * subdirectorios. Los archivos y directorios ocultos solo se incluyen si el segmento
+ * del patrón empieza por un punto.
+ * @param {string} pattern - Patrón, p. ej. `audios/**\/*.mp3`
+ * @returns {Promise<Array<string>>} Rutas de los archivos encontrados, ordenadas
+ */
+export async function expandGlob(pattern) {
+  const segments = pattern.split(/[\\/]+/);
+  const first = segments.findIndex(segment => hasMagic(segment));
+
+  if (first === -1) {
+    return [pattern];
+  }
+
+  const base = segments.slice(0, first).join(path.sep) || (path.isAbsolute(pattern) ? path.sep : '.');
+  const matches = await matchSegments(base, segments.slice(first));
+
+  return [...new Set(matches)].sort();
+}
+
+/**
+ * Recorre un directorio aplicando los segmentos restantes del patrón
+ * @param {string} directory - Directorio actual
+ * @param {Array<string>} segments - Segmentos pendientes
+ * @returns {Promise<Array<string>>} Archivos que coinciden
+ * @private
+ */
+async function matchSegments(directory, segments) {
+  const [segment, ...rest] = segments;
+  if (segment === undefined) {
+    return [];
+  }
+
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const matches = [];
+
+  if (segment === '**') {
+    // Cero directorios: el resto del patrón se aplica aquí mismo (`**` al final equivale a `**/*`)
+    matches.push(...await matchSegments(directory, rest.length > 0 ? rest : ['*']));
+    for (const entry of entries) {
+      if (entry.isDirectory() && !entry.name.startsWith('.')) {
+        matches.push(...await matchSegments(path.join(directory, entry.name), segments));
+      }
+    }
+    return matches;
+  }
+
+  const regExp = segmentToRegExp(segment);
+  for (const entry of entries) {
+    if (entry.name.startsWith('.') && !segment.startsWith('.')) {
+      continue;
+    }
+    if (!regExp.test(entry.name)) {
+      continue;
+    }
+
+    const entryPath = path.join(directory, entry.name);
+    if (rest.length === 0) {
+      if (entry.isFile()) {
+        matches.push(entryPath);
+      }
+    } else if (entry.isDirectory()) {
+      matches.push(...await matchSegments(entryPath, rest));
+    }
+  }
+
+  return matches;
+}
@@ -0,0 +1,35 @@
+/**
+ * Normaliza un código de idioma BCP 47 (`es`, `pt-BR`, `zh-Hant`...)
+ * @param {string} code - Código recibido
+ * @returns {string|null} Código canónico, o null si no es un código de idioma válido
+ */
+export function normalizeLanguageCode(code) {
+  if (typeof code !== 'string' || !/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(code.trim())) {
+    return null;
+  }
+
+  try {
+    return Intl.getCanonicalLocales(code.trim())[0];
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Nombre de un idioma a partir de su código, para los prompts de los modelos de lenguaje
+ * @param {string} code - Código de idioma (o nombre, como el `language` de Whisper)
+ * @param {string} [locale='en'] - Idioma en el que se escribe el nombre
+ * @returns {string} Nombre del idioma, o el valor recibido si no es un código conocido
+ */
+export function languageName(code, locale = 'en') {
+  const canonical = normalizeLanguageCode(code);
+  if (!canonical) {
+    return code;
+  }
+
+  try {
+    return new Intl.DisplayNames([locale], { type: 'language' }).of(canonical) || code;
+  } catch {
+    return code;
+  }
+}
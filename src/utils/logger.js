@@ -0,0 +1,107 @@
+/**
+ * Niveles de log en orden de gravedad
+ */
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Logger estructurado que escribe una línea JSON por evento con `time`, `level`, `msg`
+ * y los campos de contexto (ej: `requestId`). Los campos de `child` se añaden a todas
+ * las líneas del logger hijo.
+ * @class Logger
+ */
+export class Logger {
+  /**
+   * Constructor del logger
+   * @param {Object} [options={}] - Opciones del logger
+   * @param {string} [options.level='info'] - Nivel mínimo que se escribe
+   * @param {Object} [options.fields={}] - Campos incluidos en todas las líneas
+   * @param {import('stream').Writable} [options.stream=process.stdout] - Destino de las líneas
+   */
+  constructor(options = {}) {
+    this.level = LOG_LEVELS.includes(options.level) ? options.level : 'info';
+    this.fields = options.fields || {};
+    this.stream = options.stream || process.stdout;
+  }
+
+  /**
+   * Crea un logger que añade campos de contexto a cada línea
+   * @param {Object} fields - Campos de contexto
+   * @returns {Logger} Logger hijo con el mismo nivel y destino
+   */
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      fields: { ...this.fields, ...fields },
+      stream: this.stream,
+    });
+  }
+
+  /**
+   * Escribe un evento de depuración
+   * @param {string} message - Mensaje
+   * @param {Object} [fields] - Campos del evento
+   */
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  /**
+   * Escribe un evento informativo
+   * @param {string} message - Mensaje
+   * @param {Object} [fields] - Campos del evento
+   */
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  /**
+   * Escribe un aviso
+   * @param {string} message - Mensaje
+   * @param {Object} [fields] - Campos del evento
+   */
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  /**
+   * Escribe un error
+   * @param {string} message - Mensaje
+   * @param {Object} [fields] - Campos del evento; `error` puede ser un Error
+   */
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  /**
+   * Escribe la línea JSON si el nivel está habilitado
+   * @param {string} level - Nivel del evento
+   * @param {string} message - Mensaje
+   * @param {Object} [fields={}] - Campos del evento
+   * @private
+   */
+  write(level, message, fields = {}) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(this.level)) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...this.fields,
+      ...fields,
+    };
+
+    // Los Error no se serializan con JSON.stringify: se conservan mensaje, código y stack
+    if (entry.error instanceof Error) {
+      entry.error = {
+        name: entry.error.name,
+        message: entry.error.message,
+        ...(entry.error.code && { code: entry.error.code }),
+        stack: entry.error.stack,
+      };
+    }
+
+    this.stream.write(`${JSON.stringify(entry)}\n`);
+  }
+}
@@ -0,0 +1,163 @@
+import dns from 'dns';
+import net from 'net';
+
+/**
+ * Redes privadas, locales o reservadas a las que no se conecta salvo que estén permitidas
+ */
+const BLOCKED_NETWORKS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'], // CGNAT
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'], // Link-local y metadatos de instancias en la nube
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'], // Multicast
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'], // NAT64
+  ['2001::', 32, 'ipv6'], // Teredo: lleva una IPv4 embebida
+  ['2002::', 16, 'ipv6'], // 6to4: lleva una IPv4 embebida
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+/**
+ * Error de una conexión a una dirección privada o reservada no permitida
+ * @class BlockedAddressError
+ * @extends Error
+ */
+export class BlockedAddressError extends Error {
+  /**
+   * @param {string} message - Descripción del bloqueo
+   * @param {string} address - Dirección bloqueada
+   */
+  constructor(message, address) {
+    super(message);
+    this.name = 'BlockedAddressError';
+    this.address = address;
+  }
+}
+
+/**
+ * Política de red contra SSRF para las conexiones salientes a URLs recibidas en las peticiones
+ * (descargas de audio y webhooks): bloquea las redes privadas, locales y reservadas salvo los
+ * hosts y redes permitidos, y comprueba la dirección resuelta a la que se conecta realmente.
+ * @class NetworkPolicy
+ */
+export class NetworkPolicy {
+  /**
+   * Constructor de la política de red
+   * @param {Object} [options={}] - Opciones de la política
+   * @param {Array<string>} [options.allowedHosts=[]] - Hosts permitidos aunque resuelvan a una red privada
+   * @param {Array<string>} [options.allowedNetworks=[]] - Redes CIDR privadas permitidas (ej: '10.0.5.0/24')
+   */
+  constructor(options = {}) {
+    this.allowedHosts = (options.allowedHosts || []).map(host => host.toLowerCase());
+
+    this.blocked = new net.BlockList();
+    for (const [network, prefix, type] of BLOCKED_NETWORKS) {
+      this.blocked.addSubnet(network, prefix, type);
+    }
+
+    // Las redes no válidas se ignoran: validateConfig ya las informa al arrancar
+    this.allowed = new net.BlockList();
+    for (const parsed of (options.allowedNetworks || []).map(NetworkPolicy.parseCidr).filter(Boolean)) {
+      this.allowed.addSubnet(parsed.network, parsed.prefix, parsed.type);
+    }
+  }
+
+  /**
+   * Comprueba el host de una URL si es una IP literal, que no pasa por la resolución de nombres
+   * @param {URL} url - URL analizada
+   * @throws {BlockedAddressError} Si la IP pertenece a una red bloqueada
+   */
+  checkLiteralHost(url) {
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !this.isAllowedAddress(host, host)) {
+      throw new BlockedAddressError(`La dirección ${host} pertenece a una red privada o reservada`, host);
+    }
+  }
+
+  /**
+   * Comprueba que el host de una URL no sea una IP bloqueada ni resuelva a una. Sirve para
+   * rechazar la URL al recibirla; la conexión debe usar además `lookup`, que vuelve a
+   * comprobar la dirección a la que se conecta
+   * @param {URL} url - URL analizada
+   * @returns {Promise<void>}
+   * @throws {BlockedAddressError} Si el host es o resuelve a una dirección bloqueada
+   */
+  async checkHost(url) {
+    this.checkLiteralHost(url);
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    await new Promise((resolve, reject) => {
+      this.lookup(hostname, { all: true }, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Resuelve un nombre como dns.lookup y rechaza las direcciones bloqueadas. Se pasa como
+   * `lookup` a http.request para que la comprobación se haga sobre la dirección conectada
+   * @param {string} hostname - Nombre a resolver
+   * @param {Object} options - Opciones de dns.lookup (Node puede pedir `all`)
+   * @param {Function} callback - Callback de dns.lookup
+   */
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        return callback(error);
+      }
+
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = addresses.find(entry => !this.isAllowedAddress(entry.address, hostname));
+      if (blocked) {
+        return callback(new BlockedAddressError(`${hostname} resuelve a ${blocked.address}, una red privada o reservada`, blocked.address));
+      }
+
+      callback(null, address, family);
+    });
+  }
+
+  /**
+   * Indica si se puede conectar a una dirección
+   * @param {string} address - Dirección IP
+   * @param {string} hostname - Host de la URL
+   * @returns {boolean} True si es pública o está permitida
+   */
+  isAllowedAddress(address, hostname) {
+    if (this.allowedHosts.includes(hostname.toLowerCase())) {
+      return true;
+    }
+
+    // BlockList compara las IPv4 mapeadas en IPv6 (::ffff:127.0.0.1) con las redes IPv4
+    const type = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+
+    return this.allowed.check(address, type) || !this.blocked.check(address, type);
+  }
+
+  /**
+   * Analiza una red en notación CIDR
+   * @param {string} cidr - Red (ej: '10.0.5.0/24', 'fd00::/8')
+   * @returns {Object|null} `network`, `prefix` y `type`, o null si no es válida
+   */
+  static parseCidr(cidr) {
+    const [network, prefixText] = String(cidr).trim().split('/');
+    const version = net.isIP(network);
+    if (!version) {
+      return null;
+    }
+
+    const maxPrefix = version === 4 ? 32 : 128;
+    const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+      return null;
+    }
+
+    return { network, prefix, type: version === 4 ? 'ipv4' : 'ipv6' };
+  }
+}
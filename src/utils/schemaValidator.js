@@ -0,0 +1,245 @@
+/**
+ * Validación de valores contra el subconjunto de JSON Schema que usa el documento OpenAPI:
+ * `type`, `enum`, `minimum`, `maximum`, `exclusiveMinimum`, `minLength`, `maxLength`,
+ * `pattern`, `format` (uri, date, date-time), `items`, `minItems`, `maxItems`,
+ * `properties`, `required`, `minProperties` y `additionalProperties: false`.
+ *
+ * Con `coerce` se convierten los strings de la query y de los formularios multipart al
+ * tipo del esquema ('0.5' → 0.5, 'true' → true, 'a,b' → ['a', 'b'], '{"a":1}' → { a: 1 })
+ * antes de validarlos.
+ */
+
+/**
+ * Descripción de cada tipo en los mensajes de error
+ */
+const TYPE_NAMES = {
+  string: 'un texto',
+  number: 'un número',
+  integer: 'un entero',
+  boolean: 'true o false',
+  array: 'una lista',
+  object: 'un objeto',
+};
+
+/**
+ * Comprobaciones de los formatos de string soportados
+ */
+const FORMATS = {
+  uri: (value) => {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+      return false;
+    }
+  },
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  'date-time': value => !Number.isNaN(Date.parse(value)),
+};
+
+/**
+ * Mensajes de los formatos de string soportados
+ */
+const FORMAT_MESSAGES = {
+  uri: 'debe ser una URL http o https',
+  date: 'debe ser una fecha ISO 8601 (ej: 2024-01-31)',
+  'date-time': 'debe ser una fecha ISO 8601 (ej: 2024-01-31 o 2024-01-31T10:00:00Z)',
+};
+
+/**
+ * Valida un valor contra un esquema
+ * @param {Object} schema - Esquema JSON Schema
+ * @param {*} value - Valor a validar
+ * @param {Object} [options={}] - Opciones de validación
+ * @param {boolean} [options.coerce=false] - Convertir los strings al tipo del esquema
+ * @param {string} [options.path=''] - Nombre del campo en los mensajes
+ * @returns {Object} `value` (convertido si se pidió) y `errors` con `{ field, message }`
+ */
+export function validateSchema(schema, value, options = {}) {
+  const errors = [];
+  const result = check(schema, value, options.path || '', Boolean(options.coerce), errors);
+  return { value: result, errors };
+}
+
+/**
+ * Valida un valor y acumula los errores
+ * @param {Object} schema - Esquema
+ * @param {*} value - Valor
+ * @param {string} field - Ruta del campo (ej: `tags[1]`)
+ * @param {boolean} coerce - Convertir strings
+ * @param {Array<Object>} errors - Errores acumulados
+ * @returns {*} Valor, convertido si procede
+ * @private
+ */
+function check(schema, value, field, coerce, errors) {
+  const fail = (message) => {
+    errors.push({ field, message });
+    return value;
+  };
+
+  if (coerce) {
+    value = coerceValue(schema, value);
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    return fail(`debe ser ${TYPE_NAMES[schema.type]}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`debe ser uno de: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return fail(`debe ser mayor o igual que ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      return fail(`debe ser mayor que ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return fail(`debe ser menor o igual que ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return fail(schema.minLength === 1 ? 'no puede estar vacío' : `debe tener al menos ${schema.minLength} caracteres`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail(`debe tener como máximo ${schema.maxLength} caracteres`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return fail('no tiene el formato esperado');
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      return fail(FORMAT_MESSAGES[schema.format]);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail(`debe tener al menos ${schema.minItems} elementos`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(`debe tener como máximo ${schema.maxItems} elementos`);
+    }
+    if (schema.items) {
+      value = value.map((item, index) => check(schema.items, item, `${field}[${index}]`, coerce, errors));
+    }
+  }
+
+  if (schema.type === 'object' && value !== null && typeof value === 'object') {
+    value = checkObject(schema, value, field, coerce, errors);
+  }
+
+  return value;
+}
+
+/**
+ * Valida las propiedades de un objeto
+ * @param {Object} schema - Esquema de tipo object
+ * @param {Object} value - Objeto
+ * @param {string} field - Ruta del objeto
+ * @param {boolean} coerce - Convertir strings
+ * @param {Array<Object>} errors - Errores acumulados
+ * @returns {Object} Objeto con las propiedades convertidas
+ * @private
+ */
+function checkObject(schema, value, field, coerce, errors) {
+  const properties = schema.properties || {};
+  const prefix = field ? `${field}.` : '';
+  const present = Object.keys(value).filter(name => value[name] !== undefined);
+  const result = { ...value };
+
+  for (const name of schema.required || []) {
+    if (value[name] === undefined || value[name] === '') {
+      errors.push({ field: `${prefix}${name}`, message: 'es obligatorio' });
+    }
+  }
+
+  if (schema.minProperties !== undefined && present.length < schema.minProperties) {
+    errors.push({ field: field || 'body', message: `debe incluir al menos ${schema.minProperties} campo(s): ${Object.keys(properties).join(', ')}` });
+  }
+
+  for (const name of present) {
+    if (properties[name]) {
+      // Un campo de formulario vacío equivale a no enviarlo
+      if (coerce && value[name] === '' && properties[name].type !== 'string') {
+        result[name] = undefined;
+        continue;
+      }
+      result[name] = check(properties[name], value[name], `${prefix}${name}`, coerce, errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push({ field: `${prefix}${name}`, message: `no es un campo permitido (permitidos: ${Object.keys(properties).join(', ')})` });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convierte un string al tipo del esquema cuando es posible
+ * @param {Object} schema - Esquema
+ * @param {*} value - Valor recibido
+ * @returns {*} Valor convertido, o el original si no se puede convertir
+ * @private
+ */
+function coerceValue(schema, value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  switch (schema.type) {
+    case 'number':
+    case 'integer': {
+      const number = value.trim() === '' ? NaN : Number(value);
+      return Number.isNaN(number) ? value : number;
+    }
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'array':
+      // Formularios y query: lista JSON o separada por comas
+      return value.trim().startsWith('[')
+        ? parseJson(value)
+        : value.split(',').map(item => item.trim()).filter(Boolean);
+    case 'object':
+      return parseJson(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Interpreta un campo de formulario con JSON
+ * @param {string} value - Texto recibido
+ * @returns {*} Valor interpretado, o el texto original si no es JSON válido
+ * @private
+ */
+function parseJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Indica si un valor es del tipo indicado
+ * @param {string} type - Tipo JSON Schema
+ * @param {*} value - Valor
+ * @returns {boolean} True si coincide
+ * @private
+ */
+function matchesType(type, value) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
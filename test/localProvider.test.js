@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { LocalProvider } from '../src/providers/transcription/localProvider.js';
+import { AudioService } from '../src/services/audioService.js';
+import { TempWorkspace } from '../src/services/tempWorkspace.js';
+
+let dir;
+let audioPath;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'anyaudio-test-'));
+  audioPath = path.join(dir, 'reunion.mp3');
+  // 12 s con 16000 bytes por segundo: tres segmentos de 5 s (el último de 2 s)
+  await fs.writeFile(audioPath, Buffer.alloc(16000 * 12));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('LocalProvider genera verbose_json determinista con segmentos y palabras', async () => {
+  const provider = new LocalProvider();
+  const options = { language: 'es', responseFormat: 'verbose_json', timestampGranularities: ['segment', 'word'] };
+
+  const result = await provider.transcribe(audioPath, options);
+
+  assert.equal(result.task, 'transcribe');
+  assert.equal(result.language, 'es');
+  assert.equal(result.duration, 12);
+  assert.deepEqual(result.segments.map(segment => [segment.start, segment.end]), [[0, 5], [5, 10], [10, 12]]);
+  assert.equal(result.text, 'reunion segmento 1 reunion segmento 2 reunion segmento 3');
+  assert.equal(result.words.length, 9);
+  assert.deepEqual(await provider.transcribe(audioPath, options), result);
+});
+
+test('LocalProvider respeta responseFormat y solo incluye palabras si se piden', async () => {
+  const provider = new LocalProvider();
+
+  assert.equal(await provider.transcribe(audioPath, { responseFormat: 'text' }), 'reunion segmento 1 reunion segmento 2 reunion segmento 3');
+  assert.deepEqual(Object.keys(await provider.transcribe(audioPath, { responseFormat: 'json' })), ['text']);
+  assert.equal((await provider.transcribe(audioPath, { responseFormat: 'verbose_json' })).words, undefined);
+});
+
+test('LocalProvider traduce a inglés y cancela con la señal', async () => {
+  const provider = new LocalProvider();
+
+  const translation = await provider.translate(audioPath, { responseFormat: 'verbose_json' });
+  assert.equal(translation.task, 'translate');
+  assert.equal(translation.language, 'en');
+
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(provider.transcribe(audioPath, { signal: controller.signal }), { name: 'AbortError' });
+});
+
+test('AudioService transcribe con LocalProvider y devuelve los metadatos del proveedor', async () => {
+  const workspace = new TempWorkspace({ dir: path.join(dir, 'work') });
+  const service = new AudioService(new LocalProvider(), { workspace });
+  const progress = [];
+
+  const result = await service.transcribeFile(audioPath, {
+    responseFormat: 'verbose_json',
+    onProgress: stage => progress.push(stage),
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(result.metadata.provider, 'local');
+  assert.equal(result.metadata.model, 'local-fake');
+  assert.equal(result.metadata.chunked, false);
+  assert.equal(result.transcription.segments.length, 3);
+  assert.ok(progress.includes('transcribing'));
+  assert.equal(workspace.active.size, 0);
+});
@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { LocalProvider } from '../src/providers/transcription/localProvider.js';
+import { AudioService } from '../src/services/audioService.js';
+import { StreamingSession } from '../src/services/streamingSession.js';
+import { TempWorkspace } from '../src/services/tempWorkspace.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'anyaudio-stream-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * PCM s16le 16KHz mono con un tono y un silencio de 40ms cada segundo
+ */
+function createPcm(bytes) {
+  const pcm = Buffer.alloc(bytes);
+  for (let offset = 0; offset + 1 < bytes; offset += 2) {
+    const sample = offset / 2;
+    const silent = sample % 16000 >= 15360;
+    pcm.writeInt16LE(silent ? 0 : Math.round(8000 * Math.sin(sample / 8)), offset);
+  }
+  return pcm;
+}
+
+function createSession(options = {}) {
+  const messages = [];
+  const workspace = new TempWorkspace({ dir: path.join(dir, 'work') });
+  const session = new StreamingSession(new AudioService(new LocalProvider(), { workspace }), {
+    format: 'pcm',
+    partialInterval: 0,
+    send: message => messages.push(message),
+    ...options,
+  });
+  return { session, messages, workspace };
+}
+
+test('StreamingSession corta ventanas de duración fraccionaria en muestras completas', async () => {
+  const { session, messages, workspace } = createSession({ windowSeconds: 2.33333 });
+  await session.start();
+
+  // 100 KB en fragmentos de tamaño impar, como pueden llegar por el WebSocket
+  const pcm = createPcm(100 * 1024);
+  for (let offset = 0; offset < pcm.length; offset += 4095) {
+    session.write(pcm.subarray(offset, offset + 4095));
+  }
+  const transcription = await session.stop();
+
+  const finals = messages.filter(message => message.type === 'final');
+  assert.equal(messages.filter(message => message.type === 'error').length, 0);
+  assert.ok(finals.length >= 2);
+  assert.equal(finals[0].start, 0);
+  assert.ok(finals.every((message, index) => index === 0 || message.start === finals[index - 1].end));
+  // Cada ventana se corta cerca del límite pedido, nunca después
+  assert.ok(finals.slice(0, -1).every(message => message.end - message.start <= 2.33333 && message.end - message.start > 1.7));
+  assert.equal(transcription.duration, (100 * 1024) / 32000);
+  assert.equal(transcription.segments.length, finals.reduce((count, message) => count + message.segments.length, 0));
+  assert.equal(workspace.active.size, 0);
+});
+
+test('StreamingSession detiene el stream que supera la duración máxima', async () => {
+  const { session, messages } = createSession({ windowSeconds: 2, maxDuration: 1 });
+  await session.start();
+
+  session.write(createPcm(40000));
+  await session.stop();
+
+  const error = messages.find(message => message.type === 'error');
+  assert.equal(error.fatal, true);
+  assert.match(error.error, /duración máxima de 1s/);
+  assert.equal(messages.filter(message => message.type === 'final').length, 0);
+});
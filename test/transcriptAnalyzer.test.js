@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LocalLlmClient } from '../src/providers/llm/localLlmClient.js';
+import { TranscriptAnalyzer, ANALYSIS_TASKS } from '../src/services/transcriptAnalyzer.js';
+
+/**
+ * Transcripción verbose_json de 12 segmentos de 5 s; los múltiplos de 4 tienen una tarea pendiente
+ */
+function createTranscription() {
+  const segments = Array.from({ length: 12 }, (_, index) => ({
+    id: index,
+    start: index * 5,
+    end: index * 5 + 5,
+    text: ` Segmento ${index} sobre presupuesto${index % 4 === 0 ? ' y hay que revisar el contrato' : ''}`,
+  }));
+  return { task: 'transcribe', language: 'es', duration: 60, text: segments.map(segment => segment.text).join(''), segments };
+}
+
+test('TranscriptAnalyzer realiza todas las tareas con LocalLlmClient', async () => {
+  const analyzer = new TranscriptAnalyzer({ local: new LocalLlmClient() });
+
+  const analysis = await analyzer.analyze(createTranscription());
+
+  assert.equal(analysis.provider, 'local');
+  assert.equal(analysis.model, 'local-fake');
+  assert.equal(analysis.language, 'es');
+  assert.deepEqual(analysis.tasks, ANALYSIS_TASKS);
+  assert.match(analysis.summary, /^Resumen de 12 segmentos: Segmento 0 sobre presupuesto/);
+  assert.deepEqual(analysis.topics, ['segmento', 'sobre', 'presupuesto']);
+  assert.deepEqual(analysis.actionItems.map(item => item.start), [0, 20, 40]);
+  assert.deepEqual(analysis.chapters.map(chapter => [chapter.start, chapter.end]), [[0, 30], [30, 60]]);
+});
+
+test('TranscriptAnalyzer divide las transcripciones largas en tramos y une los resultados', async () => {
+  const transcription = createTranscription();
+  const segments = TranscriptAnalyzer.buildSegments(transcription);
+  const chunkChars = JSON.stringify(segments.slice(0, 8)).length;
+  const calls = [];
+  const client = new LocalLlmClient({ segmentsPerChapter: 2 });
+  const complete = client.complete.bind(client);
+  client.complete = (messages, options) => {
+    calls.push(JSON.parse(messages[1].content));
+    return complete(messages, options);
+  };
+  const analyzer = new TranscriptAnalyzer({ local: client }, { chunkChars });
+
+  const analysis = await analyzer.analyze(transcription);
+
+  const chunks = TranscriptAnalyzer.chunkSegments(segments, chunkChars);
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(chunk => chunk.reduce((size, segment) => size + JSON.stringify(segment).length + 1, 0) <= chunkChars));
+  assert.deepEqual(chunks.flat(), segments);
+
+  // Una llamada por tramo y tarea, más la que une los resúmenes parciales
+  assert.equal(calls.length, chunks.length * ANALYSIS_TASKS.length + 1);
+  const reduce = calls.find(call => call.task === 'summary' && call.segments.every(segment => segment.text.startsWith('Resumen')));
+  assert.deepEqual(reduce.segments.map(segment => [segment.start, segment.end]), chunks.map(chunk => [chunk[0].start, chunk.at(-1).end]));
+  assert.match(analysis.summary, new RegExp(`^Resumen de ${chunks.length} segmentos`));
+
+  assert.deepEqual(analysis.topics, ['segmento', 'sobre', 'presupuesto']);
+  assert.deepEqual(analysis.actionItems.map(item => item.start), [0, 20, 40]);
+  assert.equal(analysis.chapters[0].start, 0);
+  assert.equal(analysis.chapters.at(-1).end, 60);
+  assert.ok(analysis.chapters.every((chapter, index, list) => index === 0 || chapter.start === list[index - 1].end));
+});
+
+test('TranscriptAnalyzer parte los segmentos que no caben en un tramo', async () => {
+  const text = Array.from({ length: 300 }, (_, index) => `palabra${index}`).join(' ');
+  const analyzer = new TranscriptAnalyzer({ local: new LocalLlmClient() }, { chunkChars: 500 });
+
+  const analysis = await analyzer.analyze({ duration: 120, text }, { tasks: ['chapters'] });
+
+  const pieces = TranscriptAnalyzer.splitSegment({ start: 0, end: 120, text }, 500);
+  assert.ok(pieces.length > 1);
+  assert.ok(pieces.every(piece => JSON.stringify(piece).length <= 500));
+  assert.equal(pieces.map(piece => piece.text).join(' '), text);
+  assert.deepEqual([pieces[0].start, pieces.at(-1).end], [0, 120]);
+  assert.equal(analysis.chapters[0].start, 0);
+  assert.equal(analysis.chapters.at(-1).end, 120);
+});
+
+test('TranscriptAnalyzer rechaza las transcripciones sin texto y los proveedores no registrados', async () => {
+  const analyzer = new TranscriptAnalyzer({ local: new LocalLlmClient() });
+
+  await assert.rejects(
+    analyzer.analyze({ text: '   ' }),
+    /La transcripción no tiene texto que analizar/,
+  );
+  await assert.rejects(
+    analyzer.analyze(createTranscription(), { client: 'groq' }),
+    /Proveedor de análisis no disponible: groq/,
+  );
+});
@@ -0,0 +1,135 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { WebhookDispatcher, DeliveryState } from '../src/services/webhookDispatcher.js';
+
+const SECRET = 'secreto-de-prueba';
+
+let dir;
+let server;
+let baseUrl;
+let received = [];
+let statuses = [];
+
+/**
+ * Espera a que una entrega deje de estar pendiente
+ */
+async function settled(delivery) {
+  for (let waited = 0; delivery.state === DeliveryState.PENDING; waited += 10) {
+    assert.ok(waited < 5000, 'la entrega no terminó a tiempo');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return delivery;
+}
+
+/**
+ * Lee el registro en disco de una entrega cuando deja de estar pendiente: se escribe
+ * después de actualizar la entrega en memoria
+ */
+async function readSettled(dispatcher, id) {
+  for (let waited = 0; ; waited += 10) {
+    const persisted = JSON.parse(await fs.readFile(path.join(dispatcher.dir, `${id}.json`), 'utf8'));
+    if (persisted.state !== DeliveryState.PENDING) {
+      return persisted;
+    }
+    assert.ok(waited < 5000, 'la entrega no se guardó a tiempo');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function createDispatcher(options = {}) {
+  return new WebhookDispatcher({
+    secret: SECRET,
+    dir: path.join(dir, crypto.randomUUID()),
+    retryDelay: 10,
+    maxAttempts: 3,
+    allowedNetworks: ['127.0.0.0/8'],
+    ...options,
+  });
+}
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'anyaudio-webhooks-'));
+
+  // Receptor local: responde con los códigos de `statuses` en orden y después 200
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() ?? 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('WebhookDispatcher firma el cuerpo con HMAC-SHA256 y registra la entrega', async () => {
+  received = [];
+  statuses = [];
+  const dispatcher = createDispatcher();
+  await dispatcher.initialize();
+
+  const delivery = await settled(await dispatcher.deliver({
+    url: baseUrl,
+    event: 'job.done',
+    jobId: 'trabajo-1',
+    payload: { jobId: 'trabajo-1', success: true },
+  }));
+
+  assert.equal(delivery.state, DeliveryState.DELIVERED);
+  assert.equal(received.length, 1);
+
+  const [{ headers, body }] = received;
+  const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+  assert.equal(headers['x-webhook-event'], 'job.done');
+  assert.equal(headers['x-webhook-id'], delivery.id);
+  assert.deepEqual(JSON.parse(body), { jobId: 'trabajo-1', success: true });
+
+  const persisted = await readSettled(dispatcher, delivery.id);
+  assert.equal(persisted.state, DeliveryState.DELIVERED);
+  assert.equal(persisted.attempts[0].status, 200);
+});
+
+test('WebhookDispatcher reintenta los errores temporales y descarta los definitivos', async () => {
+  received = [];
+  statuses = [503, 429];
+  const dispatcher = createDispatcher();
+  await dispatcher.initialize();
+
+  const retried = await settled(await dispatcher.deliver({ url: baseUrl, event: 'job.done', payload: {} }));
+  assert.equal(retried.state, DeliveryState.DELIVERED);
+  assert.deepEqual(retried.attempts.map(attempt => attempt.status), [503, 429, 200]);
+
+  statuses = [400];
+  const rejected = await settled(await dispatcher.deliver({ url: baseUrl, event: 'job.failed', payload: {} }));
+  assert.equal(rejected.state, DeliveryState.FAILED);
+  assert.equal(rejected.attempts.length, 1);
+  assert.equal(rejected.attempts[0].error, 'Respuesta HTTP 400');
+});
+
+test('WebhookDispatcher no envía a redes privadas que no están permitidas', async () => {
+  received = [];
+  statuses = [];
+  const dispatcher = createDispatcher({ allowedNetworks: [] });
+  await dispatcher.initialize();
+
+  await assert.rejects(dispatcher.checkUrl(new URL(baseUrl)), { name: 'BlockedAddressError' });
+
+  const delivery = await settled(await dispatcher.deliver({ url: baseUrl, event: 'job.done', payload: {} }));
+  assert.equal(delivery.state, DeliveryState.FAILED);
+  assert.equal(delivery.attempts.length, 1);
+  assert.match(delivery.attempts[0].error, /red privada o reservada/);
+  assert.equal(received.length, 0);
+});